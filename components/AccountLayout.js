@@ -0,0 +1,114 @@
+/**
+ * AccountLayout Component
+ *
+ * Page shell for signed-in areas such as /agent/..., /tenant/... and /admin/...
+ * Shows a simple header and only renders its children for users with the required role.
+ * Pass requireAuth={false} for pages that also work signed out, such as the shortlist.
+ * Pages should also use withRole (lib/serverAuth.js) so the check happens on the server;
+ * the checks here cover signing out or switching accounts while the page is open.
+ */
+
+import React, { useEffect } from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { useAuth } from '../contexts/AuthContext'
+import { getLoginUrl } from '../lib/authSession'
+import Forbidden from './Forbidden'
+import MessagesLink from './MessagesLink'
+
+// Navigation links shown for each role
+const NAV_LINKS = {
+  agent: [
+    { href: '/agent/listings', label: 'My Listings' },
+    { href: '/agent/viewings', label: 'Viewings' }
+  ],
+  tenant: [
+    { href: '/tenant/pets', label: 'My Pets' },
+    { href: '/tenant/viewings', label: 'Viewings' },
+    { href: '/tenant/applications', label: 'Applications' },
+    { href: '/tenant/alerts', label: 'Alerts' },
+    { href: '/shortlist', label: 'Shortlist' }
+  ],
+  admin: [
+    { href: '/admin', label: 'Users' },
+    { href: '/admin/listings', label: 'Listings' },
+    { href: '/admin/api-keys', label: 'API keys' },
+    { href: '/admin/audit', label: 'Audit log' }
+  ]
+}
+
+const AccountLayout = ({ title, role, requireAuth = true, children }) => {
+  const router = useRouter()
+  const { isAuthenticated, isSuspended, loading, profile, user } = useAuth()
+
+  // Send signed-out visitors to the login page
+  useEffect(() => {
+    if (requireAuth && !loading && !isAuthenticated) {
+      router.push(getLoginUrl(router.asPath))
+    }
+  }, [requireAuth, loading, isAuthenticated, router])
+
+  const renderContent = () => {
+    if (!requireAuth) {
+      return children
+    }
+
+    if (loading || !isAuthenticated) {
+      return <div className="loading"><p>Loading...</p></div>
+    }
+
+    if (isSuspended) {
+      return <Forbidden suspended />
+    }
+
+    if (role && profile?.role !== role) {
+      return <Forbidden roles={[role]} />
+    }
+
+    return children
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{title ? `${title} - PawsPlace` : 'My Account - PawsPlace'}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/logo.png" />
+      </Head>
+
+      <header className="header">
+        <div className="container">
+          <div className="header-content">
+            <Link href="/" style={{ textDecoration: 'none' }}>
+              <div className="brand-text">PawsPlace</div>
+            </Link>
+            <nav style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', fontSize: '14px' }}>
+              {(NAV_LINKS[profile?.role] || []).map(link => (
+                <Link key={link.href} href={link.href} style={{ color: '#2d5a2d', textDecoration: 'none', fontWeight: '500' }}>
+                  {link.label}
+                </Link>
+              ))}
+              {user && (
+                <MessagesLink style={{ color: '#2d5a2d', textDecoration: 'none', fontWeight: '500' }} />
+              )}
+              {user && (
+                <span style={{ color: '#666' }}>
+                  {profile?.first_name || user.email?.split('@')[0]}
+                </span>
+              )}
+            </nav>
+          </div>
+        </div>
+      </header>
+
+      <main className="listings-section">
+        <div className="container">
+          {renderContent()}
+        </div>
+      </main>
+    </>
+  )
+}
+
+export default AccountLayout
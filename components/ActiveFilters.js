@@ -0,0 +1,37 @@
+/**
+ * ActiveFilters Component
+ *
+ * Shows each applied filter as a removable chip, plus a "Clear all" button.
+ */
+
+import React from 'react'
+import { getActiveFilters } from '../lib/listingCriteria'
+
+const ActiveFilters = ({ criteria, onRemove, onClearAll }) => {
+  const activeFilters = getActiveFilters(criteria)
+
+  if (activeFilters.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="active-filters" aria-label="Active filters">
+      {activeFilters.map((filter) => (
+        <button
+          key={filter.key}
+          type="button"
+          className="filter-chip"
+          onClick={() => onRemove(filter.key)}
+          title={`Remove filter: ${filter.label}`}
+        >
+          {filter.label} <span aria-hidden="true">✕</span>
+        </button>
+      ))}
+      <button type="button" className="filter-chip-clear" onClick={onClearAll}>
+        Clear all
+      </button>
+    </div>
+  )
+}
+
+export default ActiveFilters
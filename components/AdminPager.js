@@ -0,0 +1,31 @@
+/**
+ * AdminPager Component
+ *
+ * Previous/next buttons under the admin tables, with the range being shown.
+ */
+
+import React from 'react'
+import { ADMIN_PAGE_SIZE } from '../lib/admin'
+
+const AdminPager = ({ page, total, onChange }) => {
+  if (total <= ADMIN_PAGE_SIZE) {
+    return null
+  }
+
+  const from = page * ADMIN_PAGE_SIZE + 1
+  const to = Math.min(total, (page + 1) * ADMIN_PAGE_SIZE)
+
+  return (
+    <div className="admin-pager">
+      <span>{from}–{to} of {total}</span>
+      <button type="button" className="filter-select" style={{ minWidth: 0 }} disabled={page === 0} onClick={() => onChange(page - 1)}>
+        ← Previous
+      </button>
+      <button type="button" className="filter-select" style={{ minWidth: 0 }} disabled={to >= total} onClick={() => onChange(page + 1)}>
+        Next →
+      </button>
+    </div>
+  )
+}
+
+export default AdminPager
@@ -0,0 +1,250 @@
+/**
+ * ApplicationForm Component
+ *
+ * Rental application form: employment, income, move-in date, a message to the
+ * agent and which pets' CVs to attach.
+ * onSubmit(application) should resolve to { error } like the lib/supabase.js functions.
+ */
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import {
+  EMPLOYMENT_STATUSES,
+  AFFORDABILITY_MULTIPLIER,
+  MAX_APPLICATION_MESSAGE_LENGTH,
+  emptyApplication,
+  validateApplication,
+  formValuesToApplication
+} from '../lib/applications'
+import PetProfileSummary from './PetProfileSummary'
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '500',
+  color: '#333'
+}
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '0.75rem',
+  border: `1px solid ${hasError ? '#dc3545' : '#ddd'}`,
+  borderRadius: '4px',
+  fontSize: '16px',
+  fontFamily: 'inherit'
+})
+
+const gridStyle = {
+  display: 'grid',
+  gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+  gap: '1rem',
+  marginBottom: '1rem'
+}
+
+const errorStyle = { color: '#dc3545', fontSize: '14px' }
+
+const ApplicationForm = ({ listing, pets = [], onSubmit }) => {
+  const [formData, setFormData] = useState(() => emptyApplication(pets))
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const togglePet = (petId, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      pet_ids: checked ? [...prev.pet_ids, petId] : prev.pet_ids.filter(id => id !== petId)
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const newErrors = validateApplication(formData)
+    setErrors(newErrors)
+    if (Object.keys(newErrors).length > 0) {
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const result = await onSubmit(formValuesToApplication(formData, pets))
+      if (result?.error) {
+        setErrors({ submit: result.error.message })
+      }
+    } catch (error) {
+      console.error('Application form error:', error)
+      setErrors({ submit: 'An unexpected error occurred. Please try again.' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const attachedPets = pets.filter(pet => formData.pet_ids.includes(pet.id))
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h2 style={{ fontSize: '18px', color: '#2d5a2d', marginBottom: '1rem' }}>Employment and income</h2>
+      <div style={gridStyle}>
+        <div>
+          <label style={labelStyle} htmlFor="application-employment">Employment status *</label>
+          <select
+            id="application-employment"
+            name="employment_status"
+            value={formData.employment_status}
+            onChange={handleChange}
+            style={inputStyle(errors.employment_status)}
+          >
+            <option value="">Choose...</option>
+            {EMPLOYMENT_STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {errors.employment_status && <span style={errorStyle}>{errors.employment_status}</span>}
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor="application-employer">
+            {formData.employment_status === 'self_employed' ? 'Business name' : 'Employer'}
+          </label>
+          <input
+            id="application-employer"
+            type="text"
+            name="employer"
+            value={formData.employer}
+            onChange={handleChange}
+            style={inputStyle(errors.employer)}
+          />
+          {errors.employer && <span style={errorStyle}>{errors.employer}</span>}
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor="application-job">Job title</label>
+          <input
+            id="application-job"
+            type="text"
+            name="job_title"
+            value={formData.job_title}
+            onChange={handleChange}
+            style={inputStyle(false)}
+          />
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor="application-income">Annual income before tax (£) *</label>
+          <input
+            id="application-income"
+            type="number"
+            min="0"
+            step="1000"
+            name="annual_income"
+            value={formData.annual_income}
+            onChange={handleChange}
+            style={inputStyle(errors.annual_income)}
+          />
+          {errors.annual_income && <span style={errorStyle}>{errors.annual_income}</span>}
+          {listing?.Rent > 0 && (
+            <span style={{ color: '#666', fontSize: '13px', display: 'block', marginTop: '4px' }}>
+              Agents usually look for £{(listing.Rent * AFFORDABILITY_MULTIPLIER).toLocaleString('en-GB')} or more for this rent.
+            </span>
+          )}
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor="application-move-in">Move-in date *</label>
+          <input
+            id="application-move-in"
+            type="date"
+            name="move_in_date"
+            value={formData.move_in_date}
+            onChange={handleChange}
+            style={inputStyle(errors.move_in_date)}
+          />
+          {errors.move_in_date && <span style={errorStyle}>{errors.move_in_date}</span>}
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '1.5rem' }}>
+        <label style={labelStyle} htmlFor="application-message">Message to the agent</label>
+        <textarea
+          id="application-message"
+          name="message"
+          value={formData.message}
+          onChange={handleChange}
+          rows={4}
+          maxLength={MAX_APPLICATION_MESSAGE_LENGTH}
+          placeholder="Tell the agent a little about yourself and your pets"
+          style={inputStyle(errors.message)}
+        />
+        {errors.message && <span style={errorStyle}>{errors.message}</span>}
+      </div>
+
+      <h2 style={{ fontSize: '18px', color: '#2d5a2d', marginBottom: '0.5rem' }}>Pet CV 🐾</h2>
+      <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem' }}>
+        Choose the pets moving in with you. The agent sees their details, vet and landlord references as they are now;
+        update them on <Link href="/tenant/pets" style={{ color: '#2d5a2d' }}>My Pets</Link> first if anything has changed.
+      </p>
+      {pets.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem' }}>
+          You haven&apos;t added any pets. <Link href="/tenant/pets" style={{ color: '#2d5a2d' }}>Add your pets</Link> to include a pet CV.
+        </p>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem', marginBottom: '1rem' }}>
+          {pets.map(pet => (
+            <label key={pet.id} style={{ color: '#333', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={formData.pet_ids.includes(pet.id)}
+                onChange={(e) => togglePet(pet.id, e.target.checked)}
+                style={{ marginRight: '8px' }}
+              />
+              {pet.name}
+            </label>
+          ))}
+        </div>
+      )}
+      {attachedPets.length > 0 && (
+        <div style={{ marginBottom: '1.5rem' }}>
+          <PetProfileSummary pets={attachedPets} title="Attached to your application" />
+        </div>
+      )}
+
+      {/* Submit Error */}
+      {errors.submit && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {errors.submit}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={loading}
+        style={{
+          padding: '0.75rem 1.5rem',
+          backgroundColor: loading ? '#ccc' : '#2d5a2d',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          fontSize: '16px',
+          fontWeight: '500',
+          cursor: loading ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {loading ? 'Submitting...' : 'Submit application'}
+      </button>
+    </form>
+  )
+}
+
+export default ApplicationForm
@@ -0,0 +1,36 @@
+/**
+ * ApplicationHistory Component
+ *
+ * Status badge and change history for a rental application, shown to the
+ * applicant on "My Applications" and to the agent on the pipeline board.
+ */
+
+import React from 'react'
+import { getApplicationStatus } from '../lib/applications'
+
+export const ApplicationStatusBadge = ({ status }) => (
+  <span className={`status-badge status-${status}`}>{getApplicationStatus(status).label}</span>
+)
+
+const ApplicationHistory = ({ events = [] }) => {
+  if (events.length === 0) {
+    return null
+  }
+
+  return (
+    <ol className="application-history">
+      {events.map(event => (
+        <li key={event.id}>
+          <strong>{getApplicationStatus(event.to_status).label}</strong>
+          <span style={{ color: '#888' }}>
+            {' · '}
+            {new Date(event.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}
+          </span>
+          {event.note && <div style={{ color: '#444', whiteSpace: 'pre-line' }}>{event.note}</div>}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default ApplicationHistory
@@ -0,0 +1,131 @@
+/**
+ * AuthLayout Component
+ *
+ * Centered card layout for small standalone pages such as password reset, email
+ * verification and alert unsubscribe, plus the success and error message boxes they use.
+ */
+
+import React from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+
+export const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '500',
+  color: '#333'
+}
+
+export const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '0.75rem',
+  border: `1px solid ${hasError ? '#dc3545' : '#ddd'}`,
+  borderRadius: '4px',
+  fontSize: '16px'
+})
+
+export const submitStyle = (loading) => ({
+  width: '100%',
+  padding: '0.75rem',
+  backgroundColor: loading ? '#ccc' : '#2d5a2d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '16px',
+  fontWeight: '500',
+  cursor: loading ? 'not-allowed' : 'pointer',
+  marginBottom: '1rem'
+})
+
+export const SuccessMessage = ({ children }) => (
+  <div role="status" style={{
+    backgroundColor: '#d4edda',
+    color: '#155724',
+    padding: '0.75rem',
+    borderRadius: '4px',
+    marginBottom: '1rem',
+    fontSize: '14px'
+  }}>
+    {children}
+  </div>
+)
+
+export const ErrorMessage = ({ children }) => (
+  <div role="alert" style={{
+    backgroundColor: '#f8d7da',
+    color: '#721c24',
+    padding: '0.75rem',
+    borderRadius: '4px',
+    marginBottom: '1rem',
+    fontSize: '14px'
+  }}>
+    {children}
+  </div>
+)
+
+const AuthLayout = ({ title, heading, subheading, children }) => {
+  return (
+    <>
+      <Head>
+        <title>{`${title} - PawsPlace`}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/logo.png" />
+      </Head>
+
+      <div style={{
+        minHeight: '100vh',
+        backgroundColor: '#f8fffe',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '1rem'
+      }}>
+        <div style={{
+          backgroundColor: 'white',
+          padding: '2rem',
+          borderRadius: '8px',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+          width: '100%',
+          maxWidth: '400px'
+        }}>
+          {/* Header */}
+          <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+            <h1 style={{
+              color: '#2d5a2d',
+              fontSize: '2rem',
+              marginBottom: '0.5rem',
+              fontWeight: 'bold'
+            }}>
+              {heading}
+            </h1>
+            {subheading && (
+              <p style={{ color: '#666', fontSize: '16px' }}>
+                {subheading}
+              </p>
+            )}
+          </div>
+
+          {children}
+
+          {/* Footer */}
+          <div style={{
+            textAlign: 'center',
+            padding: '1rem 0',
+            borderTop: '1px solid #eee'
+          }}>
+            <p style={{ color: '#666', fontSize: '14px' }}>
+              <Link
+                href="/auth/login"
+                style={{ color: '#2d5a2d', textDecoration: 'none', fontWeight: '500' }}
+              >
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default AuthLayout
@@ -0,0 +1,18 @@
+/**
+ * DemoDataBanner Component
+ *
+ * Persistent notice that the listings on the page are demo data from the
+ * fixture or in-memory provider (see lib/listingProvider.js), not real
+ * properties to rent.
+ */
+
+import React from 'react'
+
+const DemoDataBanner = () => (
+  <div className="demo-data-banner" role="status">
+    <span className="demo-data-badge">Demo data</span>
+    These are sample listings, not real properties to rent.
+  </div>
+)
+
+export default DemoDataBanner
@@ -0,0 +1,88 @@
+/**
+ * EnquiryForm Component
+ *
+ * "Enquire" box on the listing page. Tenants send the agent a message, which
+ * starts (or continues) a conversation in their inbox.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { findConversation, sendEnquiry } from '../lib/supabase'
+import { getLoginUrl } from '../lib/authSession'
+import { useAuth } from '../contexts/AuthContext'
+import MessageForm from './MessageForm'
+
+const EnquiryForm = ({ listing }) => {
+  const router = useRouter()
+  const { user, isAuthenticated, isTenant, loading } = useAuth()
+  const [conversation, setConversation] = useState(null)
+
+  // Link to the existing thread if the tenant has already enquired
+  useEffect(() => {
+    if (user && isTenant) {
+      findConversation(user.id, listing.id).then(setConversation)
+    }
+  }, [user, isTenant, listing.id])
+
+  if (loading) {
+    return null
+  }
+
+  if (!listing.agent_id) {
+    return (
+      <p style={{ color: '#666', fontSize: '14px' }}>This listing isn&apos;t accepting messages.</p>
+    )
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <p style={{ fontSize: '14px' }}>
+        <Link href={getLoginUrl(router.asPath)} style={{ color: '#2d5a2d', fontWeight: '500' }}>
+          Sign in
+        </Link>{' '}
+        or{' '}
+        <Link href="/auth/tenant-signup" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+          join as a tenant
+        </Link>{' '}
+        to message the agent.
+      </p>
+    )
+  }
+
+  if (!isTenant) {
+    return null
+  }
+
+  const handleSend = async (body) => {
+    const result = await sendEnquiry(user.id, listing, body)
+    if (!result.error) {
+      router.push(`/messages/${result.data.id}`)
+    }
+    return result
+  }
+
+  return (
+    <div id="enquire">
+      <h3 style={{ fontSize: '16px', margin: '15px 0 8px' }}>Enquire</h3>
+      {conversation && (
+        <p style={{ fontSize: '14px', marginBottom: '8px' }}>
+          You&apos;ve already messaged about this property.{' '}
+          <Link href={`/messages/${conversation.id}`} style={{ color: '#2d5a2d', fontWeight: '500' }}>
+            View conversation
+          </Link>
+        </p>
+      )}
+      <MessageForm
+        onSend={handleSend}
+        initialBody={`Hi, I'm interested in "${listing.Title}". Is it still available?`}
+        submitLabel="Send enquiry"
+      />
+      <p style={{ color: '#888', fontSize: '12px', marginTop: '8px' }}>
+        The agent can add your pet profile to the conversation, so keep <Link href="/tenant/pets">your pets</Link> up to date.
+      </p>
+    </div>
+  )
+}
+
+export default EnquiryForm
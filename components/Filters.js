@@ -1,113 +1,139 @@
 /**
  * Filters Component
- * 
+ *
  * Provides filtering and sorting options for property listings.
- * Includes property type filter and sort options that are easily extendable.
+ * Filters combine freely (e.g. "2+ bed, furnished, with garden, under £2,500")
+ * and are driven by CRITERIA_FIELDS, so new filters only need a field definition.
  */
 
 import React from 'react'
+import { PET_SPECIES, PET_SIZES } from '../lib/petPolicy'
+import { CRITERIA_FIELDS, SORT_OPTIONS, DEFAULT_CRITERIA } from '../lib/listingCriteria'
 
-const Filters = ({ 
-  onPropertyTypeChange, 
-  onSortChange, 
-  propertyType = '', 
-  sortBy = 'newest',
-  onPetFriendlyFilter,
-  showPetFriendlyOnly = false
-}) => {
-  
-  // Property type options (easily extendable)
-  const propertyTypes = [
-    { value: '', label: 'All Property Types' },
-    { value: 'studio', label: 'Studio' },
-    { value: 'one-bed', label: '1 Bedroom' },
-    { value: 'two-bed', label: '2 Bedrooms' },
-    { value: 'three-bed', label: '3+ Bedrooms' },
-    { value: 'house-share', label: 'House Share' },
-    { value: 'furnished', label: 'Furnished Only' },
-    { value: 'unfurnished', label: 'Unfurnished Only' }
-  ]
-
-  // Sort options
-  const sortOptions = [
-    { value: 'newest', label: 'Newest First' },
-    { value: 'oldest', label: 'Oldest First' },
-    { value: 'cheapest', label: 'Price: Low to High' },
-    { value: 'expensive', label: 'Price: High to Low' },
-    { value: 'bedrooms-asc', label: 'Bedrooms: Low to High' },
-    { value: 'bedrooms-desc', label: 'Bedrooms: High to Low' }
-  ]
+const Filters = ({ criteria = DEFAULT_CRITERIA, onChange }) => {
+  // Range filters (selects) and feature toggles (checkboxes)
+  const rangeFields = CRITERIA_FIELDS.filter(field => field.type === 'number')
+  const toggleFields = CRITERIA_FIELDS.filter(field => field.type === 'boolean')
 
   return (
-    <div className="filters-container">
-      {/* Property Type Filter */}
-      <div className="filter-group">
-        <label className="filter-label" htmlFor="property-type">
-          Property Type
-        </label>
-        <select
-          id="property-type"
-          className="filter-select"
-          value={propertyType}
-          onChange={(e) => onPropertyTypeChange(e.target.value)}
-        >
-          {propertyTypes.map((type) => (
-            <option key={type.value} value={type.value}>
-              {type.label}
-            </option>
-          ))}
-        </select>
-      </div>
+    <div>
+      <div className="filters-container">
+        {/* Range Filters */}
+        {rangeFields.map((field) => (
+          <div className="filter-group" key={field.key}>
+            <label className="filter-label" htmlFor={`filter-${field.key}`}>
+              {field.label}
+            </label>
+            <select
+              id={`filter-${field.key}`}
+              className="filter-select"
+              value={criteria[field.key] ?? ''}
+              onChange={(e) => onChange({ [field.key]: e.target.value === '' ? null : Number(e.target.value) })}
+            >
+              <option value="">{field.operator === 'lte' ? 'No max' : 'No min'}</option>
+              {field.options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
 
-      {/* Sort Options */}
-      <div className="filter-group">
-        <label className="filter-label" htmlFor="sort-by">
-          Sort By
-        </label>
-        <select
-          id="sort-by"
-          className="filter-select"
-          value={sortBy}
-          onChange={(e) => onSortChange(e.target.value)}
-        >
-          {sortOptions.map((option) => (
-            <option key={option.value} value={option.value}>
-              {option.label}
-            </option>
-          ))}
-        </select>
+        {/* Sort Options */}
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="sort-by">
+            Sort By
+          </label>
+          <select
+            id="sort-by"
+            className="filter-select"
+            value={criteria.sortBy}
+            onChange={(e) => onChange({ sortBy: e.target.value })}
+          >
+            {SORT_OPTIONS.filter(option => (!option.nearby || criteria.near) && (!option.keywords || criteria.keywords)).map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
 
-      {/* Pet-Friendly Filter */}
-      <div className="filter-group">
-        <label className="filter-label">
-          <input
-            type="checkbox"
-            checked={showPetFriendlyOnly}
-            onChange={(e) => onPetFriendlyFilter(e.target.checked)}
-            style={{ marginRight: '8px' }}
-          />
-          Pet-Friendly Only 🐾
-        </label>
-      </div>
+      <div className="filters-container" style={{ marginTop: '15px' }}>
+        {/* Pet Policy Filters */}
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="pet-species">
+            My Pet
+          </label>
+          <select
+            id="pet-species"
+            className="filter-select"
+            value={criteria.petSpecies}
+            onChange={(e) => onChange({ petSpecies: e.target.value })}
+          >
+            <option value="">Any Pet</option>
+            {PET_SPECIES.map((species) => (
+              <option key={species.value} value={species.value}>
+                {species.singular}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="pet-count">
+            Number of Pets
+          </label>
+          <select
+            id="pet-count"
+            className="filter-select"
+            value={criteria.petCount}
+            onChange={(e) => onChange({ petCount: e.target.value })}
+          >
+            <option value="">Any</option>
+            <option value="1">1</option>
+            <option value="2">2</option>
+            <option value="3">3+</option>
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="pet-size">
+            Pet Size
+          </label>
+          <select
+            id="pet-size"
+            className="filter-select"
+            value={criteria.petSize}
+            onChange={(e) => onChange({ petSize: e.target.value })}
+          >
+            <option value="">Any Size</option>
+            {PET_SIZES.map((size) => (
+              <option key={size.value} value={size.value}>
+                {size.label}
+              </option>
+            ))}
+          </select>
+        </div>
 
-      {/* Future filter placeholder - easily extendable */}
-      {/* 
-      <div className="filter-group">
-        <label className="filter-label" htmlFor="price-range">
-          Price Range
-        </label>
-        <select id="price-range" className="filter-select">
-          <option value="">Any Price</option>
-          <option value="0-1000">Under £1,000</option>
-          <option value="1000-2000">£1,000 - £2,000</option>
-          <option value="2000-3000">£2,000 - £3,000</option>
-          <option value="3000+">£3,000+</option>
-        </select>
+        {/* Feature Toggles */}
+        {toggleFields.map((field) => (
+          <div className="filter-group" key={field.key}>
+            <label className="filter-label">
+              <input
+                type="checkbox"
+                checked={!!criteria[field.key]}
+                onChange={(e) => onChange({ [field.key]: e.target.checked })}
+                style={{ marginRight: '8px' }}
+              />
+              {field.label}{field.key === 'petFriendly' && ' 🐾'}
+            </label>
+          </div>
+        ))}
       </div>
-      */}
     </div>
   )
 }
 
-export default Filters
\ No newline at end of file
+export default Filters
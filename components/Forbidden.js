@@ -0,0 +1,56 @@
+/**
+ * Forbidden Component
+ *
+ * 403 message for signed-in users who open a page meant for another role, or
+ * whose account has been suspended by an admin.
+ * Rendered by _app when a page's withRole guard rejects the user, and by
+ * AccountLayout as a client-side fallback.
+ */
+
+import React from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+
+const ROLE_LABELS = {
+  agent: 'agent',
+  tenant: 'tenant',
+  admin: 'admin'
+}
+
+const Forbidden = ({ roles = [], suspended = false, standalone = false }) => {
+  const labels = roles.map(role => ROLE_LABELS[role] || role)
+
+  return (
+    <>
+      {standalone && (
+        <Head>
+          <title>Access Denied - PawsPlace</title>
+          <meta name="viewport" content="width=device-width, initial-scale=1" />
+          <link rel="icon" href="/logo.png" />
+        </Head>
+      )}
+
+      <div
+        className="no-listings"
+        style={standalone ? { minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center' } : undefined}
+      >
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🔒</div>
+        <h3>{suspended ? 'Your account has been suspended' : <>You don&apos;t have access to this page</>}</h3>
+        <p>
+          {suspended
+            ? 'Please contact PawsPlace support if you think this is a mistake.'
+            : labels.length > 0
+              ? `This area is only available to ${labels.join(' or ')} accounts.`
+              : 'Your account does not have permission to view it.'}
+        </p>
+        <p style={{ marginTop: '20px' }}>
+          <Link href="/" style={{ color: '#2563eb', textDecoration: 'none', fontWeight: 500 }}>
+            ← Back to PawsPlace
+          </Link>
+        </p>
+      </div>
+    </>
+  )
+}
+
+export default Forbidden
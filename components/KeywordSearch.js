@@ -0,0 +1,45 @@
+/**
+ * KeywordSearch Component
+ *
+ * Searches listing titles, descriptions and locations for words such as
+ * "balcony river view" (see lib/keywordSearch.js for the search syntax).
+ * Searches run on Enter or when the field loses focus.
+ */
+
+import React, { useState, useEffect } from 'react'
+
+const KeywordSearch = ({ value = '', onSearch }) => {
+  const [keywords, setKeywords] = useState(value)
+
+  // Follow outside changes, e.g. the chip being removed or browser back/forward
+  useEffect(() => {
+    setKeywords(value)
+  }, [value])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSearch(keywords.trim())
+  }
+
+  return (
+    <form className="filters-container" style={{ marginBottom: '15px' }} onSubmit={handleSubmit} role="search">
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="keyword-search">
+          Keywords
+        </label>
+        <input
+          id="keyword-search"
+          type="search"
+          className="filter-select"
+          value={keywords}
+          onChange={(e) => setKeywords(e.target.value)}
+          onBlur={() => keywords.trim() !== value && onSearch(keywords.trim())}
+          placeholder='e.g. balcony river view, "near park", -studio'
+          style={{ minWidth: '320px' }}
+        />
+      </div>
+    </form>
+  )
+}
+
+export default KeywordSearch
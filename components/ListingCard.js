@@ -2,12 +2,21 @@
  * ListingCard Component
  * 
  * Displays individual property listing information in a card format.
- * Shows all key details from the listings table including pet-specific features.
+ * Shows the cover photo and all key details from the listings table including
+ * pet-specific features. Words matching a keyword search are highlighted.
  */
 
 import React from 'react'
+import Link from 'next/link'
+import Image from 'next/image'
+import { getListingFeatures } from '../lib/listingFields'
+import { isPetFriendly, getPetPolicySummary } from '../lib/petPolicy'
+import { getCoverPhoto, getPhotoAlt } from '../lib/photos'
+import { formatDistance } from '../lib/geo'
+import { parseKeywordQuery, highlightKeywords } from '../lib/keywordSearch'
+import ShortlistButton from './ShortlistButton'
 
-const ListingCard = ({ listing }) => {
+const ListingCard = ({ listing, searchPath, keywords }) => {
   // Format the rent display
   const formatRent = (rent) => {
     return `£${rent?.toLocaleString() || 'TBC'}`
@@ -24,32 +33,65 @@ const ListingCard = ({ listing }) => {
     })
   }
 
-  // Generate feature tags based on listing properties
-  const generateFeatures = () => {
-    const features = []
-    
-    if (listing.Furnished) features.push('Furnished')
-    if (listing.Garden) features.push('Garden/Outdoor Space')
-    if (listing.StairFreeAccess) features.push('Stair-Free Access')
-    if (listing.HouseShare) features.push('House Share')
-    if (listing.PetParkingCosts && listing.PetParkingCosts > 0) {
-      features.push(`Pet Parking: £${listing.PetParkingCosts}`)
-    }
-    
-    return features
-  }
+  const features = getListingFeatures(listing)
+  const petFriendly = isPetFriendly(listing)
+  const petPolicy = getPetPolicySummary(listing)
+  const cover = getCoverPhoto(listing)
+  const keywordQuery = parseKeywordQuery(keywords)
+
+  // Text with the words that matched the keyword search marked
+  const highlight = (text) => highlightKeywords(text, keywordQuery).map((part, index) =>
+    part.match ? <mark key={index} className="keyword-match">{part.text}</mark> : part.text
+  )
 
-  const features = generateFeatures()
+  const photo = (
+    <div className="listing-card-photo">
+      {cover ? (
+        <Image
+          src={cover.url}
+          alt={getPhotoAlt(cover, listing)}
+          fill
+          sizes="(max-width: 768px) 100vw, 400px"
+          style={{ objectFit: 'cover' }}
+        />
+      ) : (
+        <span aria-hidden="true">🏠</span>
+      )}
+    </div>
+  )
 
   return (
     <div className="listing-card">
+      {/* Cover Photo */}
+      {listing.id ? (
+        <Link href={getListingHref(listing.id, searchPath)} tabIndex={-1} aria-hidden="true">
+          {photo}
+        </Link>
+      ) : photo}
+
       <div className="listing-card-content">
-        {/* Title and Rent */}
-        <h3 className="listing-title">{listing.Title || 'Property Listing'}</h3>
+        {/* Title, Shortlist Toggle and Rent */}
+        <div className="listing-card-header">
+          <h3 className="listing-title">
+            {listing.id ? (
+              <Link href={getListingHref(listing.id, searchPath)} className="listing-link">
+                {highlight(listing.Title || 'Property Listing')}
+              </Link>
+            ) : (
+              highlight(listing.Title || 'Property Listing')
+            )}
+          </h3>
+          {listing.id && <ShortlistButton listing={listing} />}
+        </div>
         <div className="listing-rent">{formatRent(listing.Rent)} pcm</div>
         
         {/* Location */}
-        <div className="listing-location">{listing.Location || 'London'}</div>
+        <div className="listing-location">
+          {highlight(listing.Location || 'London')}
+          {Number.isFinite(listing.distance) && (
+            <span className="listing-distance"> · {formatDistance(listing.distance)} away</span>
+          )}
+        </div>
         
         {/* Key Details Grid */}
         <div className="listing-details">
@@ -71,9 +113,14 @@ const ListingCard = ({ listing }) => {
         
         {/* Description */}
         {listing.Description && (
-          <p className="listing-description">{listing.Description}</p>
+          <p className="listing-description">{highlight(listing.Description)}</p>
         )}
         
+        {/* Pet Policy Summary */}
+        <div className={`pet-policy-summary ${petFriendly ? '' : 'no-pets'}`}>
+          <strong>Pet policy:</strong> {petPolicy.join(' · ')}
+        </div>
+
         {/* Feature Tags */}
         {features.length > 0 && (
           <div className="listing-features">
@@ -91,7 +138,7 @@ const ListingCard = ({ listing }) => {
         {/* Meta Information */}
         <div className="listing-meta">
           <span>Listed: {formatDate(listing.Listed)}</span>
-          {listing.PetParkingCosts > 0 && (
+          {petFriendly && (
             <span className="pet-friendly-indicator">🐾 Pet-Friendly</span>
           )}
         </div>
@@ -100,4 +147,15 @@ const ListingCard = ({ listing }) => {
   )
 }
 
+/**
+ * Build the detail page URL for a listing, remembering the search it was opened from
+ * @param {number|string} id - Listing ID
+ * @param {string} searchPath - Path of the search results page, e.g. '/?q=camden'
+ * @returns {string} Detail page URL
+ */
+export function getListingHref(id, searchPath) {
+  const href = `/listings/${id}`
+  return searchPath && searchPath !== '/' ? `${href}?from=${encodeURIComponent(searchPath)}` : href
+}
+
 export default ListingCard
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * ListingForm Component
+ *
+ * Create/edit form for agent listings.
+ * Renders one input per column in LISTING_FIELDS and validates before submitting.
+ */
+
+import React, { useState } from 'react'
+import { LISTING_FIELDS, listingToFormValues, validateListing, formValuesToListing } from '../lib/listingFields'
+import { geocodeLocation } from '../lib/geo'
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '500',
+  color: '#333'
+}
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '0.75rem',
+  border: `1px solid ${hasError ? '#dc3545' : '#ddd'}`,
+  borderRadius: '4px',
+  fontSize: '16px',
+  fontFamily: 'inherit'
+})
+
+const gridStyle = {
+  display: 'grid',
+  gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+  gap: '1rem',
+  marginBottom: '1rem'
+}
+
+const checkboxRowStyle = {
+  display: 'flex',
+  flexWrap: 'wrap',
+  gap: '1.5rem',
+  marginBottom: '1.5rem'
+}
+
+const ListingForm = ({ listing, onSubmit, submitLabel = 'Save Listing', onCancel }) => {
+  const [formData, setFormData] = useState(() => listingToFormValues(listing))
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }))
+
+    clearError(name)
+  }
+
+  // Toggle one option of a multiselect field (rendered as checkboxes)
+  const handleMultiselectChange = (name, optionValue, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      [name]: checked
+        ? [...prev[name], optionValue]
+        : prev[name].filter(value => value !== optionValue)
+    }))
+
+    clearError(name)
+  }
+
+  const clearError = (name) => {
+    // Clear error when user starts typing
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const newErrors = validateListing(formData)
+    setErrors(newErrors)
+    if (Object.keys(newErrors).length > 0) {
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const result = await onSubmit(formValuesToListing(formData))
+      if (result?.error) {
+        setErrors({ submit: result.error.message })
+      }
+    } catch (error) {
+      console.error('Listing form error:', error)
+      setErrors({ submit: 'An unexpected error occurred. Please try again.' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const propertyFields = LISTING_FIELDS.filter(field => !field.section && field.type !== 'boolean')
+  const booleanFields = LISTING_FIELDS.filter(field => field.type === 'boolean')
+  const petFields = LISTING_FIELDS.filter(field => field.section === 'pets' && field.type !== 'multiselect')
+  const petMultiselectFields = LISTING_FIELDS.filter(field => field.section === 'pets' && field.type === 'multiselect')
+
+  // Render a labelled text, number, textarea or select input for a field
+  const renderInput = (field) => (
+    <div
+      key={field.name}
+      style={field.type === 'textarea' || field.name === 'Title' ? { gridColumn: '1 / -1' } : undefined}
+    >
+      <label style={labelStyle} htmlFor={`listing-${field.name}`}>
+        {field.label}{field.required && ' *'}
+      </label>
+      {field.type === 'textarea' && (
+        <textarea
+          id={`listing-${field.name}`}
+          name={field.name}
+          value={formData[field.name]}
+          onChange={handleChange}
+          rows={5}
+          style={inputStyle(errors[field.name])}
+        />
+      )}
+      {field.type === 'select' && (
+        <select
+          id={`listing-${field.name}`}
+          name={field.name}
+          value={formData[field.name]}
+          onChange={handleChange}
+          style={inputStyle(errors[field.name])}
+        >
+          <option value="">{field.emptyLabel || 'Not specified'}</option>
+          {field.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )}
+      {(field.type === 'text' || field.type === 'number') && (
+        <input
+          id={`listing-${field.name}`}
+          type={field.type}
+          name={field.name}
+          min={field.min}
+          value={formData[field.name]}
+          onChange={handleChange}
+          placeholder={field.placeholder}
+          style={inputStyle(errors[field.name])}
+        />
+      )}
+      {errors[field.name] && (
+        <span style={{ color: '#dc3545', fontSize: '14px' }}>
+          {errors[field.name]}
+        </span>
+      )}
+      {field.name === 'Location' && !errors.Location && formData.Location.trim() && renderLocationHint()}
+    </div>
+  )
+
+  // Show where the listing will be pinned on the map, or why it can't be
+  const renderLocationHint = () => {
+    const point = geocodeLocation(formData.Location)
+    return point ? (
+      <span style={{ color: '#059669', fontSize: '13px' }}>📍 Shown on the map at {point.label}</span>
+    ) : (
+      <span style={{ color: '#b45309', fontSize: '13px' }}>
+        Not found on the map. Add the London postcode or outcode, e.g. Camden, NW1.
+      </span>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={gridStyle}>
+        {propertyFields.map(renderInput)}
+      </div>
+
+      {/* Features */}
+      <div style={checkboxRowStyle}>
+        {booleanFields.map(field => (
+          <label key={field.name} style={{ color: '#333', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              name={field.name}
+              checked={formData[field.name]}
+              onChange={handleChange}
+              style={{ marginRight: '8px' }}
+            />
+            {field.label}
+          </label>
+        ))}
+      </div>
+
+      {/* Pet Policy */}
+      <h2 style={{ fontSize: '18px', color: '#2d5a2d', margin: '1.5rem 0 1rem' }}>Pet Policy 🐾</h2>
+      {petMultiselectFields.map(field => (
+        <fieldset key={field.name} style={{ border: 'none', marginBottom: '1rem' }}>
+          <legend style={labelStyle}>{field.label}</legend>
+          <div style={{ ...checkboxRowStyle, marginBottom: 0 }}>
+            {field.options.map(option => (
+              <label key={option.value} style={{ color: '#333', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={formData[field.name].includes(option.value)}
+                  onChange={(e) => handleMultiselectChange(field.name, option.value, e.target.checked)}
+                  style={{ marginRight: '8px' }}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          {formData[field.name].length === 0 && (
+            <span style={{ color: '#666', fontSize: '14px' }}>
+              No species selected: this listing will be shown as &quot;No pets&quot;.
+            </span>
+          )}
+        </fieldset>
+      ))}
+      <div style={gridStyle}>
+        {petFields.map(renderInput)}
+      </div>
+
+      {/* Submit Error */}
+      {errors.submit && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {errors.submit}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '1rem' }}>
+        <button
+          type="submit"
+          disabled={loading}
+          style={{
+            padding: '0.75rem 1.5rem',
+            backgroundColor: loading ? '#ccc' : '#2d5a2d',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '16px',
+            fontWeight: '500',
+            cursor: loading ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {loading ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            style={{
+              padding: '0.75rem 1.5rem',
+              backgroundColor: 'transparent',
+              color: '#2d5a2d',
+              border: '1px solid #2d5a2d',
+              borderRadius: '4px',
+              fontSize: '16px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default ListingForm
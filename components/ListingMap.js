@@ -0,0 +1,317 @@
+/**
+ * ListingMap Component
+ *
+ * Dependency-free slippy map of listings on OpenStreetMap tiles. Listings
+ * that would overlap are clustered into numbered pins; clicking a cluster
+ * zooms in, or lists its listings once they can't be split any further
+ * (listings in the same outcode share a centroid). Drag or use the arrow
+ * keys to pan, +/- to zoom. With onDropPin, "Drop a pin" lets people click
+ * the map to search around that spot, and a search circle is drawn for
+ * radius searches.
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react'
+import Link from 'next/link'
+import {
+  LONDON_CENTRE,
+  TILE_SIZE,
+  getListingPosition,
+  projectPoint,
+  unprojectPoint,
+  milesToPixels,
+  clusterPoints,
+  formatDistance
+} from '../lib/geo'
+import { getListingHref } from './ListingCard'
+
+// Tile server; any {z}/{x}/{y} raster tile URL works (see .env.local.example)
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+
+const MIN_ZOOM = 9
+const MAX_ZOOM = 17
+const DEFAULT_ZOOM = 11
+
+// Pixels kept clear around pins when fitting the map to them
+const FIT_PADDING = 48
+
+// Pointer movement that turns a click into a drag
+const DRAG_THRESHOLD = 5
+
+/**
+ * Largest zoom that shows every point, centred on them
+ * @param {Array} points - { lat, lng } points
+ * @param {Object} size - Map { width, height } in pixels
+ * @returns {Object} View as { lat, lng, zoom }
+ */
+function fitView(points, size) {
+  if (points.length === 0) {
+    return { ...LONDON_CENTRE, zoom: DEFAULT_ZOOM }
+  }
+
+  const lats = points.map(point => point.lat)
+  const lngs = points.map(point => point.lng)
+  const centre = {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lng: (Math.min(...lngs) + Math.max(...lngs)) / 2
+  }
+
+  let zoom = MAX_ZOOM - 2
+  while (zoom > MIN_ZOOM) {
+    const topLeft = projectPoint({ lat: Math.max(...lats), lng: Math.min(...lngs) }, zoom)
+    const bottomRight = projectPoint({ lat: Math.min(...lats), lng: Math.max(...lngs) }, zoom)
+    if (bottomRight.x - topLeft.x <= size.width - FIT_PADDING * 2 && bottomRight.y - topLeft.y <= size.height - FIT_PADDING * 2) {
+      break
+    }
+    zoom -= 1
+  }
+
+  return { ...centre, zoom }
+}
+
+/**
+ * Short price for a map pin
+ * @param {number} rent - Monthly rent
+ * @returns {string} e.g. '£950' or '£2.2k'
+ */
+const formatPinPrice = (rent) => {
+  if (!Number.isFinite(rent)) return '£TBC'
+  return rent >= 1000 ? `£${Math.round(rent / 100) / 10}k` : `£${rent}`
+}
+
+const ListingMap = ({ listings = [], centre = null, radius = null, onDropPin, searchPath, height = 480 }) => {
+  const containerRef = useRef(null)
+  const dragRef = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [view, setView] = useState({ ...LONDON_CENTRE, zoom: DEFAULT_ZOOM })
+  const [selected, setSelected] = useState(null)
+  const [pinMode, setPinMode] = useState(false)
+
+  // Listings with a position; the rest are counted under the map
+  const placed = useMemo(() => listings
+    .map(listing => ({ listing, position: getListingPosition(listing) }))
+    .filter(item => item.position), [listings])
+
+  // Follow the container's width
+  useEffect(() => {
+    const container = containerRef.current
+    setWidth(container.clientWidth)
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.round(entry.contentRect.width)))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  // Fit the map to the pins and search circle whenever the results change
+  const fitKey = JSON.stringify([placed.map(item => item.listing.id), centre?.lat, centre?.lng, radius, width > 0])
+  useEffect(() => {
+    if (!width) return
+
+    const points = placed.map(item => item.position)
+    if (centre) {
+      points.push(centre)
+      if (radius) {
+        // Include the top and bottom of the circle; its sides are wider than they are tall
+        const latDelta = radius / 69
+        points.push({ lat: centre.lat + latDelta, lng: centre.lng }, { lat: centre.lat - latDelta, lng: centre.lng })
+      }
+    }
+
+    setView(fitView(points, { width, height }))
+    setSelected(null)
+  }, [fitKey]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const { zoom } = view
+  const centrePixel = projectPoint(view, zoom)
+  const origin = { x: centrePixel.x - width / 2, y: centrePixel.y - height / 2 }
+
+  // Pixel position of a point within the map
+  const toScreen = (point) => {
+    const pixel = projectPoint(point, zoom)
+    return { left: pixel.x - origin.x, top: pixel.y - origin.y }
+  }
+
+  const tiles = []
+  const tileCount = 2 ** zoom
+  for (let x = Math.floor(origin.x / TILE_SIZE); x <= Math.floor((origin.x + width) / TILE_SIZE); x++) {
+    for (let y = Math.floor(origin.y / TILE_SIZE); y <= Math.floor((origin.y + height) / TILE_SIZE); y++) {
+      if (y < 0 || y >= tileCount) continue
+      const url = TILE_URL
+        .replace('{z}', zoom)
+        .replace('{x}', ((x % tileCount) + tileCount) % tileCount)
+        .replace('{y}', y)
+      tiles.push({ key: `${zoom}/${x}/${y}`, url, left: x * TILE_SIZE - origin.x, top: y * TILE_SIZE - origin.y })
+    }
+  }
+
+  const clusters = clusterPoints(placed, zoom)
+
+  const zoomTo = (nextZoom, point = view) => {
+    setView({ lat: point.lat, lng: point.lng, zoom: Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, nextZoom)) })
+    setSelected(null)
+  }
+
+  const panBy = (dx, dy) => {
+    setView(current => ({
+      ...unprojectPoint({ x: projectPoint(current, current.zoom).x + dx, y: projectPoint(current, current.zoom).y + dy }, current.zoom),
+      zoom: current.zoom
+    }))
+  }
+
+  const handleClusterClick = (cluster) => {
+    const samePlace = cluster.items.every(item =>
+      item.position.lat === cluster.items[0].position.lat && item.position.lng === cluster.items[0].position.lng
+    )
+
+    if (cluster.items.length === 1 || samePlace || zoom >= MAX_ZOOM) {
+      setSelected(selected?.key === cluster.key ? null : cluster)
+    } else {
+      zoomTo(zoom + 2, cluster)
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return
+    dragRef.current = { x: e.clientX, y: e.clientY, centre: centrePixel, moved: false }
+    e.currentTarget.setPointerCapture(e.pointerId)
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+
+    const dx = e.clientX - drag.x
+    const dy = e.clientY - drag.y
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return
+
+    drag.moved = true
+    setView({ ...unprojectPoint({ x: drag.centre.x - dx, y: drag.centre.y - dy }, zoom), zoom })
+  }
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current
+    dragRef.current = null
+    if (!drag || drag.moved) return
+
+    if (pinMode && onDropPin) {
+      const rect = containerRef.current.getBoundingClientRect()
+      setPinMode(false)
+      onDropPin(unprojectPoint({ x: origin.x + e.clientX - rect.left, y: origin.y + e.clientY - rect.top }, zoom))
+    } else {
+      setSelected(null)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    const moves = { ArrowLeft: [-80, 0], ArrowRight: [80, 0], ArrowUp: [0, -80], ArrowDown: [0, 80] }
+    if (moves[e.key]) {
+      e.preventDefault()
+      panBy(...moves[e.key])
+    } else if (e.key === '+' || e.key === '=') {
+      zoomTo(zoom + 1)
+    } else if (e.key === '-') {
+      zoomTo(zoom - 1)
+    } else if (e.key === 'Escape') {
+      setSelected(null)
+      setPinMode(false)
+    }
+  }
+
+  const circleRadius = centre && radius ? milesToPixels(radius, centre.lat, zoom) : 0
+  const unplaced = listings.length - placed.length
+
+  return (
+    <div>
+      <div
+        ref={containerRef}
+        className={`listing-map${pinMode ? ' dropping-pin' : ''}`}
+        style={{ height }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        tabIndex={0}
+        role="application"
+        aria-label="Map of listings. Use the arrow keys to pan and plus or minus to zoom."
+      >
+        {width > 0 && tiles.map(tile => (
+          <div
+            key={tile.key}
+            className="listing-map-tile"
+            style={{ left: tile.left, top: tile.top, backgroundImage: `url(${tile.url})` }}
+          />
+        ))}
+
+        {centre && (
+          <svg className="listing-map-overlay" width={width} height={height} aria-hidden="true">
+            {circleRadius > 0 && (
+              <circle cx={toScreen(centre).left} cy={toScreen(centre).top} r={circleRadius} className="listing-map-radius" />
+            )}
+            <circle cx={toScreen(centre).left} cy={toScreen(centre).top} r={6} className="listing-map-centre" />
+          </svg>
+        )}
+
+        {width > 0 && clusters.map(cluster => (
+          <button
+            key={cluster.key}
+            type="button"
+            className={`listing-map-pin${cluster.items.length > 1 ? ' cluster' : ''}`}
+            style={toScreen(cluster)}
+            onPointerDown={(e) => e.stopPropagation()}
+            onPointerUp={(e) => e.stopPropagation()}
+            onClick={() => handleClusterClick(cluster)}
+            aria-label={cluster.items.length > 1
+              ? `${cluster.items.length} listings`
+              : `${cluster.items[0].listing.Title}, ${formatPinPrice(cluster.items[0].listing.Rent)} pcm`}
+          >
+            {cluster.items.length > 1 ? cluster.items.length : formatPinPrice(cluster.items[0].listing.Rent)}
+          </button>
+        ))}
+
+        {selected && (
+          <div
+            className="listing-map-popup"
+            style={toScreen(selected)}
+            onPointerDown={(e) => e.stopPropagation()}
+            onPointerUp={(e) => e.stopPropagation()}
+          >
+            {selected.items.map(({ listing }) => (
+              <Link key={listing.id} href={getListingHref(listing.id, searchPath)} className="listing-map-popup-item">
+                <strong>{listing.Title || 'Property Listing'}</strong>
+                <span>
+                  £{listing.Rent?.toLocaleString() || 'TBC'} pcm · {listing.Location}
+                  {Number.isFinite(listing.distance) && ` · ${formatDistance(listing.distance)}`}
+                </span>
+              </Link>
+            ))}
+          </div>
+        )}
+
+        <div className="listing-map-controls" onPointerDown={(e) => e.stopPropagation()} onPointerUp={(e) => e.stopPropagation()}>
+          <button type="button" onClick={() => zoomTo(zoom + 1)} disabled={zoom >= MAX_ZOOM} aria-label="Zoom in">+</button>
+          <button type="button" onClick={() => zoomTo(zoom - 1)} disabled={zoom <= MIN_ZOOM} aria-label="Zoom out">−</button>
+          {onDropPin && (
+            <button
+              type="button"
+              className={`listing-map-drop${pinMode ? ' active' : ''}`}
+              onClick={() => setPinMode(!pinMode)}
+              aria-pressed={pinMode}
+            >
+              📍 {pinMode ? 'Click the map…' : 'Drop a pin'}
+            </button>
+          )}
+        </div>
+
+        <div className="listing-map-attribution">
+          © <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noreferrer">OpenStreetMap</a> contributors
+        </div>
+      </div>
+
+      {unplaced > 0 && (
+        <p style={{ color: '#666', fontSize: '13px', marginTop: '8px' }}>
+          {unplaced} {unplaced === 1 ? 'listing has' : 'listings have'} no postcode we recognise, so {unplaced === 1 ? "it isn't" : "they aren't"} on the map.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ListingMap
@@ -0,0 +1,33 @@
+/**
+ * LoadErrorBanner Component
+ *
+ * Tells visitors that listings couldn't be loaded, when the next automatic
+ * retry is due, and lets them try again straight away. With `stale`, the
+ * listings below are from an earlier search and are still shown.
+ */
+
+import React from 'react'
+
+const LoadErrorBanner = ({ message, retryIn = null, retrying = false, stale = false, onRetry }) => {
+  const seconds = Math.max(1, Math.round((retryIn || 0) / 1000))
+
+  return (
+    <div className="load-error-banner" role="alert">
+      <div>
+        <strong>{stale ? 'We couldn\'t update your results.' : 'We couldn\'t load properties.'}</strong>{' '}
+        {message}
+        {stale && ' The properties below are from your previous search.'}
+        {retryIn !== null && !retrying && (
+          <span className="load-error-retry-note">
+            {' '}Trying again in {seconds} second{seconds === 1 ? '' : 's'}…
+          </span>
+        )}
+      </div>
+      <button type="button" onClick={onRetry} disabled={retrying}>
+        {retrying ? 'Retrying…' : 'Try again'}
+      </button>
+    </div>
+  )
+}
+
+export default LoadErrorBanner
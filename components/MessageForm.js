@@ -0,0 +1,70 @@
+/**
+ * MessageForm Component
+ *
+ * Text box and send button for enquiry messages.
+ * onSend(body) should resolve to { error } like the lib/supabase.js functions.
+ */
+
+import React, { useState } from 'react'
+import { MAX_MESSAGE_LENGTH, validateMessage } from '../lib/messaging'
+
+const MessageForm = ({ onSend, initialBody = '', submitLabel = 'Send', placeholder = 'Write a message...' }) => {
+  const [body, setBody] = useState(initialBody)
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const validationError = validateMessage(body)
+    if (validationError) {
+      setError(validationError)
+      return
+    }
+
+    setSending(true)
+    setError('')
+    const result = await onSend(body)
+    setSending(false)
+
+    if (result?.error) {
+      setError(result.error.message)
+    } else {
+      setBody('')
+    }
+  }
+
+  return (
+    <form className="message-form" onSubmit={handleSubmit}>
+      <textarea
+        aria-label="Message"
+        rows={4}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={placeholder}
+        maxLength={MAX_MESSAGE_LENGTH}
+      />
+      {error && (
+        <span style={{ color: '#dc3545', fontSize: '14px', display: 'block' }}>{error}</span>
+      )}
+      <button
+        type="submit"
+        disabled={sending}
+        style={{
+          marginTop: '0.5rem',
+          padding: '0.5rem 1.25rem',
+          backgroundColor: sending ? '#ccc' : '#2d5a2d',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          fontSize: '14px',
+          cursor: sending ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {sending ? 'Sending...' : submitLabel}
+      </button>
+    </form>
+  )
+}
+
+export default MessageForm
@@ -0,0 +1,26 @@
+/**
+ * MessagesLink Component
+ *
+ * Header link to the inbox with a live unread message count.
+ */
+
+import React from 'react'
+import Link from 'next/link'
+import { useMessages } from '../contexts/MessagesContext'
+
+const MessagesLink = ({ style }) => {
+  const { unread } = useMessages()
+
+  return (
+    <Link
+      href="/messages"
+      style={style}
+      aria-label={unread.total > 0 ? `Messages, ${unread.total} unread` : 'Messages'}
+    >
+      Messages
+      {unread.total > 0 && <span className="unread-badge">{unread.total}</span>}
+    </Link>
+  )
+}
+
+export default MessagesLink
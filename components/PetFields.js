@@ -0,0 +1,282 @@
+/**
+ * PetFields Component
+ *
+ * Inputs for one pet in a tenant's pet profile: species, breed, age,
+ * weight, neutered status and vaccination dates, plus the "pet CV" shared with
+ * rental applications (microchip, vet and previous landlord references).
+ * Used by tenant sign-up and the "My Pets" page.
+ */
+
+import React from 'react'
+import { PET_SPECIES } from '../lib/petPolicy'
+import { emptyReference } from '../lib/petProfile'
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '500',
+  color: '#333'
+}
+
+const inputStyle = (hasError) => ({
+  width: '100%',
+  padding: '0.75rem',
+  border: `1px solid ${hasError ? '#dc3545' : '#ddd'}`,
+  borderRadius: '4px',
+  fontSize: '16px'
+})
+
+const errorStyle = { color: '#dc3545', fontSize: '14px' }
+
+const PetFields = ({ pet, errors = {}, onChange, onRemove, idPrefix = 'pet' }) => {
+  const setField = (name, value) => {
+    onChange({ ...pet, [name]: value })
+  }
+
+  const setVaccination = (index, changes) => {
+    setField('vaccinations', pet.vaccinations.map((vaccination, i) => i === index ? { ...vaccination, ...changes } : vaccination))
+  }
+
+  const setReference = (index, changes) => {
+    setField('references', pet.references.map((reference, i) => i === index ? { ...reference, ...changes } : reference))
+  }
+
+  return (
+    <div style={{
+      border: '1px solid #e5e5e5',
+      borderRadius: '8px',
+      padding: '1rem',
+      marginBottom: '1rem',
+      backgroundColor: '#fafafa'
+    }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+        <div>
+          <label style={labelStyle} htmlFor={`${idPrefix}-name`}>Name *</label>
+          <input
+            id={`${idPrefix}-name`}
+            type="text"
+            value={pet.name}
+            onChange={(e) => setField('name', e.target.value)}
+            style={inputStyle(errors.name)}
+            placeholder="Biscuit"
+          />
+          {errors.name && <span style={errorStyle}>{errors.name}</span>}
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor={`${idPrefix}-species`}>Species *</label>
+          <select
+            id={`${idPrefix}-species`}
+            value={pet.species}
+            onChange={(e) => setField('species', e.target.value)}
+            style={inputStyle(errors.species)}
+          >
+            <option value="">Choose...</option>
+            {PET_SPECIES.map(species => (
+              <option key={species.value} value={species.value}>{species.singular}</option>
+            ))}
+          </select>
+          {errors.species && <span style={errorStyle}>{errors.species}</span>}
+        </div>
+        <div>
+          <label style={labelStyle} htmlFor={`${idPrefix}-breed`}>Breed</label>
+          <input
+            id={`${idPrefix}-breed`}
+            type="text"
+            value={pet.breed}
+            onChange={(e) => setField('breed', e.target.value)}
+            style={inputStyle(false)}
+            placeholder="Labrador"
+          />
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+          <div>
+            <label style={labelStyle} htmlFor={`${idPrefix}-age`}>Age (yrs)</label>
+            <input
+              id={`${idPrefix}-age`}
+              type="number"
+              min="0"
+              value={pet.age_years}
+              onChange={(e) => setField('age_years', e.target.value)}
+              style={inputStyle(errors.age_years)}
+            />
+          </div>
+          <div>
+            <label style={labelStyle} htmlFor={`${idPrefix}-weight`}>Weight (kg)</label>
+            <input
+              id={`${idPrefix}-weight`}
+              type="number"
+              min="0"
+              step="0.1"
+              value={pet.weight_kg}
+              onChange={(e) => setField('weight_kg', e.target.value)}
+              style={inputStyle(errors.weight_kg)}
+            />
+          </div>
+        </div>
+      </div>
+      {(errors.age_years || errors.weight_kg) && (
+        <div style={{ ...errorStyle, marginBottom: '1rem' }}>{errors.age_years || errors.weight_kg}</div>
+      )}
+
+      <label style={{ color: '#333', cursor: 'pointer', display: 'block', marginBottom: '1rem' }}>
+        <input
+          type="checkbox"
+          checked={pet.neutered}
+          onChange={(e) => setField('neutered', e.target.checked)}
+          style={{ marginRight: '8px' }}
+        />
+        Neutered / spayed
+      </label>
+
+      {/* Vaccinations */}
+      <div style={{ marginBottom: '0.5rem' }}>
+        <span style={labelStyle}>Vaccinations</span>
+        {pet.vaccinations.map((vaccination, index) => (
+          <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+            <input
+              type="text"
+              aria-label="Vaccine"
+              value={vaccination.vaccine}
+              onChange={(e) => setVaccination(index, { vaccine: e.target.value })}
+              style={inputStyle(false)}
+              placeholder="e.g. Rabies, DHPP"
+            />
+            <input
+              type="date"
+              aria-label="Date given"
+              value={vaccination.date}
+              onChange={(e) => setVaccination(index, { date: e.target.value })}
+              style={{ ...inputStyle(false), width: 'auto' }}
+            />
+            <button
+              type="button"
+              onClick={() => setField('vaccinations', pet.vaccinations.filter((_, i) => i !== index))}
+              style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer' }}
+              title="Remove vaccination"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        {errors.vaccinations && <div style={errorStyle}>{errors.vaccinations}</div>}
+        <button
+          type="button"
+          onClick={() => setField('vaccinations', [...pet.vaccinations, { vaccine: '', date: '' }])}
+          style={{ background: 'none', border: 'none', color: '#2d5a2d', cursor: 'pointer', padding: 0, fontSize: '14px' }}
+        >
+          + Add vaccination
+        </button>
+      </div>
+
+      {/* Pet CV */}
+      <div style={{ borderTop: '1px solid #e5e5e5', paddingTop: '1rem', marginTop: '1rem', marginBottom: '0.5rem' }}>
+        <span style={labelStyle}>Pet CV</span>
+        <p style={{ color: '#666', fontSize: '13px', marginBottom: '0.75rem' }}>
+          Shared with agents when you apply for a property.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.5rem', marginBottom: '1rem' }}>
+          <div>
+            <label style={labelStyle} htmlFor={`${idPrefix}-microchip`}>Microchip no.</label>
+            <input
+              id={`${idPrefix}-microchip`}
+              type="text"
+              inputMode="numeric"
+              value={pet.microchip}
+              onChange={(e) => setField('microchip', e.target.value)}
+              style={inputStyle(errors.microchip)}
+            />
+          </div>
+          <div>
+            <label style={labelStyle} htmlFor={`${idPrefix}-vet`}>Vet practice</label>
+            <input
+              id={`${idPrefix}-vet`}
+              type="text"
+              value={pet.vet_practice}
+              onChange={(e) => setField('vet_practice', e.target.value)}
+              style={inputStyle(false)}
+            />
+          </div>
+          <div>
+            <label style={labelStyle} htmlFor={`${idPrefix}-vet-phone`}>Vet phone</label>
+            <input
+              id={`${idPrefix}-vet-phone`}
+              type="tel"
+              value={pet.vet_phone}
+              onChange={(e) => setField('vet_phone', e.target.value)}
+              style={inputStyle(false)}
+            />
+          </div>
+        </div>
+        {errors.microchip && <div style={{ ...errorStyle, marginBottom: '1rem' }}>{errors.microchip}</div>}
+
+        <span style={labelStyle}>Previous landlord references</span>
+        {pet.references.map((reference, index) => (
+          <div key={index} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '0.5rem', marginBottom: '0.75rem' }}>
+            <input
+              type="text"
+              aria-label="Landlord or agent name"
+              value={reference.landlord}
+              onChange={(e) => setReference(index, { landlord: e.target.value })}
+              style={inputStyle(false)}
+              placeholder="Landlord or agent name"
+            />
+            <input
+              type="text"
+              aria-label="Landlord email or phone"
+              value={reference.contact}
+              onChange={(e) => setReference(index, { contact: e.target.value })}
+              style={inputStyle(false)}
+              placeholder="Email or phone"
+            />
+            <button
+              type="button"
+              onClick={() => setField('references', pet.references.filter((_, i) => i !== index))}
+              style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer' }}
+              title="Remove reference"
+            >
+              ✕
+            </button>
+            <input
+              type="text"
+              aria-label="Property address"
+              value={reference.address}
+              onChange={(e) => setReference(index, { address: e.target.value })}
+              style={inputStyle(false)}
+              placeholder="Property you rented"
+            />
+            <input
+              type="text"
+              aria-label="What they said"
+              value={reference.comment}
+              onChange={(e) => setReference(index, { comment: e.target.value })}
+              style={inputStyle(false)}
+              placeholder="e.g. No damage, quiet and well trained"
+            />
+          </div>
+        ))}
+        {errors.references && <div style={errorStyle}>{errors.references}</div>}
+        <button
+          type="button"
+          onClick={() => setField('references', [...pet.references, emptyReference()])}
+          style={{ background: 'none', border: 'none', color: '#2d5a2d', cursor: 'pointer', padding: 0, fontSize: '14px' }}
+        >
+          + Add reference
+        </button>
+      </div>
+
+      {onRemove && (
+        <div style={{ textAlign: 'right' }}>
+          <button
+            type="button"
+            onClick={onRemove}
+            style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '14px' }}
+          >
+            Remove pet
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PetFields
@@ -0,0 +1,51 @@
+/**
+ * PetProfileSummary Component
+ *
+ * Read-only view of a tenant's pets for agents, shown wherever a tenant
+ * interacts with an agent's listing.
+ */
+
+import React from 'react'
+import { describePet } from '../lib/petProfile'
+
+const PetProfileSummary = ({ pets = [], title = "Tenant's pets" }) => {
+  return (
+    <div className="pet-policy-summary">
+      <strong>{title}</strong>
+      {pets.length === 0 ? (
+        <p style={{ margin: '4px 0 0' }}>No pets recorded.</p>
+      ) : (
+        <ul style={{ listStyle: 'none', margin: '4px 0 0' }}>
+          {pets.map(pet => (
+            <li key={pet.id} style={{ marginBottom: '4px' }}>
+              🐾 {describePet(pet)}
+              {pet.vaccinations?.length > 0 && (
+                <div style={{ fontSize: '12px', color: '#047857', marginLeft: '1.4em' }}>
+                  Vaccinations: {pet.vaccinations
+                    .map(vaccination => `${vaccination.vaccine} (${new Date(vaccination.date).toLocaleDateString('en-GB')})`)
+                    .join(', ')}
+                </div>
+              )}
+              {(pet.microchip || pet.vet_practice) && (
+                <div style={{ fontSize: '12px', color: '#047857', marginLeft: '1.4em' }}>
+                  {[
+                    pet.microchip && `Microchip ${pet.microchip}`,
+                    pet.vet_practice && `Vet: ${pet.vet_practice}${pet.vet_phone ? ` (${pet.vet_phone})` : ''}`
+                  ].filter(Boolean).join(' · ')}
+                </div>
+              )}
+              {pet.references?.map((reference, index) => (
+                <div key={index} style={{ fontSize: '12px', color: '#444', marginLeft: '1.4em' }}>
+                  Reference: {reference.landlord} ({reference.contact}){reference.address && `, ${reference.address}`}
+                  {reference.comment && <> – &ldquo;{reference.comment}&rdquo;</>}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default PetProfileSummary
@@ -0,0 +1,107 @@
+/**
+ * PhotoGallery Component
+ *
+ * Swipeable photo gallery for listing pages. The track scrolls with touch or
+ * trackpad and snaps to each photo; arrow buttons, dots and the keyboard's
+ * left/right keys move between photos too.
+ */
+
+import React, { useRef, useState } from 'react'
+import Image from 'next/image'
+import { getPhotoAlt } from '../lib/photos'
+
+const PhotoGallery = ({ photos, listing }) => {
+  const trackRef = useRef(null)
+  const [current, setCurrent] = useState(0)
+
+  if (!photos?.length) {
+    return null
+  }
+
+  const showPhoto = (index) => {
+    const track = trackRef.current
+    const target = Math.max(0, Math.min(index, photos.length - 1))
+    track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' })
+  }
+
+  // Follow swipes as well as button presses
+  const handleScroll = () => {
+    const track = trackRef.current
+    setCurrent(Math.round(track.scrollLeft / track.clientWidth))
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault()
+      showPhoto(current + (e.key === 'ArrowRight' ? 1 : -1))
+    }
+  }
+
+  return (
+    <div className="photo-gallery" aria-roledescription="carousel" aria-label="Property photos">
+      <div
+        ref={trackRef}
+        className="photo-gallery-track"
+        onScroll={handleScroll}
+        onKeyDown={handleKeyDown}
+        tabIndex={0}
+      >
+        {photos.map((photo, index) => (
+          <figure
+            key={photo.id}
+            className="photo-gallery-slide"
+            aria-roledescription="slide"
+            aria-label={`${index + 1} of ${photos.length}`}
+          >
+            <Image
+              src={photo.url}
+              alt={getPhotoAlt(photo, listing, index)}
+              fill
+              sizes="(max-width: 768px) 100vw, 66vw"
+              style={{ objectFit: 'contain' }}
+              priority={index === 0}
+            />
+            {photo.caption && <figcaption>{photo.caption}</figcaption>}
+          </figure>
+        ))}
+      </div>
+
+      {photos.length > 1 && (
+        <>
+          <button
+            type="button"
+            className="photo-gallery-nav previous"
+            onClick={() => showPhoto(current - 1)}
+            disabled={current === 0}
+            aria-label="Previous photo"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            className="photo-gallery-nav next"
+            onClick={() => showPhoto(current + 1)}
+            disabled={current === photos.length - 1}
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+          <div className="photo-gallery-dots">
+            {photos.map((photo, index) => (
+              <button
+                key={photo.id}
+                type="button"
+                className={index === current ? 'active' : ''}
+                onClick={() => showPhoto(index)}
+                aria-label={`Show photo ${index + 1}`}
+                aria-current={index === current ? 'true' : undefined}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PhotoGallery
@@ -0,0 +1,76 @@
+/**
+ * RadiusSearch Component
+ *
+ * "Within 1 mile of Clapham Common": searches around a London postcode,
+ * outcode or place, or a pin dropped on the map. Places are looked up in the
+ * bundled postcode dataset (lib/geo.js), so unknown places are reported here.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { RADIUS_OPTIONS, getSearchCentre } from '../lib/listingCriteria'
+import { parseCoordinates } from '../lib/geo'
+
+const RadiusSearch = ({ criteria, onSearch, onRadiusChange }) => {
+  const droppedPin = Boolean(parseCoordinates(criteria.near))
+  const [near, setNear] = useState(droppedPin ? '' : criteria.near)
+
+  // Follow outside changes, e.g. a pin dropped on the map or the chip being removed
+  useEffect(() => {
+    setNear(parseCoordinates(criteria.near) ? '' : criteria.near)
+  }, [criteria.near])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSearch(near.trim())
+  }
+
+  const notFound = criteria.near && !getSearchCentre(criteria)
+
+  return (
+    <form className="filters-container" style={{ marginBottom: '15px' }} onSubmit={handleSubmit}>
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="radius-near">
+          Near
+        </label>
+        <input
+          id="radius-near"
+          type="text"
+          className="filter-select"
+          value={near}
+          onChange={(e) => setNear(e.target.value)}
+          onBlur={() => near.trim() !== (droppedPin ? '' : criteria.near) && onSearch(near.trim())}
+          placeholder={droppedPin ? '📍 Dropped pin' : 'Postcode or place, e.g. Clapham Common'}
+          style={{ minWidth: '260px' }}
+        />
+      </div>
+
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="radius-distance">
+          Within
+        </label>
+        <select
+          id="radius-distance"
+          className="filter-select"
+          value={criteria.radius}
+          onChange={(e) => onRadiusChange(e.target.value)}
+          disabled={!criteria.near}
+        >
+          <option value="">Any distance</option>
+          {RADIUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {notFound && (
+        <span style={{ color: '#b45309', fontSize: '14px', alignSelf: 'flex-end' }}>
+          We couldn&apos;t find &quot;{criteria.near}&quot;. Try a London postcode such as SW4, or a place such as Clapham Common.
+        </span>
+      )}
+    </form>
+  )
+}
+
+export default RadiusSearch
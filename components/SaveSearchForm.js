@@ -0,0 +1,109 @@
+/**
+ * SaveSearchForm Component
+ *
+ * Lets tenants save the current homepage search as a named email alert.
+ * Signed-out visitors are invited to sign in first.
+ */
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { createSavedSearch } from '../lib/supabase'
+import { ALERT_FREQUENCIES, DEFAULT_ALERT_FREQUENCY, buildSavedSearch, describeSearch } from '../lib/savedSearches'
+import { getLoginUrl } from '../lib/authSession'
+import { useAuth } from '../contexts/AuthContext'
+
+const SaveSearchForm = ({ criteria }) => {
+  const router = useRouter()
+  const { user, isAuthenticated, isTenant, loading } = useAuth()
+
+  const [open, setOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [frequency, setFrequency] = useState(DEFAULT_ALERT_FREQUENCY)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState('')
+
+  // Alerts are a tenant feature; agents don't see the form at all
+  if (loading || (isAuthenticated && !isTenant)) {
+    return null
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <div className="save-search">
+        <Link href={getLoginUrl(router.asPath)} className="filter-chip-clear">
+          🔔 Sign in to get email alerts for this search
+        </Link>
+      </div>
+    )
+  }
+
+  if (saved) {
+    return (
+      <div className="save-search" role="status">
+        🔔 Alert saved.{' '}
+        <Link href="/tenant/alerts" className="filter-chip-clear">Manage alerts</Link>
+      </div>
+    )
+  }
+
+  if (!open) {
+    return (
+      <div className="save-search">
+        <button type="button" className="filter-chip-clear" onClick={() => setOpen(true)}>
+          🔔 Save this search and get email alerts
+        </button>
+      </div>
+    )
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+
+    const { error } = await createSavedSearch(user.id, buildSavedSearch(criteria, { name, frequency }))
+
+    setSaving(false)
+    if (error) {
+      setError(error.message)
+    } else {
+      setSaved(true)
+    }
+  }
+
+  return (
+    <form className="save-search" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        aria-label="Alert name"
+        className="filter-select"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder={describeSearch(criteria)}
+        maxLength={100}
+        style={{ flex: '1 1 220px' }}
+      />
+      <select
+        aria-label="Alert frequency"
+        className="filter-select"
+        value={frequency}
+        onChange={(e) => setFrequency(e.target.value)}
+      >
+        {ALERT_FREQUENCIES.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button type="submit" className="filter-chip" disabled={saving}>
+        {saving ? 'Saving...' : 'Save alert'}
+      </button>
+      <button type="button" className="filter-chip-clear" onClick={() => setOpen(false)}>
+        Cancel
+      </button>
+      {error && <span style={{ color: '#dc3545', fontSize: '13px' }}>{error}</span>}
+    </form>
+  )
+}
+
+export default SaveSearchForm
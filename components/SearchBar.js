@@ -1,37 +1,106 @@
 /**
  * SearchBar Component
- * 
+ *
  * Provides search functionality for postcode/area filtering.
- * Allows users to search for properties by location.
+ * Allows users to search for properties by location, with autocomplete
+ * suggestions of London outcodes and areas (see lib/locationSearch.js).
+ * The input is an ARIA combobox: the arrow keys move through suggestions,
+ * Enter or Tab picks one and Escape closes the list.
  */
 
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef, useId } from 'react'
+import { getLocationSuggestions } from '../lib/locationSearch'
 
-const SearchBar = ({ onSearch, placeholder = "Search by postcode or area (e.g., SW1, Camden, Islington...)" }) => {
-  const [searchTerm, setSearchTerm] = useState('')
+const SearchBar = ({ onSearch, value = '', placeholder = "Search by postcode or area (e.g., SW1, Camden, Islington...)" }) => {
+  const [searchTerm, setSearchTerm] = useState(value)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const timeoutRef = useRef(null)
+  const lastSearchRef = useRef(value)
+  const listboxId = useId()
+
+  const suggestions = open ? getLocationSuggestions(searchTerm) : []
+  const expanded = suggestions.length > 0
+  const optionId = (index) => `${listboxId}-option-${index}`
+
+  // Follow outside changes to the search (e.g. browser back/forward), but not echoes of our own searches
+  useEffect(() => {
+    if (value !== lastSearchRef.current) {
+      lastSearchRef.current = value
+      setSearchTerm(value)
+    }
+  }, [value])
+
+  // Cancel any pending debounced search on unmount
+  useEffect(() => () => clearTimeout(timeoutRef.current), [])
+
+  // Run a search and remember the term so its echo through `value` is ignored
+  const search = (term) => {
+    clearTimeout(timeoutRef.current)
+    lastSearchRef.current = term
+    onSearch(term)
+  }
+
+  const closeSuggestions = () => {
+    setOpen(false)
+    setActiveIndex(-1)
+  }
+
+  // Fill in a suggestion and search for it straight away
+  const selectSuggestion = (suggestion) => {
+    setSearchTerm(suggestion.value)
+    closeSuggestions()
+    search(suggestion.value)
+  }
 
   // Handle search input changes
   const handleSearchChange = (e) => {
     const value = e.target.value
     setSearchTerm(value)
-    
+    setOpen(true)
+    setActiveIndex(-1)
+
     // Debounce search - call onSearch after user stops typing for 300ms
-    clearTimeout(handleSearchChange.timeoutId)
-    handleSearchChange.timeoutId = setTimeout(() => {
-      onSearch(value)
+    clearTimeout(timeoutRef.current)
+    timeoutRef.current = setTimeout(() => {
+      search(value)
     }, 300)
   }
 
+  // Keyboard navigation through the suggestions
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      if (!expanded) {
+        setOpen(true)
+        return
+      }
+      // Moving past either end goes back to what was typed (index -1)
+      const next = activeIndex + (e.key === 'ArrowDown' ? 1 : -1)
+      setActiveIndex(next >= suggestions.length ? -1 : next < -1 ? suggestions.length - 1 : next)
+    } else if (e.key === 'Enter' && expanded && activeIndex >= 0) {
+      e.preventDefault()
+      selectSuggestion(suggestions[activeIndex])
+    } else if (e.key === 'Tab' && expanded && activeIndex >= 0) {
+      selectSuggestion(suggestions[activeIndex])
+    } else if (e.key === 'Escape' && expanded) {
+      e.preventDefault()
+      closeSuggestions()
+    }
+  }
+
   // Handle search form submission
   const handleSubmit = (e) => {
     e.preventDefault()
-    onSearch(searchTerm)
+    closeSuggestions()
+    search(searchTerm)
   }
 
   // Clear search
   const clearSearch = () => {
     setSearchTerm('')
-    onSearch('')
+    closeSuggestions()
+    search('')
   }
 
   return (
@@ -44,6 +113,15 @@ const SearchBar = ({ onSearch, placeholder = "Search by postcode or area (e.g.,
             placeholder={placeholder}
             value={searchTerm}
             onChange={handleSearchChange}
+            onKeyDown={handleKeyDown}
+            onBlur={closeSuggestions}
+            role="combobox"
+            aria-label="Search by postcode or area"
+            aria-autocomplete="list"
+            aria-expanded={expanded}
+            aria-controls={listboxId}
+            aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+            autoComplete="off"
             style={{
               paddingRight: searchTerm ? '50px' : '16px'
             }}
@@ -69,10 +147,34 @@ const SearchBar = ({ onSearch, placeholder = "Search by postcode or area (e.g.,
               ✕
             </button>
           )}
+          <ul
+            id={listboxId}
+            className="search-suggestions"
+            role="listbox"
+            aria-label="Suggested locations"
+            hidden={!expanded}
+          >
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.value}
+                id={optionId(index)}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? 'active' : ''}
+                // Keep focus in the input so the click lands before blur closes the list
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectSuggestion(suggestion)}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <strong>{suggestion.label}</strong>
+                {suggestion.detail && <span>{suggestion.detail}</span>}
+              </li>
+            ))}
+          </ul>
         </div>
       </form>
     </div>
   )
 }
 
-export default SearchBar
\ No newline at end of file
+export default SearchBar
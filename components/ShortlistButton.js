@@ -0,0 +1,41 @@
+/**
+ * ShortlistButton Component
+ *
+ * Heart toggle that adds a listing to, or removes it from, the visitor's shortlist.
+ */
+
+import React, { useState } from 'react'
+import { useShortlist } from '../contexts/ShortlistContext'
+
+const ShortlistButton = ({ listing }) => {
+  const { isShortlisted, toggleShortlist } = useShortlist()
+  const [error, setError] = useState('')
+  const saved = isShortlisted(listing.id)
+
+  const handleClick = async (e) => {
+    // The button sits inside clickable cards, so don't let the click follow a link
+    e.preventDefault()
+    e.stopPropagation()
+
+    setError('')
+    const { error } = await toggleShortlist(listing)
+    if (error) {
+      setError(error.message)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      className={`shortlist-button ${saved ? 'saved' : ''}`}
+      onClick={handleClick}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from shortlist' : 'Save to shortlist'}
+      title={error || (saved ? 'Remove from shortlist' : 'Save to shortlist')}
+    >
+      {saved ? '♥' : '♡'}
+    </button>
+  )
+}
+
+export default ShortlistButton
@@ -0,0 +1,177 @@
+/**
+ * ViewingSlots Component
+ *
+ * "Book a viewing" box on the listing page. Tenants pick one of the agent's free
+ * slots, and can then cancel or move their booking. Agents are pointed to their
+ * viewing agenda instead.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { fetchListingSlots } from '../lib/supabase'
+import { getLoginUrl } from '../lib/authSession'
+import {
+  groupSlotsByDay,
+  formatViewingDate,
+  formatSlotTime,
+  bookViewing,
+  cancelViewing,
+  rescheduleViewing
+} from '../lib/viewings'
+import { useAuth } from '../contexts/AuthContext'
+
+const linkStyle = {
+  color: '#2d5a2d',
+  fontWeight: '500',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+const ViewingSlots = ({ listing }) => {
+  const router = useRouter()
+  const { user, isAuthenticated, isTenant, isAgent, loading: authLoading } = useAuth()
+
+  const [slots, setSlots] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [rescheduling, setRescheduling] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const loadSlots = useCallback(async () => {
+    const data = await fetchListingSlots(listing.id, isTenant ? user?.id : null)
+    setSlots(data)
+    setLoading(false)
+  }, [listing.id, isTenant, user])
+
+  useEffect(() => {
+    if (!authLoading) {
+      loadSlots()
+    }
+  }, [authLoading, loadSlots])
+
+  if (authLoading || !listing.agent_id) {
+    return null
+  }
+
+  if (isAgent) {
+    return listing.agent_id === user?.id ? (
+      <p style={{ fontSize: '14px', marginTop: '15px' }}>
+        <Link href="/agent/viewings" style={linkStyle}>Manage viewing slots</Link>
+      </p>
+    ) : null
+  }
+
+  const booking = slots.find(slot => slot.tenant_id && slot.tenant_id === user?.id)
+  const freeSlots = slots.filter(slot => !slot.tenant_id)
+
+  /**
+   * Run a booking action, then reload the slots so taken times disappear
+   */
+  const runAction = async (action, successMessage) => {
+    setBusy(true)
+    setError('')
+    setMessage('')
+
+    const { error } = await action()
+
+    if (error) {
+      setError(error.message)
+    } else {
+      setMessage(successMessage)
+      setRescheduling(false)
+    }
+
+    await loadSlots()
+    setBusy(false)
+  }
+
+  const handleSelect = (slot) => {
+    if (booking) {
+      runAction(() => rescheduleViewing(booking.id, slot.id), 'Your viewing has been moved. We\'ve emailed you the new details.')
+    } else {
+      runAction(() => bookViewing(slot.id), 'Viewing booked! We\'ve emailed you a calendar invitation.')
+    }
+  }
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this viewing?')) {
+      return
+    }
+    runAction(() => cancelViewing(booking.id), 'Your viewing has been cancelled.')
+  }
+
+  const showSlots = !booking || rescheduling
+
+  return (
+    <div id="viewings">
+      <h3 style={{ fontSize: '16px', margin: '15px 0 8px' }}>Book a viewing</h3>
+
+      {error && (
+        <span role="alert" style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '8px' }}>{error}</span>
+      )}
+      {message && (
+        <span role="status" style={{ color: '#059669', fontSize: '14px', display: 'block', marginBottom: '8px' }}>{message}</span>
+      )}
+
+      {booking && (
+        <div className="viewing-booked">
+          <strong>Your viewing:</strong> {formatViewingDate(booking.starts_at)}, {formatSlotTime(booking)}
+          <div style={{ display: 'flex', gap: '1rem', marginTop: '6px', flexWrap: 'wrap' }}>
+            <a href={`/api/viewings/calendar?slotId=${booking.id}`} style={linkStyle}>Add to calendar</a>
+            <button type="button" onClick={() => setRescheduling(!rescheduling)} style={linkStyle} disabled={busy}>
+              {rescheduling ? 'Keep this time' : 'Change time'}
+            </button>
+            <button type="button" onClick={handleCancel} style={linkStyle} disabled={busy}>
+              Cancel viewing
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showSlots && loading && (
+        <p style={{ color: '#666', fontSize: '14px' }}>Loading available times...</p>
+      )}
+
+      {showSlots && !loading && freeSlots.length === 0 && (
+        <p style={{ color: '#666', fontSize: '14px' }}>
+          No viewing times are available right now. Message the agent to arrange one.
+        </p>
+      )}
+
+      {showSlots && !loading && freeSlots.length > 0 && (
+        <>
+          {!isAuthenticated && (
+            <p style={{ fontSize: '14px', marginBottom: '8px' }}>
+              <Link href={getLoginUrl(router.asPath)} style={linkStyle}>Sign in</Link> as a tenant to book one of these times.
+            </p>
+          )}
+          {groupSlotsByDay(freeSlots).map(group => (
+            <div key={group.day} className="viewing-day">
+              <div className="viewing-day-label">{group.label}</div>
+              <div className="viewing-slot-list">
+                {group.slots.map(slot => (
+                  <button
+                    key={slot.id}
+                    type="button"
+                    className="viewing-slot"
+                    onClick={() => handleSelect(slot)}
+                    disabled={busy || !isTenant}
+                  >
+                    {formatSlotTime(slot)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ViewingSlots
@@ -7,6 +7,7 @@
 
 import React, { createContext, useContext, useEffect, useState } from 'react'
 import { getCurrentUser, onAuthStateChange, getUserProfile, signOut as supabaseSignOut } from '../lib/supabase'
+import { isSuspended } from '../lib/admin'
 
 // Create the auth context
 const AuthContext = createContext({})
@@ -21,17 +22,20 @@ export const useAuth = () => {
 }
 
 // Auth provider component
-export const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(null)
-  const [profile, setProfile] = useState(null)
-  const [loading, setLoading] = useState(true)
+// initialSession ({ user, profile }) comes from server-protected pages, so they
+// render signed in straight away instead of showing a loading state
+export const AuthProvider = ({ children, initialSession }) => {
+  const [user, setUser] = useState(initialSession?.user || null)
+  const [profile, setProfile] = useState(initialSession?.profile || null)
+  const [loading, setLoading] = useState(!initialSession)
 
   useEffect(() => {
     // Get initial auth state
-    getCurrentUser().then(initialUser => {
+    // Wait for the profile too, so role checks never run against a missing profile
+    getCurrentUser().then(async initialUser => {
       setUser(initialUser)
       if (initialUser) {
-        getUserProfile(initialUser.id).then(setProfile)
+        setProfile(await getUserProfile(initialUser.id))
       }
       setLoading(false)
     })
@@ -77,7 +81,8 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     isAgent: profile?.role === 'agent',
     isAdmin: profile?.role === 'admin',
-    isTenant: profile?.role === 'tenant'
+    isTenant: profile?.role === 'tenant',
+    isSuspended: isSuspended(profile)
   }
 
   return (
@@ -0,0 +1,54 @@
+/**
+ * Messages Context for PawsPlace
+ *
+ * Tracks the signed-in user's unread enquiry messages and keeps the count live
+ * through Supabase realtime, for the header badge and the inbox.
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react'
+import { fetchUnreadCounts, subscribeToMessages } from '../lib/supabase'
+import { useAuth } from './AuthContext'
+
+const EMPTY_COUNTS = { total: 0, byConversation: {} }
+
+// Create the messages context
+const MessagesContext = createContext({})
+
+// Custom hook to use messages context
+export const useMessages = () => {
+  const context = useContext(MessagesContext)
+  if (!context) {
+    throw new Error('useMessages must be used within a MessagesProvider')
+  }
+  return context
+}
+
+// Messages provider component (must be inside AuthProvider)
+export const MessagesProvider = ({ children }) => {
+  const { user } = useAuth()
+  const userId = user?.id
+  const [unread, setUnread] = useState(EMPTY_COUNTS)
+
+  const refreshUnread = useCallback(async () => {
+    setUnread(userId ? await fetchUnreadCounts(userId) : EMPTY_COUNTS)
+  }, [userId])
+
+  // Recount whenever a message to this user arrives or is marked read
+  useEffect(() => {
+    refreshUnread()
+    return subscribeToMessages('recipient_id', userId, () => refreshUnread())
+  }, [userId, refreshUnread])
+
+  const value = {
+    unread,
+    refreshUnread
+  }
+
+  return (
+    <MessagesContext.Provider value={value}>
+      {children}
+    </MessagesContext.Provider>
+  )
+}
+
+export default MessagesContext
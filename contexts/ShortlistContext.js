@@ -0,0 +1,144 @@
+/**
+ * Shortlist Context for PawsPlace
+ *
+ * Keeps the visitor's shortlisted listings in sync with where they are stored:
+ * localStorage while signed out, the favourites table once signed in.
+ * When someone signs in, anything they saved while signed out is merged into their account.
+ */
+
+import React, { createContext, useContext, useEffect, useState } from 'react'
+import { fetchFavourites, saveFavourites, removeFavourite } from '../lib/supabase'
+import { isSameListing, createShortlistEntry, readLocalShortlist, writeLocalShortlist } from '../lib/shortlist'
+import { useAuth } from './AuthContext'
+
+// Create the shortlist context
+const ShortlistContext = createContext({})
+
+// Custom hook to use shortlist context
+export const useShortlist = () => {
+  const context = useContext(ShortlistContext)
+  if (!context) {
+    throw new Error('useShortlist must be used within a ShortlistProvider')
+  }
+  return context
+}
+
+// Shortlist provider component (must be inside AuthProvider)
+export const ShortlistProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth()
+  const userId = user?.id
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // Load the shortlist whenever the signed-in user changes
+  useEffect(() => {
+    if (authLoading) {
+      return
+    }
+
+    let cancelled = false
+
+    const loadShortlist = async () => {
+      if (!userId) {
+        setEntries(readLocalShortlist())
+        setLoading(false)
+        return
+      }
+
+      // Merge anything saved while signed out into the account, then forget it locally
+      const localEntries = readLocalShortlist()
+      if (localEntries.length > 0) {
+        const { error } = await saveFavourites(userId, localEntries)
+        if (!error) {
+          writeLocalShortlist([])
+        }
+      }
+
+      const favourites = await fetchFavourites(userId)
+      if (!cancelled) {
+        setEntries(favourites)
+        setLoading(false)
+      }
+    }
+
+    setLoading(true)
+    loadShortlist()
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId, authLoading])
+
+  const isShortlisted = (listingId) => entries.some(entry => isSameListing(entry.listing_id, listingId))
+
+  /**
+   * Replace the shortlist, saving it locally when signed out
+   */
+  const updateEntries = (next) => {
+    setEntries(next)
+    if (!userId) {
+      writeLocalShortlist(next)
+    }
+  }
+
+  // Add a listing to the shortlist
+  const addToShortlist = async (listing) => {
+    if (isShortlisted(listing.id)) {
+      return { error: null }
+    }
+
+    const previous = entries
+    const entry = createShortlistEntry(listing)
+    updateEntries([entry, ...entries])
+
+    if (userId) {
+      const { error } = await saveFavourites(userId, [entry])
+      if (error) {
+        setEntries(previous)
+        return { error }
+      }
+    }
+
+    return { error: null }
+  }
+
+  // Remove a listing from the shortlist
+  const removeFromShortlist = async (listingId) => {
+    const previous = entries
+    updateEntries(entries.filter(entry => !isSameListing(entry.listing_id, listingId)))
+
+    if (userId) {
+      const { error } = await removeFavourite(userId, listingId)
+      if (error) {
+        setEntries(previous)
+        return { error }
+      }
+    }
+
+    return { error: null }
+  }
+
+  // Add or remove a listing
+  const toggleShortlist = (listing) => {
+    return isShortlisted(listing.id)
+      ? removeFromShortlist(listing.id)
+      : addToShortlist(listing)
+  }
+
+  const value = {
+    entries,
+    loading,
+    isShortlisted,
+    addToShortlist,
+    removeFromShortlist,
+    toggleShortlist
+  }
+
+  return (
+    <ShortlistContext.Provider value={value}>
+      {children}
+    </ShortlistContext.Provider>
+  )
+}
+
+export default ShortlistContext
@@ -0,0 +1,9 @@
+const nextJest = require('next/jest')
+
+// Compiles tests with the app's own Next.js (SWC) settings and loads .env files
+const createJestConfig = nextJest({ dir: './' })
+
+/** @type {import('jest').Config} */
+module.exports = createJestConfig({
+  testEnvironment: 'node'
+})
@@ -0,0 +1,73 @@
+import { sendListingsFeed } from '../listingFeeds'
+
+// Just enough of Next's API response to record what a handler sends
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = String(value)
+      return res
+    },
+    status(code) {
+      res.statusCode = code
+      return res
+    },
+    json(data) {
+      return res.end(JSON.stringify(data))
+    },
+    send() {
+      throw new Error('Feeds must write their body with end(), as send() replaces the ETag')
+    },
+    end(body) {
+      res.body = body
+      res.ended = true
+      return res
+    }
+  }
+  return res
+}
+
+const request = (method, headers = {}) => ({ method, headers, query: { pets: '1' } })
+
+describe('sendListingsFeed', () => {
+  it('answers a GET with the feed and its validators', async () => {
+    const res = createResponse()
+    await sendListingsFeed(request('GET'), res, 'rss')
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toContain('<rss version="2.0"')
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/)
+    expect(res.headers['last-modified']).toBeDefined()
+    expect(res.headers['content-length']).toBe(String(Buffer.byteLength(res.body)))
+  })
+
+  it('answers 304 when the ETag from a GET is sent back as If-None-Match', async () => {
+    const first = createResponse()
+    await sendListingsFeed(request('GET'), first, 'atom')
+
+    const second = createResponse()
+    await sendListingsFeed(request('GET', { 'if-none-match': first.headers.etag }), second, 'atom')
+
+    expect(second.statusCode).toBe(304)
+    expect(second.body).toBeUndefined()
+    expect(second.headers.etag).toBe(first.headers.etag)
+  })
+
+  it('answers a HEAD with the same headers as a GET and no body', async () => {
+    const get = createResponse()
+    await sendListingsFeed(request('GET'), get, 'rss')
+
+    const head = createResponse()
+    await sendListingsFeed(request('HEAD'), head, 'rss')
+
+    expect(head.statusCode).toBe(200)
+    expect(head.ended).toBe(true)
+    expect(head.body).toBeUndefined()
+    for (const name of ['etag', 'last-modified', 'content-length', 'content-type']) {
+      expect(head.headers[name]).toBe(get.headers[name])
+    }
+  })
+})
@@ -0,0 +1,77 @@
+import { buildSlotSeries, fromLondonTime, getAgendaRange, shiftAgenda } from '../viewings'
+
+describe('fromLondonTime', () => {
+  it('reads times as GMT in winter and BST in summer', () => {
+    expect(fromLondonTime('2030-01-15', '10:00').toISOString()).toBe('2030-01-15T10:00:00.000Z')
+    expect(fromLondonTime('2030-07-15', '10:00').toISOString()).toBe('2030-07-15T09:00:00.000Z')
+  })
+
+  it('uses the offset after the clocks change on the day they change', () => {
+    // Clocks go forward at 01:00 GMT on 31 March 2030 and back at 01:00 GMT on 27 October 2030
+    expect(fromLondonTime('2030-03-31', '00:30').toISOString()).toBe('2030-03-31T00:30:00.000Z')
+    expect(fromLondonTime('2030-03-31', '10:00').toISOString()).toBe('2030-03-31T09:00:00.000Z')
+    expect(fromLondonTime('2030-10-27', '10:00').toISOString()).toBe('2030-10-27T10:00:00.000Z')
+  })
+
+  it('returns an invalid date for bad input', () => {
+    expect(Number.isNaN(fromLondonTime('2030-13-01', '10:00').getTime())).toBe(true)
+    expect(Number.isNaN(fromLondonTime('2030-01-01', '').getTime())).toBe(true)
+  })
+})
+
+describe('buildSlotSeries', () => {
+  it('builds slots in UK time either side of the clocks going forward', () => {
+    const before = buildSlotSeries({ date: '2030-03-30', from: '10:00', to: '11:00', length: 30 })
+    const after = buildSlotSeries({ date: '2030-03-31', from: '10:00', to: '11:00', length: 30 })
+
+    expect(before.error).toBe('')
+    expect(before.slots).toEqual([
+      { starts_at: '2030-03-30T10:00:00.000Z', ends_at: '2030-03-30T10:30:00.000Z' },
+      { starts_at: '2030-03-30T10:30:00.000Z', ends_at: '2030-03-30T11:00:00.000Z' }
+    ])
+    expect(after.slots).toEqual([
+      { starts_at: '2030-03-31T09:00:00.000Z', ends_at: '2030-03-31T09:30:00.000Z' },
+      { starts_at: '2030-03-31T09:30:00.000Z', ends_at: '2030-03-31T10:00:00.000Z' }
+    ])
+  })
+
+  it('counts real time for a series spanning the clocks going back', () => {
+    // 00:00 to 03:00 on 27 October 2030 is four hours long
+    const { slots } = buildSlotSeries({ date: '2030-10-27', from: '00:00', to: '03:00', length: 60 })
+
+    expect(slots.map(slot => slot.starts_at)).toEqual([
+      '2030-10-26T23:00:00.000Z',
+      '2030-10-27T00:00:00.000Z',
+      '2030-10-27T01:00:00.000Z',
+      '2030-10-27T02:00:00.000Z'
+    ])
+  })
+})
+
+describe('getAgendaRange', () => {
+  it('starts a day at midnight UK time', () => {
+    const { start, end } = getAgendaRange('day', new Date('2030-07-15T23:30:00Z'))
+
+    expect(start.toISOString()).toBe('2030-07-15T23:00:00.000Z')
+    expect(end.toISOString()).toBe('2030-07-16T23:00:00.000Z')
+  })
+
+  it('covers a week from Monday across the clocks going forward', () => {
+    const { start, end } = getAgendaRange('week', new Date('2030-03-27T12:00:00Z'))
+
+    expect(start.toISOString()).toBe('2030-03-25T00:00:00.000Z')
+    expect(end.toISOString()).toBe('2030-03-31T23:00:00.000Z')
+  })
+})
+
+describe('shiftAgenda', () => {
+  it('moves by calendar days in UK time', () => {
+    // 23:30 BST on Saturday 26 October; the Sunday the clocks go back is 25 hours long
+    const next = shiftAgenda('day', new Date('2030-10-26T22:30:00Z'), 1)
+
+    expect(getAgendaRange('day', next)).toEqual({
+      start: new Date('2030-10-26T23:00:00Z'),
+      end: new Date('2030-10-28T00:00:00Z')
+    })
+  })
+})
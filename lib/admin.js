@@ -0,0 +1,151 @@
+/**
+ * Admin helpers for PawsPlace
+ *
+ * Account states, agent approval and the audit log model used by the /admin
+ * pages. The admin actions themselves live in lib/supabase.js; each one writes
+ * an admin_audit_log entry after it succeeds.
+ */
+
+import { LISTING_FIELDS } from './listingFields'
+
+// Rows per page on the admin users, listings and audit log tables
+export const ADMIN_PAGE_SIZE = 25
+
+export const USER_ROLES = [
+  { value: 'tenant', label: 'Tenant' },
+  { value: 'agent', label: 'Agent' },
+  { value: 'admin', label: 'Admin' }
+]
+
+// Filters for the admin users table
+export const ACCOUNT_FILTERS = [
+  { value: '', label: 'All accounts' },
+  { value: 'active', label: 'Active' },
+  { value: 'suspended', label: 'Suspended' },
+  { value: 'pending', label: 'Agents awaiting approval' }
+]
+
+// Agents sign up as 'pending' and can't publish listings until an admin approves them.
+// Profiles without an approval_status (tenants, admins and older agents) count as approved.
+export const APPROVAL_STATUSES = [
+  { value: 'pending', label: 'Awaiting approval' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+]
+
+// Everything an admin can do, as recorded in admin_audit_log.action
+export const AUDIT_ACTIONS = [
+  { value: 'role_changed', label: 'Role changed' },
+  { value: 'user_suspended', label: 'Account suspended' },
+  { value: 'user_reinstated', label: 'Account reinstated' },
+  { value: 'agent_approved', label: 'Agent approved' },
+  { value: 'agent_rejected', label: 'Agent rejected' },
+  { value: 'listings_unpublished', label: 'Listings unpublished' },
+  { value: 'listings_republished', label: 'Listings republished' },
+  { value: 'listing_edited', label: 'Listing edited' },
+  { value: 'api_key_created', label: 'API key created' },
+  { value: 'api_key_revoked', label: 'API key revoked' },
+  { value: 'api_key_limit_changed', label: 'API key rate limit changed' }
+]
+
+// Longest reason an admin can give for suspending an account
+export const MAX_SUSPENSION_REASON_LENGTH = 500
+
+/**
+ * Check whether an account is suspended
+ * @param {Object} profile - Profile row
+ * @returns {boolean} True if suspended
+ */
+export function isSuspended(profile) {
+  return Boolean(profile?.suspended_at)
+}
+
+/**
+ * Check whether an agent is still waiting for an admin to approve them
+ * @param {Object} profile - Profile row
+ * @returns {boolean} True for pending agents
+ */
+export function isAwaitingApproval(profile) {
+  return profile?.role === 'agent' && profile.approval_status === 'pending'
+}
+
+/**
+ * Check whether an agent may publish listings
+ * @param {Object} profile - Profile row
+ * @returns {boolean} True unless the agent is pending, rejected or suspended
+ */
+export function canPublishListings(profile) {
+  return profile?.role === 'agent' &&
+    !isSuspended(profile) &&
+    !['pending', 'rejected'].includes(profile.approval_status)
+}
+
+/**
+ * Get the label for a role
+ * @param {string} value - Role value
+ * @returns {string} Label
+ */
+export function getRoleLabel(value) {
+  return USER_ROLES.find(role => role.value === value)?.label || value || 'No role'
+}
+
+/**
+ * Get the label for an audit action
+ * @param {string} value - Action value
+ * @returns {string} Label
+ */
+export function getAuditActionLabel(value) {
+  return AUDIT_ACTIONS.find(action => action.value === value)?.label || value
+}
+
+/**
+ * Describe an audit log entry in a sentence, e.g. "Changed role from tenant to agent"
+ * @param {Object} entry - admin_audit_log row
+ * @returns {string} Description
+ */
+export function describeAuditEntry(entry) {
+  const details = entry.details || {}
+
+  switch (entry.action) {
+    case 'role_changed':
+      return `Changed role from ${getRoleLabel(details.from).toLowerCase()} to ${getRoleLabel(details.to).toLowerCase()}`
+    case 'user_suspended':
+      return details.reason ? `Suspended the account: ${details.reason}` : 'Suspended the account'
+    case 'user_reinstated':
+      return 'Reinstated the account'
+    case 'agent_approved':
+      return 'Approved the agent'
+    case 'agent_rejected':
+      return 'Rejected the agent'
+    case 'listings_unpublished':
+    case 'listings_republished': {
+      const count = details.listing_ids?.length || 0
+      const verb = entry.action === 'listings_unpublished' ? 'Unpublished' : 'Republished'
+      return `${verb} ${count} listing${count === 1 ? '' : 's'}`
+    }
+    case 'listing_edited':
+      return details.fields?.length
+        ? `Edited ${details.fields.map(name => LISTING_FIELDS.find(field => field.name === name)?.label || name).join(', ')}`
+        : 'Saved the listing without changes'
+    case 'api_key_created':
+      return `Created an API key allowing ${details.rate_limit} requests a minute`
+    case 'api_key_revoked':
+      return 'Revoked the API key'
+    case 'api_key_limit_changed':
+      return `Changed the rate limit from ${details.from} to ${details.to} requests a minute`
+    default:
+      return getAuditActionLabel(entry.action)
+  }
+}
+
+/**
+ * List the columns whose values differ between a listing and its updates
+ * @param {Object} listing - Listing row before the edit
+ * @param {Object} updates - Listing column updates
+ * @returns {Array<string>} Changed column names
+ */
+export function getChangedFields(listing, updates) {
+  return Object.keys(updates).filter(column =>
+    JSON.stringify(listing?.[column] ?? null) !== JSON.stringify(updates[column] ?? null)
+  )
+}
@@ -0,0 +1,117 @@
+/**
+ * API key checks for the public listings API
+ *
+ * Server only. Wraps /api/v1 routes like withApiRole does for signed-in users:
+ *
+ *   export default withApiKey(async (req, res) => { ... req.apiKey.name ... })
+ *
+ * Partners send their key in the X-API-Key header. One call to the
+ * use_api_key database function (see README) looks the key up by its hash,
+ * counts the request against the key's per-minute limit and adds it to the
+ * key's usage counters, so limits hold across every server instance.
+ */
+
+import { supabase, isSupabaseConfigured } from './supabase'
+import { hashApiKey, isWellFormedApiKey } from './apiKeys'
+import { API_ERRORS, sendApiError } from './publicApi'
+
+/**
+ * Read the API key sent with a request
+ * @param {Object} req - API request
+ * @returns {string|null} Key, or null if none was sent
+ */
+function readApiKey(req) {
+  const header = req.headers['x-api-key']
+  return typeof header === 'string' && header.trim() ? header.trim() : null
+}
+
+/**
+ * Check and count a request's API key
+ * @param {string} key - Key sent by the partner
+ * @returns {Promise<Object>} { data, error }; data is the key's { id, name, rateLimit,
+ *   requestsThisMinute }, or null if the key is unknown or revoked
+ */
+async function checkApiKey(key) {
+  if (!isWellFormedApiKey(key)) {
+    return { data: null, error: null }
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('use_api_key', { p_key_hash: await hashApiKey(key) })
+
+    if (error) {
+      console.error('Error checking API key:', error)
+      return { data: null, error }
+    }
+
+    const row = data?.[0]
+    return {
+      data: row && {
+        id: row.key_id,
+        name: row.partner_name,
+        rateLimit: row.rate_limit,
+        requestsThisMinute: row.minute_requests
+      },
+      error: null
+    }
+  } catch (error) {
+    console.error('Error in checkApiKey:', error)
+    return { data: null, error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Protect a public API route with an API key and its rate limit
+ * Only GET requests are allowed. The handler gets req.apiKey = { id, name }.
+ * @param {Function} handler - API route handler
+ * @returns {Function} API route handler
+ */
+export function withApiKey(handler) {
+  return async (req, res) => {
+    // Responses depend on the key (rate limit headers), so nothing may be shared between partners
+    res.setHeader('Cache-Control', 'private, no-store')
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET')
+      return sendApiError(res, 405, API_ERRORS.METHOD_NOT_ALLOWED, 'Only GET requests are supported')
+    }
+
+    const key = readApiKey(req)
+    if (!key) {
+      return sendApiError(res, 401, API_ERRORS.MISSING_API_KEY, 'Send your API key in the X-API-Key header')
+    }
+
+    if (!isSupabaseConfigured()) {
+      return sendApiError(res, 503, API_ERRORS.UNAVAILABLE, 'API keys cannot be checked because the database is not configured')
+    }
+
+    const { data: apiKey, error } = await checkApiKey(key)
+    if (error) {
+      return sendApiError(res, 503, API_ERRORS.UNAVAILABLE, 'API keys cannot be checked right now. Please try again shortly.')
+    }
+
+    if (!apiKey) {
+      return sendApiError(res, 401, API_ERRORS.INVALID_API_KEY, 'This API key is not recognised or has been revoked')
+    }
+
+    // Limits are per calendar minute, as counted by the database
+    const now = new Date()
+    const secondsLeft = 60 - now.getUTCSeconds()
+    res.setHeader('X-RateLimit-Limit', String(apiKey.rateLimit))
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimit - apiKey.requestsThisMinute)))
+    res.setHeader('X-RateLimit-Reset', String(Math.floor(now.getTime() / 60000) * 60 + 60))
+
+    if (apiKey.requestsThisMinute > apiKey.rateLimit) {
+      res.setHeader('Retry-After', String(secondsLeft))
+      return sendApiError(
+        res,
+        429,
+        API_ERRORS.RATE_LIMITED,
+        `This key can make ${apiKey.rateLimit} requests a minute. Try again in ${secondsLeft} seconds.`
+      )
+    }
+
+    req.apiKey = { id: apiKey.id, name: apiKey.name }
+    return handler(req, res)
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Partner API keys for PawsPlace
+ *
+ * Partner sites read listings through the /api/v1 API (lib/publicApi.js) with a
+ * key that admins create on /admin/api-keys. Only a SHA-256 hash of each key is
+ * stored, so a key is shown once when it's created and can't be recovered.
+ * Hashing uses Web Crypto, which works the same in the browser and on the server.
+ */
+
+// Keys look like "pp_" followed by 43 URL-safe characters (32 random bytes)
+export const API_KEY_PREFIX = 'pp_'
+
+const API_KEY_BYTES = 32
+
+// Characters of a key kept in the clear so admins and partners can tell keys apart
+const VISIBLE_KEY_LENGTH = API_KEY_PREFIX.length + 8
+
+// Requests per minute allowed for each key
+export const DEFAULT_RATE_LIMIT = 60
+export const MAX_RATE_LIMIT = 6000
+
+export const MAX_PARTNER_NAME_LENGTH = 100
+
+// Days of usage shown for each key in the admin area
+export const USAGE_DAYS = 30
+
+/**
+ * Create a new random API key
+ * @returns {string} Key, e.g. "pp_3q2-..."
+ */
+export function generateApiKey() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(API_KEY_BYTES))
+  const base64 = btoa(String.fromCharCode(...bytes))
+  return API_KEY_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Hash a key for storing or looking up
+ * @param {string} key - API key
+ * @returns {Promise<string>} Hex SHA-256 hash
+ */
+export async function hashApiKey(key) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(key))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * The start of a key, kept in the clear
+ * @param {string} key - API key
+ * @returns {string} e.g. "pp_3q2-xY7a"
+ */
+export function getKeyPrefix(key) {
+  return key.slice(0, VISIBLE_KEY_LENGTH)
+}
+
+/**
+ * Check a key looks like one of ours before hashing it
+ * @param {string} key - Key sent by a partner
+ * @returns {boolean} True if it has the right prefix and length
+ */
+export function isWellFormedApiKey(key) {
+  return typeof key === 'string' && new RegExp(`^${API_KEY_PREFIX}[A-Za-z0-9_-]{43}$`).test(key)
+}
+
+/**
+ * Validate the new API key form
+ * @param {Object} values - { name, contactEmail, rateLimit }
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+export function validateApiKeyForm({ name = '', contactEmail = '', rateLimit }) {
+  const errors = {}
+
+  if (!name.trim()) {
+    errors.name = 'Partner name is required'
+  } else if (name.trim().length > MAX_PARTNER_NAME_LENGTH) {
+    errors.name = `Partner name can be up to ${MAX_PARTNER_NAME_LENGTH} characters`
+  }
+
+  if (contactEmail.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail.trim())) {
+    errors.contactEmail = 'Please enter a valid email address'
+  }
+
+  const rateLimitError = validateRateLimit(rateLimit)
+  if (rateLimitError) {
+    errors.rateLimit = rateLimitError
+  }
+
+  return errors
+}
+
+/**
+ * Validate a per-minute rate limit
+ * @param {number|string} rateLimit - Requests per minute
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRateLimit(rateLimit) {
+  const number = Number(rateLimit)
+  if (String(rateLimit ?? '').trim() === '' || !Number.isInteger(number) || number < 1 || number > MAX_RATE_LIMIT) {
+    return `Rate limit must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT.toLocaleString('en-GB')}`
+  }
+  return null
+}
+
+/**
+ * Total requests a key made over the usage window
+ * @param {Object} apiKey - api_keys row with embedded usage ({ day, requests })
+ * @returns {number} Requests
+ */
+export function countRecentRequests(apiKey) {
+  return (apiKey.usage || []).reduce((sum, day) => sum + day.requests, 0)
+}
@@ -0,0 +1,141 @@
+/**
+ * Rental application pipeline for PawsPlace
+ *
+ * Server only (the /api/applications routes). Moves an application to a new
+ * status as the signed-in agent through the move_application database function,
+ * which records the change in application_events, and emails the applicant.
+ */
+
+import { createUserClient, getSiteUrl } from './supabase'
+import { canChangeStatus, getApplicationStatus } from './applications'
+import { getDisplayName } from './messaging'
+import { getMailer } from './mailer'
+
+// Longest note an agent can add to a status change
+export const MAX_STATUS_NOTE_LENGTH = 500
+
+// Columns returned to the pipeline board after a change
+const APPLICATION_COLUMNS = `*,
+  listing:listings(id, Title, Location, Rent),
+  tenant:profiles!applications_tenant_id_fkey(first_name, last_name, full_name, email, phone),
+  events:application_events(id, from_status, to_status, note, created_at)`
+
+/**
+ * Build the email telling an applicant their status has changed
+ * @param {Object} application - Application row with listing and tenant
+ * @param {string} status - New status
+ * @param {Object} options - { note, siteUrl }
+ * @returns {Object} { subject, text }
+ */
+export function buildStatusEmail(application, status, { note = '', siteUrl = getSiteUrl() } = {}) {
+  const { label, description } = getApplicationStatus(status)
+  const title = application.listing?.Title || 'your rental application'
+  const name = getDisplayName(application.tenant, '')
+
+  const text = [
+    name ? `Hi ${name.split(' ')[0]},` : 'Hi,',
+    '',
+    `Your application for "${title}" is now: ${label}.`,
+    description,
+    ...(note ? ['', 'Message from the agent:', note] : []),
+    '',
+    `Track your applications: ${siteUrl}/tenant/applications`
+  ].join('\n')
+
+  return {
+    subject: `Application update: ${title} - ${label}`,
+    text
+  }
+}
+
+/**
+ * Move an application to a new status, record it and email the applicant
+ * The update only applies while the application still has the status the agent
+ * saw, so two people changing it at once can't skip a stage.
+ * @param {Object} session - Server session ({ user, accessToken }) of the listing's agent
+ * @param {string} applicationId - Application ID
+ * @param {string} status - New status
+ * @param {string} note - Optional note for the applicant
+ * @param {Object} mailer - Mailer to notify the applicant with (defaults to the configured one)
+ * @returns {Promise<Object>} Result with { application, emailed } or error (with status)
+ */
+export async function moveApplication(session, applicationId, status, note = '', mailer = getMailer()) {
+  const trimmedNote = (note || '').trim()
+  if (trimmedNote.length > MAX_STATUS_NOTE_LENGTH) {
+    return { error: { status: 400, message: `Notes can be up to ${MAX_STATUS_NOTE_LENGTH} characters` } }
+  }
+
+  try {
+    const client = createUserClient(session.accessToken)
+
+    const { data: current, error: fetchError } = await client
+      .from('applications')
+      .select('id, status, agent_id')
+      .eq('id', applicationId)
+      .eq('agent_id', session.user.id)
+      .maybeSingle()
+
+    if (fetchError) {
+      console.error('Error loading application:', fetchError)
+      return { error: { status: 500, message: fetchError.message } }
+    }
+
+    if (!current) {
+      return { error: { status: 404, message: 'Application not found' } }
+    }
+
+    if (!canChangeStatus(current.status, status)) {
+      return {
+        error: {
+          status: 400,
+          message: `A ${getApplicationStatus(current.status).label.toLowerCase()} application can't be moved to ${getApplicationStatus(status).label.toLowerCase()}`
+        }
+      }
+    }
+
+    // Updates the status and records the event in one transaction (see README)
+    const { data: moved, error: moveError } = await client.rpc('move_application', {
+      p_application_id: current.id,
+      p_from_status: current.status,
+      p_to_status: status,
+      p_note: trimmedNote
+    })
+
+    if (moveError) {
+      console.error('Error updating application status:', moveError)
+      return { error: { status: 500, message: moveError.message } }
+    }
+
+    if (!moved) {
+      return { error: { status: 409, message: 'This application was changed by someone else. Refresh to see its latest status.' } }
+    }
+
+    const { data: application, error: reloadError } = await client
+      .from('applications')
+      .select(APPLICATION_COLUMNS)
+      .eq('id', current.id)
+      .single()
+
+    if (reloadError) {
+      console.error('Error reloading application:', reloadError)
+      return { error: { status: 500, message: reloadError.message } }
+    }
+
+    application.events = [...(application.events || [])]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+    let emailed = false
+    if (application.tenant?.email) {
+      const { error: sendError } = await mailer.send({
+        to: application.tenant.email,
+        ...buildStatusEmail(application, status, { note: trimmedNote })
+      })
+      emailed = !sendError
+    }
+
+    return { data: { application, emailed }, error: null }
+  } catch (error) {
+    console.error('Error in moveApplication:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Rental application helpers for PawsPlace
+ *
+ * A tenant applies for a listing with their employment, income, move-in date and
+ * a snapshot of their pets' CVs (see lib/petProfile.js). The listing's agent moves
+ * the application through the pipeline below; every change is recorded in
+ * application_events and emailed to the applicant (lib/applicationPipeline.js).
+ */
+
+// Pipeline stages in order. 'accepted' and 'declined' are final.
+export const APPLICATION_STATUSES = [
+  { value: 'submitted', label: 'Submitted', action: 'Submit', description: 'Your application has been sent to the agent.' },
+  { value: 'shortlisted', label: 'Shortlisted', action: 'Shortlist', description: "You've been shortlisted for this property." },
+  { value: 'referencing', label: 'Referencing', action: 'Start referencing', description: 'The agent is checking your references.' },
+  { value: 'offered', label: 'Offered', action: 'Make an offer', description: "You've been offered the tenancy. The agent will be in touch about next steps." },
+  { value: 'accepted', label: 'Accepted', action: 'Mark offer accepted', description: 'The tenancy has been agreed. Congratulations!' },
+  { value: 'declined', label: 'Declined', action: 'Decline', description: 'Unfortunately your application was not successful this time.' }
+]
+
+// Which statuses an application can move to from each status
+// Also enforced by the move_application database function (see README)
+const STATUS_TRANSITIONS = {
+  submitted: ['shortlisted', 'declined'],
+  shortlisted: ['referencing', 'declined'],
+  referencing: ['offered', 'declined'],
+  offered: ['accepted', 'declined'],
+  accepted: [],
+  declined: []
+}
+
+export const EMPLOYMENT_STATUSES = [
+  { value: 'employed', label: 'Employed' },
+  { value: 'self_employed', label: 'Self-employed' },
+  { value: 'student', label: 'Student' },
+  { value: 'retired', label: 'Retired' },
+  { value: 'unemployed', label: 'Not working' }
+]
+
+// UK letting agents usually ask for an annual income of at least 30 times the monthly rent
+export const AFFORDABILITY_MULTIPLIER = 30
+
+// Longest message an applicant can send with their application
+export const MAX_APPLICATION_MESSAGE_LENGTH = 1000
+
+/**
+ * Get the definition of a status
+ * @param {string} value - Status value
+ * @returns {Object} Status definition ({ value, label, action, description })
+ */
+export function getApplicationStatus(value) {
+  return APPLICATION_STATUSES.find(status => status.value === value) || APPLICATION_STATUSES[0]
+}
+
+/**
+ * Statuses an application can move to next
+ * @param {string} status - Current status
+ * @returns {Array<Object>} Status definitions
+ */
+export function getNextStatuses(status) {
+  return (STATUS_TRANSITIONS[status] || []).map(getApplicationStatus)
+}
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} True if allowed
+ */
+export function canChangeStatus(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Blank application form values
+ * @param {Array} pets - Tenant's pets, all attached by default
+ * @returns {Object} Application form values
+ */
+export function emptyApplication(pets = []) {
+  return {
+    employment_status: '',
+    employer: '',
+    job_title: '',
+    annual_income: '',
+    move_in_date: '',
+    message: '',
+    pet_ids: pets.map(pet => pet.id)
+  }
+}
+
+/**
+ * Validate application form values
+ * @param {Object} values - Application form values
+ * @returns {Object} Error messages keyed by field (empty when valid)
+ */
+export function validateApplication(values) {
+  const errors = {}
+
+  if (!EMPLOYMENT_STATUSES.some(status => status.value === values.employment_status)) {
+    errors.employment_status = 'Please choose your employment status'
+  }
+
+  if (['employed', 'self_employed'].includes(values.employment_status) && !values.employer.trim()) {
+    errors.employer = values.employment_status === 'employed'
+      ? 'Please enter your employer'
+      : 'Please enter your business name'
+  }
+
+  const income = Number(values.annual_income)
+  if (String(values.annual_income).trim() === '' || !Number.isFinite(income) || income < 0) {
+    errors.annual_income = 'Please enter your annual income before tax'
+  }
+
+  const today = new Date().toISOString().slice(0, 10)
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.move_in_date) || values.move_in_date < today) {
+    errors.move_in_date = 'Please choose a move-in date from today onwards'
+  }
+
+  if (values.message.length > MAX_APPLICATION_MESSAGE_LENGTH) {
+    errors.message = `Messages can be up to ${MAX_APPLICATION_MESSAGE_LENGTH} characters`
+  }
+
+  return errors
+}
+
+/**
+ * Convert validated form values into application columns
+ * @param {Object} values - Application form values
+ * @param {Array} pets - Tenant's pets; the selected ones are copied into the application
+ * @returns {Object} Application columns (without ids or status)
+ */
+export function formValuesToApplication(values, pets = []) {
+  return {
+    employment_status: values.employment_status,
+    employer: values.employer.trim() || null,
+    job_title: values.job_title.trim() || null,
+    annual_income: Math.round(Number(values.annual_income)),
+    move_in_date: values.move_in_date,
+    message: values.message.trim() || null,
+    // A snapshot, so the agent sees the pet CV as it was when the tenant applied
+    pets: pets
+      .filter(pet => values.pet_ids.includes(pet.id))
+      .map(({ owner_id, created_at, ...pet }) => pet)
+  }
+}
+
+/**
+ * Check an applicant's income against the rent
+ * @param {Object} application - Application row
+ * @param {Object} listing - Listing row with Rent
+ * @returns {boolean|null} True if affordable, null if the rent is unknown
+ */
+export function meetsAffordability(application, listing) {
+  if (!listing?.Rent) {
+    return null
+  }
+  return application.annual_income >= listing.Rent * AFFORDABILITY_MULTIPLIER
+}
+
+/**
+ * Describe an applicant's employment, e.g. "Employed – Nurse at NHS"
+ * @param {Object} application - Application row
+ * @returns {string} Description
+ */
+export function describeEmployment(application) {
+  const status = EMPLOYMENT_STATUSES.find(option => option.value === application.employment_status)?.label ||
+    application.employment_status
+  const role = [application.job_title, application.employer].filter(Boolean).join(' at ')
+  return role ? `${status} – ${role}` : status
+}
+
+/**
+ * ============================================================================
+ * STATUS API CALL (browser)
+ * ============================================================================
+ */
+
+/**
+ * Move an application to a new status (agents)
+ * Goes through /api/applications/status so the change is recorded and the
+ * applicant is emailed. The auth cookie identifies the agent.
+ * @param {string} applicationId - Application ID
+ * @param {string} status - New status
+ * @param {string} note - Optional note for the applicant
+ * @returns {Promise<Object>} Result with the updated application or error
+ */
+export async function changeApplicationStatus(applicationId, status, note = '') {
+  try {
+    const response = await fetch('/api/applications/status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ applicationId, status, note })
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { data: result.application, error: null }
+  } catch (error) {
+    console.error('Error in changeApplicationStatus:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
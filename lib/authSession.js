@@ -0,0 +1,75 @@
+/**
+ * Auth session cookie helpers for PawsPlace
+ *
+ * Supabase keeps the browser session in localStorage, which the server can't see.
+ * We mirror the access token into a cookie so getServerSideProps and API routes
+ * can check who is signed in before rendering anything.
+ */
+
+// Name of the cookie holding the Supabase access token (a short-lived JWT)
+export const AUTH_COOKIE = 'pawsplace-access-token'
+
+/**
+ * Write the session's access token to the auth cookie, or clear it when signed out
+ * Browser only; called whenever the Supabase auth state changes.
+ * @param {Object|null} session - Supabase session
+ */
+export function writeAuthCookie(session) {
+  if (typeof document === 'undefined') {
+    return
+  }
+
+  const secure = window.location.protocol === 'https:' ? '; Secure' : ''
+
+  if (!session?.access_token) {
+    document.cookie = `${AUTH_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax${secure}`
+    return
+  }
+
+  // Expire the cookie with the token; the client refreshes both before then
+  const maxAge = session.expires_at
+    ? Math.max(session.expires_at - Math.floor(Date.now() / 1000), 0)
+    : session.expires_in || 3600
+
+  document.cookie = `${AUTH_COOKIE}=${session.access_token}; Path=/; Max-Age=${maxAge}; SameSite=Lax${secure}`
+}
+
+/**
+ * Read the access token from an incoming request
+ * Accepts an "Authorization: Bearer <token>" header (for API clients) or the auth cookie.
+ * @param {Object} req - Node request from getServerSideProps or an API route
+ * @returns {string|null} Access token or null
+ */
+export function readAccessToken(req) {
+  const header = req.headers?.authorization
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim() || null
+  }
+
+  return req.cookies?.[AUTH_COOKIE] || null
+}
+
+/**
+ * Only allow redirects back to pages on this site
+ * @param {string} value - Requested return URL (e.g. from ?returnTo=)
+ * @param {string} fallback - Where to go when the value is missing or unsafe
+ * @returns {string} Safe relative URL
+ */
+export function getSafeReturnTo(value, fallback = '/') {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return fallback
+  }
+  return value
+}
+
+/**
+ * Build the login URL that returns to the given page afterwards
+ * @param {string} returnTo - Page to come back to
+ * @returns {string} Login URL
+ */
+export function getLoginUrl(returnTo) {
+  const safeReturnTo = getSafeReturnTo(returnTo, '')
+  return safeReturnTo
+    ? `/auth/login?returnTo=${encodeURIComponent(safeReturnTo)}`
+    : '/auth/login'
+}
@@ -0,0 +1,285 @@
+/**
+ * Geocoding and distance helpers for PawsPlace
+ *
+ * Listings and searches are placed on the map with the bundled London
+ * postcode centroids (lib/londonPostcodes.js), so no external geocoding
+ * service is needed. A location is geocoded from, in order:
+ *   - coordinates, e.g. '51.46180,-0.13840' (a pin dropped on the map)
+ *   - a postcode or outcode anywhere in the text, e.g. 'Camden, NW1' or 'SW4 9DE'
+ *   - a neighbourhood, park or landmark, e.g. 'Clapham Common'
+ * Points are { lat, lng } in degrees; distances are in miles.
+ */
+
+import { OUTCODE_CENTROIDS, PLACE_CENTROIDS } from './londonPostcodes'
+
+// Where the map starts when there is nothing to show
+export const LONDON_CENTRE = { lat: 51.5072, lng: -0.1276 }
+
+const EARTH_RADIUS_MILES = 3958.8
+
+// Map tiles are 256px squares in the Web Mercator projection
+export const TILE_SIZE = 256
+
+const OUTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/
+const FULL_POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/
+
+// Centroids of subdivided districts such as SW1 (SW1A, SW1E, ...) so "SW1" on its own resolves
+const DISTRICT_CENTROIDS = (() => {
+  const groups = {}
+  Object.entries(OUTCODE_CENTROIDS).forEach(([outcode, centroid]) => {
+    const district = outcode.match(/^([A-Z]{1,2}\d)[A-Z]$/)?.[1]
+    if (district && !OUTCODE_CENTROIDS[district]) {
+      groups[district] = [...(groups[district] || []), centroid]
+    }
+  })
+
+  return Object.fromEntries(Object.entries(groups).map(([district, centroids]) => [
+    district,
+    [0, 1].map(axis => centroids.reduce((sum, centroid) => sum + centroid[axis], 0) / centroids.length)
+  ]))
+})()
+
+// Every outcode the dataset can place, including whole districts such as 'SW1'
+export const KNOWN_OUTCODES = [...Object.keys(OUTCODE_CENTROIDS), ...Object.keys(DISTRICT_CENTROIDS)]
+
+// Place names longest first, so 'clapham common' wins over 'clapham'
+const PLACE_NAMES = Object.keys(PLACE_CENTROIDS).sort((a, b) => b.length - a.length)
+
+const toPoint = ([lat, lng]) => ({ lat, lng })
+
+/**
+ * Normalise a place name for lookup in PLACE_CENTROIDS
+ * @param {string} text - e.g. "King's Cross" or 'Elephant & Castle'
+ * @returns {string} e.g. 'kings cross' or 'elephant and castle'
+ */
+export function normalisePlaceName(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\blondon\b/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ')
+}
+
+/**
+ * Read coordinates written as 'lat,lng'
+ * @param {string} text - e.g. '51.46180,-0.13840'
+ * @returns {Object|null} Point, or null if the text isn't coordinates
+ */
+export function parseCoordinates(text = '') {
+  const match = String(text).trim().match(/^(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/)
+  if (!match) return null
+
+  const lat = Number(match[1])
+  const lng = Number(match[2])
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null
+}
+
+/**
+ * Write a point as 'lat,lng', accurate to about a metre
+ * @param {Object} point - { lat, lng }
+ * @returns {string} e.g. '51.46180,-0.13840'
+ */
+export function formatCoordinates(point) {
+  return `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`
+}
+
+/**
+ * Look up the centroid of a London outcode, e.g. 'NW1', 'SW1A' or 'SW1'
+ * @param {string} outcode - Outcode in capitals
+ * @returns {Array|null} [lat, lng] or null if it isn't in the dataset
+ */
+function lookupOutcode(outcode) {
+  return OUTCODE_CENTROIDS[outcode] || DISTRICT_CENTROIDS[outcode] || null
+}
+
+/**
+ * Find the first known London outcode in some text, reading from the end
+ * (addresses put the postcode last, e.g. 'Flat 2, 10 High Street, N1 9GU')
+ * @param {string} text - Location text
+ * @returns {string|null} Outcode, e.g. 'N1', or null if there isn't one
+ */
+export function findOutcode(text = '') {
+  const tokens = String(text).toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean)
+
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    const token = tokens[index]
+    const outcode = OUTCODE_PATTERN.test(token) ? token : token.match(FULL_POSTCODE_PATTERN)?.[1]
+    if (outcode && lookupOutcode(outcode)) {
+      return outcode
+    }
+  }
+
+  return null
+}
+
+/**
+ * Geocode a location with the bundled dataset
+ * @param {string} text - Coordinates, postcode, outcode or place name
+ * @returns {Object|null} { lat, lng, label } or null if it can't be placed
+ */
+export function geocodeLocation(text) {
+  if (!text?.trim()) return null
+
+  const coordinates = parseCoordinates(text)
+  if (coordinates) {
+    return { ...coordinates, label: 'dropped pin' }
+  }
+
+  const outcode = findOutcode(text)
+  if (outcode) {
+    return { ...toPoint(lookupOutcode(outcode)), label: outcode }
+  }
+
+  // A place on its own ('Clapham Common') or mentioned in longer text ('Near Clapham Common')
+  const name = normalisePlaceName(text)
+  const place = PLACE_CENTROIDS[name]
+    ? name
+    : PLACE_NAMES.find(placeName => ` ${name} `.includes(` ${placeName} `))
+
+  return place ? { ...toPoint(PLACE_CENTROIDS[place]), label: text.trim() } : null
+}
+
+/**
+ * Coordinates to store with a listing, from its Location
+ * @param {string} location - Listing Location, e.g. 'Camden, NW1'
+ * @returns {Object} { latitude, longitude }, both null if the location can't be placed
+ */
+export function getLocationCoordinates(location) {
+  const point = geocodeLocation(location)
+  return point
+    ? { latitude: point.lat, longitude: point.lng }
+    : { latitude: null, longitude: null }
+}
+
+/**
+ * Where a listing is: its stored coordinates, or its Location geocoded
+ * (for listings saved before coordinates were stored, and mock data)
+ * @param {Object} listing - Listing row
+ * @returns {Object|null} Point, or null if the listing can't be placed
+ */
+export function getListingPosition(listing) {
+  if (Number.isFinite(listing?.latitude) && Number.isFinite(listing?.longitude)) {
+    return { lat: listing.latitude, lng: listing.longitude }
+  }
+
+  const point = geocodeLocation(listing?.Location)
+  return point && { lat: point.lat, lng: point.lng }
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in miles
+ */
+export function distanceInMiles(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  const dLat = toRadians(to.lat - from.lat)
+  const dLng = toRadians(to.lng - from.lng)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Latitude/longitude box around a circle, for a cheap first filter in the database
+ * @param {Object} centre - { lat, lng }
+ * @param {number} miles - Circle radius
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+export function getBoundingBox(centre, miles) {
+  const latDelta = (miles / EARTH_RADIUS_MILES) * (180 / Math.PI)
+  const lngDelta = latDelta / Math.cos(centre.lat * Math.PI / 180)
+
+  return {
+    minLat: centre.lat - latDelta,
+    maxLat: centre.lat + latDelta,
+    minLng: centre.lng - lngDelta,
+    maxLng: centre.lng + lngDelta
+  }
+}
+
+/**
+ * Format a distance for listing cards
+ * @param {number} miles - Distance in miles
+ * @returns {string} e.g. '0.4 miles' or '1 mile'
+ */
+export function formatDistance(miles) {
+  if (miles < 0.1) return 'under 0.1 miles'
+  const rounded = miles < 10 ? Math.round(miles * 10) / 10 : Math.round(miles)
+  return `${rounded} mile${rounded === 1 ? '' : 's'}`
+}
+
+/**
+ * Project a point to world pixel coordinates at a zoom level (Web Mercator)
+ * @param {Object} point - { lat, lng }
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} { x, y } in pixels from the top-left of the world
+ */
+export function projectPoint({ lat, lng }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom
+  const sinLat = Math.sin(Math.max(-85, Math.min(85, lat)) * Math.PI / 180)
+
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  }
+}
+
+/**
+ * Inverse of projectPoint
+ * @param {Object} pixel - { x, y } world pixel coordinates
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} { lat, lng }
+ */
+export function unprojectPoint({ x, y }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom
+  const n = Math.PI - 2 * Math.PI * y / scale
+
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / scale * 360 - 180
+  }
+}
+
+/**
+ * Convert a distance to pixels on the map at a latitude and zoom level
+ * @param {number} miles - Distance in miles
+ * @param {number} lat - Latitude the distance is measured at
+ * @param {number} zoom - Map zoom level
+ * @returns {number} Pixels
+ */
+export function milesToPixels(miles, lat, zoom) {
+  const milesPerPixel = (2 * Math.PI * EARTH_RADIUS_MILES * Math.cos(lat * Math.PI / 180)) / (TILE_SIZE * 2 ** zoom)
+  return miles / milesPerPixel
+}
+
+/**
+ * Group points that would overlap on the map into clusters
+ * Points are bucketed into a grid of cellSize pixels at the zoom level, and
+ * each cluster sits at the average position of its items.
+ * @param {Array} items - Objects with a `position` point
+ * @param {number} zoom - Map zoom level
+ * @param {number} cellSize - Grid cell size in pixels
+ * @returns {Array} Clusters as { key, lat, lng, items }
+ */
+export function clusterPoints(items, zoom, cellSize = 56) {
+  const cells = new Map()
+
+  items.forEach(item => {
+    const { x, y } = projectPoint(item.position, zoom)
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`
+    cells.set(key, [...(cells.get(key) || []), item])
+  })
+
+  return [...cells.entries()].map(([key, cellItems]) => ({
+    key,
+    lat: cellItems.reduce((sum, item) => sum + item.position.lat, 0) / cellItems.length,
+    lng: cellItems.reduce((sum, item) => sum + item.position.lng, 0) / cellItems.length,
+    items: cellItems
+  }))
+}
@@ -0,0 +1,326 @@
+/**
+ * Image processing for listing photo uploads
+ *
+ * Server only (lib/listingPhotos.js). Works on the raw bytes of JPEG, PNG and
+ * WebP files without an image library: it checks what the file really is,
+ * reads its dimensions and strips metadata such as EXIF (camera details, GPS
+ * location), XMP and text comments before the file is stored.
+ * A JPEG's EXIF orientation is kept, on its own, so phone photos aren't shown
+ * on their side; colour profiles are kept too.
+ */
+
+const JPEG_ORIENTATION_TAG = 0x0112
+
+// JPEG markers that end a file or have no length field
+const JPEG_STANDALONE_MARKERS = [0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8]
+
+// JPEG start-of-frame markers, which hold the image dimensions
+const JPEG_FRAME_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]
+
+// JPEG segments removed on upload: APP1 (EXIF/XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe]
+
+// PNG chunks removed on upload
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']
+
+// WebP chunks removed on upload, and the VP8X flags that announce them
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP ']
+const WEBP_EXIF_FLAG = 0x08
+const WEBP_XMP_FLAG = 0x04
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+/**
+ * Work out an image's type from its first bytes, ignoring its name or declared type
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} 'image/jpeg', 'image/png', 'image/webp' or null for anything else
+ */
+export function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg'
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png'
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp'
+  }
+  return null
+}
+
+/**
+ * Split a JPEG into its segments up to the image data
+ * @returns {Object} { segments: [{ marker, start, end }], dataStart } or null if malformed
+ */
+function readJpegSegments(buffer) {
+  const segments = []
+  let offset = 2
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null
+    }
+
+    const marker = buffer[offset + 1]
+    if (marker === 0xff) {
+      offset += 1 // Fill byte
+      continue
+    }
+
+    if (JPEG_STANDALONE_MARKERS.includes(marker)) {
+      segments.push({ marker, start: offset, end: offset + 2 })
+      offset += 2
+      continue
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2)
+    if (end > buffer.length) {
+      return null
+    }
+
+    segments.push({ marker, start: offset, end })
+
+    // Start of scan: everything after it is compressed image data
+    if (marker === 0xda) {
+      return { segments, dataStart: end }
+    }
+
+    offset = end
+  }
+
+  return null
+}
+
+/**
+ * Read the orientation (1-8) from a JPEG APP1 EXIF segment
+ * @returns {number} Orientation, 1 when missing
+ */
+function readExifOrientation(buffer, segment) {
+  const exifStart = segment.start + 4
+  const tiffStart = exifStart + 6
+  if (segment.end - exifStart < 14 || buffer.toString('latin1', exifStart, exifStart + 4) !== 'Exif') {
+    return 1
+  }
+
+  const littleEndian = buffer.toString('latin1', tiffStart, tiffStart + 2) === 'II'
+  const readUInt16 = (offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset)
+  const readUInt32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset)
+
+  const ifdStart = tiffStart + readUInt32(tiffStart + 4)
+  if (ifdStart + 2 > segment.end) {
+    return 1
+  }
+
+  const entries = readUInt16(ifdStart)
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12
+    if (entry + 12 > segment.end) {
+      break
+    }
+    if (readUInt16(entry) === JPEG_ORIENTATION_TAG) {
+      const orientation = readUInt16(entry + 8)
+      return orientation >= 1 && orientation <= 8 ? orientation : 1
+    }
+  }
+
+  return 1
+}
+
+/**
+ * Build an APP1 segment holding only an EXIF orientation
+ */
+function buildOrientationSegment(orientation) {
+  const exif = Buffer.alloc(32)
+  exif.write('Exif\0\0', 0, 'latin1')
+  exif.write('MM', 6, 'latin1') // Big-endian TIFF header
+  exif.writeUInt16BE(42, 8)
+  exif.writeUInt32BE(8, 10) // IFD0 straight after the header
+  exif.writeUInt16BE(1, 14) // One entry
+  exif.writeUInt16BE(JPEG_ORIENTATION_TAG, 16)
+  exif.writeUInt16BE(3, 18) // SHORT
+  exif.writeUInt32BE(1, 20)
+  exif.writeUInt16BE(orientation, 24)
+  exif.writeUInt32BE(0, 28) // No next IFD
+
+  const header = Buffer.from([0xff, 0xe1, 0, 0])
+  header.writeUInt16BE(exif.length + 2, 2)
+  return Buffer.concat([header, exif])
+}
+
+/**
+ * Check for the APP2 segment that indexes appended preview images
+ */
+function isMpfSegment(buffer, segment) {
+  return segment.marker === 0xe2 && buffer.toString('latin1', segment.start + 4, segment.start + 8) === 'MPF\0'
+}
+
+/**
+ * Process a JPEG: dimensions, orientation and metadata-free bytes
+ */
+function processJpeg(buffer) {
+  const parsed = readJpegSegments(buffer)
+  if (!parsed) {
+    return null
+  }
+
+  let width = 0
+  let height = 0
+  let orientation = 1
+  const kept = [buffer.subarray(0, 2)]
+
+  parsed.segments.forEach(segment => {
+    if (JPEG_FRAME_MARKERS.includes(segment.marker) && !width) {
+      height = buffer.readUInt16BE(segment.start + 5)
+      width = buffer.readUInt16BE(segment.start + 7)
+    }
+
+    if (segment.marker === 0xe1 && orientation === 1) {
+      orientation = readExifOrientation(buffer, segment)
+    }
+
+    if (!JPEG_METADATA_MARKERS.includes(segment.marker) && !isMpfSegment(buffer, segment)) {
+      kept.push(buffer.subarray(segment.start, segment.end))
+    }
+  })
+
+  if (orientation !== 1) {
+    // After the JFIF header (APP0) if there is one, otherwise straight after SOI
+    const position = parsed.segments[0]?.marker === 0xe0 ? 2 : 1
+    kept.splice(position, 0, buildOrientationSegment(orientation))
+  }
+
+  // Drop anything after the end-of-image marker, such as the extra preview
+  // images some phones append, which carry their own EXIF
+  const imageEnd = buffer.indexOf(Buffer.from([0xff, 0xd9]), parsed.dataStart)
+  kept.push(buffer.subarray(parsed.dataStart, imageEnd === -1 ? buffer.length : imageEnd + 2))
+
+  // Orientations 5-8 turn the picture on its side
+  const rotated = orientation >= 5
+  return {
+    buffer: Buffer.concat(kept),
+    width: rotated ? height : width,
+    height: rotated ? width : height
+  }
+}
+
+/**
+ * Process a PNG: dimensions and metadata-free bytes
+ */
+function processPng(buffer) {
+  if (buffer.length < 33 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null
+  }
+
+  const kept = [PNG_SIGNATURE]
+  let offset = 8
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    const end = offset + 12 + length
+    if (end > buffer.length) {
+      return null
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      kept.push(buffer.subarray(offset, end))
+    }
+
+    offset = end
+    if (type === 'IEND') {
+      break
+    }
+  }
+
+  return {
+    buffer: Buffer.concat(kept),
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20)
+  }
+}
+
+/**
+ * Read a little-endian 24-bit number, as used in WebP headers
+ */
+const readUInt24LE = (buffer, offset) => buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16)
+
+/**
+ * Process a WebP: dimensions and metadata-free bytes
+ */
+function processWebp(buffer) {
+  const kept = []
+  let width = 0
+  let height = 0
+  let offset = 12
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4)
+    const size = buffer.readUInt32LE(offset + 4)
+    const dataStart = offset + 8
+    const end = dataStart + size + (size % 2) // Chunks are padded to an even length
+    if (dataStart + size > buffer.length) {
+      return null
+    }
+
+    if (type === 'VP8X' && size >= 10) {
+      width = readUInt24LE(buffer, dataStart + 4) + 1
+      height = readUInt24LE(buffer, dataStart + 7) + 1
+    } else if (type === 'VP8 ' && size >= 10 && !width) {
+      width = buffer.readUInt16LE(dataStart + 6) & 0x3fff
+      height = buffer.readUInt16LE(dataStart + 8) & 0x3fff
+    } else if (type === 'VP8L' && size >= 5 && !width) {
+      const bits = buffer.readUInt32LE(dataStart + 1)
+      width = (bits & 0x3fff) + 1
+      height = ((bits >> 14) & 0x3fff) + 1
+    }
+
+    if (!WEBP_METADATA_CHUNKS.includes(type)) {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)))
+      if (type === 'VP8X') {
+        chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG)
+      }
+      kept.push(chunk)
+    }
+
+    offset = end
+  }
+
+  const body = Buffer.concat(kept)
+  const header = Buffer.alloc(12)
+  header.write('RIFF', 0, 'latin1')
+  header.writeUInt32LE(body.length + 4, 4)
+  header.write('WEBP', 8, 'latin1')
+
+  return { buffer: Buffer.concat([header, body]), width, height }
+}
+
+const PROCESSORS = {
+  'image/jpeg': processJpeg,
+  'image/png': processPng,
+  'image/webp': processWebp
+}
+
+/**
+ * Check an uploaded image and strip its metadata
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { type, buffer, width, height } with metadata removed,
+ *   or null if the file isn't a JPEG, PNG or WebP we can read
+ */
+export function processImage(buffer) {
+  const type = detectImageType(buffer)
+  if (!type) {
+    return null
+  }
+
+  try {
+    const result = PROCESSORS[type](buffer)
+    if (!result || !result.width || !result.height) {
+      return null
+    }
+    return { type, ...result }
+  } catch (error) {
+    // Truncated or corrupt files make the reads above run past the end
+    console.error('Error reading image:', error)
+    return null
+  }
+}
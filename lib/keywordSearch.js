@@ -0,0 +1,241 @@
+/**
+ * Keyword search over listing text for PawsPlace
+ *
+ * In the database, keyword searches use Postgres full-text search on the
+ * listings' search_vector (see README): English stemming, so "balconies"
+ * finds "balcony", and web-search syntax:
+ *   balcony river view    every word must appear
+ *   "near park"           a phrase
+ *   balcony or terrace    either word
+ *   -studio               leave out listings mentioning studio
+ *
+ * The helpers below are the in-memory equivalent, used for mock data, for
+ * ranking by relevance and for highlighting matched words. Like the
+ * database, they stem with the Porter algorithm, ignore common English
+ * words and weight matches in the Title above the Description and Location.
+ */
+
+// Listing columns searched, weighted like setweight() A, B and C in search_vector
+export const KEYWORD_FIELDS = [
+  { column: 'Title', weight: 1 },
+  { column: 'Description', weight: 0.4 },
+  { column: 'Location', weight: 0.2 }
+]
+
+// Postgres's English stop words, which are never searched for
+const STOP_WORDS = new Set(`
+  i me my myself we our ours ourselves you your yours yourself yourselves he him his himself
+  she her hers herself it its itself they them their theirs themselves what which who whom
+  this that these those am is are was were be been being have has had having do does did
+  doing a an the and but if or because as until while of at by for with about against
+  between into through during before after above below to from up down in out on off over
+  under again further then once here there when where why how all any both each few more
+  most other some such no nor not only own same so than too very s t can will just don
+  should now
+`.trim().split(/\s+/))
+
+// Porter stemmer suffix replacements (steps 2 and 3)
+const STEP_2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+}
+const STEP_3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' }
+
+// Porter's word shapes: C is a run of consonants and V a run of vowels;
+// the "measure" m counts the VC pairs in a stem
+const CONSONANT = '[^aeiou][^aeiouy]*'
+const VOWEL = '[aeiouy][aeiou]*'
+const MEASURE_ABOVE_0 = new RegExp(`^(${CONSONANT})?${VOWEL}${CONSONANT}`)
+const MEASURE_1 = new RegExp(`^(${CONSONANT})?${VOWEL}${CONSONANT}(${VOWEL})?$`)
+const MEASURE_ABOVE_1 = new RegExp(`^(${CONSONANT})?${VOWEL}${CONSONANT}${VOWEL}${CONSONANT}`)
+const HAS_VOWEL = new RegExp(`^(${CONSONANT})?[aeiouy]`)
+const ENDS_CVC = new RegExp(`^${CONSONANT}[aeiouy][^aeiouwxy]$`)
+
+/**
+ * Reduce an English word to its stem with the Porter algorithm
+ * @param {string} word - Lowercase word, e.g. 'balconies'
+ * @returns {string} Stem, e.g. 'balconi'
+ */
+export function stemWord(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word
+
+  // A leading y is a consonant; mark it so it isn't treated as a vowel
+  let stem = word[0] === 'y' ? `Y${word.slice(1)}` : word
+  let match
+
+  // Step 1a: plurals
+  if ((match = stem.match(/^(.+?)(ss|i)es$/))) stem = match[1] + match[2]
+  else if ((match = stem.match(/^(.+?)([^s])s$/))) stem = match[1] + match[2]
+
+  // Step 1b: -eed, -ed and -ing
+  if ((match = stem.match(/^(.+?)eed$/))) {
+    if (MEASURE_ABOVE_0.test(match[1])) stem = stem.slice(0, -1)
+  } else if ((match = stem.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(match[1])) {
+    stem = match[1]
+    if (/(at|bl|iz)$/.test(stem)) stem += 'e'
+    else if (/([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1)
+    else if (ENDS_CVC.test(stem)) stem += 'e'
+  }
+
+  // Step 1c: y to i
+  if ((match = stem.match(/^(.+?)y$/)) && HAS_VOWEL.test(match[1])) stem = `${match[1]}i`
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = stem.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/)) &&
+    MEASURE_ABOVE_0.test(match[1])) {
+    stem = match[1] + STEP_2_SUFFIXES[match[2]]
+  }
+  if ((match = stem.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && MEASURE_ABOVE_0.test(match[1])) {
+    stem = match[1] + STEP_3_SUFFIXES[match[2]]
+  }
+
+  // Step 4: remaining suffixes on long stems
+  if ((match = stem.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+    if (MEASURE_ABOVE_1.test(match[1])) stem = match[1]
+  } else if ((match = stem.match(/^(.+?)(s|t)(ion)$/)) && MEASURE_ABOVE_1.test(match[1] + match[2])) {
+    stem = match[1] + match[2]
+  }
+
+  // Step 5: final e and ll
+  if ((match = stem.match(/^(.+?)e$/))) {
+    const base = match[1]
+    if (MEASURE_ABOVE_1.test(base) || (MEASURE_1.test(base) && !ENDS_CVC.test(base))) stem = base
+  }
+  if (/ll$/.test(stem) && MEASURE_ABOVE_1.test(stem)) stem = stem.slice(0, -1)
+
+  return stem[0] === 'Y' ? `y${stem.slice(1)}` : stem
+}
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - e.g. "King's Cross, river views"
+ * @returns {Array<string>} e.g. ['kings', 'cross', 'river', 'views']
+ */
+const toWords = (text = '') => String(text)
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+
+/**
+ * Stems of the searchable words in some text, skipping stop words
+ * @param {string} text - Search or listing text
+ * @returns {Array<string>} Stems
+ */
+const toStems = (text) => toWords(text).filter(word => !STOP_WORDS.has(word)).map(stemWord)
+
+// The last parsed search, as matching calls parseKeywordQuery once per listing
+let lastQuery = { text: null, query: null }
+
+/**
+ * Parse a keyword search written in web-search syntax
+ * @param {string} text - e.g. 'balcony "river view" -studio'
+ * @returns {Object|null} { text, clauses, excluded, stems }, or null if nothing is searchable.
+ *   Every clause must match; a clause lists alternative stems ('balcony or terrace').
+ */
+export function parseKeywordQuery(text) {
+  const trimmed = text?.trim()
+  if (!trimmed) return null
+  if (lastQuery.text === trimmed) return lastQuery.query
+
+  const clauses = []
+  const excluded = []
+  let alternative = false
+
+  // Quoted phrases are kept together; like a bare word, every word in them must appear
+  const tokens = trimmed.match(/-?"[^"]*"?|\S+/g) || []
+  tokens.forEach(token => {
+    if (token.toLowerCase() === 'or') {
+      alternative = clauses.length > 0
+      return
+    }
+
+    const negated = token.startsWith('-')
+    const stems = toStems(negated ? token.slice(1) : token)
+    if (stems.length === 0) return
+
+    if (negated) {
+      excluded.push(...stems)
+    } else if (alternative && stems.length === 1) {
+      clauses[clauses.length - 1].push(stems[0])
+    } else {
+      clauses.push(...stems.map(stem => [stem]))
+    }
+    alternative = false
+  })
+
+  const query = clauses.length > 0 || excluded.length > 0
+    ? { text: trimmed, clauses, excluded, stems: [...new Set(clauses.flat())] }
+    : null
+
+  lastQuery = { text: trimmed, query }
+  return query
+}
+
+/**
+ * Score how relevant a listing is to a keyword search
+ * Each matched word counts its field's weight, with diminishing returns for repeats.
+ * @param {Object} listing - Listing row
+ * @param {Object} query - Result of parseKeywordQuery
+ * @returns {number} Relevance; 0 means the listing doesn't match
+ */
+export function scoreKeywordMatch(listing, query) {
+  if (!query) return 1
+
+  const fields = KEYWORD_FIELDS.map(({ column, weight }) => {
+    const counts = new Map()
+    toStems(listing[column]).forEach(stem => counts.set(stem, (counts.get(stem) || 0) + 1))
+    return { weight, counts }
+  })
+
+  const scoreStem = (stem) => fields.reduce((total, { weight, counts }) =>
+    counts.has(stem) ? total + weight * (1 + Math.log(counts.get(stem))) : total, 0)
+
+  if (query.excluded.some(stem => scoreStem(stem) > 0)) {
+    return 0
+  }
+
+  let score = 0
+  for (const clause of query.clauses) {
+    const clauseScore = Math.max(...clause.map(scoreStem))
+    if (clauseScore === 0) return 0
+    score += clauseScore
+  }
+
+  // A search of only excluded words matches every other listing equally
+  return query.clauses.length > 0 ? score : 1
+}
+
+/**
+ * Split text into parts that do and don't match a keyword search, for highlighting
+ * @param {string} text - Listing text, e.g. a title
+ * @param {Object} query - Result of parseKeywordQuery
+ * @returns {Array<Object>} Parts as { text, match }
+ */
+export function highlightKeywords(text = '', query) {
+  if (!text || !query?.stems.length) {
+    return [{ text, match: false }]
+  }
+
+  const stems = new Set(query.stems)
+  const parts = String(text).split(/([A-Za-z0-9'’]+)/).filter(Boolean).map(part => {
+    const [word] = toWords(part)
+    return { text: part, word, match: Boolean(word) && !STOP_WORDS.has(word) && stems.has(stemWord(word)) }
+  })
+
+  // Join neighbouring matches, and the spaces between them, so "river view" is one highlight
+  return parts.reduce((merged, part, index) => {
+    const previous = merged[merged.length - 1]
+    const between = !part.word && /^\s+$/.test(part.text) && previous?.match && parts[index + 1]?.match
+    const match = part.match || between
+
+    if (previous && previous.match === match) {
+      previous.text += part.text
+    } else {
+      merged.push({ text: part.text, match })
+    }
+    return merged
+  }, [])
+}
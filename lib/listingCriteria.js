@@ -0,0 +1,396 @@
+/**
+ * Listing search criteria for PawsPlace
+ *
+ * A criteria object describes one search of the listings table, e.g.
+ * "2+ bed, furnished, with garden, under £2,500, dogs welcome":
+ *   {
+ *     searchTerm: 'sw4',      // postcode, outcode, area or text (see lib/locationSearch.js)
+ *     keywords: 'balcony',    // full-text search of title, description and location (see lib/keywordSearch.js)
+ *     near: 'Clapham Common', // search centre: postcode, place or dropped pin (see lib/geo.js)
+ *     radius: '1',            // miles from the centre, see RADIUS_OPTIONS
+ *     minRent: null,          // range filters, see CRITERIA_FIELDS
+ *     maxRent: 2500,
+ *     minBedrooms: 2,
+ *     maxBedrooms: null,
+ *     minBaths: null,
+ *     minSquareFootage: null,
+ *     furnished: true,        // feature toggles: only listings with the feature
+ *     garden: true,
+ *     stairFree: false,
+ *     houseShare: false,
+ *     petFriendly: true,      // pet fields understood by matchesPetCriteria
+ *     petSpecies: 'dog',
+ *     petCount: '',
+ *     petSize: '',
+ *     sortBy: 'newest'        // see SORT_OPTIONS
+ *   }
+ *
+ * Any module can build, match, encode or describe criteria with the helpers below.
+ * The Supabase query builder in lib/supabase.js and the in-memory helpers
+ * must interpret criteria identically, so mock data behaves like the database.
+ */
+
+import { matchesPetCriteria, PET_SPECIES, PET_SIZES } from './petPolicy'
+import { geocodeLocation, getListingPosition, distanceInMiles, parseCoordinates } from './geo'
+import { parseLocationQuery, scoreLocationMatch, rankByLocationMatch, LOCATION_MATCH } from './locationSearch'
+import { parseKeywordQuery, scoreKeywordMatch } from './keywordSearch'
+
+export const DEFAULT_PAGE_SIZE = 12
+
+const RENT_OPTIONS = [500, 750, 1000, 1250, 1500, 1750, 2000, 2500, 3000, 3500, 4000, 5000]
+  .map(value => ({ value, label: `£${value.toLocaleString()}` }))
+
+// Radius search distances in miles; kept as strings so they round-trip through the URL unchanged
+export const RADIUS_OPTIONS = [
+  { value: '0.25', label: '¼ mile' },
+  { value: '0.5', label: '½ mile' },
+  { value: '1', label: '1 mile' },
+  { value: '3', label: '3 miles' },
+  { value: '5', label: '5 miles' },
+  { value: '10', label: '10 miles' }
+]
+
+// Radius applied when someone first searches near somewhere
+export const DEFAULT_RADIUS = '1'
+
+const BEDROOM_OPTIONS = [0, 1, 2, 3, 4, 5]
+  .map(value => ({ value, label: value === 0 ? 'Studio' : String(value) }))
+
+/**
+ * Filterable criteria fields (easily extendable)
+ *   key - property on the criteria object
+ *   param - query string parameter
+ *   type - 'text', 'number', 'boolean' or 'select'
+ *   column/operator - the listings column condition for simple filters;
+ *                     fields without a column are handled by custom logic
+ *   chip - label for the removable "active filter" chip
+ */
+export const CRITERIA_FIELDS = [
+  { key: 'searchTerm', param: 'q', type: 'text', chip: value => `Location: ${value}` },
+  { key: 'keywords', param: 'keywords', type: 'text', chip: value => `Keywords: ${value}` },
+  { key: 'near', param: 'near', type: 'text', chip: value => `Near ${parseCoordinates(value) ? 'dropped pin' : value}` },
+  { key: 'radius', param: 'radius', type: 'select', options: RADIUS_OPTIONS, chip: value => `Within ${RADIUS_OPTIONS.find(option => option.value === value)?.label}` },
+  { key: 'minRent', param: 'minRent', type: 'number', column: 'Rent', operator: 'gte', options: RENT_OPTIONS, label: 'Min Rent', chip: value => `From £${value.toLocaleString()}` },
+  { key: 'maxRent', param: 'maxRent', type: 'number', column: 'Rent', operator: 'lte', options: RENT_OPTIONS, label: 'Max Rent', chip: value => `Up to £${value.toLocaleString()}` },
+  { key: 'minBedrooms', param: 'minBeds', type: 'number', column: 'Bedrooms', operator: 'gte', options: BEDROOM_OPTIONS, label: 'Min Bedrooms', chip: value => value === 0 ? 'Studio+' : `${value}+ bed` },
+  { key: 'maxBedrooms', param: 'maxBeds', type: 'number', column: 'Bedrooms', operator: 'lte', options: BEDROOM_OPTIONS, label: 'Max Bedrooms', chip: value => value === 0 ? 'Studio only' : `Up to ${value} bed` },
+  { key: 'minBaths', param: 'minBaths', type: 'number', column: 'Baths', operator: 'gte', options: [1, 2, 3].map(value => ({ value, label: `${value}+` })), label: 'Min Bathrooms', chip: value => `${value}+ bath` },
+  { key: 'minSquareFootage', param: 'minSqft', type: 'number', column: 'SquareFootage', operator: 'gte', options: [300, 500, 750, 1000, 1500].map(value => ({ value, label: `${value.toLocaleString()} sq ft` })), label: 'Min Size', chip: value => `${value.toLocaleString()}+ sq ft` },
+  { key: 'furnished', param: 'furnished', type: 'boolean', column: 'Furnished', operator: 'eq', label: 'Furnished', chip: () => 'Furnished' },
+  { key: 'garden', param: 'garden', type: 'boolean', column: 'Garden', operator: 'eq', label: 'Garden', chip: () => 'Garden' },
+  { key: 'stairFree', param: 'stairFree', type: 'boolean', column: 'StairFreeAccess', operator: 'eq', label: 'Stair-Free Access', chip: () => 'Stair-free' },
+  { key: 'houseShare', param: 'houseShare', type: 'boolean', column: 'HouseShare', operator: 'eq', label: 'House Share', chip: () => 'House share' },
+  { key: 'petFriendly', param: 'pets', type: 'boolean', label: 'Pet-Friendly Only', chip: () => 'Pet-friendly' },
+  { key: 'petSpecies', param: 'species', type: 'select', options: PET_SPECIES, chip: value => `${PET_SPECIES.find(species => species.value === value)?.label} welcome` },
+  { key: 'petCount', param: 'count', type: 'select', options: ['1', '2', '3'].map(value => ({ value })), chip: value => `${value}${value === '3' ? '+' : ''} pet${value === '1' ? '' : 's'}` },
+  { key: 'petSize', param: 'size', type: 'select', options: PET_SIZES, chip: value => `${PET_SIZES.find(size => size.value === value)?.label} pets` }
+]
+
+// Sort options; rows with an empty sort column always come last
+// nearby options need a search centre and keywords options a keyword search; both are
+// sorted in memory (see queryListingsInMemory)
+// With a location search, closer location matches come first and the sort applies within them
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest First', column: 'Listed', ascending: false },
+  { value: 'oldest', label: 'Oldest First', column: 'Listed', ascending: true },
+  { value: 'cheapest', label: 'Price: Low to High', column: 'Rent', ascending: true },
+  { value: 'expensive', label: 'Price: High to Low', column: 'Rent', ascending: false },
+  { value: 'bedrooms-asc', label: 'Bedrooms: Low to High', column: 'Bedrooms', ascending: true },
+  { value: 'bedrooms-desc', label: 'Bedrooms: High to Low', column: 'Bedrooms', ascending: false },
+  { value: 'distance', label: 'Distance: Nearest First', column: 'distance', ascending: true, nearby: true },
+  { value: 'relevance', label: 'Relevance', column: 'relevance', ascending: false, keywords: true }
+]
+
+/**
+ * Empty value for a criteria field
+ * @param {Object} field - Entry from CRITERIA_FIELDS
+ * @returns {*} null for numbers, false for booleans, '' otherwise
+ */
+function emptyValue(field) {
+  if (field.type === 'number') return null
+  if (field.type === 'boolean') return false
+  return ''
+}
+
+/**
+ * Check whether a criteria field is set, i.e. actually filters results
+ * @param {Object} field - Entry from CRITERIA_FIELDS
+ * @param {*} value - Field value
+ * @returns {boolean} True if the field is set
+ */
+function isActive(field, value) {
+  if (field.type === 'number') return value !== null && value !== undefined && value !== ''
+  return !!value
+}
+
+export const DEFAULT_CRITERIA = CRITERIA_FIELDS.reduce(
+  (criteria, field) => ({ ...criteria, [field.key]: emptyValue(field) }),
+  { sortBy: 'newest' }
+)
+
+/**
+ * Look up the sort option for a sort key, falling back to newest first
+ * @param {string} sortBy - Sort key
+ * @returns {Object} Sort option
+ */
+export function getSortOption(sortBy) {
+  return SORT_OPTIONS.find(option => option.value === sortBy) || SORT_OPTIONS[0]
+}
+
+/**
+ * Drop the radius and distance sort from criteria without a search centre, and
+ * the relevance sort from criteria without keywords, so they never linger
+ * after "near" or the keywords are cleared
+ * @param {Object} criteria - Search criteria
+ * @returns {Object} Criteria without orphaned settings
+ */
+function withoutOrphanedSettings(criteria) {
+  const { nearby, keywords } = getSortOption(criteria.sortBy)
+  const orphanedSort = (nearby && !criteria.near) || (keywords && !criteria.keywords?.trim())
+
+  return {
+    ...criteria,
+    radius: criteria.near ? criteria.radius : '',
+    sortBy: orphanedSort ? DEFAULT_CRITERIA.sortBy : criteria.sortBy
+  }
+}
+
+/**
+ * Geocode the centre of a radius search
+ * @param {Object} criteria - Search criteria
+ * @returns {Object|null} { lat, lng, label }, or null if there's no centre or it can't be placed
+ */
+export function getSearchCentre(criteria = {}) {
+  return criteria.near ? geocodeLocation(criteria.near) : null
+}
+
+/**
+ * Add a listing's distance in miles from a search centre, for sorting and listing cards
+ * @param {Object} listing - Listing row
+ * @param {Object} centre - { lat, lng }
+ * @returns {Object} Listing with `distance` (null if the listing can't be placed)
+ */
+export function withDistance(listing, centre) {
+  const position = getListingPosition(listing)
+  return { ...listing, distance: position ? distanceInMiles(centre, position) : null }
+}
+
+/**
+ * Get the simple column conditions a criteria object applies
+ * Used by both the Supabase query builder and matchesCriteria.
+ * @param {Object} criteria - Search criteria
+ * @returns {Array<Object>} Conditions as { column, operator, value }
+ */
+export function getColumnFilters(criteria = {}) {
+  return CRITERIA_FIELDS
+    .filter(field => field.column && isActive(field, criteria[field.key]))
+    .map(field => ({ column: field.column, operator: field.operator, value: criteria[field.key] }))
+}
+
+/**
+ * Check whether a listing is on the public site
+ * Agents archive their own listings (archived_at); admins unpublish them (unpublished_at).
+ * @param {Object} listing - Listing row
+ * @returns {boolean} True if the listing is public
+ */
+export function isListingPublic(listing) {
+  return !listing.archived_at && !listing.unpublished_at
+}
+
+/**
+ * Check whether a listing matches the criteria (in-memory equivalent of the Supabase query)
+ * @param {Object} listing - Listing row
+ * @param {Object} criteria - Search criteria
+ * @returns {boolean} True if the listing matches
+ */
+export function matchesCriteria(listing, criteria = {}) {
+  if (!isListingPublic(listing)) {
+    return false
+  }
+
+  const query = parseLocationQuery(criteria.searchTerm)
+  if (query && scoreLocationMatch(listing.Location, query) === LOCATION_MATCH.NONE) {
+    return false
+  }
+
+  const keywordQuery = parseKeywordQuery(criteria.keywords)
+  if (keywordQuery && scoreKeywordMatch(listing, keywordQuery) === 0) {
+    return false
+  }
+
+  // Like SQL, comparisons against an empty column never match
+  const columnsMatch = getColumnFilters(criteria).every(({ column, operator, value }) => {
+    const listingValue = listing[column]
+    if (listingValue === null || listingValue === undefined) return false
+    if (operator === 'eq') return listingValue === value
+    if (operator === 'gte') return listingValue >= value
+    if (operator === 'lte') return listingValue <= value
+    return true
+  })
+
+  return columnsMatch && matchesPetCriteria(listing, criteria) && matchesRadius(listing, criteria)
+}
+
+/**
+ * Check whether a listing is within the search radius
+ * Searches without a radius, or whose centre can't be placed, match every listing.
+ * @param {Object} listing - Listing row
+ * @param {Object} criteria - Search criteria
+ * @returns {boolean} True if the listing is close enough
+ */
+function matchesRadius(listing, criteria) {
+  const centre = getSearchCentre(criteria)
+  if (!centre || !criteria.radius) {
+    return true
+  }
+
+  const position = getListingPosition(listing)
+  return Boolean(position) && distanceInMiles(centre, position) <= Number(criteria.radius)
+}
+
+/**
+ * Sort listings the same way the database does for a sort key
+ * @param {Array} listings - Listing rows
+ * @param {string} sortBy - Sort key
+ * @returns {Array} New sorted array
+ */
+export function sortListings(listings, sortBy) {
+  const { column, ascending } = getSortOption(sortBy)
+
+  const toValue = (listing) => {
+    const value = listing[column]
+    if (value === null || value === undefined) return null
+    return column === 'Listed' ? new Date(value).getTime() : value
+  }
+
+  return [...listings].sort((a, b) => {
+    const valueA = toValue(a)
+    const valueB = toValue(b)
+
+    if (valueA !== valueB) {
+      if (valueA === null) return 1
+      if (valueB === null) return -1
+      return ascending ? valueA - valueB : valueB - valueA
+    }
+
+    // Tie-break on id so pages never overlap
+    return (a.id || 0) - (b.id || 0)
+  })
+}
+
+/**
+ * Filter, sort and paginate listings in memory
+ * With a search centre, each listing gets its `distance` in miles, and with
+ * keywords its `relevance`; with a location search, listings are ranked by how
+ * precisely they match.
+ * @param {Array} listings - All listing rows
+ * @param {Object} criteria - Search criteria
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Zero-based page number
+ * @param {number} options.pageSize - Listings per page
+ * @param {boolean} options.locationRanking - False to keep location matches in the sort order
+ *   rather than ranking the most precise first
+ * @returns {Object} { listings, total } for the requested page
+ */
+export function queryListingsInMemory(listings, criteria = {}, { page = 0, pageSize = DEFAULT_PAGE_SIZE, locationRanking = true } = {}) {
+  const centre = getSearchCentre(criteria)
+  const keywordQuery = parseKeywordQuery(criteria.keywords)
+  const candidates = listings.map(listing => {
+    const withCentre = centre ? withDistance(listing, centre) : listing
+    return keywordQuery ? { ...withCentre, relevance: scoreKeywordMatch(listing, keywordQuery) } : withCentre
+  })
+
+  const query = parseLocationQuery(criteria.searchTerm)
+  const sorted = sortListings(
+    candidates.filter(listing => matchesCriteria(listing, criteria)),
+    criteria.sortBy
+  )
+  const matching = query && locationRanking ? rankByLocationMatch(sorted, query) : sorted
+
+  const from = page * pageSize
+  return {
+    listings: matching.slice(from, from + pageSize),
+    total: matching.length
+  }
+}
+
+/**
+ * Read search criteria from a parsed query string (router.query or context.query)
+ * Unknown or invalid values fall back to the defaults.
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Search criteria
+ */
+export function criteriaFromQuery(query = {}) {
+  const criteria = { ...DEFAULT_CRITERIA }
+
+  CRITERIA_FIELDS.forEach(field => {
+    const raw = Array.isArray(query[field.param]) ? query[field.param][0] : query[field.param]
+    if (raw === undefined || raw === '') return
+
+    if (field.type === 'number') {
+      const number = Number(raw)
+      if (Number.isFinite(number) && number >= 0) criteria[field.key] = number
+    } else if (field.type === 'boolean') {
+      criteria[field.key] = raw === '1'
+    } else if (field.type === 'select') {
+      if (field.options.some(option => option.value === raw)) criteria[field.key] = raw
+    } else {
+      criteria[field.key] = String(raw)
+    }
+  })
+
+  const sortBy = Array.isArray(query.sort) ? query.sort[0] : query.sort
+  if (SORT_OPTIONS.some(option => option.value === sortBy)) {
+    criteria.sortBy = sortBy
+  }
+
+  return withoutOrphanedSettings(criteria)
+}
+
+/**
+ * Encode search criteria as query string parameters, leaving out defaults
+ * @param {Object} criteria - Search criteria
+ * @returns {Object} Query object for the Next router
+ */
+export function criteriaToQuery(criteria = {}) {
+  const encoded = withoutOrphanedSettings(criteria)
+  const query = {}
+
+  CRITERIA_FIELDS.forEach(field => {
+    const value = encoded[field.key]
+    if (!isActive(field, value)) return
+    query[field.param] = value === true ? '1' : String(value)
+  })
+
+  if (encoded.sortBy && encoded.sortBy !== DEFAULT_CRITERIA.sortBy) {
+    query.sort = encoded.sortBy
+  }
+
+  return query
+}
+
+/**
+ * Describe the filters a criteria object applies, for "active filter" chips
+ * @param {Object} criteria - Search criteria
+ * @returns {Array<Object>} Active filters as { key, label }
+ */
+export function getActiveFilters(criteria = {}) {
+  return CRITERIA_FIELDS
+    .filter(field => isActive(field, criteria[field.key]))
+    .map(field => ({ key: field.key, label: field.chip(criteria[field.key]) }))
+}
+
+/**
+ * Reset one filter, or every filter, while keeping the sort order
+ * @param {Object} criteria - Search criteria
+ * @param {string} key - Criteria key to clear; omit to clear every filter
+ * @returns {Object} New criteria
+ */
+export function clearFilter(criteria, key) {
+  if (!key) {
+    return { ...DEFAULT_CRITERIA, sortBy: criteria.sortBy }
+  }
+
+  const field = CRITERIA_FIELDS.find(item => item.key === key)
+  return field ? { ...criteria, [key]: emptyValue(field) } : criteria
+}
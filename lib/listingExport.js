@@ -0,0 +1,136 @@
+/**
+ * Listing exports for PawsPlace
+ *
+ * Turns listings into CSV or JSON files: search results from the homepage
+ * (through /api/listings/export) and agents' own portfolios. Columns are
+ * named after the listing fields and booleans are written as yes/no, so an
+ * agent's export can be imported again unchanged (see lib/listingImport.js).
+ * Also links each search to its RSS and Atom feeds (lib/listingFeeds.js).
+ */
+
+import { criteriaToQuery } from './listingCriteria'
+import { LISTING_FIELDS } from './listingFields'
+import { EXTERNAL_REF_FIELD } from './listingImport'
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  { value: 'json', label: 'JSON', extension: 'json', contentType: 'application/json; charset=utf-8' }
+]
+
+// Feeds of a search's newest listings, served by /api/feeds/<value>
+export const FEED_FORMATS = [
+  { value: 'rss', label: 'RSS', contentType: 'application/rss+xml; charset=utf-8' },
+  { value: 'atom', label: 'Atom', contentType: 'application/atom+xml; charset=utf-8' }
+]
+
+// Most listings in one export; the same as the largest page the database returns
+export const MAX_EXPORT_LISTINGS = 1000
+
+/**
+ * Get an export format
+ * @param {string} value - Format value, e.g. 'csv'
+ * @returns {Object|null} Entry from EXPORT_FORMATS, or null if unknown
+ */
+export function getExportFormat(value) {
+  return EXPORT_FORMATS.find(format => format.value === value) || null
+}
+
+/**
+ * Columns in an export, in order
+ * @param {Object} options - Export options
+ * @param {boolean} options.references - Include the agent's own references, for re-importing
+ * @returns {Array<Object>} Fields as { name, type }
+ */
+function getExportColumns({ references = false } = {}) {
+  return [
+    { name: 'id', type: 'number' },
+    ...(references ? [EXTERNAL_REF_FIELD] : []),
+    ...LISTING_FIELDS,
+    { name: 'Listed', type: 'text' },
+    { name: 'url', type: 'text' }
+  ]
+}
+
+/**
+ * Format one value for a CSV cell
+ * Text that a spreadsheet would run as a formula (starting =, +, -, @) is
+ * prefixed with an apostrophe, so an exported title can't run code when opened.
+ * Importing the file again removes it (see readCell in lib/listingImport.js).
+ */
+function toCsvCell(value) {
+  let text
+  if (value === null || value === undefined) {
+    text = ''
+  } else if (typeof value === 'boolean') {
+    text = value ? 'yes' : 'no'
+  } else if (Array.isArray(value)) {
+    text = value.join('; ')
+  } else if (typeof value === 'number') {
+    text = String(value)
+  } else {
+    text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value)
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build an export file
+ * @param {Array} listings - Listing rows
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} options - Export options
+ * @param {string} options.siteUrl - Public site URL, for each listing's link
+ * @param {boolean} options.references - Include the agent's own references, for re-importing
+ * @returns {string} File contents
+ */
+export function buildExport(listings, format, { siteUrl = '', references = false } = {}) {
+  const columns = getExportColumns({ references })
+  const rows = listings.map(listing => Object.fromEntries(columns.map(({ name }) => [
+    name,
+    name === 'url' ? `${siteUrl}/listings/${listing.id}` : listing[name] ?? null
+  ])))
+
+  if (format === 'json') {
+    // The same { listings } shape the importer reads
+    return JSON.stringify({ exported_at: new Date().toISOString(), listings: rows }, null, 2)
+  }
+
+  return [
+    columns.map(({ name }) => name).join(','),
+    ...rows.map(row => columns.map(({ name }) => toCsvCell(row[name])).join(','))
+  ].join('\r\n') + '\r\n'
+}
+
+/**
+ * File name for an export, e.g. "pawsplace-listings-2025-03-01.csv"
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} name - What's being exported
+ * @returns {string} File name
+ */
+export function getExportFileName(format, name = 'listings') {
+  return `pawsplace-${name}-${new Date().toISOString().slice(0, 10)}.${getExportFormat(format)?.extension || format}`
+}
+
+/**
+ * Link that downloads the listings matching a search
+ * @param {Object} criteria - Search criteria
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} Path to /api/listings/export
+ */
+export function getExportPath(criteria, format) {
+  const params = new URLSearchParams({ ...criteriaToQuery(criteria), format })
+  return `/api/listings/export?${params}`
+}
+
+/**
+ * Link to the feed of a search, e.g. for a <link rel="alternate"> or a subscribe link
+ * Feeds are always newest first, so the sort order is left out.
+ * @param {Object} criteria - Search criteria
+ * @param {string} format - 'rss' or 'atom'
+ * @returns {string} Path to /api/feeds/rss or /api/feeds/atom
+ */
+export function getFeedPath(criteria, format) {
+  const { sort, ...query } = criteriaToQuery({ ...criteria, sortBy: 'newest' })
+  const params = new URLSearchParams(query).toString()
+  return `/api/feeds/${format}${params ? `?${params}` : ''}`
+}
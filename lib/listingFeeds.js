@@ -0,0 +1,207 @@
+/**
+ * RSS and Atom feeds of new listings for PawsPlace
+ *
+ * Server only (the /api/feeds/rss and /api/feeds/atom routes). A feed holds the
+ * newest listings matching a search, taking the homepage's query parameters, so
+ * followers can subscribe to e.g. pet-friendly two-beds in Camden. Feeds answer
+ * conditional GETs: the ETag changes whenever the feed would, and Last-Modified
+ * is when its newest listing was listed.
+ */
+
+import crypto from 'crypto'
+import { criteriaFromQuery } from './listingCriteria'
+import { queryListings } from './listingProvider'
+import { FEED_FORMATS, getFeedPath } from './listingExport'
+import { describeSearch } from './savedSearches'
+import { getPetPolicySummary } from './petPolicy'
+import { getSiteUrl } from './supabase'
+
+// Listings per feed; feed readers only show recent items
+const MAX_FEED_ITEMS = 50
+
+// Feed readers poll often, so let caches answer for a few minutes
+const FEED_CACHE_CONTROL = 'public, max-age=300'
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const formatRent = (rent) => rent != null ? `£${rent.toLocaleString('en-GB')} pcm` : 'Rent TBC'
+
+/**
+ * One-line summary of a listing for feed readers
+ */
+function describeListing(listing) {
+  const bedrooms = listing.Bedrooms === 0 ? 'Studio' : listing.Bedrooms != null ? `${listing.Bedrooms} bed` : null
+  const summary = [formatRent(listing.Rent), bedrooms, listing.Location, ...getPetPolicySummary(listing)]
+    .filter(Boolean)
+    .join(' · ')
+  return listing.Description ? `${summary}\n\n${listing.Description}` : summary
+}
+
+/**
+ * When a feed last changed: the newest listing's listed date
+ * @returns {Date|null} Date, or null if no listing has one
+ */
+function getLastModified(listings) {
+  const times = listings.map(listing => Date.parse(listing.Listed)).filter(Number.isFinite)
+  return times.length > 0 ? new Date(Math.max(...times)) : null
+}
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Object} feed - { title, description, link, selfUrl, updated, listings, siteUrl }
+ * @returns {string} XML
+ */
+export function buildRssFeed({ title, description, link, selfUrl, updated, listings, siteUrl }) {
+  const items = listings.map(listing => {
+    const url = `${siteUrl}/listings/${listing.id}`
+    return [
+      '    <item>',
+      `      <title>${escapeXml(`${listing.Title} – ${formatRent(listing.Rent)}`)}</title>`,
+      `      <link>${escapeXml(url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      listing.Listed ? `      <pubDate>${new Date(listing.Listed).toUTCString()}</pubDate>` : null,
+      ...(listing.PetsAllowed || []).map(species => `      <category>${escapeXml(species)}</category>`),
+      `      <description>${escapeXml(describeListing(listing))}</description>`,
+      '    </item>'
+    ].filter(Boolean).join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    '    <language>en-gb</language>',
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    updated ? `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].filter(Boolean).join('\n') + '\n'
+}
+
+/**
+ * Build an Atom 1.0 feed
+ * @param {Object} feed - { title, description, link, selfUrl, updated, listings, siteUrl }
+ * @returns {string} XML
+ */
+export function buildAtomFeed({ title, description, link, selfUrl, updated, listings, siteUrl }) {
+  // Atom requires an updated date; an empty feed has never changed
+  const feedUpdated = (updated || new Date(0)).toISOString()
+
+  const entries = listings.map(listing => {
+    const url = `${siteUrl}/listings/${listing.id}`
+    const listed = listing.Listed ? new Date(listing.Listed).toISOString() : feedUpdated
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(`${listing.Title} – ${formatRent(listing.Rent)}`)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+      `    <id>${escapeXml(url)}</id>`,
+      `    <published>${listed}</published>`,
+      `    <updated>${listed}</updated>`,
+      ...(listing.PetsAllowed || []).map(species => `    <category term="${escapeXml(species)}"/>`),
+      `    <summary>${escapeXml(describeListing(listing))}</summary>`,
+      '  </entry>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <updated>${feedUpdated}</updated>`,
+    '  <author><name>PawsPlace</name></author>',
+    ...entries,
+    '</feed>'
+  ].join('\n') + '\n'
+}
+
+/**
+ * Check a conditional GET against the feed's validators
+ * If-None-Match wins over If-Modified-Since when both are sent (RFC 9110).
+ * @param {Object} headers - Request headers
+ * @param {string} etag - Feed ETag
+ * @param {Date|null} lastModified - Feed last modified date
+ * @returns {boolean} True if the client's copy is current
+ */
+export function isNotModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers['if-none-match']
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag)
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'])
+  // HTTP dates have whole seconds
+  return Boolean(lastModified) && Number.isFinite(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince
+}
+
+/**
+ * Answer a feed request for the listings matching its query parameters
+ * @param {Object} req - API request
+ * @param {Object} res - API response
+ * @param {string} format - 'rss' or 'atom'
+ */
+export async function sendListingsFeed(req, res, format) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const feedFormat = FEED_FORMATS.find(item => item.value === format)
+  const criteria = { ...criteriaFromQuery(req.query), sortBy: 'newest' }
+  // Feeds are strictly newest first, so location searches aren't ranked by how closely they match
+  const { data, error, demo } = await queryListings(criteria, { page: 0, pageSize: MAX_FEED_ITEMS, locationRanking: false })
+
+  if (error) {
+    res.setHeader('Retry-After', '300')
+    return res.status(503).json({ error: error.message })
+  }
+
+  const listings = data.listings
+  const siteUrl = getSiteUrl()
+  const feedPath = getFeedPath(criteria, format)
+  const query = feedPath.split('?')[1]
+  const updated = getLastModified(listings)
+  const body = (format === 'atom' ? buildAtomFeed : buildRssFeed)({
+    title: `PawsPlace: ${describeSearch(criteria)}`,
+    description: demo
+      ? 'Demo data: sample listings, not real properties to rent.'
+      : 'The newest pet-friendly rentals matching this search on PawsPlace.',
+    link: `${siteUrl}/${query ? `?${query}` : ''}`,
+    selfUrl: `${siteUrl}${feedPath}`,
+    updated,
+    listings,
+    siteUrl
+  })
+
+  // Hashing the feed itself means edits to a listing change the ETag too
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`
+  res.setHeader('ETag', etag)
+  res.setHeader('Cache-Control', FEED_CACHE_CONTROL)
+  if (updated) {
+    res.setHeader('Last-Modified', updated.toUTCString())
+  }
+
+  if (isNotModified(req.headers, etag, updated)) {
+    return res.status(304).end()
+  }
+
+  // end() rather than send(), which would replace the ETag with its own; HEAD
+  // gets the same headers as GET without the body
+  res.setHeader('Content-Type', feedFormat.contentType)
+  res.setHeader('Content-Length', Buffer.byteLength(body))
+  res.status(200)
+  return req.method === 'HEAD' ? res.end() : res.end(body)
+}
@@ -0,0 +1,144 @@
+/**
+ * Listing field definitions for PawsPlace
+ *
+ * Describes every editable column of the 'listings' table in one place so
+ * forms and validation stay in step with the database schema.
+ */
+
+import { PET_SPECIES, PET_SIZES } from './petPolicy'
+
+/**
+ * Editable listing columns, in the order they appear on forms
+ * type is one of 'text', 'textarea', 'number', 'boolean', 'select' or 'multiselect'
+ * section groups fields on forms: 'property' or 'pets'
+ */
+export const LISTING_FIELDS = [
+  { name: 'Title', label: 'Title', type: 'text', required: true, placeholder: 'Spacious 2-Bedroom Flat in Camden' },
+  { name: 'Rent', label: 'Rent (£ pcm)', type: 'number', required: true, min: 0 },
+  { name: 'Location', label: 'Location', type: 'text', required: true, placeholder: 'Camden, NW1' },
+  { name: 'Bedrooms', label: 'Bedrooms', type: 'number', required: true, min: 0 },
+  { name: 'Baths', label: 'Bathrooms', type: 'number', required: true, min: 0 },
+  { name: 'SquareFootage', label: 'Size (sq ft)', type: 'number', min: 0 },
+  { name: 'PetParkingCosts', label: 'Pet Parking Costs (£)', type: 'number', min: 0 },
+  { name: 'Description', label: 'Description', type: 'textarea' },
+  { name: 'Furnished', label: 'Furnished', type: 'boolean' },
+  { name: 'Garden', label: 'Garden/Outdoor Space', type: 'boolean' },
+  { name: 'StairFreeAccess', label: 'Stair-Free Access', type: 'boolean' },
+  { name: 'HouseShare', label: 'House Share', type: 'boolean' },
+  { name: 'PetsAllowed', label: 'Pets Allowed', type: 'multiselect', section: 'pets', options: PET_SPECIES },
+  { name: 'MaxPets', label: 'Maximum Number of Pets', type: 'number', section: 'pets', min: 1 },
+  { name: 'MaxPetSize', label: 'Maximum Pet Size', type: 'select', section: 'pets', options: PET_SIZES, emptyLabel: 'Any size' },
+  { name: 'MaxPetWeightKg', label: 'Maximum Weight per Pet (kg)', type: 'number', section: 'pets', min: 1 },
+  { name: 'BreedRestrictions', label: 'Breed Restrictions', type: 'text', section: 'pets', placeholder: 'e.g. No XL Bully' },
+  { name: 'PetDeposit', label: 'Pet Deposit (£)', type: 'number', section: 'pets', min: 0 },
+  { name: 'PetRent', label: 'Pet Rent (£ pcm)', type: 'number', section: 'pets', min: 0 }
+]
+
+/**
+ * Build form values from a listing row (or blank values for a new listing)
+ * @param {Object} listing - Existing listing row, if any
+ * @returns {Object} Form values keyed by column name
+ */
+export function listingToFormValues(listing = {}) {
+  const values = {}
+
+  LISTING_FIELDS.forEach(field => {
+    const value = listing[field.name]
+    if (field.type === 'boolean') {
+      values[field.name] = !!value
+    } else if (field.type === 'multiselect') {
+      values[field.name] = Array.isArray(value) ? value : []
+    } else {
+      values[field.name] = value === null || value === undefined ? '' : String(value)
+    }
+  })
+
+  return values
+}
+
+/**
+ * Validate listing form values
+ * @param {Object} values - Form values keyed by column name
+ * @returns {Object} Error messages keyed by column name (empty when valid)
+ */
+export function validateListing(values) {
+  const errors = {}
+
+  LISTING_FIELDS.forEach(field => {
+    const value = values[field.name]
+
+    if (field.type === 'boolean' || field.type === 'multiselect') {
+      return
+    }
+
+    const isBlank = value === null || value === undefined || String(value).trim() === ''
+
+    if (isBlank) {
+      if (field.required) {
+        errors[field.name] = `${field.label} is required`
+      }
+      return
+    }
+
+    if (field.type === 'select' && !field.options.some(option => option.value === value)) {
+      errors[field.name] = `Please choose a valid ${field.label.toLowerCase()}`
+    }
+
+    if (field.type === 'number') {
+      const number = Number(value)
+      if (!Number.isInteger(number)) {
+        errors[field.name] = `${field.label} must be a whole number`
+      } else if (field.min !== undefined && number < field.min) {
+        errors[field.name] = `${field.label} cannot be less than ${field.min}`
+      }
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Convert validated form values into a row for the 'listings' table
+ * @param {Object} values - Form values keyed by column name
+ * @returns {Object} Listing row with typed column values
+ */
+export function formValuesToListing(values) {
+  const listing = {}
+
+  LISTING_FIELDS.forEach(field => {
+    const value = values[field.name]
+
+    if (field.type === 'boolean') {
+      listing[field.name] = !!value
+    } else if (field.type === 'multiselect') {
+      listing[field.name] = Array.isArray(value) ? value : []
+    } else if (field.type === 'number') {
+      listing[field.name] = String(value ?? '').trim() === '' ? null : Number(value)
+    } else if (field.type === 'select') {
+      listing[field.name] = value || null
+    } else {
+      listing[field.name] = String(value ?? '').trim()
+    }
+  })
+
+  return listing
+}
+
+/**
+ * Build the human-readable feature tags shown for a listing
+ * @param {Object} listing - Listing row
+ * @returns {Array<string>} Feature labels
+ */
+export function getListingFeatures(listing) {
+  const features = []
+
+  if (listing.Furnished) features.push('Furnished')
+  if (listing.Garden) features.push('Garden/Outdoor Space')
+  if (listing.StairFreeAccess) features.push('Stair-Free Access')
+  if (listing.HouseShare) features.push('House Share')
+  if (listing.PetParkingCosts && listing.PetParkingCosts > 0) {
+    features.push(`Pet Parking: £${listing.PetParkingCosts}`)
+  }
+
+  return features
+}
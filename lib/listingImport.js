@@ -0,0 +1,381 @@
+/**
+ * Bulk listing import for PawsPlace
+ *
+ * Agents upload a CSV or JSON file of listings, match its columns to listing
+ * fields and check a preview before anything is saved. The preview is worked
+ * out again on the server (/api/listings/import) from the same file contents
+ * and column mapping, then committed by lib/listingImporter.js.
+ */
+
+import { LISTING_FIELDS, validateListing, formValuesToListing } from './listingFields'
+
+// File types agents can import
+export const IMPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: '.csv' },
+  { value: 'json', label: 'JSON', extension: '.json' }
+]
+
+export const MAX_IMPORT_BYTES = 2 * 1024 * 1024
+
+// Listings per import, so a whole import is saved in one request
+export const MAX_IMPORT_ROWS = 500
+
+const MAX_EXTERNAL_REF_LENGTH = 100
+
+// An apostrophe before =, +, -, @, tab or carriage return, added to exported CSV cells
+const FORMULA_GUARD_PATTERN = /^'(?=[=+\-@\t\r])/
+
+/**
+ * The agency's own reference for each property, e.g. from their previous system.
+ * Importing a reference again updates that listing rather than adding a copy.
+ */
+export const EXTERNAL_REF_FIELD = { name: 'external_ref', label: 'Your Reference', type: 'text', required: true }
+
+// Fields a file's columns can be matched to, in the order they appear on the mapping step
+export const IMPORT_FIELDS = [EXTERNAL_REF_FIELD, ...LISTING_FIELDS]
+
+// Other column names agencies commonly use, for suggesting a mapping
+const COLUMN_ALIASES = {
+  external_ref: ['ref', 'reference', 'property ref', 'property reference', 'property id', 'agent ref', 'listing id', 'id'],
+  Title: ['name', 'headline', 'property title'],
+  Rent: ['price', 'rent pcm', 'monthly rent', 'pcm'],
+  Location: ['address', 'postcode', 'area'],
+  Bedrooms: ['beds', 'bedroom', 'number of bedrooms'],
+  Baths: ['bathrooms', 'bath', 'bathroom'],
+  SquareFootage: ['size', 'sq ft', 'sqft', 'square feet', 'floor area'],
+  Description: ['details', 'summary', 'full description'],
+  Garden: ['outdoor space'],
+  StairFreeAccess: ['step free', 'step free access'],
+  PetsAllowed: ['pets']
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1']
+const FALSE_VALUES = ['false', 'no', 'n', '0']
+
+/**
+ * Reduce a column name to lower-case letters and digits, so "Rent (£ pcm)" matches "rent_pcm"
+ */
+const normaliseColumnName = (name) => String(name).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '')
+
+/**
+ * Work out a file's format from its name
+ * @param {string} fileName - Uploaded file name
+ * @returns {Object|null} Entry from IMPORT_FORMATS, or null if it isn't CSV or JSON
+ */
+export function getImportFormat(fileName = '') {
+  const name = fileName.toLowerCase()
+  return IMPORT_FORMATS.find(format => name.endsWith(format.extension)) || null
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Follows RFC 4180: cells can be quoted, and quoted cells can hold commas,
+ * line breaks and doubled quotes. Semicolon- and tab-separated files, as saved
+ * by some spreadsheet apps, are detected from the header line.
+ * @param {string} text - CSV file contents
+ * @returns {Object} Result with an array of rows (arrays of strings) or error
+ */
+function splitCsv(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/))
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  )
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    return { error: { message: 'The file ends inside a quoted cell. Check for a missing closing quote (").' } }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  // Spreadsheet apps often leave blank lines at the end
+  return { data: rows.filter(cells => cells.some(value => value.trim() !== '')), error: null }
+}
+
+/**
+ * Read listings from a CSV file with a header row
+ */
+function parseCsv(text) {
+  const { data: rows, error } = splitCsv(text)
+  if (error) {
+    return { error }
+  }
+
+  if (rows.length === 0) {
+    return { error: { message: 'The file is empty' } }
+  }
+
+  const columns = rows[0].map((name, index) => name.trim() || `Column ${index + 1}`)
+  const duplicate = columns.find((name, index) => columns.indexOf(name) !== index)
+  if (duplicate) {
+    return { error: { message: `The column "${duplicate}" appears more than once in the header row` } }
+  }
+
+  const records = rows.slice(1).map(cells =>
+    Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()]))
+  )
+
+  // The header is row 1, so row numbers match the spreadsheet
+  return { data: { columns, records, firstRow: 2 }, error: null }
+}
+
+/**
+ * Read listings from a JSON file: an array of objects, or { "listings": [...] }
+ */
+function parseJson(text) {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (error) {
+    return { error: { message: `The file isn't valid JSON: ${error.message}` } }
+  }
+
+  const records = Array.isArray(parsed) ? parsed : parsed?.listings
+  if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    return { error: { message: 'The file should contain a list of listings, e.g. [{ "Title": "...", "Rent": 1500 }]' } }
+  }
+
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))]
+  return { data: { columns, records, firstRow: 1 }, error: null }
+}
+
+/**
+ * Read the listings in an uploaded file
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} Result with { columns, records, firstRow } or error.
+ *   records are objects keyed by column; firstRow is the row number of the first record.
+ */
+export function parseImportFile(text, format) {
+  const result = format === 'json' ? parseJson(text) : parseCsv(text.replace(/^\uFEFF/, ''))
+  if (result.error) {
+    return result
+  }
+
+  const { records } = result.data
+  if (records.length === 0) {
+    return { error: { message: 'The file has no listings in it' } }
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return {
+      error: { message: `The file has ${records.length} listings. Please split it into files of up to ${MAX_IMPORT_ROWS}.` }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Suggest which column of the file holds each listing field
+ * Columns are matched on the field's name, its label or a common alternative
+ * name, e.g. "Price" for Rent. Each column is suggested for one field at most.
+ * @param {Array<string>} columns - Column names from the file
+ * @returns {Object} Column names keyed by field name
+ */
+export function suggestColumnMapping(columns) {
+  const mapping = {}
+  const used = new Set()
+
+  IMPORT_FIELDS.forEach(field => {
+    // Exact field names win over aliases, so an exported "external_ref" column beats "id"
+    const names = [field.name, field.label, ...(COLUMN_ALIASES[field.name] || [])].map(normaliseColumnName)
+    const column = names
+      .map(name => columns.find(column => !used.has(column) && normaliseColumnName(column) === name))
+      .find(Boolean)
+    if (column) {
+      mapping[field.name] = column
+      used.add(column)
+    }
+  })
+
+  return mapping
+}
+
+/**
+ * Check every required field has a column
+ * @param {Object} mapping - Column names keyed by field name
+ * @returns {Array<string>} Error messages (empty when the mapping can be used)
+ */
+export function validateColumnMapping(mapping) {
+  return IMPORT_FIELDS
+    .filter(field => field.required && !mapping[field.name])
+    .map(field => `Choose the column that holds ${field.label.toLowerCase()}`)
+}
+
+/**
+ * Turn one cell from the file into a form value for a field
+ * @returns {Object} { value } or { error }
+ */
+function readCell(field, raw) {
+  const isBlank = raw === null || raw === undefined || String(raw).trim() === ''
+
+  if (field.type === 'boolean') {
+    if (isBlank || typeof raw === 'boolean') {
+      return { value: !!raw }
+    }
+    const text = String(raw).trim().toLowerCase()
+    if (TRUE_VALUES.includes(text)) return { value: true }
+    if (FALSE_VALUES.includes(text)) return { value: false }
+    return { error: `${field.label} must be yes or no, not "${raw}"` }
+  }
+
+  if (field.type === 'multiselect') {
+    const items = Array.isArray(raw) ? raw : String(raw ?? '').split(/[,;|]/)
+    const values = []
+    for (const item of items.map(entry => String(entry).trim()).filter(Boolean)) {
+      const option = field.options.find(({ value, label, singular }) =>
+        [value, label, singular].some(name => name && name.toLowerCase() === item.toLowerCase())
+      )
+      if (!option) {
+        return { error: `${field.label} includes "${item}", which isn't one of ${field.options.map(({ label }) => label).join(', ')}` }
+      }
+      values.push(option.value)
+    }
+    return { value: [...new Set(values)] }
+  }
+
+  if (isBlank) {
+    return { value: '' }
+  }
+
+  if (field.type === 'select') {
+    const text = String(raw).trim().toLowerCase()
+    const option = field.options.find(({ value, label }) => value === text || label.toLowerCase() === text)
+    // An unknown option is left for validateListing to report
+    return { value: option ? option.value : String(raw) }
+  }
+
+  if (field.type === 'number') {
+    // Spreadsheets often format money as "£1,250"
+    return { value: String(raw).replace(/[£,\s]/g, '') }
+  }
+
+  // Undo the apostrophe our CSV export adds before text a spreadsheet would run
+  // as a formula (see lib/listingExport.js), so exported files import unchanged
+  return { value: String(raw).trim().replace(FORMULA_GUARD_PATTERN, '') }
+}
+
+/**
+ * Work out the listings an import would save, and what's wrong with each row
+ * Nothing is saved; the server runs the same preview before committing.
+ * @param {Array<Object>} records - Records from parseImportFile
+ * @param {Object} mapping - Column names keyed by field name
+ * @param {number} firstRow - Row number of the first record, for the report
+ * @returns {Object} { rows, validCount, errorCount }. Each row is
+ *   { rowNumber, externalRef, listing, errors }, where listing holds only the
+ *   mapped columns and errors are messages keyed by field name.
+ */
+export function previewImport(records, mapping, firstRow = 1) {
+  const mappedFields = IMPORT_FIELDS.filter(field => mapping[field.name])
+  const seenRefs = new Map()
+
+  const rows = records.map((record, index) => {
+    const rowNumber = firstRow + index
+    const values = {}
+    const errors = {}
+
+    mappedFields.forEach(field => {
+      const { value, error } = readCell(field, record[mapping[field.name]])
+      if (error) {
+        errors[field.name] = error
+      } else {
+        values[field.name] = value
+      }
+    })
+
+    // Fields with unreadable cells already have an error
+    Object.entries(validateListing(values)).forEach(([name, message]) => {
+      if (!errors[name]) errors[name] = message
+    })
+
+    const externalRef = values.external_ref || ''
+    if (!externalRef) {
+      errors.external_ref = `${EXTERNAL_REF_FIELD.label} is required`
+    } else if (externalRef.length > MAX_EXTERNAL_REF_LENGTH) {
+      errors.external_ref = `${EXTERNAL_REF_FIELD.label} can be up to ${MAX_EXTERNAL_REF_LENGTH} characters`
+    } else if (seenRefs.has(externalRef)) {
+      errors.external_ref = `${EXTERNAL_REF_FIELD.label} "${externalRef}" is also used on row ${seenRefs.get(externalRef)}`
+    } else {
+      seenRefs.set(externalRef, rowNumber)
+    }
+
+    // Only the mapped columns are saved, so re-importing leaves other columns as agents edited them
+    const typed = formValuesToListing(values)
+    const listing = { external_ref: externalRef }
+    mappedFields.forEach(field => {
+      if (field.name !== EXTERNAL_REF_FIELD.name) listing[field.name] = typed[field.name]
+    })
+
+    return { rowNumber, externalRef, listing, errors }
+  })
+
+  const errorCount = rows.filter(row => Object.keys(row.errors).length > 0).length
+  return { rows, validCount: rows.length - errorCount, errorCount }
+}
+
+/**
+ * Save an import (agents)
+ * The server checks the file again and saves every listing in one transaction,
+ * adding new references and updating the agent's listings with known ones.
+ * @param {Object} importData - Import to save
+ * @param {Array<Object>} importData.records - Records from parseImportFile
+ * @param {Object} importData.mapping - Column names keyed by field name
+ * @param {number} importData.firstRow - Row number of the first record
+ * @param {boolean} importData.skipInvalid - Save the valid rows even if others have errors
+ * @returns {Promise<Object>} Result with { created, updated, skipped } counts or error
+ */
+export async function commitImport({ records, mapping, firstRow, skipInvalid = false }) {
+  try {
+    const response = await fetch('/api/listings/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ records, mapping, firstRow, skipInvalid })
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { data: result, error: null }
+  } catch (error) {
+    console.error('Error in commitImport:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
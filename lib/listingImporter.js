@@ -0,0 +1,75 @@
+/**
+ * Commits bulk listing imports for PawsPlace
+ *
+ * Server only (the /api/listings/import route). Rows have already been checked
+ * with previewImport (lib/listingImport.js). Every listing is saved by a single
+ * upsert on (agent_id, branch_ref, external_ref): PostgREST runs it as one
+ * statement in one transaction, so either the whole import is saved or none of
+ * it is, and importing the same file again updates the listings instead of
+ * duplicating them.
+ * Database work runs as the signed-in agent, so row level security still applies.
+ * File imports have no branch (branch_ref ''); portal feeds (lib/portalImporter.js)
+ * keep each branch's listings apart.
+ */
+
+import { createUserClient } from './supabase'
+import { getLocationCoordinates } from './geo'
+import { canPublishListings } from './admin'
+
+/**
+ * Save imported listings for the signed-in agent
+ * New references become new listings; the agent's listings with a known
+ * reference are updated, keeping their listed date and archive state.
+ * @param {Object} session - Server session ({ user, profile, accessToken })
+ * @param {Array<Object>} listings - Listing rows from previewImport, each with an external_ref
+ * @returns {Promise<Object>} Result with { created, updated } or error (with status)
+ */
+export async function commitListingImport(session, listings) {
+  if (!canPublishListings(session.profile)) {
+    return { error: { status: 403, message: 'Your account must be approved before you can import listings' } }
+  }
+
+  try {
+    const client = createUserClient(session.accessToken)
+    const agentId = session.user.id
+
+    const { data: existing, error: existingError } = await client
+      .from('listings')
+      .select('external_ref, Listed')
+      .eq('agent_id', agentId)
+      .eq('branch_ref', '')
+      .not('external_ref', 'is', null)
+
+    if (existingError) {
+      console.error('Error loading imported listing references:', existingError)
+      return { error: { status: 500, message: existingError.message } }
+    }
+
+    const listedByRef = new Map(existing.map(listing => [listing.external_ref, listing.Listed]))
+    const now = new Date().toISOString()
+
+    // Ownership always comes from the session, never from the file
+    const rows = listings.map(({ id, agent_id, branch_ref, archived_at, unpublished_at, withdrawn_by_feed, Listed, ...columns }) => ({
+      ...columns,
+      ...('Location' in columns ? getLocationCoordinates(columns.Location) : {}),
+      agent_id: agentId,
+      branch_ref: '',
+      Listed: listedByRef.get(columns.external_ref) || now
+    }))
+
+    const { error } = await client
+      .from('listings')
+      .upsert(rows, { onConflict: 'agent_id,branch_ref,external_ref' })
+
+    if (error) {
+      console.error('Error saving listing import:', error)
+      return { error: { status: 500, message: error.message } }
+    }
+
+    const updated = rows.filter(row => listedByRef.has(row.external_ref)).length
+    return { data: { created: rows.length - updated, updated }, error: null }
+  } catch (error) {
+    console.error('Error in commitListingImport:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
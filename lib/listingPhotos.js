@@ -0,0 +1,170 @@
+/**
+ * Listing photo uploads for PawsPlace
+ *
+ * Server only (the /api/listings/[id]/photos route). Each upload is checked
+ * against its real contents, stripped of EXIF/GPS and other metadata
+ * (lib/imageProcessing.js), saved to the configured photo store
+ * (lib/photoStorage.js) and added to the end of the listing's gallery.
+ * Database work runs as the signed-in agent, so row level security still applies.
+ */
+
+import crypto from 'crypto'
+import { createUserClient } from './supabase'
+import { processImage } from './imageProcessing'
+import { getPhotoStorage } from './photoStorage'
+import {
+  PHOTO_TYPES,
+  MAX_PHOTOS_PER_LISTING,
+  MIN_PHOTO_WIDTH,
+  MIN_PHOTO_HEIGHT
+} from './photos'
+
+/**
+ * Check the signed-in agent owns a listing
+ * @returns {Promise<boolean>} True if they do
+ */
+async function ownsListing(client, listingId, agentId) {
+  const { data, error } = await client
+    .from('listings')
+    .select('id')
+    .eq('id', listingId)
+    .eq('agent_id', agentId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error checking listing owner:', error)
+  }
+
+  return Boolean(data)
+}
+
+/**
+ * Add a photo to the end of one of the agent's listings
+ * @param {Object} session - Server session ({ user, accessToken })
+ * @param {number|string} listingId - Listing ID
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Object} storage - Photo store (defaults to getPhotoStorage())
+ * @returns {Promise<Object>} Result with the new photo or error (with status)
+ */
+export async function addListingPhoto(session, listingId, buffer, storage = getPhotoStorage()) {
+  if (!storage) {
+    return { error: { status: 500, message: `Unknown photo storage "${process.env.PHOTO_STORAGE}"` } }
+  }
+
+  try {
+    const client = createUserClient(session.accessToken)
+
+    if (!await ownsListing(client, listingId, session.user.id)) {
+      return { error: { status: 404, message: 'Listing not found or you do not have permission to edit it' } }
+    }
+
+    const image = processImage(buffer)
+    if (!image) {
+      return {
+        error: { status: 415, message: `Please upload a ${PHOTO_TYPES.map(photoType => photoType.label).join(', ')} image` }
+      }
+    }
+
+    if (image.width < MIN_PHOTO_WIDTH || image.height < MIN_PHOTO_HEIGHT) {
+      return {
+        error: { status: 422, message: `Photos must be at least ${MIN_PHOTO_WIDTH} × ${MIN_PHOTO_HEIGHT} pixels` }
+      }
+    }
+
+    const { data: existing, error: existingError } = await client
+      .from('listing_photos')
+      .select('position')
+      .eq('listing_id', listingId)
+
+    if (existingError) {
+      console.error('Error loading listing photos:', existingError)
+      return { error: { status: 500, message: existingError.message } }
+    }
+
+    if (existing.length >= MAX_PHOTOS_PER_LISTING) {
+      return { error: { status: 422, message: `Listings can have up to ${MAX_PHOTOS_PER_LISTING} photos` } }
+    }
+
+    const extension = PHOTO_TYPES.find(photoType => photoType.type === image.type).extension
+    const path = `${session.user.id}/${listingId}/${crypto.randomUUID()}.${extension}`
+
+    try {
+      await storage.upload({ path, buffer: image.buffer, contentType: image.type, client })
+    } catch (error) {
+      console.error('Error storing listing photo:', error)
+      return { error: { status: 502, message: "Couldn't store the photo. Please try again." } }
+    }
+
+    const { data, error } = await client
+      .from('listing_photos')
+      .insert([{
+        listing_id: listingId,
+        agent_id: session.user.id,
+        storage_path: path,
+        url: storage.getPublicUrl(path),
+        caption: null,
+        position: Math.max(-1, ...existing.map(photo => photo.position)) + 1,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+
+    if (error) {
+      console.error('Error saving listing photo:', error)
+      // Don't leave an orphaned file behind
+      await storage.remove({ path, client }).catch(removeError => {
+        console.error('Error removing unsaved listing photo:', removeError)
+      })
+      return { error: { status: 500, message: error.message } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in addListingPhoto:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Delete a photo from one of the agent's listings, along with its stored file
+ * @param {Object} session - Server session ({ user, accessToken })
+ * @param {number|string} listingId - Listing ID
+ * @param {string} photoId - Photo ID
+ * @param {Object} storage - Photo store (defaults to getPhotoStorage())
+ * @returns {Promise<Object>} Result with error (with status), if any
+ */
+export async function removeListingPhoto(session, listingId, photoId, storage = getPhotoStorage()) {
+  if (!storage) {
+    return { error: { status: 500, message: `Unknown photo storage "${process.env.PHOTO_STORAGE}"` } }
+  }
+
+  try {
+    const client = createUserClient(session.accessToken)
+
+    const { data, error } = await client
+      .from('listing_photos')
+      .delete()
+      .eq('id', photoId)
+      .eq('listing_id', listingId)
+      .eq('agent_id', session.user.id)
+      .select('storage_path')
+
+    if (error) {
+      console.error('Error deleting listing photo:', error)
+      return { error: { status: 500, message: error.message } }
+    }
+
+    if (!data?.length) {
+      return { error: { status: 404, message: 'Photo not found or you do not have permission to delete it' } }
+    }
+
+    // The photo is already gone from the listing, so a failure here only leaves an unused file
+    await storage.remove({ path: data[0].storage_path, client }).catch(removeError => {
+      console.error('Error removing stored listing photo:', removeError)
+    })
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in removeListingPhoto:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
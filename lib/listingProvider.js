@@ -0,0 +1,454 @@
+/**
+ * Pluggable listings data provider for PawsPlace
+ *
+ * Public listing reads (search, detail pages, the shortlist) go through a
+ * provider. Choose one with NEXT_PUBLIC_LISTINGS_PROVIDER:
+ *   - 'supabase': the listings table (the default when Supabase is configured)
+ *   - 'fixture': demo listings from a JSON fixture (the default otherwise); the
+ *     bundled lib/fixtures/listings.json, or NEXT_PUBLIC_LISTINGS_FIXTURE_URL
+ *   - 'memory': an in-memory store, empty unless created in code with
+ *     createMemoryProvider(listings)
+ *
+ * Every provider method resolves to the same result shape, { data, error, demo }:
+ *   - data: the result, or null if there was an error. No results is an empty
+ *     list, and a listing that doesn't exist is null with no error.
+ *   - error: null, or { code, message } with a LISTING_ERRORS code, e.g. when
+ *     the database can't be reached. Providers never fall back to demo data.
+ *   - demo: true when the listings are demo data rather than real listings
+ */
+
+import { supabase, isSupabaseConfigured, getSiteUrl, toSearchPattern } from './supabase'
+import { DEFAULT_PAGE_SIZE, getColumnFilters, getSortOption, getSearchCentre, isListingPublic, queryListingsInMemory } from './listingCriteria'
+import { parseLocationQuery, getLocationSearchPatterns } from './locationSearch'
+import { parseKeywordQuery } from './keywordSearch'
+import { getBoundingBox } from './geo'
+import { PET_SIZES } from './petPolicy'
+import { sortPhotos } from './photos'
+import DEMO_FIXTURE from './fixtures/listings.json'
+
+export const LISTING_ERRORS = {
+  UNAVAILABLE: 'unavailable', // the provider couldn't be reached or failed
+  MISCONFIGURED: 'misconfigured', // NEXT_PUBLIC_LISTINGS_PROVIDER names no provider
+  INVALID: 'invalid' // the request can't be answered, e.g. an unknown property type
+}
+
+// Most listings a radius, location or relevance-sorted search considers; they are
+// filtered, ranked and sorted in memory. Searches with more candidates than this
+// come back marked truncated, so people can be asked to narrow them.
+export const MAX_IN_MEMORY_LISTINGS = 1000
+
+// Listing photos embedded in listing queries (see lib/photos.js)
+const PHOTO_COLUMNS = 'photos:listing_photos(id, url, caption, position, created_at)'
+
+// Agent contact details shown on the listing page
+const AGENT_COLUMNS = 'agent:profiles(first_name, last_name, full_name, agency, phone, email)'
+
+/**
+ * Select listings with only their cover photo, for listing cards
+ * @param {Object} query - Supabase query builder on 'listings' selecting PHOTO_COLUMNS
+ * @returns {Object} Query builder
+ */
+const withCoverPhoto = (query) => query
+  .order('position', { referencedTable: 'photos', ascending: true })
+  .limit(1, { referencedTable: 'photos' })
+
+/**
+ * Build a provider result
+ * @param {*} data - Result data
+ * @param {boolean} demo - Whether the data is demo data
+ * @returns {Object} { data, error: null, demo }
+ */
+const success = (data, demo) => ({ data, error: null, demo })
+
+/**
+ * Build a provider error result
+ * @param {string} code - LISTING_ERRORS code
+ * @param {string} message - What went wrong, for people
+ * @param {boolean} demo - Whether the provider serves demo data
+ * @returns {Object} { data: null, error: { code, message }, demo }
+ */
+const failure = (code, message, demo) => ({ data: null, error: { code, message }, demo })
+
+const unavailable = () => failure(LISTING_ERRORS.UNAVAILABLE, 'Listings are unavailable right now. Please try again shortly.', false)
+
+/**
+ * Build a Supabase query for public listings matching a criteria object
+ * Mirrors matchesCriteria/sortListings in lib/listingCriteria.js.
+ * @param {Object} criteria - Search criteria (see lib/listingCriteria.js)
+ * @returns {Object} Supabase query builder (not yet paginated)
+ */
+export function buildListingsQuery(criteria = {}) {
+  let query = withCoverPhoto(supabase
+    .from('listings')
+    .select(`*, ${PHOTO_COLUMNS}`, { count: 'exact' })
+    .is('archived_at', null)
+    .is('unpublished_at', null))
+
+  // Location search: a cheap first filter on substrings any match contains
+  // ('Clapham' also looks for SW4); matches are scored and ranked in memory
+  const patterns = getLocationSearchPatterns(parseLocationQuery(criteria.searchTerm))
+    .map(toSearchPattern)
+    .filter(Boolean)
+  if (patterns.length > 0) {
+    query = query.or(patterns.map(pattern => `Location.ilike.${pattern}`).join(','))
+  }
+
+  // Keywords: Postgres full-text search with stemming (see lib/keywordSearch.js)
+  if (parseKeywordQuery(criteria.keywords)) {
+    query = query.textSearch('search_vector', criteria.keywords.trim(), { type: 'websearch', config: 'english' })
+  }
+
+  // Range filters and feature toggles, e.g. Rent <= 2500, Garden = true
+  getColumnFilters(criteria).forEach(({ column, operator, value }) => {
+    query = query[operator](column, value)
+  })
+
+  // Pet policy: every pet filter implies the listing accepts some pets
+  const { petFriendly, petSpecies, petCount, petSize } = criteria
+  if (petFriendly || petSpecies || petCount || petSize) {
+    query = query.neq('PetsAllowed', '{}')
+  }
+  if (petSpecies) {
+    query = query.contains('PetsAllowed', [petSpecies])
+  }
+  if (petCount) {
+    query = query.or(`MaxPets.is.null,MaxPets.gte.${Number(petCount)}`)
+  }
+  if (petSize) {
+    const sizes = PET_SIZES.map(size => size.value)
+    const acceptedSizes = sizes.slice(sizes.indexOf(petSize))
+    query = query.or(`MaxPetSize.is.null,MaxPetSize.in.(${acceptedSizes.join(',')})`)
+  }
+
+  // Radius search: only listings inside the circle's bounding box, plus any not yet
+  // geocoded, whose Location is checked in memory (see queryListings)
+  const centre = getSearchCentre(criteria)
+  if (centre && criteria.radius) {
+    const { minLat, maxLat, minLng, maxLng } = getBoundingBox(centre, Number(criteria.radius))
+    query = query.or(`latitude.is.null,and(latitude.gte.${minLat},latitude.lte.${maxLat},longitude.gte.${minLng},longitude.lte.${maxLng})`)
+  }
+
+  // Distance and relevance sorts are applied in memory
+  const { column, ascending, nearby, keywords } = getSortOption(criteria.sortBy)
+  if (!nearby && !keywords) {
+    query = query.order(column, { ascending, nullsFirst: false })
+  }
+
+  return query.order('id', { ascending: true }) // Stable ordering so pages never overlap
+}
+
+/**
+ * Listings from the Supabase listings table
+ */
+const supabaseProvider = {
+  async queryListings(criteria = {}, { page = 0, pageSize = DEFAULT_PAGE_SIZE, locationRanking = true } = {}) {
+    try {
+      // Distances, location match precision and relevance can't be worked out in the database,
+      // so these searches load every candidate and finish filtering, sorting and paging in memory
+      const rankedByRelevance = getSortOption(criteria.sortBy).keywords && parseKeywordQuery(criteria.keywords)
+      if (getSearchCentre(criteria) || criteria.searchTerm?.trim() || rankedByRelevance) {
+        const { data, count, error } = await buildListingsQuery(criteria).limit(MAX_IN_MEMORY_LISTINGS)
+
+        if (error) {
+          console.error('Error querying listings in memory:', error)
+          return unavailable()
+        }
+
+        // Candidates past the cap were never ranked, so matches may be missing
+        const truncated = (count || 0) > (data || []).length
+        return success({ ...queryListingsInMemory(data || [], criteria, { page, pageSize, locationRanking }), truncated }, false)
+      }
+
+      const from = page * pageSize
+      const { data, count, error } = await buildListingsQuery(criteria)
+        .range(from, from + pageSize - 1)
+
+      if (error) {
+        console.error('Error querying listings:', error)
+        return unavailable()
+      }
+
+      return success({ listings: data || [], total: count || 0, truncated: false }, false)
+    } catch (error) {
+      console.error('Error in queryListings:', error)
+      return unavailable()
+    }
+  },
+
+  async fetchListings() {
+    try {
+      const { data, error } = await supabase
+        .from('listings')
+        .select('*')
+        .is('archived_at', null) // Archived and unpublished listings are hidden from the public site
+        .is('unpublished_at', null)
+        .order('Listed', { ascending: false }) // Show newest listings first by default
+
+      if (error) {
+        console.error('Error fetching listings:', error)
+        return unavailable()
+      }
+
+      return success(data || [], false)
+    } catch (error) {
+      console.error('Error in fetchListings:', error)
+      return unavailable()
+    }
+  },
+
+  async fetchListingById(listingId) {
+    try {
+      const { data, error } = await supabase
+        .from('listings')
+        .select(`*, ${AGENT_COLUMNS}, ${PHOTO_COLUMNS}`)
+        .eq('id', listingId)
+        .is('archived_at', null)
+        .is('unpublished_at', null)
+        .maybeSingle()
+
+      if (error) {
+        console.error('Error fetching listing:', error)
+        return unavailable()
+      }
+
+      return success(data && { ...data, photos: sortPhotos(data.photos) }, false)
+    } catch (error) {
+      console.error('Error in fetchListingById:', error)
+      return unavailable()
+    }
+  },
+
+  async fetchListingsByIds(ids) {
+    if (!ids.length) {
+      return success([], false)
+    }
+
+    try {
+      const { data, error } = await withCoverPhoto(supabase
+        .from('listings')
+        .select(`*, ${PHOTO_COLUMNS}`)
+        .in('id', ids))
+
+      if (error) {
+        console.error('Error fetching listings by ID:', error)
+        return unavailable()
+      }
+
+      return success(data || [], false)
+    } catch (error) {
+      console.error('Error in fetchListingsByIds:', error)
+      return unavailable()
+    }
+  }
+}
+
+/**
+ * Create a provider that serves listings held in memory, filtered and sorted
+ * exactly like the database (see queryListingsInMemory)
+ * @param {Array} listings - Listing rows
+ * @param {Object} options - Provider options
+ * @param {Object} options.agent - Agent contact details shown with every listing
+ * @param {boolean} options.demo - Whether the listings are demo data
+ * @returns {Object} Provider
+ */
+export function createMemoryProvider(listings = [], { agent = null, demo = true } = {}) {
+  return {
+    async queryListings(criteria = {}, { page = 0, pageSize = DEFAULT_PAGE_SIZE, locationRanking = true } = {}) {
+      return success({ ...queryListingsInMemory(listings, criteria, { page, pageSize, locationRanking }), truncated: false }, demo)
+    },
+
+    async fetchListings() {
+      const { listings: newest } = queryListingsInMemory(listings, { sortBy: 'newest' }, { pageSize: listings.length })
+      return success(newest, demo)
+    },
+
+    async fetchListingById(listingId) {
+      const listing = listings.find(item => String(item.id) === String(listingId) && isListingPublic(item))
+      return success(listing ? { ...listing, agent, photos: sortPhotos(listing.photos) } : null, demo)
+    },
+
+    async fetchListingsByIds(ids) {
+      const wanted = ids.map(String)
+      return success(listings.filter(listing => wanted.includes(String(listing.id))), demo)
+    }
+  }
+}
+
+/**
+ * Create a provider that serves demo listings from a JSON fixture of
+ * { agent, listings }, loaded on first use
+ * @param {Function} loadFixture - Resolves to the fixture; may throw
+ * @returns {Object} Provider
+ */
+export function createFixtureProvider(loadFixture) {
+  let loading = null
+
+  // Load once; a failed load is retried on the next call
+  const load = () => {
+    loading = loading || Promise.resolve().then(loadFixture).then(
+      fixture => createMemoryProvider(fixture.listings || [], { agent: fixture.agent || null, demo: true }),
+      error => {
+        loading = null
+        throw error
+      }
+    )
+    return loading
+  }
+
+  const withFixture = (method) => async (...args) => {
+    try {
+      const provider = await load()
+      return provider[method](...args)
+    } catch (error) {
+      console.error('Error loading listings fixture:', error)
+      return failure(LISTING_ERRORS.UNAVAILABLE, 'The demo listings couldn\'t be loaded.', true)
+    }
+  }
+
+  return {
+    queryListings: withFixture('queryListings'),
+    fetchListings: withFixture('fetchListings'),
+    fetchListingById: withFixture('fetchListingById'),
+    fetchListingsByIds: withFixture('fetchListingsByIds')
+  }
+}
+
+/**
+ * Load the JSON fixture at NEXT_PUBLIC_LISTINGS_FIXTURE_URL, or the bundled demo fixture
+ * @returns {Promise<Object>} Fixture as { agent, listings }
+ */
+async function loadConfiguredFixture() {
+  const url = process.env.NEXT_PUBLIC_LISTINGS_FIXTURE_URL
+  if (!url) {
+    return DEMO_FIXTURE
+  }
+
+  // Relative URLs, e.g. '/fixtures/listings.json' in /public, are on this site
+  const response = await fetch(new URL(url, getSiteUrl()))
+  if (!response.ok) {
+    throw new Error(`Fixture request failed with status ${response.status}`)
+  }
+  return response.json()
+}
+
+// Available providers, keyed by NEXT_PUBLIC_LISTINGS_PROVIDER value
+export const LISTING_PROVIDERS = {
+  supabase: supabaseProvider,
+  fixture: createFixtureProvider(loadConfiguredFixture),
+  memory: createMemoryProvider()
+}
+
+/**
+ * Get the configured listings provider
+ * @param {string} providerName - Provider to use (defaults to NEXT_PUBLIC_LISTINGS_PROVIDER,
+ *   then 'supabase' if Supabase is configured, or 'fixture' if not)
+ * @returns {Object} Provider, or null if the name is unknown
+ */
+export function getListingProvider(
+  providerName = process.env.NEXT_PUBLIC_LISTINGS_PROVIDER || (isSupabaseConfigured() ? 'supabase' : 'fixture')
+) {
+  return LISTING_PROVIDERS[providerName] || null
+}
+
+/**
+ * Call a method on the configured provider
+ * @param {string} method - Provider method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<Object>} { data, error, demo }
+ */
+async function callProvider(method, ...args) {
+  const provider = getListingProvider()
+  if (!provider) {
+    return failure(LISTING_ERRORS.MISCONFIGURED, `Unknown listings provider "${process.env.NEXT_PUBLIC_LISTINGS_PROVIDER}"`, false)
+  }
+  return provider[method](...args)
+}
+
+/**
+ * Fetch one page of public listings matching a criteria object
+ * @param {Object} criteria - Search criteria (see lib/listingCriteria.js)
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Zero-based page number
+ * @param {number} options.pageSize - Listings per page
+ * @param {boolean} options.locationRanking - False to list location matches in the sort order
+ *   alone, rather than the most precise matches first
+ * @returns {Promise<Object>} { data, error, demo }; data is { listings, total, truncated } for the
+ *   requested page, where truncated means the search had more than MAX_IN_MEMORY_LISTINGS
+ *   candidates to rank, so total and the results may be missing matches
+ */
+export function queryListings(criteria = {}, { page = 0, pageSize = DEFAULT_PAGE_SIZE, locationRanking = true } = {}) {
+  return callProvider('queryListings', criteria, { page, pageSize, locationRanking })
+}
+
+/**
+ * Fetch every public listing, newest first
+ * @returns {Promise<Object>} { data, error, demo }; data is an array of listings
+ */
+export function fetchListings() {
+  return callProvider('fetchListings')
+}
+
+/**
+ * Check whether a value from a URL can be a listing ID (a positive whole number)
+ * The database rejects anything else, which would look like an outage.
+ * @param {*} value - Value from the URL, e.g. params.id
+ * @returns {boolean} True if it can be a listing ID
+ */
+export function isListingId(value) {
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value) && Number.isSafeInteger(Number(value))
+}
+
+/**
+ * Fetch a single public listing with its agent's contact details and photos
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} { data, error, demo }; data is the listing (with 'agent' and
+ *   sorted 'photos' properties), or null if there's no such public listing
+ */
+export function fetchListingById(listingId) {
+  return callProvider('fetchListingById', listingId)
+}
+
+/**
+ * Fetch several listings by ID, including archived ones
+ * Used by the shortlist to spot listings that have since been removed.
+ * @param {Array<number|string>} ids - Listing IDs
+ * @returns {Promise<Object>} { data, error, demo }; data is the listings that still exist
+ *   (archived ones have archived_at set, and ones unpublished by an admin unpublished_at)
+ */
+export function fetchListingsByIds(ids) {
+  return callProvider('fetchListingsByIds', ids)
+}
+
+/**
+ * Search listings by location: a postcode, outcode, London area or text
+ * (see lib/locationSearch.js), best match first, then newest
+ * @param {string} searchTerm - The location search term
+ * @returns {Promise<Object>} { data, error, demo }; data is an array of matching listings
+ */
+export async function searchListingsByLocation(searchTerm) {
+  const { data, error, demo } = await queryListings({ searchTerm, sortBy: 'newest' }, { pageSize: MAX_IN_MEMORY_LISTINGS })
+  return { data: data && data.listings, error, demo }
+}
+
+// Criteria for each property type understood by filterListingsByType
+const PROPERTY_TYPE_CRITERIA = {
+  studio: { maxBedrooms: 0 },
+  flat: { minBedrooms: 1 },
+  'house-share': { houseShare: true }
+}
+
+/**
+ * Filter listings by property type, newest first
+ * @param {string} propertyType - 'studio', 'flat' or 'house-share'
+ * @returns {Promise<Object>} { data, error, demo }; data is an array of listings, or
+ *   null with an error for an unknown type
+ */
+export async function filterListingsByType(propertyType) {
+  const typeCriteria = PROPERTY_TYPE_CRITERIA[propertyType]
+  if (!typeCriteria) {
+    return failure(LISTING_ERRORS.INVALID, `Unknown property type "${propertyType}"`, false)
+  }
+
+  const { data, error, demo } = await queryListings({ ...typeCriteria, sortBy: 'newest' }, { pageSize: MAX_IN_MEMORY_LISTINGS })
+  return { data: data && data.listings, error, demo }
+}
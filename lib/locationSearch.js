@@ -0,0 +1,306 @@
+/**
+ * UK postcode-aware location search for PawsPlace
+ *
+ * The homepage location search term is parsed (parseLocationQuery) as one of:
+ *   - a full postcode in any format, e.g. 'sw47aa' or 'SW4 7AA'
+ *   - an outcode, e.g. 'sw4'
+ *   - a London area, e.g. 'Clapham' or the typo 'Claphm', which covers SW4
+ *     through the LONDON_AREAS alias table in lib/londonPostcodes.js
+ *   - anything else, matched as text within the Location
+ * Each listing's Location is then scored by how precisely it matches
+ * (LOCATION_MATCH), and results are ranked best match first.
+ */
+
+import { LONDON_AREAS } from './londonPostcodes'
+import { KNOWN_OUTCODES, normalisePlaceName } from './geo'
+
+// How precisely a listing's Location matches a search, best last
+export const LOCATION_MATCH = {
+  NONE: 0,
+  TEXT: 1, // the search text appears in the Location
+  DISTRICT: 2, // same postcode district (SW1 and SW1A), or partly matches an area
+  OUTCODE: 3, // same outcode, or an area's name and outcode
+  POSTCODE: 4 // same full postcode
+}
+
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})?$/
+const LOCATION_POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)(?:\s*(\d[A-Z]{2}))?\b/g
+
+/**
+ * Postcode district of an outcode, e.g. 'SW1' for 'SW1A'
+ * @param {string} outcode - Outcode in capitals
+ * @returns {string} District
+ */
+const toDistrict = (outcode) => outcode.replace(/^([A-Z]{1,2}\d)[A-Z]$/, '$1')
+
+/**
+ * Compare two outcodes
+ * @returns {number} LOCATION_MATCH.OUTCODE, DISTRICT or NONE
+ */
+function compareOutcodes(a, b) {
+  if (a === b) return LOCATION_MATCH.OUTCODE
+  return toDistrict(a) === toDistrict(b) ? LOCATION_MATCH.DISTRICT : LOCATION_MATCH.NONE
+}
+
+/**
+ * Edit distance between two strings, for forgiving typos in area names
+ * @returns {number} Insertions, deletions and substitutions needed
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// Typos forgiven in an area name of this length: none for short names, up to two for long ones
+const allowedTypos = (name) => Math.min(2, Math.floor(name.length / 5))
+
+// Every name an area can be searched by, normalised
+const AREA_NAMES = LONDON_AREAS.flatMap(area =>
+  [area.name, ...(area.aliases || [])].map(name => ({ area, name, key: normalisePlaceName(name) }))
+)
+
+/**
+ * Parse and normalise a UK postcode or outcode
+ * @param {string} text - e.g. 'sw47aa', 'SW4 7AA' or 'sw4'
+ * @returns {Object|null} { outcode, postcode } (postcode null for an outcode), or null if it isn't one
+ */
+export function normalisePostcode(text = '') {
+  const match = String(text).toUpperCase().replace(/\s+/g, '').match(POSTCODE_PATTERN)
+  if (!match) return null
+
+  return { outcode: match[1], postcode: match[2] ? `${match[1]} ${match[2]}` : null }
+}
+
+/**
+ * Find the London area a search names, forgiving small typos
+ * @param {string} text - e.g. 'Clapham', "kings cross" or 'Hackny'
+ * @returns {Object|null} Entry from LONDON_AREAS, or null if no area is close enough
+ */
+export function findArea(text = '') {
+  const key = normalisePlaceName(text)
+  if (!key) return null
+
+  const exact = AREA_NAMES.find(entry => entry.key === key)
+  if (exact) return exact.area
+
+  const [closest] = AREA_NAMES
+    .map(entry => ({ ...entry, distance: editDistance(key, entry.key) }))
+    .filter(entry => entry.distance <= allowedTypos(entry.key))
+    .sort((a, b) => a.distance - b.distance)
+
+  return closest?.area || null
+}
+
+// The last parsed search, as matching calls parseLocationQuery once per listing
+let lastQuery = { term: null, query: null }
+
+/**
+ * Parse a location search term
+ * @param {string} term - Search term from the search bar
+ * @returns {Object|null} { type: 'postcode'|'outcode'|'area'|'text', text, outcodes, postcode?, area? },
+ *                        or null for an empty search
+ */
+export function parseLocationQuery(term) {
+  const text = term?.trim()
+  if (!text) return null
+  if (lastQuery.term === text) return lastQuery.query
+
+  const postcode = normalisePostcode(text)
+  const area = !postcode && findArea(text)
+
+  let query
+  if (postcode) {
+    query = { type: postcode.postcode ? 'postcode' : 'outcode', text, outcodes: [postcode.outcode], postcode: postcode.postcode }
+  } else if (area) {
+    query = { type: 'area', text, outcodes: area.outcodes, area }
+  } else {
+    query = { type: 'text', text, outcodes: [] }
+  }
+
+  lastQuery = { term: text, query }
+  return query
+}
+
+/**
+ * Read the postcode (or just the outcode) from a listing's Location
+ * @param {string} location - e.g. 'Clapham, SW4' or '12 High Street, SW4 7AA'
+ * @returns {Object|null} { outcode, postcode }, or null if it has neither
+ */
+export function readLocationPostcode(location = '') {
+  const matches = [...String(location).toUpperCase().matchAll(LOCATION_POSTCODE_PATTERN)]
+  const last = matches[matches.length - 1]
+  if (!last) return null
+
+  return { outcode: last[1], postcode: last[2] ? `${last[1]} ${last[2]}` : null }
+}
+
+/**
+ * Score how precisely a listing's Location matches a parsed search
+ * @param {string} location - Listing Location
+ * @param {Object} query - Result of parseLocationQuery
+ * @returns {number} A LOCATION_MATCH value; NONE means the listing doesn't match
+ */
+export function scoreLocationMatch(location, query) {
+  if (!query) return LOCATION_MATCH.TEXT
+  if (!location) return LOCATION_MATCH.NONE
+
+  // Free text may be part of a word ('clap' finds Clapham); postcodes and areas are
+  // matched as whole words, so N1 doesn't find EN1 or N10
+  if (query.type === 'text') {
+    return location.toLowerCase().includes(query.text.toLowerCase()) ? LOCATION_MATCH.TEXT : LOCATION_MATCH.NONE
+  }
+
+  const listingPostcode = readLocationPostcode(location)
+  const words = ` ${normalisePlaceName(location)} `
+  const containsWords = (text) => words.includes(` ${normalisePlaceName(text)} `)
+
+  if (query.type === 'area') {
+    const namedInLocation = [query.area.name, ...(query.area.aliases || [])].some(containsWords)
+    // An area's whole-district outcode such as W1 covers W1T
+    const inOutcodes = Boolean(listingPostcode) && query.outcodes.some(outcode =>
+      listingPostcode.outcode === outcode || toDistrict(listingPostcode.outcode) === outcode
+    )
+
+    if (namedInLocation && inOutcodes) return LOCATION_MATCH.OUTCODE
+    if (namedInLocation || inOutcodes) return LOCATION_MATCH.DISTRICT
+    return containsWords(query.text) ? LOCATION_MATCH.TEXT : LOCATION_MATCH.NONE
+  }
+
+  if (query.postcode && listingPostcode?.postcode === query.postcode) {
+    return LOCATION_MATCH.POSTCODE
+  }
+
+  const outcodeMatch = listingPostcode ? compareOutcodes(listingPostcode.outcode, query.outcodes[0]) : LOCATION_MATCH.NONE
+  return outcodeMatch || (containsWords(query.text) ? LOCATION_MATCH.TEXT : LOCATION_MATCH.NONE)
+}
+
+/**
+ * Rank listings by how precisely they match a location search, best first
+ * The sort is stable, so listings that match equally keep their order.
+ * @param {Array} listings - Listing rows, already in the chosen sort order
+ * @param {Object} query - Result of parseLocationQuery
+ * @returns {Array} New ranked array
+ */
+export function rankByLocationMatch(listings, query) {
+  return listings
+    .map(listing => ({ listing, score: scoreLocationMatch(listing.Location, query) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ listing }) => listing)
+}
+
+/**
+ * Location substrings that any matching listing contains, for a cheap first
+ * filter in the database; scoreLocationMatch then decides
+ * @param {Object} query - Result of parseLocationQuery
+ * @returns {Array<string>} Substrings, any of which may match
+ */
+export function getLocationSearchPatterns(query) {
+  if (!query) return []
+
+  const patterns = query.type === 'text' ? [query.text] : []
+  query.outcodes.forEach(outcode => patterns.push(toDistrict(outcode)))
+
+  if (query.type === 'area') {
+    [query.area.name, ...(query.area.aliases || [])].forEach(name => {
+      patterns.push(name, name.replace(/'/g, ''))
+    })
+  }
+
+  return [...new Set(patterns)]
+}
+
+/**
+ * Describe what a location search was understood as
+ * @param {Object} query - Result of parseLocationQuery
+ * @returns {string} e.g. 'SW4 7AA', 'Clapham (SW4)' or the search text
+ */
+export function describeLocationQuery(query) {
+  if (query.type === 'postcode') return query.postcode
+  if (query.type === 'outcode') return query.outcodes[0]
+  if (query.type === 'area') return `${query.area.name} (${query.outcodes.join(', ')})`
+  return query.text
+}
+
+/**
+ * Names of the areas an outcode covers, e.g. 'Clapham' for SW4
+ * @param {string} outcode - Outcode in capitals
+ * @returns {string} Up to three area names, comma separated
+ */
+function getAreaNames(outcode) {
+  // Whole districts count both ways: W1 covers W1T, and SW1 takes in Pimlico's SW1V
+  const covers = (areaOutcode) => areaOutcode === outcode ||
+    areaOutcode === toDistrict(outcode) ||
+    toDistrict(areaOutcode) === outcode
+
+  return LONDON_AREAS
+    .filter(area => area.outcodes.some(covers))
+    .slice(0, 3)
+    .map(area => area.name)
+    .join(', ')
+}
+
+// Order outcodes naturally: SW1, SW1A, SW2, ... SW10
+const outcodeOrder = (a, b) => {
+  const [, areaA, numberA, suffixA] = a.match(/^([A-Z]+)(\d+)([A-Z]?)$/)
+  const [, areaB, numberB, suffixB] = b.match(/^([A-Z]+)(\d+)([A-Z]?)$/)
+  return areaA.localeCompare(areaB) || Number(numberA) - Number(numberB) || suffixA.localeCompare(suffixB)
+}
+
+/**
+ * Autocomplete suggestions for the location search, from known outcodes and areas
+ * @param {string} input - What has been typed so far
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array<Object>} Suggestions as { value, label, detail }
+ */
+export function getLocationSuggestions(input = '', limit = 8) {
+  const text = input.trim()
+  if (text.length < 2) return []
+
+  // A full postcode: offer it tidied up, e.g. 'sw47aa' → 'SW4 7AA'
+  const postcode = normalisePostcode(text)
+  if (postcode?.postcode) {
+    return [{ value: postcode.postcode, label: postcode.postcode, detail: getAreaNames(postcode.outcode) }]
+  }
+
+  // The start of an outcode, e.g. 'sw1' → SW1, SW1A ... SW10 ...
+  const compact = text.toUpperCase().replace(/\s+/g, '')
+  if (/^[A-Z]{1,2}\d/.test(compact)) {
+    return KNOWN_OUTCODES
+      .filter(outcode => outcode.startsWith(compact))
+      .sort(outcodeOrder)
+      .slice(0, limit)
+      .map(outcode => ({ value: outcode, label: outcode, detail: getAreaNames(outcode) }))
+  }
+
+  // Area names that start with, contain or nearly match what's been typed
+  const key = normalisePlaceName(text)
+  if (!key) return []
+
+  const rank = ({ key: name }) => {
+    if (name.startsWith(key)) return 0
+    if (name.includes(` ${key}`)) return 1
+    if (name.includes(key)) return 2
+    const prefix = name.slice(0, key.length)
+    return key.length >= 4 && editDistance(key, prefix) <= allowedTypos(key) ? 3 : null
+  }
+
+  return AREA_NAMES
+    .map(entry => ({ ...entry, rank: rank(entry) }))
+    .filter(entry => entry.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ area, name }) => ({ value: name, label: name, detail: area.outcodes.join(', ') }))
+}
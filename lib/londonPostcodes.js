@@ -0,0 +1,520 @@
+/**
+ * London postcode centroid dataset for PawsPlace
+ *
+ * Bundled with the app so listings and searches can be geocoded without an
+ * external service (see lib/geo.js). Coordinates are [latitude, longitude]
+ * centroids of each postcode district (outcode), rounded to about 100 m.
+ * Full postcodes resolve to their outcode, which is precise enough for a
+ * radius search but not for a front door.
+ *
+ * Covers every inner London district (E, EC, N, NW, SE, SW, W, WC) and the
+ * outer London districts within the M25. Subdivided districts such as SW1A
+ * or EC2M are listed individually; lib/geo.js averages them so "SW1" or
+ * "EC2" on their own still resolve.
+ *
+ * LONDON_AREAS maps area names to the outcodes they cover, for location
+ * search and autocomplete (lib/locationSearch.js).
+ */
+
+export const OUTCODE_CENTROIDS = {
+  // East
+  E1: [51.5175, -0.0600],
+  E1W: [51.5075, -0.0580],
+  E2: [51.5290, -0.0600],
+  E3: [51.5280, -0.0240],
+  E4: [51.6250, -0.0020],
+  E5: [51.5590, -0.0530],
+  E6: [51.5280, 0.0550],
+  E7: [51.5470, 0.0260],
+  E8: [51.5430, -0.0650],
+  E9: [51.5420, -0.0430],
+  E10: [51.5680, -0.0120],
+  E11: [51.5700, 0.0120],
+  E12: [51.5500, 0.0540],
+  E13: [51.5240, 0.0240],
+  E14: [51.5060, -0.0200],
+  E15: [51.5400, 0.0010],
+  E16: [51.5100, 0.0250],
+  E17: [51.5860, -0.0190],
+  E18: [51.5920, 0.0270],
+  E20: [51.5430, -0.0150],
+
+  // East Central
+  EC1A: [51.5180, -0.0990],
+  EC1M: [51.5210, -0.1020],
+  EC1N: [51.5190, -0.1090],
+  EC1R: [51.5250, -0.1080],
+  EC1V: [51.5270, -0.0980],
+  EC1Y: [51.5230, -0.0900],
+  EC2A: [51.5230, -0.0810],
+  EC2M: [51.5170, -0.0820],
+  EC2N: [51.5150, -0.0850],
+  EC2R: [51.5140, -0.0900],
+  EC2V: [51.5150, -0.0940],
+  EC2Y: [51.5190, -0.0940],
+  EC3A: [51.5150, -0.0790],
+  EC3M: [51.5120, -0.0810],
+  EC3N: [51.5110, -0.0760],
+  EC3R: [51.5100, -0.0840],
+  EC3V: [51.5130, -0.0860],
+  EC4A: [51.5150, -0.1080],
+  EC4M: [51.5140, -0.1010],
+  EC4N: [51.5120, -0.0930],
+  EC4R: [51.5110, -0.0920],
+  EC4V: [51.5120, -0.0990],
+  EC4Y: [51.5130, -0.1090],
+
+  // North
+  N1: [51.5380, -0.0970],
+  N2: [51.5880, -0.1660],
+  N3: [51.6000, -0.1930],
+  N4: [51.5700, -0.1030],
+  N5: [51.5530, -0.0980],
+  N6: [51.5710, -0.1470],
+  N7: [51.5530, -0.1170],
+  N8: [51.5850, -0.1180],
+  N9: [51.6270, -0.0580],
+  N10: [51.5920, -0.1450],
+  N11: [51.6150, -0.1400],
+  N12: [51.6150, -0.1760],
+  N13: [51.6200, -0.1030],
+  N14: [51.6330, -0.1280],
+  N15: [51.5810, -0.0800],
+  N16: [51.5620, -0.0760],
+  N17: [51.5960, -0.0690],
+  N18: [51.6140, -0.0690],
+  N19: [51.5650, -0.1300],
+  N20: [51.6300, -0.1770],
+  N21: [51.6340, -0.0990],
+  N22: [51.5990, -0.1120],
+
+  // North West
+  NW1: [51.5330, -0.1450],
+  NW2: [51.5600, -0.2200],
+  NW3: [51.5530, -0.1700],
+  NW4: [51.5890, -0.2240],
+  NW5: [51.5540, -0.1420],
+  NW6: [51.5420, -0.1950],
+  NW7: [51.6150, -0.2400],
+  NW8: [51.5320, -0.1720],
+  NW9: [51.5870, -0.2550],
+  NW10: [51.5420, -0.2450],
+  NW11: [51.5780, -0.1970],
+
+  // South East
+  SE1: [51.5010, -0.0940],
+  SE2: [51.4900, 0.1170],
+  SE3: [51.4690, 0.0180],
+  SE4: [51.4620, -0.0330],
+  SE5: [51.4740, -0.0920],
+  SE6: [51.4390, -0.0190],
+  SE7: [51.4840, 0.0340],
+  SE8: [51.4800, -0.0290],
+  SE9: [51.4480, 0.0560],
+  SE10: [51.4820, -0.0050],
+  SE11: [51.4890, -0.1100],
+  SE12: [51.4460, 0.0220],
+  SE13: [51.4580, -0.0110],
+  SE14: [51.4760, -0.0430],
+  SE15: [51.4700, -0.0650],
+  SE16: [51.4960, -0.0510],
+  SE17: [51.4880, -0.0930],
+  SE18: [51.4860, 0.0710],
+  SE19: [51.4180, -0.0850],
+  SE20: [51.4110, -0.0570],
+  SE21: [51.4420, -0.0880],
+  SE22: [51.4560, -0.0700],
+  SE23: [51.4420, -0.0480],
+  SE24: [51.4540, -0.1000],
+  SE25: [51.3980, -0.0740],
+  SE26: [51.4290, -0.0550],
+  SE27: [51.4310, -0.1010],
+  SE28: [51.5020, 0.1170],
+
+  // South West
+  SW1A: [51.5030, -0.1350],
+  SW1E: [51.4980, -0.1400],
+  SW1H: [51.4990, -0.1320],
+  SW1P: [51.4950, -0.1300],
+  SW1V: [51.4900, -0.1400],
+  SW1W: [51.4930, -0.1500],
+  SW1X: [51.4980, -0.1560],
+  SW1Y: [51.5070, -0.1340],
+  SW2: [51.4500, -0.1200],
+  SW3: [51.4910, -0.1660],
+  SW4: [51.4620, -0.1380],
+  SW5: [51.4900, -0.1900],
+  SW6: [51.4760, -0.2000],
+  SW7: [51.4960, -0.1770],
+  SW8: [51.4780, -0.1300],
+  SW9: [51.4680, -0.1130],
+  SW10: [51.4830, -0.1820],
+  SW11: [51.4650, -0.1640],
+  SW12: [51.4450, -0.1480],
+  SW13: [51.4740, -0.2430],
+  SW14: [51.4650, -0.2660],
+  SW15: [51.4560, -0.2200],
+  SW16: [51.4200, -0.1270],
+  SW17: [51.4300, -0.1650],
+  SW18: [51.4500, -0.1900],
+  SW19: [51.4200, -0.2000],
+  SW20: [51.4100, -0.2250],
+
+  // West
+  W1B: [51.5130, -0.1400],
+  W1C: [51.5150, -0.1510],
+  W1D: [51.5130, -0.1320],
+  W1F: [51.5130, -0.1360],
+  W1G: [51.5190, -0.1480],
+  W1H: [51.5170, -0.1610],
+  W1J: [51.5060, -0.1440],
+  W1K: [51.5110, -0.1520],
+  W1S: [51.5110, -0.1420],
+  W1T: [51.5200, -0.1360],
+  W1U: [51.5190, -0.1550],
+  W1W: [51.5200, -0.1410],
+  W2: [51.5140, -0.1830],
+  W3: [51.5120, -0.2700],
+  W4: [51.4920, -0.2610],
+  W5: [51.5130, -0.3040],
+  W6: [51.4930, -0.2280],
+  W7: [51.5100, -0.3350],
+  W8: [51.5010, -0.1930],
+  W9: [51.5270, -0.1900],
+  W10: [51.5210, -0.2130],
+  W11: [51.5130, -0.2040],
+  W12: [51.5080, -0.2350],
+  W13: [51.5140, -0.3190],
+  W14: [51.4950, -0.2090],
+
+  // West Central
+  WC1A: [51.5170, -0.1260],
+  WC1B: [51.5190, -0.1260],
+  WC1E: [51.5210, -0.1320],
+  WC1H: [51.5260, -0.1270],
+  WC1N: [51.5230, -0.1200],
+  WC1R: [51.5190, -0.1160],
+  WC1V: [51.5180, -0.1190],
+  WC1X: [51.5270, -0.1170],
+  WC2A: [51.5160, -0.1130],
+  WC2B: [51.5150, -0.1210],
+  WC2E: [51.5120, -0.1230],
+  WC2H: [51.5130, -0.1280],
+  WC2N: [51.5090, -0.1250],
+  WC2R: [51.5110, -0.1180],
+
+  // Outer London
+  BR1: [51.4090, 0.0200],
+  BR2: [51.3880, 0.0220],
+  BR3: [51.4060, -0.0300],
+  BR4: [51.3760, -0.0100],
+  BR5: [51.3900, 0.1000],
+  BR6: [51.3700, 0.0900],
+  BR7: [51.4160, 0.0670],
+  CR0: [51.3750, -0.0900],
+  CR2: [51.3500, -0.0800],
+  CR4: [51.4000, -0.1650],
+  CR7: [51.3980, -0.1040],
+  CR8: [51.3350, -0.1150],
+  DA5: [51.4420, 0.1480],
+  DA6: [51.4570, 0.1460],
+  DA7: [51.4650, 0.1500],
+  DA8: [51.4800, 0.1800],
+  DA14: [51.4300, 0.1000],
+  DA15: [51.4400, 0.1000],
+  DA16: [51.4620, 0.1060],
+  EN1: [51.6530, -0.0700],
+  EN2: [51.6600, -0.0900],
+  EN3: [51.6600, -0.0350],
+  EN4: [51.6500, -0.1600],
+  EN5: [51.6510, -0.2000],
+  HA0: [51.5500, -0.3000],
+  HA1: [51.5800, -0.3350],
+  HA2: [51.5700, -0.3600],
+  HA3: [51.5950, -0.3100],
+  HA4: [51.5750, -0.4200],
+  HA5: [51.5950, -0.3850],
+  HA7: [51.6150, -0.3000],
+  HA8: [51.6130, -0.2700],
+  HA9: [51.5600, -0.2850],
+  IG1: [51.5600, 0.0750],
+  IG2: [51.5750, 0.0850],
+  IG3: [51.5650, 0.1000],
+  IG4: [51.5770, 0.0550],
+  IG5: [51.5900, 0.0750],
+  IG6: [51.5950, 0.0950],
+  IG8: [51.6050, 0.0300],
+  IG11: [51.5350, 0.0850],
+  KT1: [51.4080, -0.3000],
+  KT2: [51.4180, -0.2900],
+  KT3: [51.4000, -0.2600],
+  KT4: [51.3750, -0.2400],
+  KT5: [51.3920, -0.2850],
+  KT6: [51.3850, -0.3000],
+  KT9: [51.3600, -0.3050],
+  RM1: [51.5800, 0.1800],
+  RM3: [51.6000, 0.2200],
+  RM6: [51.5750, 0.1350],
+  RM7: [51.5700, 0.1700],
+  RM8: [51.5550, 0.1300],
+  RM9: [51.5400, 0.1400],
+  RM10: [51.5450, 0.1650],
+  RM11: [51.5700, 0.2200],
+  RM12: [51.5500, 0.2200],
+  RM13: [51.5250, 0.1900],
+  RM14: [51.5550, 0.2500],
+  SM1: [51.3650, -0.1900],
+  SM2: [51.3500, -0.1950],
+  SM3: [51.3700, -0.2150],
+  SM4: [51.3950, -0.2000],
+  SM5: [51.3700, -0.1650],
+  SM6: [51.3600, -0.1450],
+  TW1: [51.4500, -0.3300],
+  TW2: [51.4450, -0.3500],
+  TW3: [51.4680, -0.3650],
+  TW4: [51.4620, -0.3900],
+  TW5: [51.4800, -0.3800],
+  TW7: [51.4750, -0.3350],
+  TW8: [51.4850, -0.3050],
+  TW9: [51.4650, -0.2950],
+  TW10: [51.4450, -0.2950],
+  TW11: [51.4270, -0.3300],
+  TW12: [51.4200, -0.3700],
+  TW13: [51.4400, -0.4100],
+  TW14: [51.4500, -0.4200],
+  UB1: [51.5100, -0.3750],
+  UB2: [51.4980, -0.3800],
+  UB3: [51.5050, -0.4200],
+  UB4: [51.5250, -0.4100],
+  UB5: [51.5450, -0.3700],
+  UB6: [51.5400, -0.3450],
+  UB7: [51.5000, -0.4750],
+  UB8: [51.5400, -0.4750],
+  UB10: [51.5550, -0.4500]
+}
+
+/**
+ * Neighbourhoods, parks and landmarks people search near, e.g. "Clapham Common"
+ * Keys are normalised with normalisePlaceName in lib/geo.js (lower case,
+ * no punctuation, "&" written as "and").
+ */
+export const PLACE_CENTROIDS = {
+  // Parks and commons
+  'clapham common': [51.4618, -0.1384],
+  'battersea park': [51.4791, -0.1566],
+  'hyde park': [51.5073, -0.1657],
+  'regents park': [51.5313, -0.1570],
+  'hampstead heath': [51.5608, -0.1631],
+  'primrose hill': [51.5390, -0.1600],
+  'victoria park': [51.5365, -0.0395],
+  'richmond park': [51.4428, -0.2760],
+  'wimbledon common': [51.4340, -0.2320],
+  'greenwich park': [51.4769, -0.0005],
+  'london fields': [51.5421, -0.0610],
+  'finsbury park': [51.5642, -0.1065],
+  'crystal palace park': [51.4215, -0.0670],
+  'tooting common': [51.4330, -0.1520],
+  'wandsworth common': [51.4530, -0.1740],
+  'brockwell park': [51.4510, -0.1060],
+  'peckham rye': [51.4560, -0.0660],
+  'blackheath': [51.4670, 0.0100],
+
+  // Landmarks and stations
+  'kings cross': [51.5308, -0.1238],
+  'london bridge': [51.5045, -0.0865],
+  'tower bridge': [51.5055, -0.0754],
+  'liverpool street': [51.5178, -0.0817],
+  'old street': [51.5256, -0.0875],
+  'waterloo': [51.5031, -0.1132],
+  'clapham junction': [51.4643, -0.1704],
+  'elephant and castle': [51.4950, -0.1000],
+  'oxford circus': [51.5152, -0.1418],
+  'barbican': [51.5200, -0.0940],
+  'angel': [51.5322, -0.1058],
+  'city of london': [51.5155, -0.0922],
+  'the city': [51.5155, -0.0922],
+
+  // Neighbourhoods
+  'acton': [51.5080, -0.2730],
+  'balham': [51.4431, -0.1525],
+  'battersea': [51.4700, -0.1600],
+  'bayswater': [51.5120, -0.1880],
+  'belgravia': [51.4970, -0.1540],
+  'bermondsey': [51.4980, -0.0640],
+  'bethnal green': [51.5270, -0.0550],
+  'bloomsbury': [51.5220, -0.1250],
+  'bow': [51.5270, -0.0240],
+  'brixton': [51.4613, -0.1156],
+  'bromley': [51.4060, 0.0140],
+  'camberwell': [51.4740, -0.0930],
+  'camden': [51.5390, -0.1426],
+  'camden town': [51.5390, -0.1426],
+  'canary wharf': [51.5054, -0.0235],
+  'chelsea': [51.4875, -0.1687],
+  'chiswick': [51.4920, -0.2620],
+  'clapham': [51.4620, -0.1380],
+  'clerkenwell': [51.5230, -0.1050],
+  'covent garden': [51.5117, -0.1240],
+  'crouch end': [51.5794, -0.1237],
+  'croydon': [51.3760, -0.0980],
+  'crystal palace': [51.4210, -0.0720],
+  'dalston': [51.5460, -0.0750],
+  'deptford': [51.4790, -0.0260],
+  'dulwich': [51.4450, -0.0850],
+  'ealing': [51.5130, -0.3050],
+  'earls court': [51.4920, -0.1930],
+  'east dulwich': [51.4610, -0.0720],
+  'fitzrovia': [51.5190, -0.1380],
+  'finchley': [51.6000, -0.1930],
+  'forest hill': [51.4390, -0.0530],
+  'fulham': [51.4730, -0.2020],
+  'golders green': [51.5720, -0.1940],
+  'greenwich': [51.4826, -0.0077],
+  'hackney': [51.5450, -0.0553],
+  'hammersmith': [51.4927, -0.2240],
+  'hampstead': [51.5560, -0.1780],
+  'hendon': [51.5830, -0.2260],
+  'herne hill': [51.4530, -0.1020],
+  'highbury': [51.5520, -0.0970],
+  'highgate': [51.5716, -0.1448],
+  'holloway': [51.5530, -0.1200],
+  'islington': [51.5362, -0.1033],
+  'kennington': [51.4880, -0.1060],
+  'kensington': [51.5000, -0.1920],
+  'kentish town': [51.5505, -0.1405],
+  'kilburn': [51.5470, -0.1960],
+  'kingston': [51.4120, -0.3000],
+  'knightsbridge': [51.5010, -0.1610],
+  'lewisham': [51.4620, -0.0100],
+  'leyton': [51.5600, -0.0120],
+  'limehouse': [51.5120, -0.0390],
+  'maida vale': [51.5290, -0.1860],
+  'marylebone': [51.5203, -0.1540],
+  'mayfair': [51.5100, -0.1480],
+  'mile end': [51.5250, -0.0333],
+  'muswell hill': [51.5900, -0.1430],
+  'nine elms': [51.4800, -0.1400],
+  'notting hill': [51.5090, -0.1960],
+  'paddington': [51.5154, -0.1755],
+  'peckham': [51.4740, -0.0690],
+  'pimlico': [51.4890, -0.1390],
+  'poplar': [51.5080, -0.0170],
+  'putney': [51.4613, -0.2163],
+  'richmond': [51.4613, -0.3037],
+  'shepherds bush': [51.5050, -0.2180],
+  'shoreditch': [51.5260, -0.0780],
+  'soho': [51.5136, -0.1365],
+  'south kensington': [51.4940, -0.1740],
+  'southwark': [51.5030, -0.0900],
+  'st johns wood': [51.5340, -0.1740],
+  'stockwell': [51.4723, -0.1229],
+  'stoke newington': [51.5620, -0.0740],
+  'stratford': [51.5416, -0.0033],
+  'streatham': [51.4279, -0.1235],
+  'tooting': [51.4276, -0.1680],
+  'tottenham': [51.5880, -0.0720],
+  'vauxhall': [51.4861, -0.1253],
+  'walthamstow': [51.5830, -0.0200],
+  'wandsworth': [51.4571, -0.1931],
+  'wapping': [51.5040, -0.0560],
+  'wembley': [51.5560, -0.2800],
+  'westminster': [51.4995, -0.1248],
+  'whitechapel': [51.5195, -0.0600],
+  'wimbledon': [51.4214, -0.2064]
+}
+
+/**
+ * London area names and the outcodes they cover, so "Clapham" finds listings
+ * stored as "SW4". District outcodes such as 'W1' cover W1B–W1W; aliases are
+ * other names people search for.
+ */
+export const LONDON_AREAS = [
+  { name: 'Acton', outcodes: ['W3'] },
+  { name: 'Angel', outcodes: ['N1', 'EC1V'] },
+  { name: 'Balham', outcodes: ['SW12'] },
+  { name: 'Barnes', outcodes: ['SW13'] },
+  { name: 'Battersea', outcodes: ['SW11', 'SW8'] },
+  { name: 'Bayswater', outcodes: ['W2'] },
+  { name: 'Belgravia', outcodes: ['SW1W', 'SW1X'] },
+  { name: 'Bermondsey', outcodes: ['SE1', 'SE16'] },
+  { name: 'Bethnal Green', outcodes: ['E2'] },
+  { name: 'Blackheath', outcodes: ['SE3'] },
+  { name: 'Bloomsbury', outcodes: ['WC1'] },
+  { name: 'Bow', outcodes: ['E3'] },
+  { name: 'Brixton', outcodes: ['SW2', 'SW9'] },
+  { name: 'Brockley', outcodes: ['SE4'] },
+  { name: 'Camberwell', outcodes: ['SE5'] },
+  { name: 'Camden', outcodes: ['NW1'], aliases: ['Camden Town'] },
+  { name: 'Canary Wharf', outcodes: ['E14'] },
+  { name: 'Canonbury', outcodes: ['N1'] },
+  { name: 'Catford', outcodes: ['SE6'] },
+  { name: 'Chelsea', outcodes: ['SW3', 'SW10'] },
+  { name: 'Chiswick', outcodes: ['W4'] },
+  { name: 'Clapham', outcodes: ['SW4'], aliases: ['Clapham Common'] },
+  { name: 'Clerkenwell', outcodes: ['EC1'] },
+  { name: 'Covent Garden', outcodes: ['WC2'] },
+  { name: 'Crouch End', outcodes: ['N8'] },
+  { name: 'Crystal Palace', outcodes: ['SE19'] },
+  { name: 'Dalston', outcodes: ['E8'] },
+  { name: 'Deptford', outcodes: ['SE8'] },
+  { name: 'Dulwich', outcodes: ['SE21'] },
+  { name: 'Ealing', outcodes: ['W5', 'W13'] },
+  { name: "Earl's Court", outcodes: ['SW5'] },
+  { name: 'East Dulwich', outcodes: ['SE22'] },
+  { name: 'Finsbury Park', outcodes: ['N4'] },
+  { name: 'Forest Hill', outcodes: ['SE23'] },
+  { name: 'Fulham', outcodes: ['SW6'] },
+  { name: 'Golders Green', outcodes: ['NW11'] },
+  { name: 'Greenwich', outcodes: ['SE10'] },
+  { name: 'Hackney', outcodes: ['E8', 'E9', 'E5'] },
+  { name: 'Hammersmith', outcodes: ['W6'] },
+  { name: 'Hampstead', outcodes: ['NW3'] },
+  { name: 'Herne Hill', outcodes: ['SE24'] },
+  { name: 'Highbury', outcodes: ['N5'] },
+  { name: 'Highgate', outcodes: ['N6'] },
+  { name: 'Holloway', outcodes: ['N7'] },
+  { name: 'Homerton', outcodes: ['E9'] },
+  { name: 'Hoxton', outcodes: ['N1'] },
+  { name: 'Islington', outcodes: ['N1', 'N5', 'N7'] },
+  { name: 'Kennington', outcodes: ['SE11'] },
+  { name: 'Kensington', outcodes: ['W8', 'W14'] },
+  { name: 'Kentish Town', outcodes: ['NW5'] },
+  { name: 'Kilburn', outcodes: ['NW6'] },
+  { name: "King's Cross", outcodes: ['N1', 'WC1'] },
+  { name: 'Lewisham', outcodes: ['SE13'] },
+  { name: 'Leyton', outcodes: ['E10'] },
+  { name: 'Leytonstone', outcodes: ['E11'] },
+  { name: 'Limehouse', outcodes: ['E14'] },
+  { name: 'Maida Vale', outcodes: ['W9'] },
+  { name: 'Marylebone', outcodes: ['W1'] },
+  { name: 'Mayfair', outcodes: ['W1'] },
+  { name: 'Mile End', outcodes: ['E1', 'E3'] },
+  { name: 'Muswell Hill', outcodes: ['N10'] },
+  { name: 'New Cross', outcodes: ['SE14'] },
+  { name: 'Notting Hill', outcodes: ['W11'] },
+  { name: 'Paddington', outcodes: ['W2'] },
+  { name: 'Peckham', outcodes: ['SE15'] },
+  { name: 'Pimlico', outcodes: ['SW1V'] },
+  { name: 'Poplar', outcodes: ['E14'] },
+  { name: 'Putney', outcodes: ['SW15'] },
+  { name: 'Richmond', outcodes: ['TW9', 'TW10'] },
+  { name: 'Rotherhithe', outcodes: ['SE16'] },
+  { name: "Shepherd's Bush", outcodes: ['W12'] },
+  { name: 'Shoreditch', outcodes: ['E1', 'E2', 'EC2A'] },
+  { name: 'Soho', outcodes: ['W1'] },
+  { name: 'South Kensington', outcodes: ['SW7'] },
+  { name: 'Stockwell', outcodes: ['SW9'] },
+  { name: 'Stoke Newington', outcodes: ['N16'] },
+  { name: 'Stratford', outcodes: ['E15', 'E20'] },
+  { name: 'Streatham', outcodes: ['SW16'] },
+  { name: 'Tooting', outcodes: ['SW17'] },
+  { name: 'Tottenham', outcodes: ['N17', 'N15'] },
+  { name: 'Vauxhall', outcodes: ['SE11', 'SW8'] },
+  { name: 'Walthamstow', outcodes: ['E17'] },
+  { name: 'Wandsworth', outcodes: ['SW18'] },
+  { name: 'Wapping', outcodes: ['E1W'] },
+  { name: 'Westminster', outcodes: ['SW1'] },
+  { name: 'Whitechapel', outcodes: ['E1'] },
+  { name: 'Wimbledon', outcodes: ['SW19'] },
+  { name: 'Wood Green', outcodes: ['N22'] }
+]
@@ -0,0 +1,215 @@
+/**
+ * Pluggable mailer for PawsPlace
+ *
+ * Server only (API routes and background jobs). Choose a transport with MAIL_TRANSPORT:
+ *   - 'console' (default): prints emails to the server log instead of sending them
+ *   - 'smtp': plain, unauthenticated SMTP to SMTP_HOST:SMTP_PORT, meant for a local
+ *     mail catcher such as Inbucket (bundled with `supabase start`, SMTP port 54325)
+ *     or Mailpit (SMTP port 1025)
+ * To send through a real provider, add a transport to MAIL_TRANSPORTS: a function
+ * that receives { from, to, subject, text, html, headers, attachments } and throws on failure.
+ */
+
+import net from 'net'
+import crypto from 'crypto'
+
+export const DEFAULT_FROM = 'PawsPlace <alerts@pawsplace.local>'
+
+/**
+ * Encode a header value that contains non-ASCII characters (e.g. £)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+}
+
+/**
+ * Base64-encode a body, wrapped at 76 characters per line as MIME requires
+ */
+function encodeBody(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n')
+}
+
+/**
+ * Show a plain text body as HTML for messages that don't have their own
+ */
+function textToHtml(text) {
+  const escaped = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+  return `<div style="font-family: sans-serif; white-space: pre-line;">${escaped}</div>`
+}
+
+/**
+ * Get the bare address from "Name <address>"
+ */
+function getAddress(value) {
+  const match = value.match(/<([^>]+)>/)
+  return match ? match[1] : value.trim()
+}
+
+/**
+ * Build a multipart (plain text + HTML) email, wrapped with any attachments
+ * @param {Object} message - { from, to, subject, text, html, headers, attachments }
+ *   where attachments is [{ filename, contentType, content }] with string content
+ * @returns {string} Raw message with CRLF line endings
+ */
+export function buildMimeMessage({ from, to, subject, text, html, headers = {}, attachments = [] }) {
+  const boundary = `pawsplace-${crypto.randomBytes(12).toString('hex')}`
+  const mixedBoundary = `pawsplace-mixed-${crypto.randomBytes(12).toString('hex')}`
+
+  const body = [
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html || textToHtml(text)),
+    `--${boundary}--`
+  ]
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@pawsplace.local>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    ...(attachments.length === 0 ? body : [
+      `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+      '',
+      `--${mixedBoundary}`,
+      ...body,
+      ...attachments.flatMap(attachment => [
+        `--${mixedBoundary}`,
+        `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${attachment.filename}"`,
+        `Content-Disposition: attachment; filename="${attachment.filename}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(attachment.content)
+      ]),
+      `--${mixedBoundary}--`
+    ]),
+    ''
+  ].join('\r\n')
+}
+
+/**
+ * Deliver one message over plain SMTP
+ * @param {Object} message - { from, to, subject, text, html, headers, attachments }
+ * @param {Object} server - { host, port }
+ * @returns {Promise<void>} Resolves once the server has accepted the message
+ */
+function sendSmtp(message, { host, port }) {
+  // Lines starting with "." must be doubled inside DATA
+  const data = buildMimeMessage(message).replace(/\r\n\./g, '\r\n..')
+
+  // Each step waits for the server's reply code, then sends the next command
+  const steps = [
+    { expect: 220, command: 'EHLO pawsplace.local' },
+    { expect: 250, command: `MAIL FROM:<${getAddress(message.from)}>` },
+    { expect: 250, command: `RCPT TO:<${getAddress(message.to)}>` },
+    { expect: 250, command: 'DATA' },
+    { expect: 354, command: `${data}\r\n.` },
+    { expect: 250, command: 'QUIT' }
+  ]
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port })
+    let buffer = ''
+    let step = 0
+
+    socket.setEncoding('utf8')
+    socket.setTimeout(10000)
+
+    socket.on('data', (chunk) => {
+      buffer += chunk
+
+      let end
+      while ((end = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, end).replace(/\r$/, '')
+        buffer = buffer.slice(end + 1)
+
+        // "250-..." lines are part of a multi-line reply; wait for the last one
+        if (/^\d{3}-/.test(line)) continue
+
+        if (step === steps.length) {
+          // Reply to QUIT; the message was already accepted
+          socket.end()
+          resolve()
+          return
+        }
+
+        if (parseInt(line.slice(0, 3), 10) !== steps[step].expect) {
+          socket.destroy()
+          reject(new Error(`SMTP server replied: ${line}`))
+          return
+        }
+
+        socket.write(`${steps[step].command}\r\n`)
+        step += 1
+      }
+    })
+
+    socket.on('timeout', () => {
+      socket.destroy()
+      reject(new Error('SMTP server timed out'))
+    })
+
+    socket.on('error', reject)
+
+    socket.on('close', () => {
+      if (step === steps.length) {
+        resolve()
+      } else {
+        reject(new Error('SMTP connection closed early'))
+      }
+    })
+  })
+}
+
+// Available transports, keyed by MAIL_TRANSPORT value
+export const MAIL_TRANSPORTS = {
+  console: async (message) => {
+    const attached = (message.attachments || []).map(attachment => attachment.filename).join(', ')
+    console.log(`[mailer] To: ${message.to}\n[mailer] Subject: ${message.subject}\n${attached ? `[mailer] Attachments: ${attached}\n` : ''}\n${message.text}\n`)
+  },
+  smtp: (message) => sendSmtp(message, {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '54325', 10)
+  })
+}
+
+/**
+ * Get a mailer for the configured transport
+ * @param {string} transportName - Transport to use (defaults to MAIL_TRANSPORT, then 'console')
+ * @returns {Object} Mailer with send({ to, subject, text, html, headers, attachments }) resolving to { error }
+ */
+export function getMailer(transportName = process.env.MAIL_TRANSPORT || 'console') {
+  const transport = MAIL_TRANSPORTS[transportName]
+
+  return {
+    async send({ to, subject, text, html, headers, attachments }) {
+      if (!transport) {
+        return { error: { message: `Unknown mail transport "${transportName}"` } }
+      }
+
+      try {
+        await transport({ from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text, html, headers, attachments })
+        return { error: null }
+      } catch (error) {
+        console.error('Error sending email:', error)
+        return { error: { message: error.message || 'Could not send email' } }
+      }
+    }
+  }
+}
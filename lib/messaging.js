@@ -0,0 +1,65 @@
+/**
+ * Enquiry messaging helpers for PawsPlace
+ *
+ * A conversation links one tenant, one listing and the listing's agent.
+ * Messages are sent to the other participant and count as unread until they
+ * open the thread. Agents can attach a snapshot of the tenant's pet profile.
+ */
+
+// Longest message body we accept
+export const MAX_MESSAGE_LENGTH = 2000
+
+/**
+ * Get a name to show for a profile
+ * @param {Object} profile - Profile row ({ full_name, first_name, last_name, email })
+ * @param {string} fallback - Name to use when the profile has none
+ * @returns {string} Display name
+ */
+export function getDisplayName(profile, fallback = 'Unknown user') {
+  return profile?.full_name ||
+    [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') ||
+    profile?.email?.split('@')[0] ||
+    fallback
+}
+
+/**
+ * Work out who the signed-in user is talking to in a conversation
+ * @param {Object} conversation - Conversation row with tenant and agent profiles
+ * @param {string} userId - Signed-in user's UUID
+ * @returns {Object} { id, role, name } of the other participant
+ */
+export function getOtherParticipant(conversation, userId) {
+  if (conversation.tenant_id === userId) {
+    return { id: conversation.agent_id, role: 'agent', name: getDisplayName(conversation.agent, 'Agent') }
+  }
+  return { id: conversation.tenant_id, role: 'tenant', name: getDisplayName(conversation.tenant, 'Tenant') }
+}
+
+/**
+ * Check a message before sending it
+ * @param {string} body - Message text
+ * @returns {string} Error message, or '' if it's fine
+ */
+export function validateMessage(body) {
+  if (!body?.trim()) {
+    return 'Please write a message'
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    return `Messages can be up to ${MAX_MESSAGE_LENGTH} characters`
+  }
+  return ''
+}
+
+/**
+ * Format a message timestamp: time for today, date otherwise
+ * @param {string} dateString - ISO timestamp
+ * @returns {string} Formatted time
+ */
+export function formatMessageTime(dateString) {
+  if (!dateString) return ''
+  const date = new Date(dateString)
+  const isToday = date.toDateString() === new Date().toDateString()
+  return isToday
+    ? date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })
+}
@@ -0,0 +1,123 @@
+/**
+ * Pet policy model for PawsPlace
+ *
+ * Each listing records its pet policy in dedicated columns on the 'listings' table:
+ *   - PetsAllowed (text[]) - species the landlord accepts, e.g. ['dog', 'cat']; empty means no pets
+ *   - MaxPets (integer) - maximum number of pets, null for no limit
+ *   - MaxPetSize (text) - largest accepted size: 'small', 'medium' or 'large', null for any size
+ *   - MaxPetWeightKg (integer) - weight limit per pet in kg, null for no limit
+ *   - BreedRestrictions (text) - breeds that are not accepted, free text
+ *   - PetDeposit (integer) - one-off pet deposit in pounds
+ *   - PetRent (integer) - additional monthly pet rent in pounds
+ *
+ * These helpers are the single source of truth for "is this listing pet-friendly?"
+ */
+
+// Species options (easily extendable)
+export const PET_SPECIES = [
+  { value: 'dog', label: 'Dogs', singular: 'Dog' },
+  { value: 'cat', label: 'Cats', singular: 'Cat' },
+  { value: 'small_mammal', label: 'Small Mammals', singular: 'Small Mammal' },
+  { value: 'bird', label: 'Birds', singular: 'Bird' },
+  { value: 'fish', label: 'Fish', singular: 'Fish' },
+  { value: 'reptile', label: 'Reptiles', singular: 'Reptile' }
+]
+
+// Pet sizes, smallest first
+export const PET_SIZES = [
+  { value: 'small', label: 'Small' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'large', label: 'Large' }
+]
+
+/**
+ * Get the species a listing accepts
+ * @param {Object} listing - Listing row
+ * @returns {Array<string>} Species values
+ */
+export function getAllowedSpecies(listing) {
+  return Array.isArray(listing?.PetsAllowed) ? listing.PetsAllowed : []
+}
+
+/**
+ * Check whether a listing accepts pets at all
+ * @param {Object} listing - Listing row
+ * @returns {boolean} True if at least one species is allowed
+ */
+export function isPetFriendly(listing) {
+  return getAllowedSpecies(listing).length > 0
+}
+
+/**
+ * Compare two pet sizes
+ * @param {string} size - Size to check
+ * @param {string} maxSize - Largest accepted size
+ * @returns {boolean} True if size is within maxSize
+ */
+function isSizeWithin(size, maxSize) {
+  const order = PET_SIZES.map(option => option.value)
+  return order.indexOf(size) <= order.indexOf(maxSize)
+}
+
+/**
+ * Check whether a listing accepts the tenant's pets
+ * @param {Object} listing - Listing row
+ * @param {Object} criteria - Pet criteria
+ * @param {boolean} criteria.petFriendly - Only accept listings that allow some pets
+ * @param {string} criteria.petSpecies - Species that must be allowed
+ * @param {number} criteria.petCount - Number of pets that must be allowed
+ * @param {string} criteria.petSize - Size of the largest pet
+ * @returns {boolean} True if the listing matches
+ */
+export function matchesPetCriteria(listing, { petFriendly, petSpecies, petCount, petSize } = {}) {
+  const needsPets = petFriendly || petSpecies || petCount || petSize
+  if (!needsPets) {
+    return true
+  }
+
+  const species = getAllowedSpecies(listing)
+  if (species.length === 0) return false
+  if (petSpecies && !species.includes(petSpecies)) return false
+  if (petCount && listing.MaxPets && Number(petCount) > listing.MaxPets) return false
+  if (petSize && listing.MaxPetSize && !isSizeWithin(petSize, listing.MaxPetSize)) return false
+
+  return true
+}
+
+/**
+ * Build a short, consistent summary of a listing's pet policy
+ * @param {Object} listing - Listing row
+ * @returns {Array<string>} Summary lines; a single 'No pets' line when pets aren't allowed
+ */
+export function getPetPolicySummary(listing) {
+  const species = getAllowedSpecies(listing)
+
+  if (species.length === 0) {
+    return ['No pets']
+  }
+
+  const labels = species.map(value => PET_SPECIES.find(option => option.value === value)?.label || value)
+  const summary = [`${labels.join(', ')} welcome`]
+
+  if (listing.MaxPets) {
+    summary.push(`Up to ${listing.MaxPets} pet${listing.MaxPets === 1 ? '' : 's'}`)
+  }
+  if (listing.MaxPetSize) {
+    const size = PET_SIZES.find(option => option.value === listing.MaxPetSize)?.label || listing.MaxPetSize
+    summary.push(listing.MaxPetSize === 'large' ? 'Any size' : `${size} pets or smaller`)
+  }
+  if (listing.MaxPetWeightKg) {
+    summary.push(`Max ${listing.MaxPetWeightKg}kg per pet`)
+  }
+  if (listing.BreedRestrictions) {
+    summary.push(`Breed restrictions: ${listing.BreedRestrictions}`)
+  }
+  if (listing.PetDeposit > 0) {
+    summary.push(`Pet deposit: £${listing.PetDeposit.toLocaleString()}`)
+  }
+  if (listing.PetRent > 0) {
+    summary.push(`Pet rent: £${listing.PetRent} pcm`)
+  }
+
+  return summary
+}
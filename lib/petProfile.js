@@ -0,0 +1,154 @@
+/**
+ * Tenant pet profiles for PawsPlace
+ *
+ * Tenants record their pets in the 'pets' table (one row per pet, owner_id = tenant's user id).
+ * Besides the basics, each pet has a "pet CV" that tenants attach to rental applications:
+ * microchip number, vet practice and references from previous landlords.
+ * These helpers convert between form values and rows and validate them.
+ */
+
+import { PET_SPECIES } from './petPolicy'
+
+/**
+ * Blank form values for a new pet
+ * @returns {Object} Pet form values
+ */
+export function emptyPet() {
+  return {
+    name: '',
+    species: '',
+    breed: '',
+    age_years: '',
+    weight_kg: '',
+    neutered: false,
+    vaccinations: [],
+    microchip: '',
+    vet_practice: '',
+    vet_phone: '',
+    references: []
+  }
+}
+
+/**
+ * Blank previous-landlord reference for a pet CV
+ * @returns {Object} Reference form values
+ */
+export function emptyReference() {
+  return { landlord: '', contact: '', address: '', comment: '' }
+}
+
+/**
+ * Build form values from a pet row
+ * @param {Object} pet - Row from the 'pets' table
+ * @returns {Object} Pet form values
+ */
+export function petToFormValues(pet = {}) {
+  return {
+    ...emptyPet(),
+    id: pet.id,
+    name: pet.name || '',
+    species: pet.species || '',
+    breed: pet.breed || '',
+    age_years: pet.age_years ?? '',
+    weight_kg: pet.weight_kg ?? '',
+    neutered: !!pet.neutered,
+    vaccinations: Array.isArray(pet.vaccinations) ? pet.vaccinations : [],
+    microchip: pet.microchip || '',
+    vet_practice: pet.vet_practice || '',
+    vet_phone: pet.vet_phone || '',
+    references: Array.isArray(pet.references)
+      ? pet.references.map(reference => ({ ...emptyReference(), ...reference }))
+      : []
+  }
+}
+
+/**
+ * Validate pet form values
+ * @param {Object} pet - Pet form values
+ * @returns {Object} Error messages keyed by field (empty when valid)
+ */
+export function validatePet(pet) {
+  const errors = {}
+
+  if (!pet.name?.trim()) {
+    errors.name = "Your pet's name is required"
+  }
+
+  if (!PET_SPECIES.some(species => species.value === pet.species)) {
+    errors.species = 'Please choose a species'
+  }
+
+  if (String(pet.age_years).trim() !== '') {
+    const age = Number(pet.age_years)
+    if (!Number.isFinite(age) || age < 0 || age > 50) {
+      errors.age_years = 'Please enter an age in years'
+    }
+  }
+
+  if (String(pet.weight_kg).trim() !== '') {
+    const weight = Number(pet.weight_kg)
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 150) {
+      errors.weight_kg = 'Please enter a weight in kg'
+    }
+  }
+
+  const today = new Date().toISOString().slice(0, 10)
+  const badVaccination = pet.vaccinations.find(vaccination =>
+    !vaccination.vaccine?.trim() || !/^\d{4}-\d{2}-\d{2}$/.test(vaccination.date || '') || vaccination.date > today
+  )
+  if (badVaccination) {
+    errors.vaccinations = 'Each vaccination needs a name and a date that is not in the future'
+  }
+
+  if (pet.microchip?.trim() && !/^\d{15}$/.test(pet.microchip.replace(/\s+/g, ''))) {
+    errors.microchip = 'Microchip numbers are 15 digits'
+  }
+
+  if (pet.references.some(reference => !reference.landlord?.trim() || !reference.contact?.trim())) {
+    errors.references = "Each reference needs the landlord's name and an email or phone number"
+  }
+
+  return errors
+}
+
+/**
+ * Convert validated form values into a row for the 'pets' table
+ * @param {Object} pet - Pet form values
+ * @returns {Object} Pet row (without id or owner_id)
+ */
+export function formValuesToPet(pet) {
+  return {
+    name: pet.name.trim(),
+    species: pet.species,
+    breed: pet.breed.trim() || null,
+    age_years: String(pet.age_years).trim() === '' ? null : Number(pet.age_years),
+    weight_kg: String(pet.weight_kg).trim() === '' ? null : Number(pet.weight_kg),
+    neutered: !!pet.neutered,
+    vaccinations: pet.vaccinations.map(({ vaccine, date }) => ({ vaccine: vaccine.trim(), date })),
+    microchip: pet.microchip.replace(/\s+/g, '') || null,
+    vet_practice: pet.vet_practice.trim() || null,
+    vet_phone: pet.vet_phone.trim() || null,
+    references: pet.references.map(({ landlord, contact, address, comment }) => ({
+      landlord: landlord.trim(),
+      contact: contact.trim(),
+      address: address.trim(),
+      comment: comment.trim()
+    }))
+  }
+}
+
+/**
+ * One-line description of a pet, e.g. "Biscuit – Dog (Labrador), 3 yrs, 28kg, neutered"
+ * @param {Object} pet - Row from the 'pets' table
+ * @returns {string} Description
+ */
+export function describePet(pet) {
+  const species = PET_SPECIES.find(option => option.value === pet.species)?.singular || pet.species
+  const details = [
+    pet.age_years !== null && pet.age_years !== undefined ? `${pet.age_years} yr${pet.age_years === 1 ? '' : 's'}` : null,
+    pet.weight_kg ? `${pet.weight_kg}kg` : null,
+    pet.neutered ? 'neutered' : null
+  ].filter(Boolean)
+
+  return `${pet.name} – ${species}${pet.breed ? ` (${pet.breed})` : ''}${details.length ? `, ${details.join(', ')}` : ''}`
+}
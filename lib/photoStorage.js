@@ -0,0 +1,89 @@
+/**
+ * Pluggable photo storage for PawsPlace
+ *
+ * Server only (lib/listingPhotos.js and /api/photos). Choose where listing
+ * photos are kept with PHOTO_STORAGE:
+ *   - 'supabase' (default): the public `listing-photos` bucket in Supabase Storage.
+ *     Files are written as the signed-in agent, so the bucket's policies apply.
+ *   - 'local': files under PHOTO_STORAGE_DIR (default `.uploads` in the project),
+ *     served by /api/photos. Handy for development without Storage set up.
+ * A store is { upload({ path, buffer, contentType, client }), remove({ path, client }), getPublicUrl(path) };
+ * upload and remove throw on failure.
+ */
+
+import fs from 'fs/promises'
+import nodePath from 'path'
+
+export const PHOTO_BUCKET = 'listing-photos'
+
+/**
+ * Folder the local store writes to
+ * @returns {string} Absolute path
+ */
+export function getLocalPhotoDir() {
+  return nodePath.resolve(process.env.PHOTO_STORAGE_DIR || nodePath.join(process.cwd(), '.uploads'), PHOTO_BUCKET)
+}
+
+/**
+ * Resolve a storage path inside the local folder, refusing anything that escapes it
+ * @param {string} path - Storage path, e.g. '<agent id>/<listing id>/<file>.jpg'
+ * @returns {string|null} Absolute file path, or null if the path isn't allowed
+ */
+export function resolveLocalPhotoPath(path) {
+  const root = getLocalPhotoDir()
+  const resolved = nodePath.resolve(root, path)
+  return resolved.startsWith(root + nodePath.sep) ? resolved : null
+}
+
+// Available stores, keyed by PHOTO_STORAGE value
+export const PHOTO_STORES = {
+  supabase: {
+    async upload({ path, buffer, contentType, client }) {
+      const { error } = await client.storage
+        .from(PHOTO_BUCKET)
+        .upload(path, buffer, { contentType, cacheControl: '31536000', upsert: false })
+      if (error) {
+        throw error
+      }
+    },
+    async remove({ path, client }) {
+      const { error } = await client.storage.from(PHOTO_BUCKET).remove([path])
+      if (error) {
+        throw error
+      }
+    },
+    getPublicUrl(path) {
+      // Files are never overwritten (each upload gets a new name), so the URL can be cached forever
+      const base = (process.env.NEXT_PUBLIC_SUPABASE_URL || '').replace(/\/$/, '')
+      return `${base}/storage/v1/object/public/${PHOTO_BUCKET}/${path}`
+    }
+  },
+  local: {
+    async upload({ path, buffer }) {
+      const file = resolveLocalPhotoPath(path)
+      if (!file) {
+        throw new Error('Invalid photo path')
+      }
+      await fs.mkdir(nodePath.dirname(file), { recursive: true })
+      await fs.writeFile(file, buffer, { flag: 'wx' })
+    },
+    async remove({ path }) {
+      const file = resolveLocalPhotoPath(path)
+      if (file) {
+        await fs.rm(file, { force: true })
+      }
+    },
+    getPublicUrl(path) {
+      return `/api/photos/${path}`
+    }
+  }
+}
+
+/**
+ * Get the configured photo store
+ * @param {string} storeName - Store to use (defaults to PHOTO_STORAGE, then 'supabase')
+ * @returns {Object} Store, or null if the name is unknown
+ */
+export function getPhotoStorage(storeName = process.env.PHOTO_STORAGE || 'supabase') {
+  return PHOTO_STORES[storeName] || null
+}
@@ -0,0 +1,144 @@
+/**
+ * Listing photo helpers for PawsPlace
+ *
+ * Agents upload photos for each listing, put them in order and add captions.
+ * The first photo is the cover shown on listing cards. Uploads go through
+ * /api/listings/[id]/photos, which checks each file, strips its metadata
+ * (lib/imageProcessing.js) and stores it (lib/photoStorage.js).
+ */
+
+// Accepted photo types, checked against the file's contents on the server
+export const PHOTO_TYPES = [
+  { type: 'image/jpeg', extension: 'jpg', label: 'JPEG' },
+  { type: 'image/png', extension: 'png', label: 'PNG' },
+  { type: 'image/webp', extension: 'webp', label: 'WebP' }
+]
+
+// Largest photo an agent can upload
+export const MAX_PHOTO_BYTES = 10 * 1024 * 1024
+
+// Smallest photo that still looks sharp on a listing page
+export const MIN_PHOTO_WIDTH = 640
+export const MIN_PHOTO_HEIGHT = 480
+
+export const MAX_PHOTOS_PER_LISTING = 20
+
+export const MAX_PHOTO_CAPTION_LENGTH = 140
+
+/**
+ * Check a file chosen for upload before sending it
+ * The server repeats these checks on the file's real contents.
+ * @param {File} file - Chosen file
+ * @returns {string|null} Error message, or null if it can be uploaded
+ */
+export function validatePhotoFile(file) {
+  if (!PHOTO_TYPES.some(photoType => photoType.type === file.type)) {
+    return `${file.name} isn't a ${PHOTO_TYPES.map(photoType => photoType.label).join(', ')} image`
+  }
+
+  if (file.size > MAX_PHOTO_BYTES) {
+    return `${file.name} is larger than ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`
+  }
+
+  return null
+}
+
+/**
+ * Sort photos into display order, cover first
+ * @param {Array} photos - listing_photos rows
+ * @returns {Array} Sorted copy
+ */
+export function sortPhotos(photos = []) {
+  return [...photos].sort((a, b) => a.position - b.position || new Date(a.created_at) - new Date(b.created_at))
+}
+
+/**
+ * Get a listing's cover photo
+ * @param {Object} listing - Listing row with an embedded photos array
+ * @returns {Object|null} Cover photo or null if the listing has none
+ */
+export function getCoverPhoto(listing) {
+  return sortPhotos(listing?.photos)[0] || null
+}
+
+/**
+ * Move a photo to a new place in the order
+ * @param {Array} photos - Photos in display order
+ * @param {number} from - Current index
+ * @param {number} to - New index (0 makes it the cover)
+ * @returns {Array} Reordered copy
+ */
+export function movePhoto(photos, from, to) {
+  const reordered = [...photos]
+  const [photo] = reordered.splice(from, 1)
+  reordered.splice(Math.max(0, Math.min(to, reordered.length)), 0, photo)
+  return reordered
+}
+
+/**
+ * Alt text for a photo: its caption, or the listing title and photo number
+ * @param {Object} photo - listing_photos row
+ * @param {Object} listing - Listing row
+ * @param {number} index - Zero-based position in the gallery
+ * @returns {string} Alt text
+ */
+export function getPhotoAlt(photo, listing, index = 0) {
+  return photo.caption || `${listing?.Title || 'Property'} – photo ${index + 1}`
+}
+
+/**
+ * ============================================================================
+ * UPLOAD API CALLS (browser)
+ * ============================================================================
+ */
+
+/**
+ * Upload one photo to the end of a listing's gallery (agents)
+ * The file is sent as the raw request body; the auth cookie identifies the agent.
+ * @param {number|string} listingId - Listing ID
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} Result with the new photo or error
+ */
+export async function uploadListingPhoto(listingId, file) {
+  try {
+    const response = await fetch(`/api/listings/${listingId}/photos`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type },
+      body: file
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || `Couldn't upload ${file.name}. Please try again.` } }
+    }
+
+    return { data: result.photo, error: null }
+  } catch (error) {
+    console.error('Error in uploadListingPhoto:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Delete a photo and its stored file (agents)
+ * @param {number|string} listingId - Listing ID
+ * @param {string} photoId - Photo ID
+ * @returns {Promise<Object>} Result with error, if any
+ */
+export async function deleteListingPhoto(listingId, photoId) {
+  try {
+    const response = await fetch(`/api/listings/${listingId}/photos?photoId=${encodeURIComponent(photoId)}`, {
+      method: 'DELETE'
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in deleteListingPhoto:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
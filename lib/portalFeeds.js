@@ -0,0 +1,507 @@
+/**
+ * Property portal feed import for PawsPlace
+ *
+ * Agents who already syndicate to the portals can import the same feed here:
+ * a Rightmove BLM file (version 3, pipe- or caret-delimited) or an XML feed
+ * with one <property> element per listing. A feed is the agent's whole
+ * portfolio for each branch in it, so lib/portalImporter.js adds and updates
+ * its listings by branch and reference, and withdraws listings that have left
+ * it. Feeds are dropped on /agent/listings/portal-feeds or picked up from a
+ * local directory (see README). Rows are checked with the same rules as file
+ * imports (previewImport in lib/listingImport.js).
+ */
+
+import { previewImport } from './listingImport'
+
+export const PORTAL_FORMATS = [
+  { value: 'blm', label: 'Rightmove BLM', extension: '.blm' },
+  { value: 'xml', label: 'XML feed', extension: '.xml' }
+]
+
+export const MAX_PORTAL_FEED_BYTES = 4 * 1024 * 1024
+
+// Properties per feed; a feed is saved with one upsert
+export const MAX_PORTAL_FEED_LISTINGS = 1000
+
+const MAX_BRANCH_REF_LENGTH = 100
+
+// Where a feed came from, for the import history
+export const PORTAL_IMPORT_SOURCES = [
+  { value: 'upload', label: 'Uploaded' },
+  { value: 'directory', label: 'Feed directory' }
+]
+
+const BLM_SECTIONS = ['#HEADER#', '#DEFINITION#', '#DATA#', '#END#']
+
+/**
+ * Feed fields PawsPlace reads, by their names in BLM files and common XML feeds.
+ * Names are compared in upper case without punctuation, so <agent_ref>,
+ * <AgentRef> and AGENT_REF all match.
+ */
+const FEED_FIELDS = {
+  ref: ['AGENTREF', 'REFERENCE', 'REF', 'PROPERTYREF', 'PROPERTYID', 'ID'],
+  branch: ['BRANCHID', 'BRANCHREF', 'BRANCH'],
+  title: ['TITLE', 'HEADLINE'],
+  displayAddress: ['DISPLAYADDRESS', 'ADDRESS'],
+  area: ['ADDRESS3', 'AREA', 'LOCALITY', 'ADDRESS2', 'TOWN', 'CITY'],
+  postcode: ['POSTCODE'],
+  postcodeOutward: ['POSTCODE1'],
+  postcodeInward: ['POSTCODE2'],
+  price: ['PRICE', 'RENT'],
+  frequency: ['LETRENTFREQUENCY', 'RENTFREQUENCY', 'PRICEFREQUENCY', 'FREQUENCY'],
+  bedrooms: ['BEDROOMS', 'BEDS'],
+  bathrooms: ['BATHROOMS', 'BATHS'],
+  size: ['SIZESQFT', 'SQUAREFEET', 'SQFT'],
+  description: ['DESCRIPTION', 'FULLDESCRIPTION'],
+  summary: ['SUMMARY'],
+  furnished: ['LETFURNID', 'FURNISHED', 'FURNISHING'],
+  status: ['STATUSID', 'STATUS', 'AVAILABILITY'],
+  transaction: ['TRANSTYPEID', 'TRANSACTIONTYPE', 'TRANSACTION'],
+  published: ['PUBLISHEDFLAG', 'PUBLISHED']
+}
+
+// Rent multipliers to £ pcm. BLM uses the codes; XML feeds often use the words.
+const RENT_FREQUENCIES = [
+  { names: ['0', 'weekly', 'pw', 'per week'], perMonth: 52 / 12 },
+  { names: ['1', 'monthly', 'pcm', 'per month'], perMonth: 1 },
+  { names: ['2', 'quarterly', 'per quarter'], perMonth: 1 / 3 },
+  { names: ['3', 'annually', 'annual', 'yearly', 'pa', 'per annum'], perMonth: 1 / 12 }
+]
+
+const FURNISHED_VALUES = ['0', '1', 'furnished', 'part furnished', 'part-furnished', 'yes', 'true']
+const UNFURNISHED_VALUES = ['2', '4', 'unfurnished', 'furnished or unfurnished', 'flexible', 'no', 'false']
+
+// Statuses from BLM STATUS_ID; only available properties are listed
+const FEED_STATUSES = [
+  { names: ['0', 'available', 'to let'], label: 'Available', live: true },
+  { names: ['1', 'sold stc', 'sstc'], label: 'Sold STC' },
+  { names: ['2', 'sold stcm', 'sstcm'], label: 'Sold STCM' },
+  { names: ['3', 'under offer'], label: 'Under offer' },
+  { names: ['4', 'reserved'], label: 'Reserved' },
+  { names: ['5', 'let agreed', 'let'], label: 'Let agreed' },
+  { names: ['withdrawn', 'archived'], label: 'Withdrawn' }
+]
+
+const SALE_TRANSACTIONS = ['1', 'sale', 'sales', 'resale']
+const LETTING_TRANSACTIONS = ['2', 'letting', 'lettings', 'let', 'rent', 'rental']
+
+const GARDEN_FEATURE = /\b(garden|terrace|balcony|patio|outdoor space)\b/i
+const STAIR_FREE_FEATURE = /\b(step[- ]free|level access|wheelchair)/i
+
+const normaliseFieldName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+const normaliseValue = (value) => String(value ?? '').trim().toLowerCase()
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&(lt|gt|quot|apos|nbsp|pound|amp);/g, (match, name) =>
+    ({ lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', pound: '£', amp: '&' })[name])
+
+/**
+ * Turn a portal description, which may hold HTML, into plain text
+ */
+const htmlToText = (html) => decodeEntities(String(html ?? '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+  .replace(/<[^>]*>/g, ''))
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim()
+
+/**
+ * Work out a feed's format from its file name
+ * @param {string} fileName - Feed file name
+ * @returns {Object|null} Entry from PORTAL_FORMATS, or null if it isn't BLM or XML
+ */
+export function getPortalFormat(fileName = '') {
+  const name = fileName.toLowerCase()
+  return PORTAL_FORMATS.find(format => name.endsWith(format.extension)) || null
+}
+
+/**
+ * Decode a feed file's bytes
+ * BLM files are often saved as Windows-1252 rather than UTF-8, which would
+ * garble "£" and accented letters, so files that aren't valid UTF-8 are read
+ * as Windows-1252.
+ * @param {ArrayBuffer|Uint8Array} bytes - File contents
+ * @returns {string} Text
+ */
+export function decodeFeedText(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '')
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes)
+  }
+}
+
+/**
+ * Read the properties in a Rightmove BLM (version 3) file
+ * The header names the field and row separators, the definition names the
+ * fields, and every data row has one value per field.
+ */
+function parseBlm(text) {
+  const positions = BLM_SECTIONS.map(marker => text.indexOf(marker))
+  if (positions.some((position, index) => position === -1 || (index > 0 && position < positions[index - 1]))) {
+    return { error: { message: `This isn't a BLM file: it needs ${BLM_SECTIONS.join(', ')} sections in that order` } }
+  }
+
+  const section = (index) => text.slice(positions[index] + BLM_SECTIONS[index].length, positions[index + 1])
+
+  const header = {}
+  section(0).split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([^:]+?)\s*:\s*(.*?)\s*$/)
+    if (match) header[normaliseFieldName(match[1])] = match[2].replace(/^'(.*)'$/, '$1')
+  })
+
+  if (header.VERSION && !String(header.VERSION).startsWith('3')) {
+    return { error: { message: `This is a version ${header.VERSION} BLM file. Only version 3 files can be imported.` } }
+  }
+
+  const fieldSeparator = header.EOF || '^'
+  const rowSeparator = header.EOR || '~'
+  const splitRow = (row) => row.replace(/^[\r\n]+/, '').split(fieldSeparator)
+
+  const fields = splitRow(section(1).split(rowSeparator)[0]).map(name => normaliseFieldName(name)).filter(Boolean)
+  if (fields.length === 0 || !fields.includes('AGENTREF')) {
+    return { error: { message: 'The BLM definition has no AGENT_REF field' } }
+  }
+
+  const rows = section(2).split(rowSeparator).filter(row => row.trim() !== '')
+  const expected = Number(header.PROPERTYCOUNT)
+  // A short file is usually a cut-off upload, and would withdraw the missing listings
+  if (header.PROPERTYCOUNT !== undefined && header.PROPERTYCOUNT !== '' && expected !== rows.length) {
+    return {
+      error: { message: `The header says the file has ${expected} properties but it has ${rows.length}. It may be incomplete.` }
+    }
+  }
+
+  const records = rows.map((row, index) => {
+    const values = splitRow(row)
+    // Rows usually end with a field separator before the row separator
+    if (values.length === fields.length + 1 && values[fields.length].trim() === '') values.pop()
+    if (values.length !== fields.length) {
+      return {
+        rowNumber: index + 1,
+        values: {},
+        error: `Row has ${values.length} fields but the definition has ${fields.length}`
+      }
+    }
+    return {
+      rowNumber: index + 1,
+      values: Object.fromEntries(fields.map((field, fieldIndex) => [field, values[fieldIndex].trim()]))
+    }
+  })
+
+  return { data: records, error: null }
+}
+
+/**
+ * Build a tree of elements from an XML document
+ * Handles the XML that feeds use: elements, attributes, text, CDATA, comments
+ * and entities. DTDs are skipped rather than read.
+ * @returns {Object} Result with the root element ({ name, attributes, children, text }) or error
+ */
+function parseXmlTree(text) {
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  const root = { name: '', attributes: {}, children: [], text: '' }
+  const stack = [root]
+  let position = 0
+  let match
+
+  while (position < text.length) {
+    token.lastIndex = position
+    match = token.exec(text)
+    if (!match || match.index !== position) {
+      const line = text.slice(0, position).split('\n').length
+      return { error: { message: `The XML isn't well formed near line ${line}` } }
+    }
+    position = token.lastIndex
+
+    const [, cdata, closing, opening, attributes, selfClosing, characters] = match
+    const current = stack[stack.length - 1]
+
+    if (cdata !== undefined) {
+      current.text += cdata
+    } else if (characters !== undefined) {
+      current.text += decodeEntities(characters)
+    } else if (opening) {
+      const element = {
+        name: opening,
+        attributes: Object.fromEntries(
+          [...attributes.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)]
+            .map(([, name, doubleQuoted, singleQuoted]) => [name, decodeEntities(doubleQuoted ?? singleQuoted)])
+        ),
+        children: [],
+        text: ''
+      }
+      current.children.push(element)
+      if (!selfClosing) stack.push(element)
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== closing) {
+        return { error: { message: `The XML isn't well formed: </${closing}> doesn't close <${current.name || 'anything'}>` } }
+      }
+      stack.pop()
+    }
+  }
+
+  if (stack.length > 1) {
+    return { error: { message: `The XML ends before <${stack[stack.length - 1].name}> is closed. It may be incomplete.` } }
+  }
+
+  if (root.children.length !== 1) {
+    return { error: { message: 'The XML should have a single root element' } }
+  }
+
+  return { data: root.children[0], error: null }
+}
+
+/**
+ * Collect a <property> element's values by field name
+ * Nested elements are flattened, so <address><postcode> gives POSTCODE, and
+ * repeated elements such as <feature> are kept as lists.
+ */
+function flattenXmlProperty(element, values = {}) {
+  Object.entries(element.attributes).forEach(([name, value]) => {
+    const key = normaliseFieldName(name)
+    if (values[key] === undefined) values[key] = value.trim()
+  })
+
+  element.children.forEach(child => {
+    if (child.children.length > 0) {
+      flattenXmlProperty(child, values)
+      return
+    }
+    const key = normaliseFieldName(child.name)
+    const value = child.text.trim()
+    if (values[key] === undefined) {
+      values[key] = value
+    } else {
+      values[key] = [].concat(values[key], value)
+    }
+  })
+
+  return values
+}
+
+/**
+ * Read the properties in an XML feed
+ * Every <property> (or <listing>) element is one listing. Its branch is a
+ * branch_id element, or the id of the <branch> element around it.
+ */
+function parseXml(text) {
+  const { data: root, error } = parseXmlTree(text)
+  if (error) {
+    return { error }
+  }
+
+  const records = []
+  const visit = (element, branchRef) => {
+    const name = element.name.toLowerCase()
+    const branch = name === 'branch'
+      ? element.attributes.id ?? element.attributes.branch_id ?? element.attributes.ref ?? branchRef
+      : branchRef
+
+    if (name === 'property' || name === 'listing') {
+      const values = flattenXmlProperty(element)
+      if (branch !== undefined && !FEED_FIELDS.branch.some(field => values[field])) {
+        values.BRANCHID = branch
+      }
+      records.push({ rowNumber: records.length + 1, values })
+      return
+    }
+
+    element.children.forEach(child => visit(child, branch))
+  }
+  visit(root)
+
+  return { data: records, error: null }
+}
+
+/**
+ * First value a record has for a feed field
+ */
+function readField(values, field) {
+  const name = FEED_FIELDS[field].find(candidate => values[candidate] !== undefined && values[candidate] !== '')
+  const value = name ? values[name] : ''
+  return Array.isArray(value) ? value[0] : value
+}
+
+/**
+ * A record's feature bullet points: BLM FEATURE1-FEATURE10 or XML <feature> elements
+ */
+function readFeatures(values) {
+  return Object.entries(values)
+    .filter(([name]) => /^FEATURES?\d*$/.test(name))
+    .flatMap(([, value]) => [].concat(value))
+    .filter(Boolean)
+}
+
+const findByName = (options, value) => options.find(option => option.names.includes(normaliseValue(value)))
+
+/**
+ * Turn one feed property into a row for previewImport
+ * @returns {Object} { branchRef, externalRef, live, statusLabel, record, mapping, errors }
+ */
+function readFeedProperty(values) {
+  const errors = {}
+  const branchRef = readField(values, 'branch')
+  const externalRef = readField(values, 'ref')
+
+  const transaction = readField(values, 'transaction')
+  if (transaction && SALE_TRANSACTIONS.includes(normaliseValue(transaction))) {
+    errors.transaction = 'This property is for sale; PawsPlace only lists rentals'
+  } else if (transaction && !LETTING_TRANSACTIONS.includes(normaliseValue(transaction))) {
+    errors.transaction = `Unknown transaction type "${transaction}"`
+  }
+
+  const status = readField(values, 'status')
+  const feedStatus = status ? findByName(FEED_STATUSES, status) : FEED_STATUSES[0]
+  if (!feedStatus) {
+    errors.status = `Unknown status "${status}"`
+  }
+
+  const published = readField(values, 'published')
+  const hidden = ['0', 'no', 'false'].includes(normaliseValue(published))
+  const live = Boolean(feedStatus?.live) && !hidden
+  const statusLabel = hidden ? 'Not published' : feedStatus?.label || status
+
+  // Rents are stored per month; blank frequencies are taken as monthly, as UK lettings are quoted
+  const frequency = readField(values, 'frequency')
+  const rentFrequency = frequency ? findByName(RENT_FREQUENCIES, frequency) : RENT_FREQUENCIES[1]
+  const price = readField(values, 'price')
+  const priceNumber = Number(String(price).replace(/[£,\s]/g, ''))
+  let rent = price
+  if (!rentFrequency) {
+    errors.Rent = `Unknown rent frequency "${frequency}"`
+  } else if (String(price).trim() !== '' && Number.isFinite(priceNumber)) {
+    rent = String(Math.round(priceNumber * rentFrequency.perMonth))
+  }
+
+  const postcode = readField(values, 'postcode') ||
+    [readField(values, 'postcodeOutward'), readField(values, 'postcodeInward')].filter(Boolean).join(' ')
+  const location = [readField(values, 'area'), postcode.toUpperCase()].filter(Boolean).join(', ')
+
+  const bedrooms = readField(values, 'bedrooms')
+  const displayAddress = readField(values, 'displayAddress') || location
+  const bedroomLabel = bedrooms === '' ? 'Property' : Number(bedrooms) === 0 ? 'Studio' : `${bedrooms} bed`
+  const title = readField(values, 'title') || (displayAddress ? `${bedroomLabel} to rent in ${displayAddress}` : '')
+
+  const record = {
+    external_ref: externalRef,
+    Title: title,
+    Rent: rent,
+    Location: location,
+    Bedrooms: bedrooms,
+    Baths: readField(values, 'bathrooms'),
+    Description: htmlToText(readField(values, 'description') || readField(values, 'summary'))
+  }
+
+  const size = readField(values, 'size')
+  if (size) record.SquareFootage = size
+
+  const furnished = normaliseValue(readField(values, 'furnished'))
+  if (FURNISHED_VALUES.includes(furnished)) record.Furnished = 'yes'
+  if (UNFURNISHED_VALUES.includes(furnished)) record.Furnished = 'no'
+
+  // Features only switch these on, so a feed without bullet points leaves the agent's settings alone
+  const features = readFeatures(values)
+  if (features.some(feature => GARDEN_FEATURE.test(feature))) record.Garden = 'yes'
+  if (features.some(feature => STAIR_FREE_FEATURE.test(feature))) record.StairFreeAccess = 'yes'
+
+  const mapping = Object.fromEntries(Object.keys(record).map(name => [name, name]))
+  return { branchRef, externalRef, live, statusLabel, record, mapping, errors }
+}
+
+/**
+ * Read a portal feed and check every property in it
+ * Nothing is saved; lib/portalImporter.js saves the result.
+ * @param {string} text - Feed file contents
+ * @param {string} format - 'blm' or 'xml'
+ * @returns {Object} Result with { rows, branches } or error. Each row is
+ *   { rowNumber, branchRef, externalRef, live, statusLabel, listing, errors }:
+ *   live rows without errors are saved, other live rows are rejected, and
+ *   rows with any other status withdraw their listing. errors are messages
+ *   keyed by field name. branches lists every branch in the feed.
+ */
+export function readPortalFeed(text, format) {
+  const result = format === 'xml' ? parseXml(text) : parseBlm(text)
+  if (result.error) {
+    return result
+  }
+
+  const records = result.data
+  if (records.length > MAX_PORTAL_FEED_LISTINGS) {
+    return {
+      error: { message: `The feed has ${records.length} properties. Feeds can have up to ${MAX_PORTAL_FEED_LISTINGS}.` }
+    }
+  }
+
+  const seenRefs = new Map()
+  const rows = records.map(({ rowNumber, values, error }) => {
+    if (error) {
+      return { rowNumber, branchRef: '', externalRef: '', live: false, statusLabel: '', listing: {}, errors: { row: error } }
+    }
+
+    const property = readFeedProperty(values)
+    const errors = { ...property.errors }
+
+    if (!property.branchRef) {
+      errors.branch = 'Branch ID is required'
+    } else if (property.branchRef.length > MAX_BRANCH_REF_LENGTH) {
+      errors.branch = `Branch ID can be up to ${MAX_BRANCH_REF_LENGTH} characters`
+    }
+
+    const { listing, errors: listingErrors } = previewImport([property.record], property.mapping, rowNumber).rows[0]
+    Object.entries(listingErrors).forEach(([name, message]) => {
+      // Withdrawn properties are only matched by reference, so the rest of the listing doesn't matter
+      if (!errors[name] && (property.live || name === 'external_ref')) errors[name] = message
+    })
+
+    const key = `${property.branchRef}\n${property.externalRef}`
+    if (property.externalRef && !errors.external_ref && seenRefs.has(key)) {
+      errors.external_ref = `Reference "${property.externalRef}" is also used on row ${seenRefs.get(key)}`
+    } else if (property.externalRef) {
+      seenRefs.set(key, rowNumber)
+    }
+
+    return {
+      rowNumber,
+      branchRef: property.branchRef,
+      externalRef: property.externalRef,
+      live: property.live,
+      statusLabel: property.statusLabel,
+      listing,
+      errors
+    }
+  })
+
+  const branches = [...new Set(rows.map(row => row.branchRef).filter(Boolean))]
+  return { data: { rows, branches }, error: null }
+}
+
+/**
+ * Import a portal feed (agents)
+ * The server reads the feed, saves its listings and records the run.
+ * @param {Object} feed - { fileName, text }
+ * @returns {Promise<Object>} Result with the import report or error
+ */
+export async function uploadPortalFeed({ fileName, text }) {
+  try {
+    const response = await fetch('/api/listings/portal-import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileName, text })
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { data: result, error: null }
+  } catch (error) {
+    console.error('Error in uploadPortalFeed:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
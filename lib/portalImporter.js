@@ -0,0 +1,319 @@
+/**
+ * Saves property portal feeds for PawsPlace
+ *
+ * Server only. Feeds read by lib/portalFeeds.js come from the
+ * /api/listings/portal-import route, where an agent drops a file, or from the
+ * feed directory job (/api/cron/portal-feeds), which picks up files that
+ * agents' systems upload to PORTAL_FEED_DIR/<agent id>/. Each run:
+ *
+ *   1. upserts the feed's available properties on (agent_id, branch_ref, external_ref)
+ *   2. republishes those that an earlier feed withdrew
+ *   3. withdraws (archives) the agent's listings in the feed's branches that
+ *      have left the feed or are no longer available, marking them withdrawn_by_feed
+ *   4. records a report of what was created, updated, withdrawn and rejected
+ *      in portal_import_runs
+ *
+ * Only listings the importer withdrew itself are republished: listings the
+ * agent archived stay archived, and an admin's unpublishing is never touched.
+ * Rejected properties are still in the feed, so their listings are left as
+ * they are. Steps 1 to 3 are separate statements; if one fails, the next run
+ * of the same feed finishes the job.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { createServiceClient } from './supabase'
+import { getLocationCoordinates } from './geo'
+import { canPublishListings } from './admin'
+import {
+  MAX_PORTAL_FEED_BYTES,
+  decodeFeedText,
+  getPortalFormat,
+  readPortalFeed
+} from './portalFeeds'
+
+// Agent directories in PORTAL_FEED_DIR are named after the agent's user ID
+const AGENT_DIRECTORY_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Where feed files go once they've been imported, inside each agent's directory
+const PROCESSED_DIRECTORY = 'processed'
+const FAILED_DIRECTORY = 'failed'
+
+const listingKey = (branchRef, externalRef) => `${branchRef}\n${externalRef}`
+
+/**
+ * Record a run in the import history
+ */
+async function recordImportRun(client, agentId, run) {
+  const { error } = await client
+    .from('portal_import_runs')
+    .insert([{ agent_id: agentId, ...run, created_at: new Date().toISOString() }])
+
+  if (error) {
+    console.error('Error recording portal import run:', error)
+  }
+}
+
+/**
+ * Import a portal feed for an agent
+ * @param {Object} client - Supabase client acting as the agent (or the service client)
+ * @param {Object} profile - Agent's profile
+ * @param {Object} feed - { fileName, text, source }, where source is 'upload' or 'directory'
+ * @returns {Promise<Object>} Result with the run ({ created, updated, withdrawn, rejected, report })
+ *   or error (with status)
+ */
+export async function importPortalFeed(client, profile, { fileName, text, source }) {
+  if (!canPublishListings(profile)) {
+    return { error: { status: 403, message: 'Your account must be approved before you can import listings' } }
+  }
+
+  const run = { source, file_name: fileName, format: getPortalFormat(fileName)?.value || null }
+  const fail = async (status, message) => {
+    await recordImportRun(client, profile.id, { ...run, error: message })
+    return { error: { status, message } }
+  }
+
+  if (!run.format) {
+    return fail(400, `${fileName} isn't a BLM or XML file`)
+  }
+
+  const { data: feed, error: feedError } = readPortalFeed(text, run.format)
+  if (feedError) {
+    return fail(422, feedError.message)
+  }
+
+  try {
+    let existing = []
+    if (feed.branches.length > 0) {
+      const { data, error } = await client
+        .from('listings')
+        .select('id, Title, branch_ref, external_ref, Listed, archived_at, unpublished_at, withdrawn_by_feed')
+        .eq('agent_id', profile.id)
+        .in('branch_ref', feed.branches)
+        .not('external_ref', 'is', null)
+
+      if (error) {
+        console.error('Error loading portal listings:', error)
+        return fail(500, error.message)
+      }
+      existing = data
+    }
+
+    const existingByKey = new Map(existing.map(listing => [listingKey(listing.branch_ref, listing.external_ref), listing]))
+    const inFeed = new Set(feed.rows.map(row => listingKey(row.branchRef, row.externalRef)))
+    const now = new Date().toISOString()
+
+    const rejected = feed.rows.filter(row => Object.keys(row.errors).length > 0)
+    const saved = feed.rows.filter(row => row.live && Object.keys(row.errors).length === 0)
+    const unavailable = new Set(feed.rows
+      .filter(row => !row.live && Object.keys(row.errors).length === 0)
+      .map(row => listingKey(row.branchRef, row.externalRef)))
+
+    const rows = saved.map(({ branchRef, externalRef, listing }) => ({
+      ...listing,
+      ...('Location' in listing ? getLocationCoordinates(listing.Location) : {}),
+      agent_id: profile.id,
+      branch_ref: branchRef,
+      external_ref: externalRef,
+      Listed: existingByKey.get(listingKey(branchRef, externalRef))?.Listed || now
+    }))
+
+    if (rows.length > 0) {
+      const { error } = await client
+        .from('listings')
+        .upsert(rows, { onConflict: 'agent_id,branch_ref,external_ref' })
+
+      if (error) {
+        console.error('Error saving portal feed:', error)
+        return fail(500, error.message)
+      }
+    }
+
+    const savedKeys = new Set(saved.map(row => listingKey(row.branchRef, row.externalRef)))
+    const republished = existing.filter(listing =>
+      listing.withdrawn_by_feed && savedKeys.has(listingKey(listing.branch_ref, listing.external_ref)))
+
+    if (republished.length > 0) {
+      const { error } = await client
+        .from('listings')
+        .update({ archived_at: null, withdrawn_by_feed: false })
+        .eq('agent_id', profile.id)
+        .eq('withdrawn_by_feed', true)
+        .in('id', republished.map(listing => listing.id))
+
+      if (error) {
+        console.error('Error republishing portal listings:', error)
+        return fail(500, `The feed's listings were saved, but republishing listings back in it failed: ${error.message}`)
+      }
+    }
+
+    const withdrawn = existing.filter(listing => {
+      const key = listingKey(listing.branch_ref, listing.external_ref)
+      return !listing.archived_at && (!inFeed.has(key) || unavailable.has(key))
+    })
+
+    if (withdrawn.length > 0) {
+      const { error } = await client
+        .from('listings')
+        .update({ archived_at: now, withdrawn_by_feed: true })
+        .eq('agent_id', profile.id)
+        .in('id', withdrawn.map(listing => listing.id))
+
+      if (error) {
+        console.error('Error withdrawing portal listings:', error)
+        return fail(500, `The feed's listings were saved, but withdrawing listings that left it failed: ${error.message}`)
+      }
+    }
+
+    // Updated listings that are still hidden, or have come back, say so in the report
+    const describeUpdate = (listing) => {
+      if (listing.unpublished_at) return 'Unpublished by an admin, so still hidden'
+      if (listing.withdrawn_by_feed) return 'Back in the feed, so republished'
+      if (listing.archived_at) return 'Archived, so still hidden'
+      return undefined
+    }
+
+    const describe = ({ branchRef, externalRef, listing }) => {
+      const current = existingByKey.get(listingKey(branchRef, externalRef))
+      return { branchRef, externalRef, title: listing.Title, reason: current && describeUpdate(current) }
+    }
+    const report = {
+      created: saved.filter(row => !existingByKey.has(listingKey(row.branchRef, row.externalRef))).map(describe),
+      updated: saved.filter(row => existingByKey.has(listingKey(row.branchRef, row.externalRef))).map(describe),
+      withdrawn: withdrawn.map(listing => ({
+        branchRef: listing.branch_ref,
+        externalRef: listing.external_ref,
+        title: listing.Title,
+        reason: inFeed.has(listingKey(listing.branch_ref, listing.external_ref))
+          ? feed.rows.find(row => row.branchRef === listing.branch_ref && row.externalRef === listing.external_ref).statusLabel
+          : 'No longer in the feed'
+      })),
+      rejected: rejected.map(({ rowNumber, branchRef, externalRef, errors }) => ({
+        rowNumber,
+        branchRef,
+        externalRef,
+        errors: Object.values(errors)
+      }))
+    }
+
+    const counts = {
+      created: report.created.length,
+      updated: report.updated.length,
+      withdrawn: report.withdrawn.length,
+      rejected: report.rejected.length
+    }
+
+    await recordImportRun(client, profile.id, { ...run, ...counts, report, error: null })
+    return { data: { ...run, ...counts, report }, error: null }
+  } catch (error) {
+    console.error('Error in importPortalFeed:', error)
+    return fail(500, 'An unexpected error occurred')
+  }
+}
+
+/**
+ * Move an imported feed file out of the agent's directory, so it isn't imported again
+ */
+async function moveFeedFile(agentDirectory, fileName, subdirectory) {
+  const target = path.join(agentDirectory, subdirectory)
+  await fs.mkdir(target, { recursive: true })
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+  await fs.rename(path.join(agentDirectory, fileName), path.join(target, `${stamp}_${fileName}`))
+}
+
+/**
+ * Record a feed file too large to import
+ */
+async function importTooLarge(client, profile, fileName) {
+  const message = `${fileName} is larger than ${MAX_PORTAL_FEED_BYTES / (1024 * 1024)} MB`
+  await recordImportRun(client, profile.id, {
+    source: 'directory',
+    file_name: fileName,
+    format: getPortalFormat(fileName).value,
+    error: message
+  })
+  return { error: { message } }
+}
+
+/**
+ * Import every feed file waiting in PORTAL_FEED_DIR
+ * Each agent's files are in a directory named after their user ID and are
+ * imported oldest first. Imported files move to processed/, and files that
+ * can't be imported move to failed/; every run is in the agent's import history.
+ * @returns {Promise<Object>} Result with totals ({ files, created, updated, withdrawn, rejected, failed }) or error
+ */
+export async function importPortalFeedDirectory() {
+  const feedDirectory = process.env.PORTAL_FEED_DIR
+  if (!feedDirectory) {
+    return { error: { message: 'PORTAL_FEED_DIR is not set' } }
+  }
+
+  const client = createServiceClient()
+  if (!client) {
+    return { error: { message: 'SUPABASE_SERVICE_ROLE_KEY is not set' } }
+  }
+
+  const totals = { files: 0, created: 0, updated: 0, withdrawn: 0, rejected: 0, failed: 0 }
+
+  try {
+    const entries = await fs.readdir(feedDirectory, { withFileTypes: true })
+    const agentIds = entries
+      .filter(entry => entry.isDirectory() && AGENT_DIRECTORY_PATTERN.test(entry.name))
+      .map(entry => entry.name)
+
+    for (const agentId of agentIds) {
+      const agentDirectory = path.join(feedDirectory, agentId)
+      const files = await fs.readdir(agentDirectory, { withFileTypes: true })
+      const feedFiles = await Promise.all(files
+        .filter(file => file.isFile() && getPortalFormat(file.name))
+        .map(async file => ({ name: file.name, stat: await fs.stat(path.join(agentDirectory, file.name)) })))
+
+      if (feedFiles.length === 0) continue
+
+      const { data: profile, error: profileError } = await client
+        .from('profiles')
+        .select('*')
+        .eq('id', agentId)
+        .maybeSingle()
+
+      // Leave the files where they are, so they're imported once the account is sorted out
+      if (profileError || !canPublishListings(profile)) {
+        console.error(`Skipping portal feeds for ${agentId}:`, profileError || 'not an approved agent')
+        continue
+      }
+
+      // Feeds replace each other, so import them in the order they arrived
+      feedFiles.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+
+      for (const file of feedFiles) {
+        totals.files++
+        const result = file.stat.size > MAX_PORTAL_FEED_BYTES
+          ? await importTooLarge(client, profile, file.name)
+          : await importPortalFeed(client, profile, {
+            fileName: file.name,
+            text: decodeFeedText(await fs.readFile(path.join(agentDirectory, file.name))),
+            source: 'directory'
+          })
+
+        if (result.error) {
+          totals.failed++
+        } else {
+          totals.created += result.data.created
+          totals.updated += result.data.updated
+          totals.withdrawn += result.data.withdrawn
+          totals.rejected += result.data.rejected
+        }
+
+        // Database errors may pass, so those files stay to be tried again on the next run
+        if (result.error?.status >= 500) continue
+
+        await moveFeedFile(agentDirectory, file.name, result.error ? FAILED_DIRECTORY : PROCESSED_DIRECTORY)
+      }
+    }
+
+    return { data: totals, error: null }
+  } catch (error) {
+    console.error('Error in importPortalFeedDirectory:', error)
+    return { error: { message: error.message } }
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * Public listings API (v1) for PawsPlace
+ *
+ * Server only. Partner sites read listings through /api/v1/listings and
+ * /api/v1/listings/[id] with an API key (lib/apiKeyAuth.js). This module holds
+ * what the routes share: the listing schema partners see, the search
+ * parameters and how parameters are checked, and cursor pagination. Each route
+ * exports its own definition (`route`: its path, parameters and responses)
+ * next to its handler, checks requests against those same parameters, and
+ * /api/v1/openapi.json is built from the definitions, so the document can't
+ * drift from what the routes actually do.
+ *
+ * The listing schema is a stable contract: it's built field by field from
+ * API_LISTING_PROPERTIES, so new table columns never appear in the API by
+ * accident. Add a property there (and keep the old ones) to extend it.
+ */
+
+import { CRITERIA_FIELDS, SORT_OPTIONS, DEFAULT_CRITERIA, criteriaFromQuery, criteriaToQuery } from './listingCriteria'
+import { getAllowedSpecies, PET_SPECIES, PET_SIZES } from './petPolicy'
+import { getListingPosition } from './geo'
+import { sortPhotos } from './photos'
+
+export const API_VERSION = '1.0.0'
+
+export const DEFAULT_API_PAGE_SIZE = 20
+export const MAX_API_PAGE_SIZE = 100
+
+// Error codes in API error responses: { error: { code, message } }
+export const API_ERRORS = {
+  INVALID_PARAMETER: 'invalid_parameter',
+  MISSING_API_KEY: 'missing_api_key',
+  INVALID_API_KEY: 'invalid_api_key',
+  RATE_LIMITED: 'rate_limited',
+  NOT_FOUND: 'not_found',
+  METHOD_NOT_ALLOWED: 'method_not_allowed',
+  UNAVAILABLE: 'unavailable'
+}
+
+/**
+ * Allow null as well as a schema's type
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Schema
+ */
+export const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] })
+
+/**
+ * Properties of a listing in API responses, in order
+ *   schema - JSON Schema for the OpenAPI document
+ *   value - reads the property from a listing row
+ */
+export const API_LISTING_PROPERTIES = [
+  { name: 'id', schema: { type: 'integer', description: 'Listing ID' }, value: listing => listing.id },
+  {
+    name: 'url',
+    schema: { type: 'string', format: 'uri', description: 'Listing page on PawsPlace, where tenants enquire and apply' },
+    value: (listing, { siteUrl }) => `${siteUrl}/listings/${listing.id}`
+  },
+  { name: 'title', schema: { type: 'string' }, value: listing => listing.Title },
+  { name: 'description', schema: nullable({ type: 'string' }), value: listing => listing.Description || null },
+  { name: 'location', schema: { type: 'string', description: 'Area and postcode, e.g. "Camden, NW1"' }, value: listing => listing.Location },
+  {
+    name: 'coordinates',
+    schema: nullable({
+      type: 'object',
+      description: 'Centre of the listing\'s postcode district, not the exact address; null if it can\'t be placed',
+      properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+    }),
+    value: listing => {
+      const position = getListingPosition(listing)
+      return position ? { latitude: position.lat, longitude: position.lng } : null
+    }
+  },
+  { name: 'rent_pcm', schema: nullable({ type: 'integer', description: 'Monthly rent in pounds' }), value: listing => listing.Rent ?? null },
+  { name: 'bedrooms', schema: nullable({ type: 'integer', description: '0 for a studio' }), value: listing => listing.Bedrooms ?? null },
+  { name: 'bathrooms', schema: nullable({ type: 'integer' }), value: listing => listing.Baths ?? null },
+  { name: 'size_sq_ft', schema: nullable({ type: 'integer' }), value: listing => listing.SquareFootage ?? null },
+  { name: 'furnished', schema: { type: 'boolean' }, value: listing => !!listing.Furnished },
+  { name: 'garden', schema: { type: 'boolean', description: 'Has a garden or other outdoor space' }, value: listing => !!listing.Garden },
+  { name: 'stair_free_access', schema: { type: 'boolean' }, value: listing => !!listing.StairFreeAccess },
+  { name: 'house_share', schema: { type: 'boolean' }, value: listing => !!listing.HouseShare },
+  {
+    name: 'pets',
+    schema: {
+      type: 'object',
+      description: 'Pet policy; an empty species list means no pets',
+      properties: {
+        species: { type: 'array', items: { type: 'string', enum: PET_SPECIES.map(species => species.value) } },
+        max_pets: nullable({ type: 'integer', description: 'null means no limit' }),
+        max_size: nullable({ type: 'string', enum: [...PET_SIZES.map(size => size.value), null], description: 'Largest accepted size; null means any' }),
+        max_weight_kg: nullable({ type: 'integer', description: 'Per pet; null means no limit' }),
+        breed_restrictions: nullable({ type: 'string' }),
+        deposit: nullable({ type: 'integer', description: 'One-off pet deposit in pounds' }),
+        rent_pcm: nullable({ type: 'integer', description: 'Extra monthly rent in pounds' }),
+        parking_costs: nullable({ type: 'integer', description: 'Pet parking costs in pounds' })
+      }
+    },
+    value: listing => ({
+      species: getAllowedSpecies(listing),
+      max_pets: listing.MaxPets ?? null,
+      max_size: listing.MaxPetSize || null,
+      max_weight_kg: listing.MaxPetWeightKg ?? null,
+      breed_restrictions: listing.BreedRestrictions || null,
+      deposit: listing.PetDeposit ?? null,
+      rent_pcm: listing.PetRent ?? null,
+      parking_costs: listing.PetParkingCosts ?? null
+    })
+  },
+  {
+    name: 'photos',
+    schema: {
+      type: 'array',
+      description: 'Cover photo first. Listing searches include only the cover photo; fetch the listing for the rest.',
+      items: { type: 'object', properties: { url: { type: 'string', format: 'uri' }, caption: nullable({ type: 'string' }) } }
+    },
+    value: listing => sortPhotos(listing.photos || []).map(photo => ({ url: photo.url, caption: photo.caption || null }))
+  },
+  { name: 'listed_at', schema: nullable({ type: 'string', format: 'date-time' }), value: listing => listing.Listed || null }
+]
+
+/**
+ * Convert a listing row into its API representation
+ * @param {Object} listing - Listing row
+ * @param {Object} context - { siteUrl }
+ * @returns {Object} Listing with only the API's properties
+ */
+export function toApiListing(listing, context) {
+  return Object.fromEntries(API_LISTING_PROPERTIES.map(property => [property.name, property.value(listing, context)]))
+}
+
+// What each search parameter does, for the OpenAPI document
+const CRITERIA_DESCRIPTIONS = {
+  searchTerm: 'Location: a postcode (e.g. "SW4 7AA"), outcode ("SW4") or London area ("Clapham")',
+  keywords: 'Words to find in the title, description or location, e.g. balcony river view, "near park" or -studio',
+  near: 'Centre of a radius search: a postcode, place, or "lat,lng"',
+  radius: 'Miles from `near`',
+  minRent: 'Lowest monthly rent in pounds',
+  maxRent: 'Highest monthly rent in pounds',
+  minBedrooms: 'Fewest bedrooms (0 includes studios)',
+  maxBedrooms: 'Most bedrooms (0 for studios only)',
+  minBaths: 'Fewest bathrooms',
+  minSquareFootage: 'Smallest size in square feet',
+  furnished: 'Only furnished listings',
+  garden: 'Only listings with a garden or outdoor space',
+  stairFree: 'Only listings with stair-free access',
+  houseShare: 'Only house shares',
+  petFriendly: 'Only listings that accept at least one kind of pet',
+  petSpecies: 'Only listings that accept this species',
+  petCount: 'Only listings that accept this many pets (3 means 3 or more)',
+  petSize: 'Only listings that accept pets of this size'
+}
+
+/**
+ * JSON Schema for a search criteria field's query parameter
+ */
+function criteriaSchema(field) {
+  if (field.type === 'number') return { type: 'integer', minimum: 0 }
+  if (field.type === 'boolean') return { type: 'boolean' }
+  if (field.type === 'select') return { type: 'string', enum: field.options.map(option => String(option.value)) }
+  return { type: 'string' }
+}
+
+// The homepage's search criteria as query parameters; criteriaKey links each to its criteria field
+export const CRITERIA_PARAMETERS = CRITERIA_FIELDS.map(field => ({
+  name: field.param,
+  criteriaKey: field.key,
+  description: CRITERIA_DESCRIPTIONS[field.key] || field.label,
+  schema: criteriaSchema(field)
+}))
+
+// Sorting and paging parameters for searches, added to CRITERIA_PARAMETERS
+export const SORT_PARAMETER = {
+  name: 'sort',
+  description: 'Sort order. `distance` needs `near` and `relevance` needs `keywords`.',
+  schema: { type: 'string', enum: SORT_OPTIONS.map(option => option.value), default: DEFAULT_CRITERIA.sortBy }
+}
+
+export const LIMIT_PARAMETER = {
+  name: 'limit',
+  description: 'Listings per page',
+  schema: { type: 'integer', minimum: 1, maximum: MAX_API_PAGE_SIZE, default: DEFAULT_API_PAGE_SIZE }
+}
+
+export const CURSOR_PARAMETER = {
+  name: 'cursor',
+  description: '`pagination.next_cursor` from the previous page. It carries the search, so send it on its own.',
+  schema: { type: 'string' }
+}
+
+/**
+ * Check one parameter against its schema
+ * @param {Object} parameter - Parameter from a route definition ({ name, schema })
+ * @param {string|Array<string>} raw - Value from the request
+ * @returns {Object} { value } or { error }
+ */
+export function parseParameter(parameter, raw) {
+  const { schema } = parameter
+  const value = Array.isArray(raw) ? raw[0] : raw
+
+  if (schema.type === 'integer') {
+    const number = Number(value)
+    if (!/^\d+$/.test(value) || number < (schema.minimum ?? 0) || number > (schema.maximum ?? Infinity)) {
+      const range = schema.maximum ? ` from ${schema.minimum} to ${schema.maximum}` : ''
+      return { error: `${parameter.name} must be a whole number${range}` }
+    }
+    return { value: number }
+  }
+
+  if (schema.type === 'boolean') {
+    if (['true', '1'].includes(value)) return { value: true }
+    if (['false', '0'].includes(value)) return { value: false }
+    return { error: `${parameter.name} must be true or false` }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { error: `${parameter.name} must be one of ${schema.enum.join(', ')}` }
+  }
+
+  return { value: String(value) }
+}
+
+/**
+ * Encode the search and position of the next page as an opaque cursor
+ */
+function encodeCursor({ query, limit, offset }) {
+  return Buffer.from(JSON.stringify({ q: query, l: limit, o: offset })).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { q, l, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (!q || typeof q !== 'object' || !Number.isInteger(l) || !Number.isInteger(o) || o < 0 || o % l !== 0 ||
+      l < 1 || l > MAX_API_PAGE_SIZE) {
+      return null
+    }
+    return { query: q, limit: l, offset: o }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read a listings search from the request's query parameters
+ * A cursor replaces the other parameters, so the next page is always the
+ * same search. Pages are counted from the start of the results, so listings
+ * added or removed while paging can shift a listing onto the next page.
+ * @param {Object} query - Parsed query string
+ * @param {Array<Object>} parameters - The route's query parameters: CRITERIA_PARAMETERS,
+ *   SORT_PARAMETER, LIMIT_PARAMETER and CURSOR_PARAMETER
+ * @returns {Object} { criteria, limit, offset } or { error } (a message)
+ */
+export function parseListingsRequest(query, parameters) {
+  if (query.cursor !== undefined) {
+    const others = parameters.filter(parameter => parameter.name !== 'cursor' && query[parameter.name] !== undefined)
+    if (others.length > 0) {
+      return { error: `Send cursor on its own; it already includes ${others.map(parameter => parameter.name).join(', ')}` }
+    }
+
+    const cursor = decodeCursor(String(query.cursor))
+    if (!cursor) {
+      return { error: 'cursor is not valid. Use pagination.next_cursor from the previous page.' }
+    }
+    return { criteria: criteriaFromQuery(cursor.query), limit: cursor.limit, offset: cursor.offset }
+  }
+
+  const values = {}
+  for (const parameter of parameters) {
+    if (query[parameter.name] === undefined || query[parameter.name] === '') continue
+    const { value, error } = parseParameter(parameter, query[parameter.name])
+    if (error) {
+      return { error }
+    }
+    values[parameter.name] = value
+  }
+
+  // The criteria helpers read the homepage's query string format
+  const searchQuery = {}
+  parameters.filter(parameter => parameter.criteriaKey && values[parameter.name] !== undefined).forEach(parameter => {
+    const value = values[parameter.name]
+    if (value !== false) searchQuery[parameter.name] = value === true ? '1' : String(value)
+  })
+  if (values.sort) {
+    searchQuery.sort = values.sort
+  }
+
+  return { criteria: criteriaFromQuery(searchQuery), limit: values.limit || DEFAULT_API_PAGE_SIZE, offset: 0 }
+}
+
+/**
+ * Pagination details for a page of results
+ * @param {Object} page - { criteria, limit, offset, total, truncated }
+ * @returns {Object} { limit, total, truncated, next_cursor }
+ */
+export function getPagination({ criteria, limit, offset, total, truncated = false }) {
+  const nextOffset = offset + limit
+  return {
+    limit,
+    total,
+    truncated,
+    next_cursor: nextOffset < total ? encodeCursor({ query: criteriaToQuery(criteria), limit, offset: nextOffset }) : null
+  }
+}
+
+/**
+ * Send an API error
+ * @param {Object} res - API response
+ * @param {number} status - HTTP status
+ * @param {string} code - API_ERRORS code
+ * @param {string} message - What went wrong, for developers
+ */
+export function sendApiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } })
+}
+
+/**
+ * An error response in the OpenAPI document
+ * @param {string} description - When the error is returned, with its API_ERRORS code
+ * @returns {Object} OpenAPI response
+ */
+export const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+})
+
+// Responses every route can give
+const COMMON_RESPONSES = {
+  400: errorResponse('A parameter is invalid (`invalid_parameter`)'),
+  401: errorResponse('The API key is missing (`missing_api_key`), unknown or revoked (`invalid_api_key`)'),
+  429: errorResponse('The key has used its requests for this minute (`rate_limited`); see the Retry-After header'),
+  503: errorResponse('Listings are temporarily unavailable (`unavailable`)')
+}
+
+/**
+ * Build the OpenAPI 3.1 document for the API
+ * @param {string} siteUrl - Public site URL, for the server address
+ * @param {Array<Object>} routes - The routes' definitions: { method, path, operationId,
+ *   summary, description, parameters, responses }
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument(siteUrl, routes) {
+  const paths = {}
+
+  routes.forEach(route => {
+    paths[route.path] = {
+      ...paths[route.path],
+      [route.method]: {
+        operationId: route.operationId,
+        summary: route.summary,
+        description: route.description,
+        parameters: route.parameters.map(({ name, description, schema, in: location = 'query', required = false }) => ({
+          name,
+          in: location,
+          required,
+          description,
+          schema
+        })),
+        responses: { ...route.responses, ...COMMON_RESPONSES }
+      }
+    }
+  })
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PawsPlace Listings API',
+      version: API_VERSION,
+      description: 'Read-only access to pet-friendly rental listings on PawsPlace, for partner sites. ' +
+        'Ask the PawsPlace team for an API key and send it in the X-API-Key header from your server.'
+    },
+    servers: [{ url: siteUrl }],
+    security: [{ apiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Listing: {
+          type: 'object',
+          required: API_LISTING_PROPERTIES.map(property => property.name),
+          properties: Object.fromEntries(API_LISTING_PROPERTIES.map(property => [property.name, property.schema]))
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: Object.values(API_ERRORS) },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
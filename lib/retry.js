@@ -0,0 +1,23 @@
+/**
+ * Retry timing for failed requests
+ *
+ * Retries back off exponentially (1s, 2s, 4s, ... up to a cap) with some
+ * jitter, so a listings outage isn't made worse by every open page retrying
+ * in step.
+ */
+
+// Automatic retries before waiting for the visitor to press "Try again"
+export const MAX_AUTO_RETRIES = 4
+
+/**
+ * Delay before retrying a failed request
+ * @param {number} attempt - Retries made so far (0 for the first retry)
+ * @param {Object} options - Timing options
+ * @param {number} options.baseDelay - Delay before the first retry, in milliseconds
+ * @param {number} options.maxDelay - Longest delay, in milliseconds
+ * @returns {number} Delay in milliseconds, between half and all of the backed-off delay
+ */
+export function getRetryDelay(attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt)
+  return Math.round(delay / 2 + Math.random() * (delay / 2))
+}
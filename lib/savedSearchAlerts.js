@@ -0,0 +1,251 @@
+/**
+ * Saved search alert job for PawsPlace
+ *
+ * Server only. Finds listings added since each saved search was last checked and
+ * emails the matches as a digest, following each search's frequency. Run it on a
+ * schedule through /api/cron/saved-search-alerts (see README).
+ */
+
+import { createServiceClient, getSiteUrl } from './supabase'
+import { getAlertFrequency, getNewMatches, getSavedSearchPath, isSearchDue } from './savedSearches'
+import { getMailer } from './mailer'
+
+// Most listings to include in one email; the rest are behind "see all results"
+const MAX_DIGEST_LISTINGS = 10
+
+// Unsubscribe tokens are UUIDs generated by the database
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const formatRent = (rent) => rent != null ? `£${rent.toLocaleString('en-GB')} pcm` : 'Rent TBC'
+
+/**
+ * Build the digest email for a saved search
+ * @param {Object} savedSearch - Saved search row, with user ({ email, first_name })
+ * @param {Array} listings - New matching listings
+ * @param {string} siteUrl - Public site URL for links
+ * @returns {Object} { subject, text, html, headers }
+ */
+export function buildDigestEmail(savedSearch, listings, siteUrl = getSiteUrl()) {
+  const count = listings.length
+  const shown = listings.slice(0, MAX_DIGEST_LISTINGS)
+  const resultsUrl = `${siteUrl}${getSavedSearchPath(savedSearch)}`
+  const unsubscribeUrl = `${siteUrl}/alerts/unsubscribe?token=${savedSearch.unsubscribe_token}`
+  const oneClickUrl = `${siteUrl}/api/alerts/unsubscribe?token=${savedSearch.unsubscribe_token}`
+  const greeting = savedSearch.user?.first_name ? `Hi ${savedSearch.user.first_name},` : 'Hi,'
+  const intro = `${count} new ${count === 1 ? 'property matches' : 'properties match'} your saved search "${savedSearch.name}":`
+  const more = count > shown.length ? `...and ${count - shown.length} more.` : ''
+  const footer = `You get these emails ${getAlertFrequency(savedSearch.frequency).schedule} because you saved this search on PawsPlace.`
+
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    ...shown.map(listing => [
+      `- ${listing.Title} - ${formatRent(listing.Rent)} - ${listing.Location}`,
+      `  ${siteUrl}/listings/${listing.id}`
+    ].join('\n')),
+    ...(more ? [more] : []),
+    '',
+    `See all results: ${resultsUrl}`,
+    '',
+    footer,
+    `Unsubscribe from this alert: ${unsubscribeUrl}`
+  ].join('\n')
+
+  const html = `
+    <div style="font-family: sans-serif; color: #333; max-width: 600px;">
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <ul style="padding-left: 18px;">
+        ${shown.map(listing => `
+          <li style="margin-bottom: 12px;">
+            <a href="${siteUrl}/listings/${encodeURIComponent(listing.id)}" style="color: #2d5a2d; font-weight: bold;">${escapeHtml(listing.Title)}</a><br>
+            ${escapeHtml(formatRent(listing.Rent))} &middot; ${escapeHtml(listing.Location)}
+          </li>`).join('')}
+      </ul>
+      ${more ? `<p>${escapeHtml(more)}</p>` : ''}
+      <p><a href="${escapeHtml(resultsUrl)}" style="color: #2d5a2d;">See all results</a></p>
+      <p style="font-size: 12px; color: #888;">
+        ${escapeHtml(footer)}<br>
+        <a href="${escapeHtml(unsubscribeUrl)}" style="color: #888;">Unsubscribe from this alert</a>
+      </p>
+    </div>`
+
+  return {
+    subject: `${count} new ${count === 1 ? 'property' : 'properties'} for "${savedSearch.name}"`,
+    text,
+    html,
+    headers: {
+      // Lets mail clients show their own one-click unsubscribe button (RFC 8058)
+      'List-Unsubscribe': `<${oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  }
+}
+
+/**
+ * Check every due saved search and email its new matches
+ * A search whose email fails keeps its last_checked_at, so it is retried next run.
+ * @param {Object} options - { now, mailer, client } (defaults: current time, configured mailer, service client)
+ * @returns {Promise<Object>} Result with { checked, sent, failed } or error
+ */
+export async function runSavedSearchAlerts({ now = new Date(), mailer = getMailer(), client = createServiceClient() } = {}) {
+  if (!client) {
+    return { error: { message: 'SUPABASE_SERVICE_ROLE_KEY is not set' } }
+  }
+
+  try {
+    const { data: savedSearches, error } = await client
+      .from('saved_searches')
+      .select('*, user:profiles(email, first_name)')
+
+    if (error) {
+      console.error('Error fetching saved searches for alerts:', error)
+      return { error }
+    }
+
+    const due = (savedSearches || []).filter(savedSearch => isSearchDue(savedSearch, now))
+    const summary = { checked: 0, sent: 0, failed: 0 }
+
+    if (due.length === 0) {
+      return { data: summary, error: null }
+    }
+
+    // One query covers every due search: everything listed since the oldest check
+    const since = due
+      .map(savedSearch => savedSearch.last_checked_at || savedSearch.created_at)
+      .sort()[0]
+
+    const { data: listings, error: listingsError } = await client
+      .from('listings')
+      .select('*')
+      .is('archived_at', null)
+      .is('unpublished_at', null)
+      .gt('Listed', since)
+      .lte('Listed', now.toISOString())
+
+    if (listingsError) {
+      console.error('Error fetching new listings for alerts:', listingsError)
+      return { error: listingsError }
+    }
+
+    for (const savedSearch of due) {
+      const matches = getNewMatches(savedSearch, listings || [])
+      const updates = { last_checked_at: now.toISOString() }
+
+      if (matches.length > 0 && savedSearch.user?.email) {
+        const { error: sendError } = await mailer.send({
+          to: savedSearch.user.email,
+          ...buildDigestEmail(savedSearch, matches)
+        })
+
+        if (sendError) {
+          summary.failed += 1
+          continue
+        }
+
+        summary.sent += 1
+        updates.last_sent_at = now.toISOString()
+      }
+
+      const { error: updateError } = await client
+        .from('saved_searches')
+        .update(updates)
+        .eq('id', savedSearch.id)
+
+      if (updateError) {
+        console.error('Error updating saved search after alert:', updateError)
+      }
+
+      summary.checked += 1
+    }
+
+    return { data: summary, error: null }
+  } catch (error) {
+    console.error('Error in runSavedSearchAlerts:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Find the saved search behind an unsubscribe link, without removing it
+ * @param {string} token - Unsubscribe token from the email
+ * @param {Object} client - Supabase client (defaults to the service client)
+ * @returns {Promise<Object>} Result with the search's { name } or error
+ */
+export async function findUnsubscribeSearch(token, client = createServiceClient()) {
+  if (!client) {
+    return { error: { message: 'Alerts are not configured on this server' } }
+  }
+
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    return { error: { message: 'This unsubscribe link is invalid' } }
+  }
+
+  try {
+    const { data, error } = await client
+      .from('saved_searches')
+      .select('name')
+      .eq('unsubscribe_token', token)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error loading saved search to unsubscribe:', error)
+      return { error }
+    }
+
+    if (!data) {
+      return { error: { message: 'This alert has already been removed' } }
+    }
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error in findUnsubscribeSearch:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Delete the saved search behind an unsubscribe link
+ * @param {string} token - Unsubscribe token from the email
+ * @param {Object} client - Supabase client (defaults to the service client)
+ * @returns {Promise<Object>} Result with the deleted search's { name } or error
+ */
+export async function unsubscribeSavedSearch(token, client = createServiceClient()) {
+  if (!client) {
+    return { error: { message: 'Alerts are not configured on this server' } }
+  }
+
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    return { error: { message: 'This unsubscribe link is invalid' } }
+  }
+
+  try {
+    const { data, error } = await client
+      .from('saved_searches')
+      .delete()
+      .eq('unsubscribe_token', token)
+      .select('name')
+
+    if (error) {
+      console.error('Error unsubscribing saved search:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'This alert has already been removed' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in unsubscribeSavedSearch:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Saved search helpers for PawsPlace
+ *
+ * A saved search stores the homepage search (location term, filters and sort)
+ * in the same shape as the URL query string, so it can be turned back into
+ * criteria with criteriaFromQuery and linked to as `/?...`.
+ * The alert job (lib/savedSearchAlerts.js) emails new matches on each search's schedule.
+ */
+
+import { criteriaFromQuery, criteriaToQuery, getActiveFilters, matchesCriteria } from './listingCriteria'
+
+// How often a saved search can email its new matches
+export const ALERT_FREQUENCIES = [
+  { value: 'instant', label: 'Instantly', schedule: 'as soon as new properties are listed', interval: 0 },
+  { value: 'daily', label: 'Daily digest', schedule: 'once a day', interval: 24 * 60 * 60 * 1000 },
+  { value: 'weekly', label: 'Weekly digest', schedule: 'once a week', interval: 7 * 24 * 60 * 60 * 1000 }
+]
+
+export const DEFAULT_ALERT_FREQUENCY = 'daily'
+
+/**
+ * Get the frequency definition for a value, falling back to the default
+ * @param {string} value - Frequency value
+ * @returns {Object} Frequency definition
+ */
+export function getAlertFrequency(value) {
+  return ALERT_FREQUENCIES.find(frequency => frequency.value === value) ||
+    ALERT_FREQUENCIES.find(frequency => frequency.value === DEFAULT_ALERT_FREQUENCY)
+}
+
+/**
+ * Describe a search in a few words, e.g. for a default name or an email subject
+ * @param {Object} criteria - Search criteria
+ * @returns {string} Summary such as "Camden · £1,500+ · Dogs allowed"
+ */
+export function describeSearch(criteria) {
+  const labels = getActiveFilters(criteria).map(filter => filter.label)
+  return labels.length > 0 ? labels.join(' · ') : 'All London rentals'
+}
+
+/**
+ * Build a saved search row from the current criteria
+ * @param {Object} criteria - Search criteria
+ * @param {Object} options - { name, frequency }
+ * @returns {Object} Saved search columns
+ */
+export function buildSavedSearch(criteria, { name, frequency = DEFAULT_ALERT_FREQUENCY } = {}) {
+  return {
+    name: name?.trim() || describeSearch(criteria),
+    criteria: criteriaToQuery(criteria),
+    frequency: getAlertFrequency(frequency).value
+  }
+}
+
+/**
+ * Homepage path that runs a saved search
+ * @param {Object} savedSearch - Saved search row
+ * @returns {string} Path such as '/?q=camden&pets=1'
+ */
+export function getSavedSearchPath(savedSearch) {
+  const params = new URLSearchParams(savedSearch.criteria || {}).toString()
+  return params ? `/?${params}` : '/'
+}
+
+/**
+ * Check whether a saved search is due to be checked for new listings
+ * @param {Object} savedSearch - Saved search row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if due
+ */
+export function isSearchDue(savedSearch, now = new Date()) {
+  if (!savedSearch.last_checked_at) {
+    return true
+  }
+
+  const elapsed = now.getTime() - new Date(savedSearch.last_checked_at).getTime()
+  return elapsed >= getAlertFrequency(savedSearch.frequency).interval
+}
+
+/**
+ * Find the listings that are new since a saved search was last checked and match it
+ * @param {Object} savedSearch - Saved search row
+ * @param {Array} listings - Recently listed rows
+ * @returns {Array} Matching listings, newest first
+ */
+export function getNewMatches(savedSearch, listings) {
+  const criteria = criteriaFromQuery(savedSearch.criteria || {})
+  const since = new Date(savedSearch.last_checked_at || savedSearch.created_at || 0).getTime()
+
+  return listings
+    .filter(listing => listing.Listed && new Date(listing.Listed).getTime() > since)
+    .filter(listing => matchesCriteria(listing, criteria))
+    .sort((a, b) => new Date(b.Listed) - new Date(a.Listed))
+}
+
+/**
+ * Unsubscribe from a saved search alert, from the link in its emails
+ * Posts to the same route mail clients use for one-click unsubscribe, so
+ * opening the link alone (as link scanners do) never removes the alert.
+ * @param {string} token - Unsubscribe token from the email
+ * @returns {Promise<Object>} Result or error
+ */
+export async function confirmUnsubscribe(token) {
+  try {
+    const response = await fetch(`/api/alerts/unsubscribe?token=${encodeURIComponent(token)}`, { method: 'POST' })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { data: result, error: null }
+  } catch (error) {
+    console.error('Error in confirmUnsubscribe:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
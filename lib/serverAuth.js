@@ -0,0 +1,142 @@
+/**
+ * Server-side route protection for PawsPlace
+ *
+ * Checks the signed-in user from the auth cookie (or a Bearer token) before a
+ * page or API route runs, so protected content is never sent to the wrong person.
+ * Only import this from getServerSideProps and API routes.
+ *
+ * Pages:
+ *   export const getServerSideProps = withRole('agent')
+ *
+ * API routes:
+ *   export default withApiRole('agent', async (req, res) => { ... req.session.user ... })
+ */
+
+import { supabase, createUserClient, isSupabaseConfigured } from './supabase'
+import { readAccessToken, getLoginUrl } from './authSession'
+import { isSuspended } from './admin'
+
+/**
+ * Look up the user and profile behind the request's access token
+ * @param {Object} req - Node request
+ * @returns {Promise<Object|null>} { user, profile, accessToken } or null if signed out
+ */
+export async function getServerSession(req) {
+  const accessToken = readAccessToken(req)
+  if (!accessToken || !isSupabaseConfigured()) {
+    return null
+  }
+
+  try {
+    // Verifies the token with Supabase Auth, so expired or forged tokens are rejected
+    const { data: { user }, error } = await supabase.auth.getUser(accessToken)
+    if (error || !user) {
+      return null
+    }
+
+    const { data: profile, error: profileError } = await createUserClient(accessToken)
+      .from('profiles')
+      .select('*')
+      .eq('id', user.id)
+      .maybeSingle()
+
+    if (profileError) {
+      console.error('Error fetching profile for session:', profileError)
+    }
+
+    return { user, profile: profile || null, accessToken }
+  } catch (error) {
+    console.error('Error in getServerSession:', error)
+    return null
+  }
+}
+
+/**
+ * Check whether a session has one of the allowed roles
+ * @param {Object} session - Result of getServerSession
+ * @param {string|string[]|null} roles - Allowed role(s); empty means any signed-in user
+ * @returns {boolean} True if allowed
+ */
+export function hasRole(session, roles) {
+  const allowed = [].concat(roles || [])
+  return allowed.length === 0 || allowed.includes(session?.profile?.role)
+}
+
+/**
+ * Protect a page by role
+ * Signed-out visitors are redirected to login with a return URL; signed-in users
+ * with the wrong role, or whose account is suspended, get a 403 page. The page
+ * receives `initialSession` so the client starts out signed in.
+ * @param {string|string[]|null} roles - Allowed role(s); null for any signed-in user
+ * @param {Function} getServerSidePropsFn - Optional page loader, called as (context, session)
+ * @returns {Function} getServerSideProps
+ */
+export function withRole(roles, getServerSidePropsFn) {
+  return async (context) => {
+    const session = await getServerSession(context.req)
+
+    if (!session) {
+      return {
+        redirect: { destination: getLoginUrl(context.resolvedUrl), permanent: false }
+      }
+    }
+
+    const initialSession = { user: session.user, profile: session.profile }
+
+    if (isSuspended(session.profile)) {
+      context.res.statusCode = 403
+      return {
+        props: { forbidden: { suspended: true }, initialSession }
+      }
+    }
+
+    if (!hasRole(session, roles)) {
+      context.res.statusCode = 403
+      return {
+        props: { forbidden: { roles: [].concat(roles) }, initialSession }
+      }
+    }
+
+    const result = getServerSidePropsFn
+      ? await getServerSidePropsFn(context, session)
+      : { props: {} }
+
+    if (!('props' in result)) {
+      return result
+    }
+
+    return {
+      ...result,
+      props: { ...(await result.props), initialSession }
+    }
+  }
+}
+
+/**
+ * Protect an API route by role
+ * Responds 401 when signed out and 403 for the wrong role or a suspended account; otherwise calls the
+ * handler with req.session set to { user, profile, accessToken }.
+ * @param {string|string[]|null} roles - Allowed role(s); null for any signed-in user
+ * @param {Function} handler - API route handler (req, res)
+ * @returns {Function} API route handler
+ */
+export function withApiRole(roles, handler) {
+  return async (req, res) => {
+    const session = await getServerSession(req)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    if (isSuspended(session.profile)) {
+      return res.status(403).json({ error: 'Your account has been suspended' })
+    }
+
+    if (!hasRole(session, roles)) {
+      return res.status(403).json({ error: 'You do not have permission to access this resource' })
+    }
+
+    req.session = session
+    return handler(req, res)
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Shortlist helpers for PawsPlace
+ *
+ * A shortlist entry remembers which listing was saved and the title and rent it
+ * had at the time, so the shortlist can flag listings that were later removed or
+ * changed price. Signed-out visitors keep their shortlist in localStorage; it is
+ * merged into their account when they sign in (see contexts/ShortlistContext.js).
+ */
+
+import { isListingPublic } from './listingCriteria'
+
+// localStorage key for the signed-out shortlist
+export const SHORTLIST_STORAGE_KEY = 'pawsplace-shortlist'
+
+/**
+ * Check whether two listing IDs refer to the same listing
+ * IDs can come back as numbers from the database and strings from the URL.
+ * @param {number|string} a - Listing ID
+ * @param {number|string} b - Listing ID
+ * @returns {boolean} True if they match
+ */
+export function isSameListing(a, b) {
+  return String(a) === String(b)
+}
+
+/**
+ * Create a shortlist entry for a listing
+ * @param {Object} listing - Listing row
+ * @returns {Object} Shortlist entry
+ */
+export function createShortlistEntry(listing) {
+  return {
+    listing_id: listing.id,
+    saved_title: listing.Title || null,
+    saved_rent: listing.Rent ?? null,
+    created_at: new Date().toISOString()
+  }
+}
+
+/**
+ * Read the signed-out shortlist from localStorage
+ * @returns {Array<Object>} Shortlist entries (empty on the server or if storage is unreadable)
+ */
+export function readLocalShortlist() {
+  if (typeof window === 'undefined') {
+    return []
+  }
+
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(SHORTLIST_STORAGE_KEY) || '[]')
+    return Array.isArray(entries) ? entries.filter(entry => entry?.listing_id != null) : []
+  } catch (error) {
+    console.error('Error reading local shortlist:', error)
+    return []
+  }
+}
+
+/**
+ * Save the signed-out shortlist to localStorage
+ * @param {Array<Object>} entries - Shortlist entries
+ */
+export function writeLocalShortlist(entries) {
+  if (typeof window === 'undefined') {
+    return
+  }
+
+  try {
+    if (entries.length > 0) {
+      window.localStorage.setItem(SHORTLIST_STORAGE_KEY, JSON.stringify(entries))
+    } else {
+      window.localStorage.removeItem(SHORTLIST_STORAGE_KEY)
+    }
+  } catch (error) {
+    console.error('Error saving local shortlist:', error)
+  }
+}
+
+/**
+ * Compare a shortlist entry with the listing as it is now
+ * @param {Object} entry - Shortlist entry
+ * @param {Object|undefined} listing - Current listing row, if it still exists
+ * @returns {Object} { removed, priceChange } where priceChange is the rent difference in pounds
+ */
+export function getShortlistStatus(entry, listing) {
+  if (!listing || !isListingPublic(listing)) {
+    return { removed: true, priceChange: 0 }
+  }
+
+  const priceChange = entry.saved_rent != null && listing.Rent != null
+    ? listing.Rent - entry.saved_rent
+    : 0
+
+  return { removed: false, priceChange }
+}
@@ -4,9 +4,22 @@
  * This file sets up the Supabase client using environment variables.
  * Make sure to set NEXT_PUBLIC_SUPABASE_URL and NEXT_PUBLIC_SUPABASE_ANON_KEY
  * in your .env.local file for local development or in Vercel environment variables.
+ * Public listing reads go through the listings data provider (lib/listingProvider.js).
  */
 
 import { createClient } from '@supabase/supabase-js'
+import { getLocationCoordinates } from './geo'
+import { writeAuthCookie } from './authSession'
+import { ADMIN_PAGE_SIZE, USER_ROLES, MAX_SUSPENSION_REASON_LENGTH, getChangedFields } from './admin'
+import { MAX_PHOTO_CAPTION_LENGTH, sortPhotos } from './photos'
+import {
+  USAGE_DAYS,
+  generateApiKey,
+  getKeyPrefix,
+  hashApiKey,
+  validateApiKeyForm,
+  validateRateLimit
+} from './apiKeys'
 
 // Supabase project URL and public API key from environment variables
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
@@ -19,6 +32,51 @@ export const supabase = createClient(
   supabaseAnonKey || 'placeholder-key'
 )
 
+/**
+ * Create a client that acts as a specific signed-in user
+ * Used on the server, where there is no browser session, so RLS policies see the user.
+ * @param {string} accessToken - User's Supabase access token
+ * @returns {Object} Supabase client
+ */
+export function createUserClient(accessToken) {
+  return createClient(
+    supabaseUrl || 'https://placeholder.supabase.co',
+    supabaseAnonKey || 'placeholder-key',
+    {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+    }
+  )
+}
+
+/**
+ * Create a client with the service role key, which bypasses RLS
+ * Server only, for background jobs such as saved search alerts. Returns null when
+ * SUPABASE_SERVICE_ROLE_KEY isn't set (it is never exposed to the browser).
+ * @returns {Object|null} Supabase client
+ */
+export function createServiceClient() {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+  if (!supabaseUrl || !serviceRoleKey) {
+    return null
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+  })
+}
+
+/**
+ * Get the public URL of this site, used for links in auth emails
+ * Set NEXT_PUBLIC_SITE_URL in production; falls back to the current origin in the browser.
+ * @returns {string} Site URL without a trailing slash
+ */
+export function getSiteUrl() {
+  const url = process.env.NEXT_PUBLIC_SITE_URL ||
+    (typeof window !== 'undefined' ? window.location.origin : 'http://localhost:3000')
+  return url.replace(/\/$/, '')
+}
+
 /**
  * Check if Supabase is properly configured
  * @returns {boolean} True if Supabase credentials are set
@@ -29,100 +87,361 @@ export function isSupabaseConfigured() {
     supabaseAnonKey !== 'placeholder-key')
 }
 
+// Keep the server-readable auth cookie in step with the browser session
+// (see lib/authSession.js)
+if (typeof window !== 'undefined' && isSupabaseConfigured()) {
+  supabase.auth.onAuthStateChange((event, session) => writeAuthCookie(session))
+}
+
+/**
+ * Make a search term safe to use inside a PostgREST or() filter
+ * @param {string} search - Search text
+ * @returns {string} ilike pattern, e.g. '%camden%', or '' for an empty search
+ */
+export const toSearchPattern = (search) => {
+  const term = (search || '').replace(/[,()%*\\"]/g, ' ').trim()
+  return term ? `%${term}%` : ''
+}
+
+/**
+ * Add coordinates geocoded from the Location to listing column values (see lib/geo.js)
+ * @param {Object} columns - Listing column values
+ * @returns {Object} Column values, with latitude/longitude if the Location is being set
+ */
+const withCoordinates = (columns) => 'Location' in columns
+  ? { ...columns, ...getLocationCoordinates(columns.Location) }
+  : columns
+
+/**
+ * ============================================================================
+ * AGENT LISTING MANAGEMENT FUNCTIONS
+ * ============================================================================
+ */
+
 /**
- * Fetch all listings from the 'listings' table
+ * Fetch the listings owned by an agent, including archived ones
+ * @param {string} agentId - Agent's user UUID
  * @returns {Promise<Array>} Array of listing objects
  */
-export async function fetchListings() {
-  // Return mock data if Supabase is not configured
-  if (!isSupabaseConfigured()) {
-    return getMockListings()
+export async function fetchAgentListings(agentId) {
+  if (!isSupabaseConfigured() || !agentId) {
+    return []
   }
 
   try {
     const { data, error } = await supabase
       .from('listings')
       .select('*')
-      .order('Listed', { ascending: false }) // Show newest listings first by default
+      .eq('agent_id', agentId)
+      .order('Listed', { ascending: false })
 
     if (error) {
-      console.error('Error fetching listings:', error)
-      return getMockListings() // Return mock data on error
+      console.error('Error fetching agent listings:', error)
+      return []
     }
 
     return data || []
   } catch (error) {
-    console.error('Error in fetchListings:', error)
-    return getMockListings() // Return mock data on error
+    console.error('Error in fetchAgentListings:', error)
+    return []
+  }
+}
+
+/**
+ * Fetch a single listing owned by an agent
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} Listing object or null if not found or not owned
+ */
+export async function fetchAgentListing(agentId, listingId) {
+  if (!isSupabaseConfigured() || !agentId || !listingId) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('listings')
+      .select('*')
+      .eq('id', listingId)
+      .eq('agent_id', agentId)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error fetching agent listing:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in fetchAgentListing:', error)
+    return null
   }
 }
 
 /**
- * Search listings by location (postcode/area)
- * @param {string} searchTerm - The location search term
- * @returns {Promise<Array>} Array of filtered listing objects
+ * Create a new listing owned by an agent
+ * @param {string} agentId - Agent's user UUID
+ * @param {Object} listing - Listing column values
+ * @returns {Promise<Object>} Result with created listing or error
  */
-export async function searchListingsByLocation(searchTerm) {
-  // Return filtered mock data if Supabase is not configured
+export async function createListing(agentId, listing) {
   if (!isSupabaseConfigured()) {
-    const mockData = getMockListings()
-    return mockData.filter(listing => 
-      listing.Location.toLowerCase().includes(searchTerm.toLowerCase())
-    )
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  if (!agentId) {
+    return { error: { message: 'You must be signed in as an agent to create listings' } }
+  }
+
+  try {
+    // Never trust ownership or visibility coming from the caller
+    const { id, agent_id, archived_at, unpublished_at, ...columns } = listing
+
+    const { data, error } = await supabase
+      .from('listings')
+      .insert([
+        {
+          ...withCoordinates(columns),
+          agent_id: agentId,
+          Listed: new Date().toISOString()
+        }
+      ])
+      .select()
+
+    if (error) {
+      console.error('Error creating listing:', error)
+      return { error }
+    }
+
+    return { data: data?.[0], error: null }
+  } catch (error) {
+    console.error('Error in createListing:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Update a listing owned by an agent
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @param {Object} updates - Listing column updates
+ * @returns {Promise<Object>} Result with updated listing or error
+ */
+export async function updateListing(agentId, listingId, updates) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { id, agent_id, archived_at, unpublished_at, Listed, ...columns } = updates
+
+    const { data, error } = await supabase
+      .from('listings')
+      .update(withCoordinates(columns))
+      .eq('id', listingId)
+      .eq('agent_id', agentId)
+      .select()
+
+    if (error) {
+      console.error('Error updating listing:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Listing not found or you do not have permission to edit it' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in updateListing:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Archive (or restore) a listing owned by an agent
+ * Archived listings stay in the agent's dashboard but are hidden from the public site.
+ * Either way the listing is now the agent's call, so a portal feed won't republish it.
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<Object>} Result with updated listing or error
+ */
+export async function archiveListing(agentId, listingId, archived = true) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
   }
 
   try {
     const { data, error } = await supabase
       .from('listings')
+      .update({ archived_at: archived ? new Date().toISOString() : null, withdrawn_by_feed: false })
+      .eq('id', listingId)
+      .eq('agent_id', agentId)
+      .select()
+
+    if (error) {
+      console.error('Error archiving listing:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Listing not found or you do not have permission to archive it' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in archiveListing:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+// Portal feed imports shown in an agent's import history
+const PORTAL_IMPORT_HISTORY_SIZE = 20
+
+/**
+ * Fetch an agent's most recent portal feed imports, newest first
+ * @param {string} agentId - Agent's user UUID
+ * @returns {Promise<Array>} portal_import_runs rows, each with its report
+ */
+export async function fetchPortalImportRuns(agentId) {
+  if (!isSupabaseConfigured() || !agentId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('portal_import_runs')
       .select('*')
-      .ilike('Location', `%${searchTerm}%`)
-      .order('Listed', { ascending: false })
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: false })
+      .limit(PORTAL_IMPORT_HISTORY_SIZE)
 
     if (error) {
-      console.error('Error searching listings:', error)
+      console.error('Error fetching portal import runs:', error)
       return []
     }
 
     return data || []
   } catch (error) {
-    console.error('Error in searchListingsByLocation:', error)
+    console.error('Error in fetchPortalImportRuns:', error)
     return []
   }
 }
 
 /**
- * Filter listings by property type
- * Note: This assumes property type can be derived from other fields
- * You can modify this based on your exact database schema
- * @param {string} propertyType - The type of property to filter by
- * @returns {Promise<Array>} Array of filtered listing objects
+ * ============================================================================
+ * LISTING PHOTO FUNCTIONS
+ * Uploading and deleting go through /api/listings/[id]/photos (see lib/photos.js)
+ * ============================================================================
  */
-export async function filterListingsByType(propertyType) {
-  // Return filtered mock data if Supabase is not configured
-  if (!isSupabaseConfigured()) {
-    return getMockListings()
+
+/**
+ * Fetch the photos of one of an agent's listings, cover first
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Array>} Array of photos
+ */
+export async function fetchListingPhotos(agentId, listingId) {
+  if (!isSupabaseConfigured() || !agentId) {
+    return []
   }
 
   try {
-    // This is a basic implementation - you may need to adjust based on your schema
     const { data, error } = await supabase
-      .from('listings')
+      .from('listing_photos')
       .select('*')
-      .gte('Bedrooms', propertyType === 'studio' ? 0 : 1)
-      .order('Listed', { ascending: false })
+      .eq('listing_id', listingId)
+      .eq('agent_id', agentId)
 
     if (error) {
-      console.error('Error filtering listings:', error)
+      console.error('Error fetching listing photos:', error)
       return []
     }
 
-    return data || []
+    return sortPhotos(data || [])
   } catch (error) {
-    console.error('Error in filterListingsByType:', error)
+    console.error('Error in fetchListingPhotos:', error)
     return []
   }
 }
 
+/**
+ * Change a photo's caption
+ * @param {string} agentId - Agent's user UUID
+ * @param {string} photoId - Photo ID
+ * @param {string} caption - New caption (blank removes it)
+ * @returns {Promise<Object>} Result with the updated photo or error
+ */
+export async function updateListingPhotoCaption(agentId, photoId, caption) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  const trimmed = caption.trim()
+  if (trimmed.length > MAX_PHOTO_CAPTION_LENGTH) {
+    return { error: { message: `Captions can be up to ${MAX_PHOTO_CAPTION_LENGTH} characters` } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('listing_photos')
+      .update({ caption: trimmed || null })
+      .eq('id', photoId)
+      .eq('agent_id', agentId)
+      .select()
+
+    if (error) {
+      console.error('Error updating photo caption:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Photo not found or you do not have permission to edit it' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in updateListingPhotoCaption:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Save a new photo order; the first photo becomes the cover
+ * @param {string} agentId - Agent's user UUID
+ * @param {Array<Object>} photos - All of the listing's photos in their new order
+ * @returns {Promise<Object>} Result with the reordered photos or error
+ */
+export async function reorderListingPhotos(agentId, photos) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    // Only write the photos whose position changed
+    const results = await Promise.all(photos
+      .map((photo, position) => ({ photo, position }))
+      .filter(({ photo, position }) => photo.position !== position)
+      .map(({ photo, position }) => supabase
+        .from('listing_photos')
+        .update({ position })
+        .eq('id', photo.id)
+        .eq('agent_id', agentId)))
+
+    const failed = results.find(result => result.error)
+    if (failed) {
+      console.error('Error reordering listing photos:', failed.error)
+      return { error: failed.error }
+    }
+
+    return { data: photos.map((photo, position) => ({ ...photo, position })), error: null }
+  } catch (error) {
+    console.error('Error in reorderListingPhotos:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
 /**
  * ============================================================================
  * AUTHENTICATION FUNCTIONS
@@ -135,9 +454,10 @@ export async function filterListingsByType(propertyType) {
  * @param {string} password - User's password
  * @param {string} role - User's role ('admin', 'agent', 'tenant')
  * @param {Object} metadata - Additional user metadata
+ * @param {Array<Object>} pets - Pet rows to add to a tenant's profile (see lib/petProfile.js)
  * @returns {Promise<Object>} Result with user data or error
  */
-export async function signUp(email, password, role = 'agent', metadata = {}) {
+export async function signUp(email, password, role = 'agent', metadata = {}, pets = []) {
   if (!isSupabaseConfigured()) {
     console.warn('Supabase not configured, sign up unavailable')
     return { error: { message: 'Authentication service not configured' } }
@@ -148,6 +468,7 @@ export async function signUp(email, password, role = 'agent', metadata = {}) {
       email,
       password,
       options: {
+        emailRedirectTo: `${getSiteUrl()}/auth/verify-email`,
         data: {
           role,
           ...metadata
@@ -160,12 +481,21 @@ export async function signUp(email, password, role = 'agent', metadata = {}) {
       return { error }
     }
 
-    // If sign up successful, create user profile
+    // If sign up successful, create user profile and any pets recorded during sign up.
+    // New agents wait for an admin to approve them before they can publish listings.
     if (data.user) {
-      const profileResult = await createUserProfile(data.user.id, email, role, metadata)
+      const profileColumns = role === 'agent' ? { ...metadata, approval_status: 'pending' } : metadata
+      const profileResult = await createUserProfile(data.user.id, email, role, profileColumns)
       if (profileResult.error) {
         console.error('Error creating user profile:', profileResult.error)
       }
+
+      if (pets.length) {
+        const petsResult = await createPets(data.user.id, pets)
+        if (petsResult.error) {
+          console.error('Error creating pets:', petsResult.error)
+        }
+      }
     }
 
     return { data, error: null }
@@ -225,86 +555,217 @@ export async function signOut() {
 }
 
 /**
- * Get the current user session
- * @returns {Promise<Object>} Current session or null
+ * Send a password reset email
+ * The email links to /auth/reset-password, where the user chooses a new password.
+ * @param {string} email - User's email
+ * @returns {Promise<Object>} Result with error if any
  */
-export async function getCurrentUser() {
+export async function requestPasswordReset(email) {
   if (!isSupabaseConfigured()) {
-    return null
+    console.warn('Supabase not configured, password reset unavailable')
+    return { error: { message: 'Authentication service not configured' } }
   }
 
   try {
-    const { data: { session } } = await supabase.auth.getSession()
-    return session?.user || null
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: `${getSiteUrl()}/auth/reset-password`
+    })
+
+    if (error) {
+      console.error('Password reset request error:', error)
+      return { error }
+    }
+
+    return { error: null }
   } catch (error) {
-    console.error('Error getting current user:', error)
-    return null
+    console.error('Error in requestPasswordReset:', error)
+    return { error: { message: 'An unexpected error occurred' } }
   }
 }
 
 /**
- * Listen to authentication state changes
- * @param {Function} callback - Function to call when auth state changes
- * @returns {Function} Unsubscribe function
+ * Set a new password for the signed-in user (e.g. after following a reset link)
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Result with user data or error
  */
-export function onAuthStateChange(callback) {
+export async function updatePassword(password) {
   if (!isSupabaseConfigured()) {
-    return () => {}
+    return { error: { message: 'Authentication service not configured' } }
   }
 
-  const { data: { subscription } } = supabase.auth.onAuthStateChange(callback)
-  return () => subscription?.unsubscribe()
-}
+  try {
+    const { data, error } = await supabase.auth.updateUser({ password })
 
-/**
- * ============================================================================
- * USER PROFILE FUNCTIONS
- * ============================================================================
- */
+    if (error) {
+      console.error('Update password error:', error)
+      return { error }
+    }
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error in updatePassword:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
 
 /**
- * Create a user profile in the profiles table
- * @param {string} userId - User's UUID from auth
+ * Resend the sign-up verification email
  * @param {string} email - User's email
- * @param {string} role - User's role ('admin', 'agent', 'tenant')
- * @param {Object} metadata - Additional profile data
- * @returns {Promise<Object>} Result with profile data or error
+ * @returns {Promise<Object>} Result with error if any
  */
-export async function createUserProfile(userId, email, role, metadata = {}) {
+export async function resendVerificationEmail(email) {
   if (!isSupabaseConfigured()) {
-    return { error: { message: 'Database service not configured' } }
+    return { error: { message: 'Authentication service not configured' } }
   }
 
   try {
-    const { data, error } = await supabase
-      .from('profiles')
-      .insert([
-        {
-          id: userId,
-          email,
-          role,
-          created_at: new Date().toISOString(),
-          ...metadata
-        }
-      ])
-      .select()
+    const { error } = await supabase.auth.resend({
+      type: 'signup',
+      email,
+      options: {
+        emailRedirectTo: `${getSiteUrl()}/auth/verify-email`
+      }
+    })
 
     if (error) {
-      console.error('Error creating user profile:', error)
+      console.error('Resend verification error:', error)
       return { error }
     }
 
-    return { data: data?.[0], error: null }
+    return { error: null }
   } catch (error) {
-    console.error('Error in createUserProfile:', error)
+    console.error('Error in resendVerificationEmail:', error)
     return { error: { message: 'An unexpected error occurred' } }
   }
 }
 
 /**
- * Get user profile by user ID
- * @param {string} userId - User's UUID
- * @returns {Promise<Object>} User profile or null
+ * Complete an auth email link (verification or password reset) on the current page
+ * Handles both link styles Supabase can send: a PKCE ?code= parameter, or tokens and
+ * errors in the URL hash (which the client picks up automatically).
+ * @returns {Promise<Object>} Result with session or error
+ */
+export async function completeAuthRedirect() {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Authentication service not configured' } }
+  }
+
+  try {
+    const url = new URL(window.location.href)
+    const hash = new URLSearchParams(url.hash.replace(/^#/, ''))
+
+    // Expired or already-used links come back with an error description
+    const errorDescription = url.searchParams.get('error_description') || hash.get('error_description')
+    if (errorDescription) {
+      return { error: { message: errorDescription } }
+    }
+
+    const code = url.searchParams.get('code')
+    if (code) {
+      const { data, error } = await supabase.auth.exchangeCodeForSession(code)
+      if (error) {
+        console.error('Auth code exchange error:', error)
+        return { error }
+      }
+      return { data, error: null }
+    }
+
+    const { data: { session }, error } = await supabase.auth.getSession()
+    if (error) {
+      return { error }
+    }
+    if (!session) {
+      return { error: { message: 'This link is invalid or has expired' } }
+    }
+
+    return { data: { session }, error: null }
+  } catch (error) {
+    console.error('Error in completeAuthRedirect:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Get the current user session
+ * @returns {Promise<Object>} Current session or null
+ */
+export async function getCurrentUser() {
+  if (!isSupabaseConfigured()) {
+    return null
+  }
+
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+    return session?.user || null
+  } catch (error) {
+    console.error('Error getting current user:', error)
+    return null
+  }
+}
+
+/**
+ * Listen to authentication state changes
+ * @param {Function} callback - Function to call when auth state changes
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthStateChange(callback) {
+  if (!isSupabaseConfigured()) {
+    return () => {}
+  }
+
+  const { data: { subscription } } = supabase.auth.onAuthStateChange(callback)
+  return () => subscription?.unsubscribe()
+}
+
+/**
+ * ============================================================================
+ * USER PROFILE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Create a user profile in the profiles table
+ * @param {string} userId - User's UUID from auth
+ * @param {string} email - User's email
+ * @param {string} role - User's role ('admin', 'agent', 'tenant')
+ * @param {Object} metadata - Additional profile data
+ * @returns {Promise<Object>} Result with profile data or error
+ */
+export async function createUserProfile(userId, email, role, metadata = {}) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .insert([
+        {
+          id: userId,
+          email,
+          role,
+          created_at: new Date().toISOString(),
+          ...metadata
+        }
+      ])
+      .select()
+
+    if (error) {
+      console.error('Error creating user profile:', error)
+      return { error }
+    }
+
+    return { data: data?.[0], error: null }
+  } catch (error) {
+    console.error('Error in createUserProfile:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Get user profile by user ID
+ * @param {string} userId - User's UUID
+ * @returns {Promise<Object>} User profile or null
  */
 export async function getUserProfile(userId) {
   if (!isSupabaseConfigured() || !userId) {
@@ -361,90 +822,1614 @@ export async function updateUserProfile(userId, updates) {
 }
 
 /**
- * Mock data for development and demonstration purposes
- * @returns {Array} Array of mock listing objects
+ * ============================================================================
+ * TENANT PET PROFILE FUNCTIONS
+ * ============================================================================
  */
-function getMockListings() {
-  return [
-    {
-      id: 1,
-      Title: "Spacious 2-Bedroom Flat in Camden",
-      Rent: 2200,
-      Listed: "2024-01-15T10:00:00Z",
-      Bedrooms: 2,
-      Baths: 1,
-      Location: "Camden, NW1",
-      Description: "Beautiful 2-bedroom apartment with large windows and pet-friendly amenities. Close to Camden Market and tube station. Garden access available for pets.",
-      Furnished: true,
-      Garden: true,
-      SquareFootage: 850,
-      PetParkingCosts: 50,
-      StairFreeAccess: false,
-      HouseShare: false
-    },
-    {
-      id: 2,
-      Title: "Modern Studio with Pet-Friendly Courtyard",
-      Rent: 1650,
-      Listed: "2024-01-12T14:30:00Z",
-      Bedrooms: 0,
-      Baths: 1,
-      Location: "Islington, N1",
-      Description: "Contemporary studio apartment with access to shared courtyard. Perfect for pet owners with small to medium pets. Utilities included.",
-      Furnished: true,
-      Garden: true,
-      SquareFootage: 400,
-      PetParkingCosts: 25,
-      StairFreeAccess: true,
-      HouseShare: false
-    },
-    {
-      id: 3,
-      Title: "3-Bedroom House with Large Garden",
-      Rent: 3200,
-      Listed: "2024-01-10T09:15:00Z",
-      Bedrooms: 3,
-      Baths: 2,
-      Location: "Clapham, SW4",
-      Description: "Charming Victorian house with large private garden. Perfect for families with pets. Recently renovated kitchen and bathrooms.",
-      Furnished: false,
-      Garden: true,
-      SquareFootage: 1200,
-      PetParkingCosts: 0,
-      StairFreeAccess: false,
-      HouseShare: false
-    },
-    {
-      id: 4,
-      Title: "Room in Pet-Friendly House Share",
-      Rent: 950,
-      Listed: "2024-01-08T16:45:00Z",
-      Bedrooms: 1,
-      Baths: 1,
-      Location: "Hackney, E8",
-      Description: "Large double room in friendly house share. Current housemates have cats and are very welcoming to pets. Shared garden and living spaces.",
-      Furnished: true,
-      Garden: true,
-      SquareFootage: 180,
-      PetParkingCosts: 15,
-      StairFreeAccess: true,
-      HouseShare: true
-    },
-    {
-      id: 5,
-      Title: "Luxury 1-Bedroom with Balcony",
-      Rent: 2800,
-      Listed: "2024-01-05T11:20:00Z",
-      Bedrooms: 1,
-      Baths: 1,
-      Location: "Canary Wharf, E14",
-      Description: "High-specification apartment with private balcony and concierge service. Pet washing station in building. River views.",
-      Furnished: true,
-      Garden: false,
-      SquareFootage: 650,
-      PetParkingCosts: 100,
-      StairFreeAccess: true,
-      HouseShare: false
-    }
-  ]
-}
\ No newline at end of file
+
+/**
+ * Fetch the pets recorded by a tenant
+ * Agents can read these too when the tenant has interacted with one of their listings (see README RLS notes).
+ * @param {string} ownerId - Tenant's user UUID
+ * @returns {Promise<Array>} Array of pet objects
+ */
+export async function fetchPets(ownerId) {
+  if (!isSupabaseConfigured() || !ownerId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('pets')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching pets:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchPets:', error)
+    return []
+  }
+}
+
+/**
+ * Add one or more pets to a tenant's profile
+ * @param {string} ownerId - Tenant's user UUID
+ * @param {Array<Object>} pets - Pet rows (see lib/petProfile.js)
+ * @returns {Promise<Object>} Result with created pets or error
+ */
+export async function createPets(ownerId, pets) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  if (!pets.length) {
+    return { data: [], error: null }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('pets')
+      .insert(pets.map(({ id, ...pet }) => ({
+        ...pet,
+        owner_id: ownerId,
+        created_at: new Date().toISOString()
+      })))
+      .select()
+
+    if (error) {
+      console.error('Error creating pets:', error)
+      return { error }
+    }
+
+    return { data: data || [], error: null }
+  } catch (error) {
+    console.error('Error in createPets:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Update one of a tenant's pets
+ * @param {string} ownerId - Tenant's user UUID
+ * @param {string} petId - Pet ID
+ * @param {Object} updates - Pet column updates
+ * @returns {Promise<Object>} Result with updated pet or error
+ */
+export async function updatePet(ownerId, petId, updates) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { id, owner_id, created_at, ...columns } = updates
+
+    const { data, error } = await supabase
+      .from('pets')
+      .update(columns)
+      .eq('id', petId)
+      .eq('owner_id', ownerId)
+      .select()
+
+    if (error) {
+      console.error('Error updating pet:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Pet not found' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in updatePet:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Remove one of a tenant's pets
+ * @param {string} ownerId - Tenant's user UUID
+ * @param {string} petId - Pet ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function deletePet(ownerId, petId) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('pets')
+      .delete()
+      .eq('id', petId)
+      .eq('owner_id', ownerId)
+
+    if (error) {
+      console.error('Error deleting pet:', error)
+      return { error }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in deletePet:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * ============================================================================
+ * SHORTLIST (FAVOURITES) FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Fetch a user's shortlisted listings, newest first
+ * @param {string} userId - User's UUID
+ * @returns {Promise<Array>} Array of favourite rows ({ listing_id, saved_title, saved_rent, created_at })
+ */
+export async function fetchFavourites(userId) {
+  if (!isSupabaseConfigured() || !userId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('favourites')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching favourites:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchFavourites:', error)
+    return []
+  }
+}
+
+/**
+ * Add listings to a user's shortlist
+ * Listings that are already shortlisted are left as they are, so the rent they
+ * were saved at is kept. Also used to merge a signed-out shortlist into the account.
+ * @param {string} userId - User's UUID
+ * @param {Array<Object>} entries - Shortlist entries (see lib/shortlist.js)
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function saveFavourites(userId, entries) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  if (!entries.length) {
+    return { error: null }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('favourites')
+      .upsert(entries.map(entry => ({
+        user_id: userId,
+        listing_id: entry.listing_id,
+        saved_title: entry.saved_title,
+        saved_rent: entry.saved_rent,
+        created_at: entry.created_at || new Date().toISOString()
+      })), { onConflict: 'user_id,listing_id', ignoreDuplicates: true })
+
+    if (error) {
+      console.error('Error saving favourites:', error)
+      return { error }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in saveFavourites:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Remove a listing from a user's shortlist
+ * @param {string} userId - User's UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function removeFavourite(userId, listingId) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('favourites')
+      .delete()
+      .eq('user_id', userId)
+      .eq('listing_id', listingId)
+
+    if (error) {
+      console.error('Error removing favourite:', error)
+      return { error }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in removeFavourite:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * ============================================================================
+ * SAVED SEARCH FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Fetch a user's saved searches, newest first
+ * @param {string} userId - User's UUID
+ * @returns {Promise<Array>} Array of saved search rows
+ */
+export async function fetchSavedSearches(userId) {
+  if (!isSupabaseConfigured() || !userId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching saved searches:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchSavedSearches:', error)
+    return []
+  }
+}
+
+/**
+ * Save a search as an email alert
+ * Only listings added from now on trigger the alert.
+ * @param {string} userId - User's UUID
+ * @param {Object} savedSearch - { name, criteria, frequency } (see lib/savedSearches.js)
+ * @returns {Promise<Object>} Result with the saved search or error
+ */
+export async function createSavedSearch(userId, savedSearch) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const now = new Date().toISOString()
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert([{
+        name: savedSearch.name,
+        criteria: savedSearch.criteria,
+        frequency: savedSearch.frequency,
+        user_id: userId,
+        created_at: now,
+        last_checked_at: now
+      }])
+      .select()
+
+    if (error) {
+      console.error('Error creating saved search:', error)
+      return { error }
+    }
+
+    return { data: data?.[0], error: null }
+  } catch (error) {
+    console.error('Error in createSavedSearch:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Rename a saved search or change how often it emails
+ * @param {string} userId - User's UUID
+ * @param {string} savedSearchId - Saved search ID
+ * @param {Object} updates - { name, frequency }
+ * @returns {Promise<Object>} Result with the updated saved search or error
+ */
+export async function updateSavedSearch(userId, savedSearchId, updates) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { name, frequency } = updates
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update({ name, frequency })
+      .eq('id', savedSearchId)
+      .eq('user_id', userId)
+      .select()
+
+    if (error) {
+      console.error('Error updating saved search:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Saved search not found' } }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in updateSavedSearch:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Delete a saved search and stop its alerts
+ * @param {string} userId - User's UUID
+ * @param {string} savedSearchId - Saved search ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function deleteSavedSearch(userId, savedSearchId) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', savedSearchId)
+      .eq('user_id', userId)
+
+    if (error) {
+      console.error('Error deleting saved search:', error)
+      return { error }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in deleteSavedSearch:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * ============================================================================
+ * ENQUIRY MESSAGING FUNCTIONS
+ * ============================================================================
+ */
+
+// Columns loaded with every conversation: the listing and both participants
+const CONVERSATION_COLUMNS = `*,
+  listing:listings(id, Title, Location, Rent),
+  tenant:profiles!conversations_tenant_id_fkey(first_name, last_name, full_name, email),
+  agent:profiles!conversations_agent_id_fkey(first_name, last_name, full_name, agency, email)`
+
+/**
+ * Fetch the conversations a user takes part in, most recent first
+ * @param {string} userId - User's UUID (tenant or agent)
+ * @returns {Promise<Array>} Array of conversations with listing, tenant and agent
+ */
+export async function fetchConversations(userId) {
+  if (!isSupabaseConfigured() || !userId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select(CONVERSATION_COLUMNS)
+      .or(`tenant_id.eq.${userId},agent_id.eq.${userId}`)
+      .order('last_message_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching conversations:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchConversations:', error)
+    return []
+  }
+}
+
+/**
+ * Fetch one conversation the user takes part in
+ * @param {string} userId - User's UUID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation or null if not found
+ */
+export async function fetchConversation(userId, conversationId) {
+  if (!isSupabaseConfigured() || !userId) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select(CONVERSATION_COLUMNS)
+      .eq('id', conversationId)
+      .or(`tenant_id.eq.${userId},agent_id.eq.${userId}`)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error fetching conversation:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in fetchConversation:', error)
+    return null
+  }
+}
+
+/**
+ * Find the tenant's conversation about a listing, if they have already enquired
+ * @param {string} tenantId - Tenant's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} Conversation or null
+ */
+export async function findConversation(tenantId, listingId) {
+  if (!isSupabaseConfigured() || !tenantId) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('listing_id', listingId)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error finding conversation:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in findConversation:', error)
+    return null
+  }
+}
+
+/**
+ * Send an enquiry about a listing, starting a conversation with its agent if needed
+ * @param {string} tenantId - Tenant's user UUID
+ * @param {Object} listing - Listing row (needs id and agent_id)
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Result with the conversation or error
+ */
+export async function sendEnquiry(tenantId, listing, body) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Messaging service not configured' } }
+  }
+
+  if (!listing.agent_id) {
+    return { error: { message: 'This listing is not accepting enquiries' } }
+  }
+
+  try {
+    let conversation = await findConversation(tenantId, listing.id)
+
+    if (!conversation) {
+      const now = new Date().toISOString()
+      // agent_id is filled in by the database from the listing (see README)
+      const { data, error } = await supabase
+        .from('conversations')
+        .insert([{
+          listing_id: listing.id,
+          tenant_id: tenantId,
+          created_at: now,
+          last_message_at: now
+        }])
+        .select()
+
+      if (error) {
+        console.error('Error starting conversation:', error)
+        return { error }
+      }
+
+      conversation = data[0]
+    }
+
+    const { error } = await sendMessage(tenantId, conversation, { body })
+    if (error) {
+      return { error }
+    }
+
+    return { data: conversation, error: null }
+  } catch (error) {
+    console.error('Error in sendEnquiry:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Fetch the messages in a conversation, oldest first
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array>} Array of messages
+ */
+export async function fetchMessages(conversationId) {
+  if (!isSupabaseConfigured()) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching messages:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchMessages:', error)
+    return []
+  }
+}
+
+/**
+ * Send a message to the other participant in a conversation
+ * @param {string} senderId - Sender's user UUID
+ * @param {Object} conversation - Conversation row
+ * @param {Object} message - { body, pets } where pets is an optional pet profile snapshot
+ * @returns {Promise<Object>} Result with the sent message or error
+ */
+export async function sendMessage(senderId, conversation, { body, pets = null }) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Messaging service not configured' } }
+  }
+
+  try {
+    const now = new Date().toISOString()
+    const recipientId = senderId === conversation.tenant_id ? conversation.agent_id : conversation.tenant_id
+
+    const { data, error } = await supabase
+      .from('messages')
+      .insert([{
+        conversation_id: conversation.id,
+        sender_id: senderId,
+        recipient_id: recipientId,
+        body: body.trim(),
+        pets,
+        created_at: now
+      }])
+      .select()
+
+    if (error) {
+      console.error('Error sending message:', error)
+      return { error }
+    }
+
+    // Keep the inbox ordered by latest activity
+    await supabase
+      .from('conversations')
+      .update({ last_message_at: now })
+      .eq('id', conversation.id)
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in sendMessage:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Mark every message the user has received in a conversation as read
+ * @param {string} userId - Signed-in user's UUID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function markConversationRead(userId, conversationId) {
+  if (!isSupabaseConfigured()) {
+    return { error: null }
+  }
+
+  try {
+    const { error } = await supabase
+      .from('messages')
+      .update({ read_at: new Date().toISOString() })
+      .eq('conversation_id', conversationId)
+      .eq('recipient_id', userId)
+      .is('read_at', null)
+
+    if (error) {
+      console.error('Error marking conversation read:', error)
+      return { error }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in markConversationRead:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Count a user's unread messages
+ * @param {string} userId - User's UUID
+ * @returns {Promise<Object>} { total, byConversation } where byConversation maps conversation ID to count
+ */
+export async function fetchUnreadCounts(userId) {
+  const counts = { total: 0, byConversation: {} }
+
+  if (!isSupabaseConfigured() || !userId) {
+    return counts
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('conversation_id')
+      .eq('recipient_id', userId)
+      .is('read_at', null)
+
+    if (error) {
+      console.error('Error fetching unread messages:', error)
+      return counts
+    }
+
+    (data || []).forEach(({ conversation_id: conversationId }) => {
+      counts.total += 1
+      counts.byConversation[conversationId] = (counts.byConversation[conversationId] || 0) + 1
+    })
+
+    return counts
+  } catch (error) {
+    console.error('Error in fetchUnreadCounts:', error)
+    return counts
+  }
+}
+
+/**
+ * Listen for new and updated messages through Supabase realtime
+ * @param {string} column - Column to filter on: 'recipient_id' or 'conversation_id'
+ * @param {string} value - Value the column must equal
+ * @param {Function} callback - Called with (eventType, message) for each insert or update
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToMessages(column, value, callback) {
+  if (!isSupabaseConfigured() || !value) {
+    return () => {}
+  }
+
+  const channel = supabase
+    .channel(`messages:${column}:${value}:${Math.random().toString(36).slice(2)}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'messages', filter: `${column}=eq.${value}` },
+      (payload) => callback(payload.eventType, payload.new)
+    )
+    .subscribe()
+
+  return () => {
+    supabase.removeChannel(channel)
+  }
+}
+
+/**
+ * ============================================================================
+ * VIEWING SLOT FUNCTIONS
+ * ============================================================================
+ * Booking, cancelling and rescheduling go through /api/viewings (see lib/viewings.js)
+ * so both participants are emailed; these cover reading and publishing slots.
+ */
+
+// Columns loaded with every viewing: the listing and both participants
+const VIEWING_COLUMNS = `*,
+  listing:listings(id, Title, Location),
+  tenant:profiles!viewing_slots_tenant_id_fkey(first_name, last_name, full_name, email, phone),
+  agent:profiles!viewing_slots_agent_id_fkey(first_name, last_name, full_name, agency, email)`
+
+/**
+ * Fetch a listing's upcoming slots that are free, plus the tenant's own booking
+ * @param {number|string} listingId - Listing ID
+ * @param {string} tenantId - Signed-in tenant's UUID, to include their booked slot
+ * @returns {Promise<Array>} Array of slots, soonest first
+ */
+export async function fetchListingSlots(listingId, tenantId = null) {
+  if (!isSupabaseConfigured()) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('viewing_slots')
+      .select('*')
+      .eq('listing_id', listingId)
+      .or(tenantId ? `tenant_id.is.null,tenant_id.eq.${tenantId}` : 'tenant_id.is.null')
+      .gt('starts_at', new Date().toISOString())
+      .order('starts_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching viewing slots:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchListingSlots:', error)
+    return []
+  }
+}
+
+/**
+ * Fetch a tenant's upcoming booked viewings
+ * @param {string} tenantId - Tenant's user UUID
+ * @returns {Promise<Array>} Array of slots with listing and agent, soonest first
+ */
+export async function fetchTenantViewings(tenantId) {
+  if (!isSupabaseConfigured() || !tenantId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('viewing_slots')
+      .select(VIEWING_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .gt('ends_at', new Date().toISOString())
+      .order('starts_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching tenant viewings:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchTenantViewings:', error)
+    return []
+  }
+}
+
+/**
+ * Fetch an agent's slots (free and booked) across all their listings in a time range
+ * @param {string} agentId - Agent's user UUID
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Array>} Array of slots with listing and tenant, in time order
+ */
+export async function fetchAgentViewings(agentId, start, end) {
+  if (!isSupabaseConfigured() || !agentId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('viewing_slots')
+      .select(VIEWING_COLUMNS)
+      .eq('agent_id', agentId)
+      .gte('starts_at', start.toISOString())
+      .lt('starts_at', end.toISOString())
+      .order('starts_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching agent viewings:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchAgentViewings:', error)
+    return []
+  }
+}
+
+/**
+ * Publish viewing slots for one of the agent's listings
+ * The database rejects slots that overlap any the agent already has.
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @param {Array} slots - Slots from buildSlotSeries ({ starts_at, ends_at })
+ * @returns {Promise<Object>} Result with the created slots or error
+ */
+export async function createViewingSlots(agentId, listingId, slots) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Viewing service not configured' } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('viewing_slots')
+      .insert(slots.map(slot => ({
+        listing_id: listingId,
+        agent_id: agentId,
+        starts_at: slot.starts_at,
+        ends_at: slot.ends_at
+      })))
+      .select(VIEWING_COLUMNS)
+
+    if (error) {
+      console.error('Error creating viewing slots:', error)
+      // 23P01 is the exclusion constraint that stops an agent double-booking themselves
+      if (error.code === '23P01') {
+        return { error: { message: 'These times overlap viewing slots you have already published' } }
+      }
+      return { error }
+    }
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error in createViewingSlots:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Delete one of the agent's free slots (booked slots must be cancelled first)
+ * @param {string} agentId - Agent's user UUID
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export async function deleteViewingSlot(agentId, slotId) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Viewing service not configured' } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('viewing_slots')
+      .delete()
+      .eq('id', slotId)
+      .eq('agent_id', agentId)
+      .is('tenant_id', null)
+      .select('id')
+
+    if (error) {
+      console.error('Error deleting viewing slot:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'This slot has been booked. Cancel the viewing first.' } }
+    }
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error in deleteViewingSlot:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * ============================================================================
+ * RENTAL APPLICATION FUNCTIONS
+ * ============================================================================
+ */
+
+// Columns loaded with every application: the listing, the applicant and the status history
+const APPLICATION_COLUMNS = `*,
+  listing:listings(id, Title, Location, Rent),
+  tenant:profiles!applications_tenant_id_fkey(first_name, last_name, full_name, email, phone),
+  events:application_events(id, from_status, to_status, note, created_at)`
+
+/**
+ * Sort an application's status history oldest first
+ */
+const sortApplicationEvents = (application) => ({
+  ...application,
+  events: [...(application.events || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+})
+
+/**
+ * Fetch the applications for one of an agent's listings, oldest first
+ * @param {string} agentId - Agent's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Array>} Array of applications with tenant and events
+ */
+export async function fetchListingApplications(agentId, listingId) {
+  if (!isSupabaseConfigured() || !agentId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('applications')
+      .select(APPLICATION_COLUMNS)
+      .eq('agent_id', agentId)
+      .eq('listing_id', listingId)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('Error fetching listing applications:', error)
+      return []
+    }
+
+    return (data || []).map(sortApplicationEvents)
+  } catch (error) {
+    console.error('Error in fetchListingApplications:', error)
+    return []
+  }
+}
+
+/**
+ * Fetch a tenant's applications, most recent first
+ * @param {string} tenantId - Tenant's user UUID
+ * @returns {Promise<Array>} Array of applications with listing and events
+ */
+export async function fetchTenantApplications(tenantId) {
+  if (!isSupabaseConfigured() || !tenantId) {
+    return []
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('applications')
+      .select(APPLICATION_COLUMNS)
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching tenant applications:', error)
+      return []
+    }
+
+    return (data || []).map(sortApplicationEvents)
+  } catch (error) {
+    console.error('Error in fetchTenantApplications:', error)
+    return []
+  }
+}
+
+/**
+ * Find the tenant's application for a listing, if they have already applied
+ * @param {string} tenantId - Tenant's user UUID
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} Application or null
+ */
+export async function findApplication(tenantId, listingId) {
+  if (!isSupabaseConfigured() || !tenantId) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('applications')
+      .select('id, status')
+      .eq('tenant_id', tenantId)
+      .eq('listing_id', listingId)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error finding application:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in findApplication:', error)
+    return null
+  }
+}
+
+/**
+ * Apply for a listing and record the 'submitted' status
+ * @param {string} tenantId - Tenant's user UUID
+ * @param {Object} listing - Listing row (needs id and agent_id)
+ * @param {Object} application - Columns from formValuesToApplication (lib/applications.js)
+ * @returns {Promise<Object>} Result with the application or error
+ */
+export async function submitApplication(tenantId, listing, application) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Application service not configured' } }
+  }
+
+  if (!listing.agent_id) {
+    return { error: { message: 'This listing is not accepting applications' } }
+  }
+
+  try {
+    const now = new Date().toISOString()
+    const { data, error } = await supabase
+      .from('applications')
+      .insert([{
+        ...application,
+        // agent_id and the 'submitted' event are filled in by the database (see README)
+        listing_id: listing.id,
+        tenant_id: tenantId,
+        status: 'submitted',
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+
+    if (error) {
+      console.error('Error submitting application:', error)
+      // 23505 is the one-application-per-listing unique constraint
+      if (error.code === '23505') {
+        return { error: { message: "You've already applied for this property" } }
+      }
+      return { error }
+    }
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in submitApplication:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * ============================================================================
+ * ADMIN FUNCTIONS
+ * Every change an admin makes is recorded in admin_audit_log (see lib/admin.js)
+ * ============================================================================
+ */
+
+// Columns shown for each account in the admin users table
+const ADMIN_PROFILE_COLUMNS = 'id, email, role, first_name, last_name, full_name, agency, phone, created_at, suspended_at, suspension_reason, approval_status'
+
+/**
+ * Record an admin action in the audit log
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} entry - { action, targetType, targetId, details }
+ * @returns {Promise<Object>} Result with error, if any
+ */
+async function recordAdminAction(adminId, { action, targetType, targetId, details = {} }) {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert([{
+      admin_id: adminId,
+      action,
+      target_type: targetType,
+      target_id: String(targetId),
+      details,
+      created_at: new Date().toISOString()
+    }])
+
+  if (error) {
+    console.error('Error recording admin action:', error)
+  }
+
+  return { error }
+}
+
+/**
+ * Fetch one page of user profiles for the admin users table, newest first
+ * @param {Object} options - Search options
+ * @param {string} options.search - Matches email, name or agency
+ * @param {string} options.role - Only this role
+ * @param {string} options.status - 'active', 'suspended' or 'pending' (see ACCOUNT_FILTERS)
+ * @param {number} options.page - Zero-based page number
+ * @returns {Promise<Object>} { profiles, total }
+ */
+export async function fetchProfiles({ search = '', role = '', status = '', page = 0 } = {}) {
+  if (!isSupabaseConfigured()) {
+    return { profiles: [], total: 0 }
+  }
+
+  try {
+    let query = supabase
+      .from('profiles')
+      .select(ADMIN_PROFILE_COLUMNS, { count: 'exact' })
+
+    const pattern = toSearchPattern(search)
+    if (pattern) {
+      query = query.or(`email.ilike.${pattern},full_name.ilike.${pattern},agency.ilike.${pattern}`)
+    }
+    if (role) {
+      query = query.eq('role', role)
+    }
+    if (status === 'active') {
+      query = query.is('suspended_at', null)
+    } else if (status === 'suspended') {
+      query = query.not('suspended_at', 'is', null)
+    } else if (status === 'pending') {
+      query = query.eq('role', 'agent').eq('approval_status', 'pending')
+    }
+
+    const from = page * ADMIN_PAGE_SIZE
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + ADMIN_PAGE_SIZE - 1)
+
+    if (error) {
+      console.error('Error fetching profiles:', error)
+      return { profiles: [], total: 0 }
+    }
+
+    return { profiles: data || [], total: count || 0 }
+  } catch (error) {
+    console.error('Error in fetchProfiles:', error)
+    return { profiles: [], total: 0 }
+  }
+}
+
+/**
+ * Update a profile on an admin's behalf and record it in the audit log
+ * Goes through updateUserProfile; admins can't use it on their own account.
+ */
+async function updateProfileAsAdmin(adminId, profile, updates, entry) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  if (profile.id === adminId) {
+    return { error: { message: "You can't change your own account from the admin area" } }
+  }
+
+  const { data, error } = await updateUserProfile(profile.id, updates)
+  if (error) {
+    return { error }
+  }
+
+  if (!data) {
+    return { error: { message: 'Account not found or you do not have permission to change it' } }
+  }
+
+  await recordAdminAction(adminId, {
+    ...entry,
+    targetType: 'profile',
+    targetId: profile.id,
+    details: { ...entry.details, target_label: profile.email }
+  })
+
+  return { data, error: null }
+}
+
+/**
+ * Change a user's role (admins)
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} profile - Profile row being changed
+ * @param {string} role - New role: 'admin', 'agent' or 'tenant'
+ * @returns {Promise<Object>} Result with the updated profile or error
+ */
+export async function changeUserRole(adminId, profile, role) {
+  if (!USER_ROLES.some(option => option.value === role)) {
+    return { error: { message: 'Please choose a valid role' } }
+  }
+
+  if (role === profile.role) {
+    return { data: profile, error: null }
+  }
+
+  return updateProfileAsAdmin(adminId, profile, { role }, {
+    action: 'role_changed',
+    details: { from: profile.role, to: role }
+  })
+}
+
+/**
+ * Suspend or reinstate a user's account (admins)
+ * Suspended users are signed out and blocked by withRole/withApiRole (lib/serverAuth.js).
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} profile - Profile row being changed
+ * @param {boolean} suspended - True to suspend, false to reinstate
+ * @param {string} reason - Optional reason, shown to other admins
+ * @returns {Promise<Object>} Result with the updated profile or error
+ */
+export async function setUserSuspended(adminId, profile, suspended = true, reason = '') {
+  const trimmedReason = suspended ? reason.trim().slice(0, MAX_SUSPENSION_REASON_LENGTH) : ''
+
+  return updateProfileAsAdmin(adminId, profile, {
+    suspended_at: suspended ? new Date().toISOString() : null,
+    suspension_reason: trimmedReason || null
+  }, {
+    action: suspended ? 'user_suspended' : 'user_reinstated',
+    details: trimmedReason ? { reason: trimmedReason } : {}
+  })
+}
+
+/**
+ * Approve or reject an agent who has signed up (admins)
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} profile - Agent's profile row
+ * @param {boolean} approved - True to approve, false to reject
+ * @returns {Promise<Object>} Result with the updated profile or error
+ */
+export async function reviewAgent(adminId, profile, approved = true) {
+  if (profile.role !== 'agent') {
+    return { error: { message: 'Only agent accounts need approval' } }
+  }
+
+  return updateProfileAsAdmin(adminId, profile, {
+    approval_status: approved ? 'approved' : 'rejected'
+  }, {
+    action: approved ? 'agent_approved' : 'agent_rejected'
+  })
+}
+
+/**
+ * Fetch one page of every agent's listings for moderation, newest first
+ * @param {Object} options - Search options
+ * @param {string} options.search - Matches title or location
+ * @param {boolean} options.includeArchived - Include listings unpublished by an admin or archived by their agent
+ * @param {number} options.page - Zero-based page number
+ * @returns {Promise<Object>} { listings, total }, each listing with its agent
+ */
+export async function fetchAdminListings({ search = '', includeArchived = false, page = 0 } = {}) {
+  if (!isSupabaseConfigured()) {
+    return { listings: [], total: 0 }
+  }
+
+  try {
+    let query = supabase
+      .from('listings')
+      .select('*, agent:profiles(full_name, agency, email)', { count: 'exact' })
+
+    const pattern = toSearchPattern(search)
+    if (pattern) {
+      query = query.or(`Title.ilike.${pattern},Location.ilike.${pattern}`)
+    }
+    if (!includeArchived) {
+      query = query.is('archived_at', null).is('unpublished_at', null)
+    }
+
+    const from = page * ADMIN_PAGE_SIZE
+    const { data, count, error } = await query
+      .order('Listed', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: true })
+      .range(from, from + ADMIN_PAGE_SIZE - 1)
+
+    if (error) {
+      console.error('Error fetching admin listings:', error)
+      return { listings: [], total: 0 }
+    }
+
+    return { listings: data || [], total: count || 0 }
+  } catch (error) {
+    console.error('Error in fetchAdminListings:', error)
+    return { listings: [], total: 0 }
+  }
+}
+
+/**
+ * Fetch any listing, including unpublished ones (admins)
+ * @param {number|string} listingId - Listing ID
+ * @returns {Promise<Object>} Listing with its agent, or null if not found
+ */
+export async function fetchAdminListing(listingId) {
+  if (!isSupabaseConfigured() || !listingId) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('listings')
+      .select('*, agent:profiles(full_name, agency, email)')
+      .eq('id', listingId)
+      .maybeSingle()
+
+    if (error) {
+      console.error('Error fetching admin listing:', error)
+      return null
+    }
+
+    return data
+  } catch (error) {
+    console.error('Error in fetchAdminListing:', error)
+    return null
+  }
+}
+
+/**
+ * Unpublish or republish several listings at once (admins)
+ * Unpublished listings disappear from the public site. This is kept apart from
+ * the agent's own archiving, so agents can't restore a listing an admin took down.
+ * @param {string} adminId - Admin's user UUID
+ * @param {Array<number|string>} listingIds - Listing IDs
+ * @param {boolean} published - False to unpublish, true to republish
+ * @returns {Promise<Object>} Result with the updated listings or error
+ */
+export async function setListingsPublished(adminId, listingIds, published = false) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  if (!listingIds.length) {
+    return { error: { message: 'Choose at least one listing' } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('listings')
+      .update({ unpublished_at: published ? null : new Date().toISOString() })
+      .in('id', listingIds)
+      .select('*, agent:profiles(full_name, agency, email)')
+
+    if (error) {
+      console.error('Error changing listing visibility:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Listings not found or you do not have permission to change them' } }
+    }
+
+    await recordAdminAction(adminId, {
+      action: published ? 'listings_republished' : 'listings_unpublished',
+      targetType: 'listing',
+      targetId: data.map(listing => listing.id).join(','),
+      details: {
+        listing_ids: data.map(listing => listing.id),
+        target_label: data.map(listing => listing.Title).join(', ')
+      }
+    })
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error in setListingsPublished:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Edit any agent's listing (admins)
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} listing - Listing row before the edit
+ * @param {Object} updates - Listing column updates
+ * @returns {Promise<Object>} Result with the updated listing or error
+ */
+export async function adminUpdateListing(adminId, listing, updates) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    // Ownership, listing date and visibility aren't edited through the form
+    const { id, agent_id, agent, archived_at, unpublished_at, Listed, ...columns } = updates
+
+    const { data, error } = await supabase
+      .from('listings')
+      .update(withCoordinates(columns))
+      .eq('id', listing.id)
+      .select()
+
+    if (error) {
+      console.error('Error updating listing as admin:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'Listing not found or you do not have permission to edit it' } }
+    }
+
+    await recordAdminAction(adminId, {
+      action: 'listing_edited',
+      targetType: 'listing',
+      targetId: listing.id,
+      details: { fields: getChangedFields(listing, columns), target_label: listing.Title }
+    })
+
+    return { data: data[0], error: null }
+  } catch (error) {
+    console.error('Error in adminUpdateListing:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Fetch one page of the admin audit log, most recent first
+ * @param {Object} options - Filter options
+ * @param {string} options.action - Only this action (see AUDIT_ACTIONS)
+ * @param {number} options.page - Zero-based page number
+ * @returns {Promise<Object>} { entries, total }, each entry with the admin who made it
+ */
+export async function fetchAuditLog({ action = '', page = 0 } = {}) {
+  if (!isSupabaseConfigured()) {
+    return { entries: [], total: 0 }
+  }
+
+  try {
+    let query = supabase
+      .from('admin_audit_log')
+      .select('*, admin:profiles!admin_audit_log_admin_id_fkey(full_name, email)', { count: 'exact' })
+
+    if (action) {
+      query = query.eq('action', action)
+    }
+
+    const from = page * ADMIN_PAGE_SIZE
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + ADMIN_PAGE_SIZE - 1)
+
+    if (error) {
+      console.error('Error fetching audit log:', error)
+      return { entries: [], total: 0 }
+    }
+
+    return { entries: data || [], total: count || 0 }
+  } catch (error) {
+    console.error('Error in fetchAuditLog:', error)
+    return { entries: [], total: 0 }
+  }
+}
+
+/**
+ * ============================================================================
+ * PARTNER API KEY FUNCTIONS
+ * Keys for the public listings API (see lib/apiKeys.js and lib/publicApi.js).
+ * Only admins can read or change api_keys; changes go in the audit log.
+ * ============================================================================
+ */
+
+// Columns shown for each key in the admin area; the key hash is never read back
+const API_KEY_COLUMNS = 'id, name, contact_email, key_prefix, rate_limit, request_count, last_used_at, created_at, revoked_at'
+
+/**
+ * Fetch every API key with its daily usage over the last USAGE_DAYS days, newest first
+ * @returns {Promise<Array>} api_keys rows, each with usage ({ day, requests })
+ */
+export async function fetchApiKeys() {
+  if (!isSupabaseConfigured()) {
+    return []
+  }
+
+  try {
+    const since = new Date(Date.now() - (USAGE_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(`${API_KEY_COLUMNS}, usage:api_key_usage(day, requests)`)
+      .gte('usage.day', since)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching API keys:', error)
+      return []
+    }
+
+    return data || []
+  } catch (error) {
+    console.error('Error in fetchApiKeys:', error)
+    return []
+  }
+}
+
+/**
+ * Create an API key for a partner (admins)
+ * The key itself is returned here once; only its hash is stored.
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} values - { name, contactEmail, rateLimit }
+ * @returns {Promise<Object>} Result with { apiKey, key } (the api_keys row and the key) or error
+ */
+export async function createApiKey(adminId, values) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  const errors = validateApiKeyForm(values)
+  if (Object.keys(errors).length > 0) {
+    return { error: { message: Object.values(errors)[0] } }
+  }
+
+  try {
+    const key = generateApiKey()
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([{
+        name: values.name.trim(),
+        contact_email: values.contactEmail?.trim() || null,
+        key_prefix: getKeyPrefix(key),
+        key_hash: await hashApiKey(key),
+        rate_limit: Number(values.rateLimit),
+        created_by: adminId,
+        created_at: new Date().toISOString()
+      }])
+      .select(API_KEY_COLUMNS)
+
+    if (error) {
+      console.error('Error creating API key:', error)
+      return { error }
+    }
+
+    const apiKey = { ...data[0], usage: [] }
+
+    await recordAdminAction(adminId, {
+      action: 'api_key_created',
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      details: { rate_limit: apiKey.rate_limit, target_label: apiKey.name }
+    })
+
+    return { data: { apiKey, key }, error: null }
+  } catch (error) {
+    console.error('Error in createApiKey:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Update an API key on an admin's behalf and record it in the audit log
+ */
+async function updateApiKeyAsAdmin(adminId, apiKey, updates, entry) {
+  if (!isSupabaseConfigured()) {
+    return { error: { message: 'Database service not configured' } }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update(updates)
+      .eq('id', apiKey.id)
+      .select(API_KEY_COLUMNS)
+
+    if (error) {
+      console.error('Error updating API key:', error)
+      return { error }
+    }
+
+    if (!data?.length) {
+      return { error: { message: 'API key not found or you do not have permission to change it' } }
+    }
+
+    await recordAdminAction(adminId, {
+      ...entry,
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      details: { ...entry.details, target_label: apiKey.name }
+    })
+
+    return { data: { ...data[0], usage: apiKey.usage || [] }, error: null }
+  } catch (error) {
+    console.error('Error in updateApiKeyAsAdmin:', error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Revoke an API key (admins); requests with it are refused straight away
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} apiKey - api_keys row
+ * @returns {Promise<Object>} Result with the updated key or error
+ */
+export async function revokeApiKey(adminId, apiKey) {
+  if (apiKey.revoked_at) {
+    return { data: apiKey, error: null }
+  }
+
+  return updateApiKeyAsAdmin(adminId, apiKey, { revoked_at: new Date().toISOString() }, {
+    action: 'api_key_revoked'
+  })
+}
+
+/**
+ * Change how many requests a minute an API key may make (admins)
+ * @param {string} adminId - Admin's user UUID
+ * @param {Object} apiKey - api_keys row
+ * @param {number|string} rateLimit - Requests per minute
+ * @returns {Promise<Object>} Result with the updated key or error
+ */
+export async function updateApiKeyRateLimit(adminId, apiKey, rateLimit) {
+  const rateLimitError = validateRateLimit(rateLimit)
+  if (rateLimitError) {
+    return { error: { message: rateLimitError } }
+  }
+
+  if (Number(rateLimit) === apiKey.rate_limit) {
+    return { data: apiKey, error: null }
+  }
+
+  return updateApiKeyAsAdmin(adminId, apiKey, { rate_limit: Number(rateLimit) }, {
+    action: 'api_key_limit_changed',
+    details: { from: apiKey.rate_limit, to: Number(rateLimit) }
+  })
+}
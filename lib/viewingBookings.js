@@ -0,0 +1,299 @@
+/**
+ * Viewing booking actions for PawsPlace
+ *
+ * Server only (the /api/viewings routes). Each action runs as the signed-in user,
+ * so row level security still applies, then emails the tenant and the agent a
+ * confirmation with a calendar (.ics) attachment.
+ * Double-booking is prevented by the database: a slot is only claimed while its
+ * tenant_id is still empty, a tenant can hold one slot per listing, and an
+ * agent's slots can't overlap (see the viewing_slots table in the README).
+ */
+
+import { createUserClient, getSiteUrl } from './supabase'
+import { buildViewingIcs, formatSlotTime, formatViewingDate } from './viewings'
+import { getDisplayName } from './messaging'
+import { getMailer } from './mailer'
+
+// Columns needed to email both participants about a slot
+const SLOT_COLUMNS = `*,
+  listing:listings(id, Title, Location),
+  tenant:profiles!viewing_slots_tenant_id_fkey(first_name, last_name, full_name, email),
+  agent:profiles!viewing_slots_agent_id_fkey(first_name, last_name, full_name, agency, email)`
+
+const EMAIL_SUBJECTS = {
+  booked: 'Viewing booked',
+  cancelled: 'Viewing cancelled',
+  rescheduled: 'Viewing moved'
+}
+
+const describeSlot = (slot) => `${formatViewingDate(slot.starts_at)}, ${formatSlotTime(slot)}`
+
+/**
+ * Build the confirmation email about a viewing for one participant
+ * @param {string} kind - 'booked', 'cancelled' or 'rescheduled'
+ * @param {Object} slot - Slot the email is about (the new one for 'rescheduled'), with listing, tenant and agent
+ * @param {Object} options - { recipient: 'tenant' | 'agent', previousSlot, siteUrl }
+ * @returns {Object} { subject, text, attachments }
+ */
+export function buildViewingEmail(kind, slot, { recipient, previousSlot = null, siteUrl = getSiteUrl() }) {
+  const other = recipient === 'tenant'
+    ? getDisplayName(slot.agent, 'the agent')
+    : getDisplayName(slot.tenant, 'the tenant')
+  const title = slot.listing?.Title || 'the property'
+  const when = describeSlot(slot)
+
+  const lines = {
+    booked: `Your viewing of "${title}" with ${other} is booked for ${when}.`,
+    cancelled: `Your viewing of "${title}" with ${other} on ${when} has been cancelled.`,
+    rescheduled: `Your viewing of "${title}" with ${other} has moved from ${previousSlot ? describeSlot(previousSlot) : 'its old time'} to ${when}.`
+  }
+
+  const attachments = []
+  if (previousSlot) {
+    attachments.push({
+      filename: 'viewing-cancelled.ics',
+      contentType: 'text/calendar; charset=UTF-8; method=CANCEL',
+      content: buildViewingIcs(previousSlot, { method: 'CANCEL', siteUrl })
+    })
+  }
+  attachments.push({
+    filename: kind === 'cancelled' ? 'viewing-cancelled.ics' : 'viewing.ics',
+    contentType: `text/calendar; charset=UTF-8; method=${kind === 'cancelled' ? 'CANCEL' : 'REQUEST'}`,
+    content: buildViewingIcs(slot, { method: kind === 'cancelled' ? 'CANCEL' : 'REQUEST', siteUrl })
+  })
+
+  const text = [
+    'Hi,',
+    '',
+    lines[kind],
+    slot.listing?.Location ? `Address: ${slot.listing.Location}` : null,
+    '',
+    kind === 'cancelled'
+      ? 'The attached calendar file removes it from your calendar.'
+      : 'Open the attached calendar file to add it to your calendar.',
+    recipient === 'tenant'
+      ? `Manage your viewings: ${siteUrl}/tenant/viewings`
+      : `See your viewing agenda: ${siteUrl}/agent/viewings`
+  ].filter(line => line !== null).join('\n')
+
+  return {
+    subject: `${EMAIL_SUBJECTS[kind]}: ${title} - ${when}`,
+    text,
+    attachments
+  }
+}
+
+/**
+ * Email the tenant and the agent about a viewing
+ * A failed email is logged but doesn't undo the booking.
+ * @returns {Promise<boolean>} True if both emails were sent
+ */
+async function notifyParticipants(kind, slot, { previousSlot, mailer = getMailer() } = {}) {
+  const results = await Promise.all(['tenant', 'agent']
+    .filter(recipient => slot[recipient]?.email)
+    .map(recipient => mailer.send({
+      to: slot[recipient].email,
+      ...buildViewingEmail(kind, slot, { recipient, previousSlot })
+    })))
+
+  return results.every(result => !result.error)
+}
+
+/**
+ * Load a slot the user can see, with its listing and participants
+ */
+async function loadSlot(client, slotId) {
+  const { data, error } = await client
+    .from('viewing_slots')
+    .select(SLOT_COLUMNS)
+    .eq('id', slotId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading viewing slot:', error)
+  }
+
+  return data || null
+}
+
+/**
+ * Give a free, future slot to a tenant
+ * Only succeeds while the slot is still free, so two people can't book it at once.
+ * @returns {Promise<Object>} Result with the booked slot or error (with status)
+ */
+async function claimSlot(client, slotId, tenantId) {
+  const { data, error } = await client
+    .from('viewing_slots')
+    .update({ tenant_id: tenantId, booked_at: new Date().toISOString() })
+    .eq('id', slotId)
+    .is('tenant_id', null)
+    .gt('starts_at', new Date().toISOString())
+    .select(SLOT_COLUMNS)
+
+  if (error) {
+    console.error('Error booking viewing slot:', error)
+    // 23505 is the one-booking-per-listing unique constraint
+    if (error.code === '23505') {
+      return { error: { status: 409, message: 'You already have a viewing booked for this property' } }
+    }
+    return { error: { status: 500, message: error.message } }
+  }
+
+  if (!data?.length) {
+    return { error: { status: 409, message: 'Sorry, that slot has just been taken. Please choose another time.' } }
+  }
+
+  return { data: data[0], error: null }
+}
+
+/**
+ * Free a booked slot so others can book it
+ * @returns {Promise<Object>} Result with error if any
+ */
+async function releaseSlot(client, slotId) {
+  const { error } = await client
+    .from('viewing_slots')
+    .update({ tenant_id: null, booked_at: null })
+    .eq('id', slotId)
+
+  if (error) {
+    console.error('Error releasing viewing slot:', error)
+    return { error: { status: 500, message: error.message } }
+  }
+
+  return { error: null }
+}
+
+/**
+ * Check the session belongs to someone who can change a booked slot
+ */
+function isParticipant(slot, session) {
+  return slot.tenant_id === session.user.id || slot.agent_id === session.user.id
+}
+
+/**
+ * Book a free viewing slot for the signed-in tenant
+ * @param {Object} session - Server session ({ user, accessToken })
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with { slot, emailed } or error (with status)
+ */
+export async function bookViewingSlot(session, slotId) {
+  try {
+    const client = createUserClient(session.accessToken)
+    const { data: slot, error } = await claimSlot(client, slotId, session.user.id)
+
+    if (error) {
+      return { error }
+    }
+
+    const emailed = await notifyParticipants('booked', slot)
+    return { data: { slot, emailed }, error: null }
+  } catch (error) {
+    console.error('Error in bookViewingSlot:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Cancel a booked viewing; the slot becomes free again
+ * @param {Object} session - Server session (the tenant or the listing's agent)
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with { emailed } or error (with status)
+ */
+export async function cancelViewingSlot(session, slotId) {
+  try {
+    const client = createUserClient(session.accessToken)
+    const slot = await loadSlot(client, slotId)
+
+    if (!slot || !slot.tenant_id || !isParticipant(slot, session)) {
+      return { error: { status: 404, message: 'Viewing not found' } }
+    }
+
+    const { error } = await releaseSlot(client, slot.id)
+    if (error) {
+      return { error }
+    }
+
+    const emailed = await notifyParticipants('cancelled', slot)
+    return { data: { emailed }, error: null }
+  } catch (error) {
+    console.error('Error in cancelViewingSlot:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Move a booked viewing to another free slot on the same listing
+ * The old slot is freed first (a tenant can only hold one slot per listing); if the
+ * new slot can't be claimed, the tenant gets their old slot back.
+ * @param {Object} session - Server session (the tenant or the listing's agent)
+ * @param {string} slotId - Currently booked slot ID
+ * @param {string} newSlotId - Free slot to move to
+ * @returns {Promise<Object>} Result with { slot, emailed } or error (with status)
+ */
+export async function rescheduleViewingSlot(session, slotId, newSlotId) {
+  try {
+    const client = createUserClient(session.accessToken)
+    const [slot, newSlot] = await Promise.all([loadSlot(client, slotId), loadSlot(client, newSlotId)])
+
+    if (!slot || !slot.tenant_id || !isParticipant(slot, session)) {
+      return { error: { status: 404, message: 'Viewing not found' } }
+    }
+
+    if (newSlotId === slotId) {
+      return { error: { status: 400, message: 'Choose a different time to move the viewing to' } }
+    }
+
+    if (!newSlot || newSlot.listing_id !== slot.listing_id) {
+      return { error: { status: 400, message: 'Choose another time for the same property' } }
+    }
+
+    const { error: releaseError } = await releaseSlot(client, slot.id)
+    if (releaseError) {
+      return { error: releaseError }
+    }
+
+    const { data: moved, error } = await claimSlot(client, newSlot.id, slot.tenant_id)
+
+    if (error) {
+      const { error: restoreError } = await client
+        .from('viewing_slots')
+        .update({ tenant_id: slot.tenant_id, booked_at: slot.booked_at })
+        .eq('id', slot.id)
+        .is('tenant_id', null)
+
+      if (restoreError) {
+        console.error('Error restoring viewing after failed reschedule:', restoreError)
+      }
+
+      return { error }
+    }
+
+    const emailed = await notifyParticipants('rescheduled', moved, { previousSlot: slot })
+    return { data: { slot: moved, emailed }, error: null }
+  } catch (error) {
+    console.error('Error in rescheduleViewingSlot:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Get the .ics file for a booked viewing the user takes part in
+ * @param {Object} session - Server session
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with the .ics contents or error (with status)
+ */
+export async function getViewingCalendar(session, slotId) {
+  try {
+    const slot = await loadSlot(createUserClient(session.accessToken), slotId)
+
+    if (!slot || !slot.tenant_id || !isParticipant(slot, session)) {
+      return { error: { status: 404, message: 'Viewing not found' } }
+    }
+
+    return { data: buildViewingIcs(slot, { siteUrl: getSiteUrl() }), error: null }
+  } catch (error) {
+    console.error('Error in getViewingCalendar:', error)
+    return { error: { status: 500, message: 'An unexpected error occurred' } }
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Viewing scheduler helpers for PawsPlace
+ *
+ * Agents publish viewing slots per listing; a tenant books a slot by claiming it.
+ * Times are stored in UTC and shown in UK time. Booking, cancelling and
+ * rescheduling go through the /api/viewings routes so both sides get a
+ * confirmation email with a calendar (.ics) attachment.
+ */
+
+// Viewing lengths agents can choose when publishing slots, in minutes
+export const SLOT_LENGTHS = [15, 20, 30, 45, 60]
+
+export const DEFAULT_SLOT_LENGTH = 30
+
+// Viewings are in London, so always show UK time whatever the device's timezone
+export const VIEWING_TIMEZONE = 'Europe/London'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const londonClock = new Intl.DateTimeFormat('en-GB', {
+  timeZone: VIEWING_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+})
+
+/**
+ * How far UK time is ahead of UTC at an instant, in ms (an hour during BST)
+ */
+function getLondonOffset(time) {
+  const parts = Object.fromEntries(londonClock.formatToParts(new Date(time)).map(part => [part.type, part.value]))
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return wallClock - Math.floor(time / 1000) * 1000
+}
+
+/**
+ * Convert a UK date and time to the instant it happens, whatever the device's timezone
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @returns {Date} Date (invalid if the date or time is)
+ */
+export function fromLondonTime(date, time = '00:00') {
+  const wallClock = Date.parse(`${date}T${time}Z`)
+  if (Number.isNaN(wallClock)) {
+    return new Date(NaN)
+  }
+
+  // The offset at the wall-clock time read as UTC is right except within an
+  // hour of the clocks changing, so check it again at the first guess
+  const guess = wallClock - getLondonOffset(wallClock)
+  return new Date(wallClock - getLondonOffset(guess))
+}
+
+/**
+ * Get the UK calendar day of an instant
+ * @param {Date|string} date - Date or ISO timestamp
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getLondonDay(date) {
+  // en-CA formats as YYYY-MM-DD
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: VIEWING_TIMEZONE })
+}
+
+/**
+ * Add calendar days to a 'YYYY-MM-DD' day
+ */
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00Z`) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * Build back-to-back slots between two UK times on one day
+ * @param {Object} options - { date: 'YYYY-MM-DD', from: 'HH:MM', to: 'HH:MM', length: minutes }
+ * @returns {Object} { slots: [{ starts_at, ends_at }], error }
+ */
+export function buildSlotSeries({ date, from, to, length = DEFAULT_SLOT_LENGTH }) {
+  if (!date || !from || !to) {
+    return { slots: [], error: 'Choose a date, start time and end time' }
+  }
+
+  const start = fromLondonTime(date, from)
+  const end = fromLondonTime(date, to)
+  const lengthMs = Number(length) * 60 * 1000
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || !lengthMs) {
+    return { slots: [], error: 'Please enter valid times' }
+  }
+  if (end <= start) {
+    return { slots: [], error: 'The end time must be after the start time' }
+  }
+  if (start <= new Date()) {
+    return { slots: [], error: 'Slots must be in the future' }
+  }
+
+  const slots = []
+  for (let time = start.getTime(); time + lengthMs <= end.getTime(); time += lengthMs) {
+    slots.push({
+      starts_at: new Date(time).toISOString(),
+      ends_at: new Date(time + lengthMs).toISOString()
+    })
+  }
+
+  if (slots.length === 0) {
+    return { slots: [], error: `There isn't room for a ${length}-minute viewing between those times` }
+  }
+
+  return { slots, error: '' }
+}
+
+/**
+ * Check whether two slots overlap in time
+ * @param {Object} a - Slot with starts_at and ends_at
+ * @param {Object} b - Slot with starts_at and ends_at
+ * @returns {boolean} True if they overlap
+ */
+export function slotsOverlap(a, b) {
+  return new Date(a.starts_at) < new Date(b.ends_at) && new Date(b.starts_at) < new Date(a.ends_at)
+}
+
+/**
+ * Get the time range an agenda view covers, from midnight UK time
+ * @param {string} view - 'day' or 'week' (weeks start on Monday)
+ * @param {Date} anchor - Any date inside the range
+ * @returns {Object} { start, end } as Dates
+ */
+export function getAgendaRange(view, anchor = new Date()) {
+  let day = getLondonDay(anchor)
+
+  if (view === 'week') {
+    const daysSinceMonday = (new Date(`${day}T00:00Z`).getUTCDay() + 6) % 7
+    day = addDays(day, -daysSinceMonday)
+  }
+
+  return {
+    start: fromLondonTime(day),
+    end: fromLondonTime(addDays(day, view === 'week' ? 7 : 1))
+  }
+}
+
+/**
+ * Move an agenda anchor date forwards or backwards by one view
+ * @param {string} view - 'day' or 'week'
+ * @param {Date} anchor - Current anchor date
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Date} New anchor date, at midday UK time so the clocks changing can't move it a day
+ */
+export function shiftAgenda(view, anchor, direction) {
+  return fromLondonTime(addDays(getLondonDay(anchor), direction * (view === 'week' ? 7 : 1)), '12:00')
+}
+
+/**
+ * Group slots by the UK calendar day they start on, in time order
+ * @param {Array} slots - Slots with starts_at
+ * @returns {Array<Object>} [{ day, label, slots }]
+ */
+export function groupSlotsByDay(slots) {
+  const groups = []
+
+  ;[...slots]
+    .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at))
+    .forEach(slot => {
+      const day = getLondonDay(slot.starts_at)
+      const group = groups[groups.length - 1]
+      if (group && group.day === day) {
+        group.slots.push(slot)
+      } else {
+        groups.push({ day, label: formatViewingDate(slot.starts_at), slots: [slot] })
+      }
+    })
+
+  return groups
+}
+
+/**
+ * Format a slot's day, e.g. "Monday 15 January"
+ * @param {string} dateString - ISO timestamp
+ * @returns {string} Formatted date in UK time
+ */
+export function formatViewingDate(dateString) {
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: VIEWING_TIMEZONE
+  })
+}
+
+/**
+ * Format a slot's time range, e.g. "10:00–10:30"
+ * @param {Object} slot - Slot with starts_at and ends_at
+ * @returns {string} Formatted times in UK time
+ */
+export function formatSlotTime(slot) {
+  const format = (dateString) => new Date(dateString).toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: VIEWING_TIMEZONE
+  })
+  return `${format(slot.starts_at)}–${format(slot.ends_at)}`
+}
+
+/**
+ * ============================================================================
+ * CALENDAR (.ics) EXPORT
+ * ============================================================================
+ */
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Format a date as an iCalendar UTC timestamp, e.g. 20240115T100000Z
+ */
+function formatIcsDate(dateString) {
+  return new Date(dateString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Fold a line to 75 bytes as iCalendar requires (continuation lines start with a space)
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let bytes = 0
+
+  for (const char of line) {
+    const size = encoder.encode(char).length
+    if (bytes + size > 75) {
+      parts.push(current)
+      current = ' '
+      bytes = 1
+    }
+    current += char
+    bytes += size
+  }
+
+  parts.push(current)
+  return parts.join('\r\n')
+}
+
+/**
+ * Build an iCalendar file for a viewing
+ * @param {Object} slot - Booked slot with id, booked_at, starts_at, ends_at, listing, agent and tenant
+ * @param {Object} options - { method: 'REQUEST' | 'CANCEL', siteUrl }
+ * @returns {string} .ics file contents
+ */
+export function buildViewingIcs(slot, { method = 'REQUEST', siteUrl = '' } = {}) {
+  const cancelled = method === 'CANCEL'
+  const listingUrl = slot.listing?.id ? `${siteUrl}/listings/${slot.listing.id}` : siteUrl
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PawsPlace//Viewings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    // Each booking of a slot is its own event, so re-booking a slot after a
+    // cancellation isn't taken as an update to the cancelled event
+    `UID:viewing-${slot.id}-${new Date(slot.booked_at).getTime()}@pawsplace`,
+    `DTSTAMP:${formatIcsDate(new Date().toISOString())}`,
+    `DTSTART:${formatIcsDate(slot.starts_at)}`,
+    `DTEND:${formatIcsDate(slot.ends_at)}`,
+    `SUMMARY:${escapeIcsText(`${cancelled ? 'Cancelled: ' : ''}Viewing - ${slot.listing?.Title || 'Property'}`)}`,
+    `LOCATION:${escapeIcsText(slot.listing?.Location || '')}`,
+    `DESCRIPTION:${escapeIcsText(`Property viewing arranged through PawsPlace.\n${listingUrl}`)}`,
+    `URL:${listingUrl}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    // Cancellations must outrank the original invitation
+    `SEQUENCE:${cancelled ? 1 : 0}`
+  ]
+
+  if (slot.agent?.email) {
+    const name = (slot.agent.full_name || slot.agent.agency || 'PawsPlace agent').replace(/"/g, '')
+    lines.push(`ORGANIZER;CN="${name}":mailto:${slot.agent.email}`)
+  }
+  if (slot.tenant?.email) {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${slot.tenant.email}`)
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR')
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * ============================================================================
+ * BOOKING API CALLS (browser)
+ * ============================================================================
+ */
+
+/**
+ * POST to one of the /api/viewings routes
+ * The auth cookie identifies the user (see lib/authSession.js).
+ */
+async function postViewingAction(action, body) {
+  try {
+    const response = await fetch(`/api/viewings/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const result = await response.json()
+
+    if (!response.ok) {
+      return { error: { message: result.error || 'Something went wrong. Please try again.' } }
+    }
+
+    return { data: result, error: null }
+  } catch (error) {
+    console.error(`Error in viewing ${action}:`, error)
+    return { error: { message: 'An unexpected error occurred' } }
+  }
+}
+
+/**
+ * Book a free viewing slot (tenants)
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with the booked slot or error
+ */
+export function bookViewing(slotId) {
+  return postViewingAction('book', { slotId })
+}
+
+/**
+ * Cancel a booked viewing (tenant or agent)
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Result with error if any
+ */
+export function cancelViewing(slotId) {
+  return postViewingAction('cancel', { slotId })
+}
+
+/**
+ * Move a booked viewing to another free slot on the same listing (tenant or agent)
+ * @param {string} slotId - Currently booked slot ID
+ * @param {string} newSlotId - Free slot to move to
+ * @returns {Promise<Object>} Result with the new slot or error
+ */
+export function rescheduleViewing(slotId, newSlotId) {
+  return postViewingAction('reschedule', { slotId, newSlotId })
+}
@@ -1,12 +1,27 @@
+/**
+ * Listing photos in Supabase Storage are served from the project's public
+ * bucket URL; photos in the local store come from /api/photos on this site
+ */
+const supabaseImagePatterns = () => {
+  try {
+    const { protocol, hostname, port } = new URL(process.env.NEXT_PUBLIC_SUPABASE_URL)
+    return [{ protocol: protocol.replace(':', ''), hostname, port, pathname: '/storage/v1/object/public/**' }]
+  } catch {
+    return [] // Supabase not configured
+  }
+}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
   
   // Image optimization configuration
   images: {
-    domains: ['localhost'], // Add your image domains here
-    // For Vercel deployment, you might want to add your domain
-    // domains: ['your-domain.com'],
+    remotePatterns: [
+      { protocol: 'http', hostname: 'localhost' },
+      ...supabaseImagePatterns()
+      // Add any other image hosts here
+    ],
   },
 
   // Environment variables that should be available on the client side
@@ -0,0 +1,32 @@
+/**
+ * Custom 404 Page
+ *
+ * Shown for unknown routes and for listings that don't exist or were archived.
+ */
+
+import React from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+
+export default function NotFound() {
+  return (
+    <>
+      <Head>
+        <title>Page Not Found - PawsPlace</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/logo.png" />
+      </Head>
+
+      <div className="no-listings" style={{ minHeight: '60vh', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🐾</div>
+        <h3>We couldn&apos;t find that page</h3>
+        <p>The property may have been let or removed by the agent.</p>
+        <p style={{ marginTop: '20px' }}>
+          <Link href="/" style={{ color: '#2563eb', textDecoration: 'none', fontWeight: 500 }}>
+            ← Browse available properties
+          </Link>
+        </p>
+      </div>
+    </>
+  )
+}
@@ -2,18 +2,32 @@
  * Next.js App Component
  * 
  * This component wraps all pages and handles global configuration.
- * Imports global CSS and provides authentication context.
+ * Imports global CSS and provides authentication, shortlist and messages context.
  */
 
 import '../styles/globals.css'
 import { AuthProvider } from '../contexts/AuthContext'
+import { ShortlistProvider } from '../contexts/ShortlistContext'
+import { MessagesProvider } from '../contexts/MessagesContext'
+import Forbidden from '../components/Forbidden'
 
 function MyApp({ Component, pageProps }) {
+  // Pages protected with withRole (lib/serverAuth.js) pass the server session,
+  // and a `forbidden` prop instead of their content when the role doesn't match
+  // or the account is suspended
+  const { initialSession, forbidden, ...props } = pageProps
+
   return (
-    <AuthProvider>
-      <Component {...pageProps} />
+    <AuthProvider initialSession={initialSession}>
+      <ShortlistProvider>
+        <MessagesProvider>
+          {forbidden
+            ? <Forbidden roles={forbidden.roles} suspended={forbidden.suspended} standalone />
+            : <Component {...props} />}
+        </MessagesProvider>
+      </ShortlistProvider>
     </AuthProvider>
   )
 }
 
-export default MyApp
\ No newline at end of file
+export default MyApp
@@ -0,0 +1,313 @@
+/**
+ * Admin API Keys Page
+ *
+ * Create, revoke and rate limit the keys partner sites use for the public
+ * listings API (/api/v1), and see how much each key is used. A new key is shown
+ * once, when it's created. Each change is recorded in the audit log.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { fetchApiKeys, createApiKey, revokeApiKey, updateApiKeyRateLimit } from '../../lib/supabase'
+import {
+  DEFAULT_RATE_LIMIT,
+  MAX_PARTNER_NAME_LENGTH,
+  MAX_RATE_LIMIT,
+  USAGE_DAYS,
+  countRecentRequests,
+  validateApiKeyForm
+} from '../../lib/apiKeys'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+
+export const getServerSideProps = withRole('admin')
+
+// The API's own description, for partners' developers
+const OPENAPI_PATH = '/api/v1/openapi.json'
+
+const EMPTY_FORM = { name: '', contactEmail: '', rateLimit: String(DEFAULT_RATE_LIMIT) }
+
+const buttonStyle = {
+  padding: '0.5rem 1rem',
+  backgroundColor: '#2d5a2d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '14px',
+  cursor: 'pointer'
+}
+
+const inputStyle = {
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px'
+}
+
+const fieldStyle = { display: 'flex', flexDirection: 'column', gap: '4px' }
+
+const formatDate = (dateString) => dateString
+  ? new Date(dateString).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : '-'
+
+export default function AdminApiKeys() {
+  const { user, isAdmin } = useAuth()
+
+  const [apiKeys, setApiKeys] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formErrors, setFormErrors] = useState({})
+  const [newKey, setNewKey] = useState(null)
+  const [rateLimits, setRateLimits] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [creating, setCreating] = useState(false)
+  const [savingId, setSavingId] = useState(null)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const loadApiKeys = useCallback(async () => {
+    setLoading(true)
+    setApiKeys(await fetchApiKeys())
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadApiKeys()
+    }
+  }, [user, isAdmin, loadApiKeys])
+
+  const replaceApiKey = (updated) => {
+    setApiKeys(prev => prev.map(apiKey => apiKey.id === updated.id ? updated : apiKey))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    setNewKey(null)
+
+    const errors = validateApiKeyForm(form)
+    setFormErrors(errors)
+    if (Object.keys(errors).length > 0) {
+      return
+    }
+
+    setCreating(true)
+    const { data, error } = await createApiKey(user.id, form)
+    setCreating(false)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setApiKeys(prev => [data.apiKey, ...prev])
+    setNewKey({ name: data.apiKey.name, key: data.key })
+    setForm(EMPTY_FORM)
+  }
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the API key for ${apiKey.name}? Their requests will be refused straight away.`)) {
+      return
+    }
+
+    setSavingId(apiKey.id)
+    setError('')
+    setMessage('')
+
+    const { data, error } = await revokeApiKey(user.id, apiKey)
+    setSavingId(null)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    replaceApiKey(data)
+    setMessage(`Revoked the API key for ${apiKey.name}.`)
+  }
+
+  const handleRateLimitSave = async (apiKey) => {
+    setSavingId(apiKey.id)
+    setError('')
+    setMessage('')
+
+    const { data, error } = await updateApiKeyRateLimit(user.id, apiKey, rateLimits[apiKey.id])
+    setSavingId(null)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    replaceApiKey(data)
+    setRateLimits(prev => {
+      const next = { ...prev }
+      delete next[apiKey.id]
+      return next
+    })
+    setMessage(`${apiKey.name} can now make ${data.rate_limit.toLocaleString('en-GB')} requests a minute.`)
+  }
+
+  return (
+    <AccountLayout role="admin" title="API keys">
+      <div className="listings-header">
+        <h1 className="listings-title">
+          API keys {!loading && <span className="listings-count">({apiKeys.length})</span>}
+        </h1>
+      </div>
+
+      <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+        Partner sites use these keys to read listings through the public API. The
+        API is described in <a href={OPENAPI_PATH} style={{ color: '#2d5a2d' }}>openapi.json</a>.
+      </p>
+
+      <form onSubmit={handleCreate} className="listing-card listing-card-content" style={{ marginBottom: '1.5rem' }} noValidate>
+        <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>Create an API key</h2>
+        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <label className="filter-label" style={fieldStyle}>
+            Partner name
+            <input
+              type="text"
+              value={form.name}
+              maxLength={MAX_PARTNER_NAME_LENGTH}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              style={inputStyle}
+            />
+            {formErrors.name && <span style={{ color: '#dc3545', fontSize: '12px' }}>{formErrors.name}</span>}
+          </label>
+          <label className="filter-label" style={fieldStyle}>
+            Contact email (optional)
+            <input
+              type="email"
+              value={form.contactEmail}
+              onChange={(e) => setForm(prev => ({ ...prev, contactEmail: e.target.value }))}
+              style={inputStyle}
+            />
+            {formErrors.contactEmail && <span style={{ color: '#dc3545', fontSize: '12px' }}>{formErrors.contactEmail}</span>}
+          </label>
+          <label className="filter-label" style={fieldStyle}>
+            Requests a minute
+            <input
+              type="number"
+              min="1"
+              max={MAX_RATE_LIMIT}
+              value={form.rateLimit}
+              onChange={(e) => setForm(prev => ({ ...prev, rateLimit: e.target.value }))}
+              style={{ ...inputStyle, width: '120px' }}
+            />
+            {formErrors.rateLimit && <span style={{ color: '#dc3545', fontSize: '12px' }}>{formErrors.rateLimit}</span>}
+          </label>
+          <button type="submit" style={{ ...buttonStyle, alignSelf: 'flex-start', marginTop: '22px' }} disabled={creating}>
+            {creating ? 'Creating...' : 'Create key'}
+          </button>
+        </div>
+      </form>
+
+      {newKey && (
+        <div className="listing-card listing-card-content" style={{ marginBottom: '1.5rem', borderLeft: '4px solid #059669' }}>
+          <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>API key for {newKey.name}</h2>
+          <p style={{ color: '#666', fontSize: '14px', marginBottom: '10px' }}>
+            Copy this key and send it to the partner securely. It won&apos;t be shown again.
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={newKey.key}
+            onFocus={(e) => e.target.select()}
+            aria-label="New API key"
+            style={{ ...inputStyle, width: '100%', fontFamily: 'monospace' }}
+          />
+        </div>
+      )}
+
+      {error && <span style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{error}</span>}
+      {message && <span style={{ color: '#059669', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{message}</span>}
+
+      {loading && <div className="loading"><p>Loading API keys...</p></div>}
+
+      {!loading && apiKeys.length === 0 && (
+        <div className="no-listings">
+          <h3>No API keys yet</h3>
+          <p>Create a key above to give a partner access to the API.</p>
+        </div>
+      )}
+
+      {!loading && apiKeys.length > 0 && (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Partner</th>
+                <th>Key</th>
+                <th>Requests a minute</th>
+                <th>Last {USAGE_DAYS} days</th>
+                <th>All time</th>
+                <th>Last used</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {apiKeys.map(apiKey => {
+                const saving = savingId === apiKey.id
+                const rateLimit = rateLimits[apiKey.id] ?? String(apiKey.rate_limit)
+                const rateLimitChanged = rateLimit !== String(apiKey.rate_limit)
+
+                return (
+                  <tr key={apiKey.id} style={{ opacity: apiKey.revoked_at ? 0.6 : 1 }}>
+                    <td>
+                      <strong>{apiKey.name}</strong>
+                      {apiKey.contact_email && (
+                        <><br /><a href={`mailto:${apiKey.contact_email}`} style={{ color: '#666' }}>{apiKey.contact_email}</a></>
+                      )}
+                      <br />
+                      <span style={{ color: '#666' }}>Created {formatDate(apiKey.created_at)}</span>
+                    </td>
+                    <td><code>{apiKey.key_prefix}…</code></td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {apiKey.revoked_at ? apiKey.rate_limit.toLocaleString('en-GB') : (
+                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                          <input
+                            type="number"
+                            min="1"
+                            max={MAX_RATE_LIMIT}
+                            value={rateLimit}
+                            disabled={saving}
+                            onChange={(e) => setRateLimits(prev => ({ ...prev, [apiKey.id]: e.target.value }))}
+                            aria-label={`Requests a minute for ${apiKey.name}`}
+                            style={{ ...inputStyle, width: '90px' }}
+                          />
+                          {rateLimitChanged && (
+                            <button type="button" className="admin-action" disabled={saving} onClick={() => handleRateLimitSave(apiKey)}>
+                              Save
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    <td>{countRecentRequests(apiKey).toLocaleString('en-GB')}</td>
+                    <td>{(apiKey.request_count || 0).toLocaleString('en-GB')}</td>
+                    <td>{formatDate(apiKey.last_used_at)}</td>
+                    <td>
+                      {apiKey.revoked_at
+                        ? <span className="status-badge status-suspended">Revoked {formatDate(apiKey.revoked_at)}</span>
+                        : <span className="status-badge">Active</span>}
+                    </td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {!apiKey.revoked_at && (
+                        <button type="button" className="admin-action danger" disabled={saving} onClick={() => handleRevoke(apiKey)}>
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,123 @@
+/**
+ * Admin Audit Log Page
+ *
+ * Every change made from the admin area, most recent first: who made it,
+ * when, and which account or listings it affected.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { fetchAuditLog } from '../../lib/supabase'
+import { AUDIT_ACTIONS, getAuditActionLabel, describeAuditEntry } from '../../lib/admin'
+import { getDisplayName } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+import AdminPager from '../../components/AdminPager'
+
+export const getServerSideProps = withRole('admin')
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: 'Europe/London'
+})
+
+export default function AdminAuditLog() {
+  const { user, isAdmin } = useAuth()
+
+  const [filters, setFilters] = useState({ action: '', page: 0 })
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true)
+    const result = await fetchAuditLog(filters)
+    setEntries(result.entries)
+    setTotal(result.total)
+    setLoading(false)
+  }, [filters])
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadEntries()
+    }
+  }, [user, isAdmin, loadEntries])
+
+  /**
+   * Link an entry to the listing it changed, where there is a single one
+   */
+  const renderTarget = (entry) => {
+    const label = entry.details?.target_label || entry.target_id
+
+    if (entry.target_type === 'listing' && !entry.details?.listing_ids) {
+      return <Link href={`/admin/listings/${entry.target_id}/edit`} className="admin-action">{label}</Link>
+    }
+
+    return label
+  }
+
+  return (
+    <AccountLayout role="admin" title="Audit log">
+      <div className="listings-header">
+        <h1 className="listings-title">
+          Audit log {!loading && <span className="listings-count">({total})</span>}
+        </h1>
+        <select
+          className="filter-select"
+          value={filters.action}
+          onChange={(e) => setFilters({ action: e.target.value, page: 0 })}
+          aria-label="Action"
+        >
+          <option value="">All actions</option>
+          {AUDIT_ACTIONS.map(action => (
+            <option key={action.value} value={action.value}>{action.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && <div className="loading"><p>Loading audit log...</p></div>}
+
+      {!loading && entries.length === 0 && (
+        <div className="no-listings">
+          <h3>No admin actions yet</h3>
+          <p>Role changes, suspensions, agent approvals and listing moderation will appear here.</p>
+        </div>
+      )}
+
+      {!loading && entries.length > 0 && (
+        <>
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Admin</th>
+                  <th>Action</th>
+                  <th>Affected</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td style={{ whiteSpace: 'nowrap' }}>{formatDateTime(entry.created_at)}</td>
+                    <td>{getDisplayName(entry.admin, 'Former admin')}</td>
+                    <td style={{ whiteSpace: 'nowrap' }}>{getAuditActionLabel(entry.action)}</td>
+                    <td>{renderTarget(entry)}</td>
+                    <td>{describeAuditEntry(entry)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <AdminPager page={filters.page} total={total} onChange={(page) => setFilters(prev => ({ ...prev, page }))} />
+        </>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,281 @@
+/**
+ * Admin Users Page
+ *
+ * Search every account, change roles, suspend or reinstate accounts and approve
+ * new agents. Each change is recorded in the audit log.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { fetchProfiles, changeUserRole, setUserSuspended, reviewAgent } from '../../lib/supabase'
+import {
+  USER_ROLES,
+  ACCOUNT_FILTERS,
+  APPROVAL_STATUSES,
+  MAX_SUSPENSION_REASON_LENGTH,
+  isSuspended,
+  isAwaitingApproval
+} from '../../lib/admin'
+import { getDisplayName } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+import AdminPager from '../../components/AdminPager'
+
+export const getServerSideProps = withRole('admin')
+
+const EMPTY_FILTERS = { search: '', role: '', status: '', page: 0 }
+
+const formatDate = (dateString) => dateString
+  ? new Date(dateString).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+  : '-'
+
+export default function AdminUsers() {
+  const { user, isAdmin } = useAuth()
+
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [profiles, setProfiles] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [savingId, setSavingId] = useState(null)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const loadProfiles = useCallback(async () => {
+    setLoading(true)
+    const result = await fetchProfiles(filters)
+    setProfiles(result.profiles)
+    setTotal(result.total)
+    setLoading(false)
+  }, [filters])
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadProfiles()
+    }
+  }, [user, isAdmin, loadProfiles])
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value, page: 0 }))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    updateFilter('search', searchInput)
+  }
+
+  /**
+   * Run an admin action for one account and update its row in place
+   */
+  const runAction = async (profile, action, successMessage) => {
+    setSavingId(profile.id)
+    setError('')
+    setMessage('')
+
+    const { data, error } = await action()
+    setSavingId(null)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setProfiles(prev => prev.map(item => item.id === data.id ? data : item))
+    setMessage(successMessage)
+  }
+
+  const handleRoleChange = (profile, role) => {
+    const name = getDisplayName(profile, profile.email)
+    const label = USER_ROLES.find(option => option.value === role)?.label.toLowerCase()
+    if (!window.confirm(`Make ${name} ${role === 'admin' ? 'an' : 'a'} ${label}?`)) {
+      return
+    }
+
+    runAction(profile, () => changeUserRole(user.id, profile, role), `${name} is now ${role === 'admin' ? 'an' : 'a'} ${label}.`)
+  }
+
+  const handleSuspend = (profile) => {
+    const name = getDisplayName(profile, profile.email)
+
+    if (isSuspended(profile)) {
+      runAction(profile, () => setUserSuspended(user.id, profile, false), `${name}'s account has been reinstated.`)
+      return
+    }
+
+    const reason = window.prompt(`Suspend ${name}? They will be signed out of every page.\n\nReason (optional, seen by other admins):`)
+    if (reason === null) {
+      return
+    }
+
+    runAction(
+      profile,
+      () => setUserSuspended(user.id, profile, true, reason.slice(0, MAX_SUSPENSION_REASON_LENGTH)),
+      `${name}'s account has been suspended.`
+    )
+  }
+
+  const handleReview = (profile, approved) => {
+    const name = getDisplayName(profile, profile.email)
+    if (!approved && !window.confirm(`Reject ${name}? They won't be able to publish listings.`)) {
+      return
+    }
+
+    runAction(profile, () => reviewAgent(user.id, profile, approved), `${name} has been ${approved ? 'approved' : 'rejected'}.`)
+  }
+
+  const renderStatus = (profile) => {
+    if (isSuspended(profile)) {
+      return (
+        <span className="status-badge status-suspended" title={profile.suspension_reason || undefined}>
+          Suspended
+        </span>
+      )
+    }
+
+    if (profile.role === 'agent' && profile.approval_status && profile.approval_status !== 'approved') {
+      const approval = APPROVAL_STATUSES.find(status => status.value === profile.approval_status)
+      return (
+        <span className={`status-badge status-${profile.approval_status}`}>
+          {approval?.label || profile.approval_status}
+        </span>
+      )
+    }
+
+    return <span className="status-badge">Active</span>
+  }
+
+  return (
+    <AccountLayout role="admin" title="Users">
+      <div className="listings-header">
+        <h1 className="listings-title">
+          Users {!loading && <span className="listings-count">({total})</span>}
+        </h1>
+      </div>
+
+      <div className="admin-toolbar">
+        <form onSubmit={handleSearch} style={{ display: 'flex', gap: '8px', flex: '1 1 300px' }}>
+          <input
+            type="search"
+            className="search-input"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by email, name or agency"
+            aria-label="Search users"
+            style={{ padding: '8px 12px', fontSize: '14px' }}
+          />
+          <button type="submit" className="filter-select" style={{ minWidth: 0 }}>Search</button>
+        </form>
+        <select
+          className="filter-select"
+          value={filters.role}
+          onChange={(e) => updateFilter('role', e.target.value)}
+          aria-label="Role"
+        >
+          <option value="">All roles</option>
+          {USER_ROLES.map(role => (
+            <option key={role.value} value={role.value}>{role.label}s</option>
+          ))}
+        </select>
+        <select
+          className="filter-select"
+          value={filters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+          aria-label="Account status"
+        >
+          {ACCOUNT_FILTERS.map(status => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <span style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{error}</span>}
+      {message && <span style={{ color: '#059669', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{message}</span>}
+
+      {loading && <div className="loading"><p>Loading users...</p></div>}
+
+      {!loading && profiles.length === 0 && (
+        <div className="no-listings">
+          <h3>No users found</h3>
+          <p>Try a different search or filter.</p>
+        </div>
+      )}
+
+      {!loading && profiles.length > 0 && (
+        <>
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Joined</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profiles.map(profile => {
+                  const isSelf = profile.id === user.id
+                  const saving = savingId === profile.id
+
+                  return (
+                    <tr key={profile.id}>
+                      <td>
+                        <strong>{getDisplayName(profile, 'No name')}</strong>
+                        {isSelf && ' (you)'}
+                        <br />
+                        <a href={`mailto:${profile.email}`} style={{ color: '#666' }}>{profile.email}</a>
+                        {profile.agency && <><br /><span style={{ color: '#666' }}>{profile.agency}</span></>}
+                      </td>
+                      <td>
+                        <select
+                          className="filter-select"
+                          value={profile.role || ''}
+                          onChange={(e) => handleRoleChange(profile, e.target.value)}
+                          disabled={isSelf || saving}
+                          aria-label={`Role for ${profile.email}`}
+                        >
+                          {!profile.role && <option value="">No role</option>}
+                          {USER_ROLES.map(role => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>{renderStatus(profile)}</td>
+                      <td>{formatDate(profile.created_at)}</td>
+                      <td style={{ whiteSpace: 'nowrap' }}>
+                        {!isSelf && (
+                          <div style={{ display: 'flex', gap: '1rem' }}>
+                            {(isAwaitingApproval(profile) || (profile.role === 'agent' && profile.approval_status === 'rejected')) && (
+                              <button type="button" className="admin-action" disabled={saving} onClick={() => handleReview(profile, true)}>
+                                Approve
+                              </button>
+                            )}
+                            {isAwaitingApproval(profile) && (
+                              <button type="button" className="admin-action danger" disabled={saving} onClick={() => handleReview(profile, false)}>
+                                Reject
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              className={`admin-action ${isSuspended(profile) ? '' : 'danger'}`}
+                              disabled={saving}
+                              onClick={() => handleSuspend(profile)}
+                            >
+                              {isSuspended(profile) ? 'Reinstate' : 'Suspend'}
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          <AdminPager page={filters.page} total={total} onChange={(page) => setFilters(prev => ({ ...prev, page }))} />
+        </>
+      )}
+    </AccountLayout>
+  )
+}
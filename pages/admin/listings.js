@@ -0,0 +1,226 @@
+/**
+ * Admin Listings Page
+ *
+ * Every agent's listings, with search and bulk unpublish/republish. Unpublished
+ * listings disappear from the public site until an admin republishes them;
+ * listings their agent has archived stay hidden either way. Each change is
+ * recorded in the audit log.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { fetchAdminListings, setListingsPublished } from '../../lib/supabase'
+import { isListingPublic } from '../../lib/listingCriteria'
+import { getDisplayName } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+import AdminPager from '../../components/AdminPager'
+
+export const getServerSideProps = withRole('admin')
+
+const EMPTY_FILTERS = { search: '', includeArchived: false, page: 0 }
+
+export default function AdminListings() {
+  const { user, isAdmin } = useAuth()
+
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [listings, setListings] = useState([])
+  const [total, setTotal] = useState(0)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  const loadListings = useCallback(async () => {
+    setLoading(true)
+    const result = await fetchAdminListings(filters)
+    setListings(result.listings)
+    setTotal(result.total)
+    setSelectedIds([])
+    setLoading(false)
+  }, [filters])
+
+  useEffect(() => {
+    if (user && isAdmin) {
+      loadListings()
+    }
+  }, [user, isAdmin, loadListings])
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value, page: 0 }))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    updateFilter('search', searchInput)
+  }
+
+  const toggleSelected = (listingId, checked) => {
+    setSelectedIds(prev => checked ? [...prev, listingId] : prev.filter(id => id !== listingId))
+  }
+
+  const toggleAll = (checked) => {
+    setSelectedIds(checked ? listings.map(listing => listing.id) : [])
+  }
+
+  /**
+   * Unpublish or republish the selected listings
+   */
+  const handleBulkChange = async (published) => {
+    const count = selectedIds.length
+    const noun = `${count} listing${count === 1 ? '' : 's'}`
+    if (!published && !window.confirm(`Unpublish ${noun}? They will be hidden from the public site.`)) {
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setMessage('')
+
+    const { data, error } = await setListingsPublished(user.id, selectedIds, published)
+    setSaving(false)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    const updated = new Map(data.map(listing => [listing.id, listing]))
+    setListings(prev => prev
+      .map(listing => updated.get(listing.id) || listing)
+      .filter(listing => filters.includeArchived || isListingPublic(listing)))
+    setSelectedIds([])
+    setMessage(`${published ? 'Republished' : 'Unpublished'} ${noun}.`)
+  }
+
+  const allSelected = listings.length > 0 && selectedIds.length === listings.length
+
+  return (
+    <AccountLayout role="admin" title="Listings">
+      <div className="listings-header">
+        <h1 className="listings-title">
+          Listings {!loading && <span className="listings-count">({total})</span>}
+        </h1>
+      </div>
+
+      <div className="admin-toolbar">
+        <form onSubmit={handleSearch} style={{ display: 'flex', gap: '8px', flex: '1 1 300px' }}>
+          <input
+            type="search"
+            className="search-input"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search by title or location"
+            aria-label="Search listings"
+            style={{ padding: '8px 12px', fontSize: '14px' }}
+          />
+          <button type="submit" className="filter-select" style={{ minWidth: 0 }}>Search</button>
+        </form>
+        <label className="filter-label">
+          <input
+            type="checkbox"
+            checked={filters.includeArchived}
+            onChange={(e) => updateFilter('includeArchived', e.target.checked)}
+            style={{ marginRight: '8px' }}
+          />
+          Include unpublished and archived
+        </label>
+      </div>
+
+      {selectedIds.length > 0 && (
+        <div className="admin-toolbar">
+          <span className="filter-label">{selectedIds.length} selected</span>
+          <button type="button" className="admin-action danger" disabled={saving} onClick={() => handleBulkChange(false)}>
+            Unpublish
+          </button>
+          <button type="button" className="admin-action" disabled={saving} onClick={() => handleBulkChange(true)}>
+            Republish
+          </button>
+        </div>
+      )}
+
+      {error && <span style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{error}</span>}
+      {message && <span style={{ color: '#059669', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{message}</span>}
+
+      {loading && <div className="loading"><p>Loading listings...</p></div>}
+
+      {!loading && listings.length === 0 && (
+        <div className="no-listings">
+          <h3>No listings found</h3>
+          <p>Try a different search.</p>
+        </div>
+      )}
+
+      {!loading && listings.length > 0 && (
+        <>
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={(e) => toggleAll(e.target.checked)}
+                      aria-label="Select all listings on this page"
+                    />
+                  </th>
+                  <th>Title</th>
+                  <th>Agent</th>
+                  <th>Rent</th>
+                  <th>Listed</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {listings.map(listing => (
+                  <tr key={listing.id} style={{ opacity: isListingPublic(listing) ? 1 : 0.6 }}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(listing.id)}
+                        onChange={(e) => toggleSelected(listing.id, e.target.checked)}
+                        aria-label={`Select ${listing.Title}`}
+                      />
+                    </td>
+                    <td>
+                      {listing.Title}
+                      <br />
+                      <span style={{ color: '#666' }}>{listing.Location}</span>
+                    </td>
+                    <td>
+                      {listing.agent ? getDisplayName(listing.agent) : 'No agent'}
+                      {listing.agent?.agency && <><br /><span style={{ color: '#666' }}>{listing.agent.agency}</span></>}
+                    </td>
+                    <td>£{listing.Rent?.toLocaleString()}</td>
+                    <td>{listing.Listed ? new Date(listing.Listed).toLocaleDateString('en-GB') : '-'}</td>
+                    <td>
+                      {listing.unpublished_at
+                        ? <span className="status-badge status-suspended">Unpublished</span>
+                        : listing.archived_at
+                          ? <span className="status-badge status-pending">Archived by agent</span>
+                          : <span className="status-badge">Live</span>}
+                    </td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <div style={{ display: 'flex', gap: '1rem' }}>
+                        <Link href={`/admin/listings/${listing.id}/edit`} className="admin-action">Edit</Link>
+                        {isListingPublic(listing) && (
+                          <Link href={`/listings/${listing.id}`} className="admin-action">View</Link>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <AdminPager page={filters.page} total={total} onChange={(page) => setFilters(prev => ({ ...prev, page }))} />
+        </>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,76 @@
+/**
+ * Admin Edit Listing Page
+ *
+ * Edit form for any agent's listing, including unpublished ones.
+ * The change is recorded in the audit log with the fields that were edited.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { fetchAdminListing, adminUpdateListing } from '../../../../lib/supabase'
+import { getDisplayName } from '../../../../lib/messaging'
+import { withRole } from '../../../../lib/serverAuth'
+import { useAuth } from '../../../../contexts/AuthContext'
+import AccountLayout from '../../../../components/AccountLayout'
+import ListingForm from '../../../../components/ListingForm'
+
+export const getServerSideProps = withRole('admin')
+
+export default function AdminEditListing() {
+  const router = useRouter()
+  const { user, isAdmin } = useAuth()
+  const { id } = router.query
+
+  const [listing, setListing] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!id || !user || !isAdmin) {
+      return
+    }
+
+    fetchAdminListing(id).then(data => {
+      setListing(data)
+      setLoading(false)
+    })
+  }, [id, user, isAdmin])
+
+  const handleSubmit = async (updates) => {
+    const result = await adminUpdateListing(user.id, listing, updates)
+    if (!result.error) {
+      router.push('/admin/listings')
+    }
+    return result
+  }
+
+  return (
+    <AccountLayout role="admin" title="Edit Listing">
+      <h1 className="listings-title" style={{ marginBottom: '0.5rem' }}>Edit Listing</h1>
+      {listing && (
+        <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+          Listed by {listing.agent ? getDisplayName(listing.agent) : 'no agent'}
+          {listing.agent?.agency ? ` (${listing.agent.agency})` : ''}
+          {listing.unpublished_at ? ' · Unpublished' : listing.archived_at ? ' · Archived by agent' : ''}
+        </p>
+      )}
+
+      {loading && <div className="loading"><p>Loading listing...</p></div>}
+
+      {!loading && !listing && (
+        <div className="no-listings">
+          <h3>Listing not found</h3>
+          <p>This listing does not exist.</p>
+        </div>
+      )}
+
+      {!loading && listing && (
+        <ListingForm
+          listing={listing}
+          onSubmit={handleSubmit}
+          submitLabel="Save Changes"
+          onCancel={() => router.push('/admin/listings')}
+        />
+      )}
+    </AccountLayout>
+  )
+}
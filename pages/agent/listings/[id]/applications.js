@@ -0,0 +1,231 @@
+/**
+ * Listing Applications Page
+ *
+ * Pipeline board of the rental applications for one of the agent's listings.
+ * Choose an application to see the applicant's details and pet CV, and move it
+ * to its next stage; the applicant is emailed about every change.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { fetchAgentListing, fetchListingApplications } from '../../../../lib/supabase'
+import {
+  APPLICATION_STATUSES,
+  AFFORDABILITY_MULTIPLIER,
+  getNextStatuses,
+  meetsAffordability,
+  describeEmployment,
+  changeApplicationStatus
+} from '../../../../lib/applications'
+import { getDisplayName } from '../../../../lib/messaging'
+import { withRole } from '../../../../lib/serverAuth'
+import { useAuth } from '../../../../contexts/AuthContext'
+import AccountLayout from '../../../../components/AccountLayout'
+import PetProfileSummary from '../../../../components/PetProfileSummary'
+import ApplicationHistory, { ApplicationStatusBadge } from '../../../../components/ApplicationHistory'
+
+export const getServerSideProps = withRole('agent')
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+})
+
+export default function ListingApplications() {
+  const router = useRouter()
+  const { user, isAgent } = useAuth()
+  const { id } = router.query
+
+  const [listing, setListing] = useState(null)
+  const [applications, setApplications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selectedId, setSelectedId] = useState(null)
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    if (!id || !user || !isAgent) {
+      return
+    }
+
+    Promise.all([fetchAgentListing(user.id, id), fetchListingApplications(user.id, id)]).then(([listingData, data]) => {
+      setListing(listingData)
+      setApplications(data)
+      setLoading(false)
+    })
+  }, [id, user, isAgent])
+
+  const selected = applications.find(application => application.id === selectedId)
+
+  const handleSelect = (application) => {
+    setSelectedId(application.id)
+    setNote('')
+    setError('')
+    setMessage('')
+  }
+
+  /**
+   * Move the selected application to a new stage
+   */
+  const handleMove = async (status) => {
+    if (status.value === 'declined' && !window.confirm(`Decline ${getDisplayName(selected.tenant, 'this applicant')}'s application?`)) {
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    setMessage('')
+
+    const { data, error } = await changeApplicationStatus(selected.id, status.value, note)
+    setSaving(false)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setApplications(prev => prev.map(application => application.id === data.id ? data : application))
+    setNote('')
+    setMessage(`Moved to ${status.label.toLowerCase()}. The applicant has been notified.`)
+  }
+
+  return (
+    <AccountLayout role="agent" title="Applications">
+      <div className="listings-header">
+        <div>
+          <h1 className="listings-title">Applications</h1>
+          {listing && (
+            <p style={{ color: '#666', marginTop: '4px' }}>
+              <Link href={`/listings/${listing.id}`} style={{ color: '#2d5a2d', fontWeight: '500' }}>{listing.Title}</Link>
+              {' · '}£{listing.Rent?.toLocaleString()} pcm
+            </p>
+          )}
+        </div>
+        <Link href="/agent/listings" style={{ color: '#2d5a2d', fontSize: '14px' }}>← My Listings</Link>
+      </div>
+
+      {loading && <div className="loading"><p>Loading applications...</p></div>}
+
+      {!loading && !listing && (
+        <div className="no-listings">
+          <h3>Listing not found</h3>
+          <p>This listing does not exist or belongs to another agent.</p>
+        </div>
+      )}
+
+      {!loading && listing && applications.length === 0 && (
+        <div className="no-listings">
+          <h3>No applications yet</h3>
+          <p>Tenants can apply from the listing page once it&apos;s live.</p>
+        </div>
+      )}
+
+      {!loading && listing && applications.length > 0 && (
+        <>
+          <div className="pipeline-board">
+            {APPLICATION_STATUSES.map(status => {
+              const column = applications.filter(application => application.status === status.value)
+              return (
+                <section key={status.value} className="pipeline-column" aria-label={status.label}>
+                  <h2 className="pipeline-column-title">
+                    {status.label} <span className="listings-count">({column.length})</span>
+                  </h2>
+                  {column.map(application => {
+                    const affordable = meetsAffordability(application, listing)
+                    return (
+                      <button
+                        key={application.id}
+                        type="button"
+                        className={`pipeline-card ${application.id === selectedId ? 'selected' : ''}`}
+                        onClick={() => handleSelect(application)}
+                      >
+                        <strong>{getDisplayName(application.tenant, 'Applicant')}</strong>
+                        <span>
+                          £{application.annual_income.toLocaleString('en-GB')} a year
+                          {affordable === false && <span title={`Below ${AFFORDABILITY_MULTIPLIER}× the monthly rent`}> ⚠️</span>}
+                        </span>
+                        <span>Move in {formatDate(application.move_in_date)}</span>
+                        <span>🐾 {application.pets?.length || 0}</span>
+                      </button>
+                    )
+                  })}
+                </section>
+              )
+            })}
+          </div>
+
+          {selected && (
+            <div className="listing-card listing-card-content" style={{ marginTop: '1.5rem', maxWidth: '760px' }}>
+              <div className="listing-card-header">
+                <h2 className="listing-title">{getDisplayName(selected.tenant, 'Applicant')}</h2>
+                <ApplicationStatusBadge status={selected.status} />
+              </div>
+              <p style={{ fontSize: '14px', color: '#444', lineHeight: 1.8, marginBottom: '12px' }}>
+                {selected.tenant?.email && <><a href={`mailto:${selected.tenant.email}`}>{selected.tenant.email}</a><br /></>}
+                {selected.tenant?.phone && <>{selected.tenant.phone}<br /></>}
+                {describeEmployment(selected)}<br />
+                £{selected.annual_income.toLocaleString('en-GB')} a year
+                {meetsAffordability(selected, listing) === false && ` (below ${AFFORDABILITY_MULTIPLIER}× the monthly rent)`}<br />
+                Move in {formatDate(selected.move_in_date)} · Applied {formatDate(selected.created_at)}
+              </p>
+
+              {selected.message && (
+                <p className="message-bubble" style={{ maxWidth: '100%', marginBottom: '12px' }}>{selected.message}</p>
+              )}
+
+              <PetProfileSummary pets={selected.pets || []} title="Pet CV" />
+
+              <h3 style={{ fontSize: '16px', margin: '15px 0 8px' }}>History</h3>
+              <ApplicationHistory events={selected.events} />
+
+              {error && <span style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginTop: '12px' }}>{error}</span>}
+              {message && <span style={{ color: '#059669', fontSize: '14px', display: 'block', marginTop: '12px' }}>{message}</span>}
+
+              {getNextStatuses(selected.status).length > 0 && (
+                <div style={{ marginTop: '15px' }}>
+                  <label htmlFor="status-note" style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem' }}>
+                    Note to the applicant (optional)
+                  </label>
+                  <div className="message-form">
+                    <textarea
+                      id="status-note"
+                      rows={2}
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="e.g. Please send your last three payslips"
+                    />
+                  </div>
+                  <div style={{ display: 'flex', gap: '0.75rem', marginTop: '0.75rem', flexWrap: 'wrap' }}>
+                    {getNextStatuses(selected.status).map(status => (
+                      <button
+                        key={status.value}
+                        type="button"
+                        onClick={() => handleMove(status)}
+                        disabled={saving}
+                        style={{
+                          padding: '0.5rem 1rem',
+                          backgroundColor: status.value === 'declined' ? 'transparent' : '#2d5a2d',
+                          color: status.value === 'declined' ? '#dc3545' : 'white',
+                          border: status.value === 'declined' ? '1px solid #dc3545' : 'none',
+                          borderRadius: '4px',
+                          fontSize: '14px',
+                          cursor: saving ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {status.action}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,67 @@
+/**
+ * Edit Listing Page
+ *
+ * Edit form for one of the signed-in agent's listings.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { updateListing, fetchAgentListing } from '../../../../lib/supabase'
+import { withRole } from '../../../../lib/serverAuth'
+import { useAuth } from '../../../../contexts/AuthContext'
+import AccountLayout from '../../../../components/AccountLayout'
+import ListingForm from '../../../../components/ListingForm'
+
+export const getServerSideProps = withRole('agent')
+
+export default function EditListing() {
+  const router = useRouter()
+  const { user, isAgent } = useAuth()
+  const { id } = router.query
+
+  const [listing, setListing] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!id || !user || !isAgent) {
+      return
+    }
+
+    fetchAgentListing(user.id, id).then(data => {
+      setListing(data)
+      setLoading(false)
+    })
+  }, [id, user, isAgent])
+
+  const handleSubmit = async (updates) => {
+    const result = await updateListing(user.id, id, updates)
+    if (!result.error) {
+      router.push('/agent/listings')
+    }
+    return result
+  }
+
+  return (
+    <AccountLayout role="agent" title="Edit Listing">
+      <h1 className="listings-title" style={{ marginBottom: '1.5rem' }}>Edit Listing</h1>
+
+      {loading && <div className="loading"><p>Loading listing...</p></div>}
+
+      {!loading && !listing && (
+        <div className="no-listings">
+          <h3>Listing not found</h3>
+          <p>This listing does not exist or belongs to another agent.</p>
+        </div>
+      )}
+
+      {!loading && listing && (
+        <ListingForm
+          listing={listing}
+          onSubmit={handleSubmit}
+          submitLabel="Save Changes"
+          onCancel={() => router.push('/agent/listings')}
+        />
+      )}
+    </AccountLayout>
+  )
+}
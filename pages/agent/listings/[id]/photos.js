@@ -0,0 +1,310 @@
+/**
+ * Listing Photos Page
+ *
+ * Agents upload photos for one of their listings, put them in order, choose
+ * the cover (the first photo, shown on listing cards) and add captions.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import Image from 'next/image'
+import { useRouter } from 'next/router'
+import {
+  fetchAgentListing,
+  fetchListingPhotos,
+  updateListingPhotoCaption,
+  reorderListingPhotos
+} from '../../../../lib/supabase'
+import {
+  PHOTO_TYPES,
+  MAX_PHOTOS_PER_LISTING,
+  MAX_PHOTO_BYTES,
+  MAX_PHOTO_CAPTION_LENGTH,
+  MIN_PHOTO_WIDTH,
+  MIN_PHOTO_HEIGHT,
+  validatePhotoFile,
+  movePhoto,
+  getPhotoAlt,
+  uploadListingPhoto,
+  deleteListingPhoto
+} from '../../../../lib/photos'
+import { withRole } from '../../../../lib/serverAuth'
+import { useAuth } from '../../../../contexts/AuthContext'
+import AccountLayout from '../../../../components/AccountLayout'
+
+export const getServerSideProps = withRole('agent')
+
+const actionStyle = {
+  color: '#2d5a2d',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+export default function ListingPhotos() {
+  const router = useRouter()
+  const { user, isAgent } = useAuth()
+  const { id } = router.query
+
+  const [listing, setListing] = useState(null)
+  const [photos, setPhotos] = useState([])
+  const [captions, setCaptions] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [uploading, setUploading] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [errors, setErrors] = useState([])
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    if (!id || !user || !isAgent) {
+      return
+    }
+
+    Promise.all([fetchAgentListing(user.id, id), fetchListingPhotos(user.id, id)]).then(([listingData, photoData]) => {
+      setListing(listingData)
+      setPhotos(photoData)
+      setCaptions(Object.fromEntries(photoData.map(photo => [photo.id, photo.caption || ''])))
+      setLoading(false)
+    })
+  }, [id, user, isAgent])
+
+  const resetStatus = () => {
+    setErrors([])
+    setMessage('')
+  }
+
+  /**
+   * Upload the chosen files one at a time, so they keep the order they were picked in
+   */
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files)
+    e.target.value = ''
+    resetStatus()
+
+    const problems = []
+    const room = MAX_PHOTOS_PER_LISTING - photos.length
+    if (files.length > room) {
+      problems.push(`Listings can have up to ${MAX_PHOTOS_PER_LISTING} photos, so only the first ${Math.max(room, 0)} will be uploaded.`)
+    }
+
+    const valid = files.slice(0, Math.max(room, 0)).filter(file => {
+      const problem = validatePhotoFile(file)
+      if (problem) {
+        problems.push(problem)
+      }
+      return !problem
+    })
+
+    let uploaded = 0
+    for (const [index, file] of valid.entries()) {
+      setUploading(`Uploading ${index + 1} of ${valid.length}...`)
+      const { data, error } = await uploadListingPhoto(id, file)
+
+      if (error) {
+        problems.push(`${file.name}: ${error.message}`)
+      } else {
+        uploaded += 1
+        setPhotos(prev => [...prev, data])
+        setCaptions(prev => ({ ...prev, [data.id]: '' }))
+      }
+    }
+
+    setUploading('')
+    setErrors(problems)
+    if (uploaded > 0) {
+      setMessage(`Uploaded ${uploaded} photo${uploaded === 1 ? '' : 's'}.`)
+    }
+  }
+
+  /**
+   * Move a photo and save the new order; the first photo is the cover
+   */
+  const handleMove = async (from, to) => {
+    resetStatus()
+    const previous = photos
+    const reordered = movePhoto(photos, from, to)
+    setPhotos(reordered)
+    setSaving(true)
+
+    const { data, error } = await reorderListingPhotos(user.id, reordered)
+    setSaving(false)
+
+    if (error) {
+      setPhotos(previous)
+      setErrors([error.message])
+      return
+    }
+
+    setPhotos(data)
+    if (to === 0) {
+      setMessage('Cover photo updated.')
+    }
+  }
+
+  const handleCaptionSave = async (photo) => {
+    resetStatus()
+    const { data, error } = await updateListingPhotoCaption(user.id, photo.id, captions[photo.id] || '')
+
+    if (error) {
+      setErrors([error.message])
+      return
+    }
+
+    setPhotos(prev => prev.map(item => item.id === data.id ? { ...item, caption: data.caption } : item))
+    setMessage('Caption saved.')
+  }
+
+  const handleDelete = async (photo, index) => {
+    if (!window.confirm(`Delete photo ${index + 1}? This can't be undone.`)) {
+      return
+    }
+
+    resetStatus()
+    setSaving(true)
+    const { error } = await deleteListingPhoto(id, photo.id)
+    setSaving(false)
+
+    if (error) {
+      setErrors([error.message])
+      return
+    }
+
+    setPhotos(prev => prev.filter(item => item.id !== photo.id))
+    setMessage(index === 0 && photos.length > 1 ? 'Photo deleted. The next photo is now the cover.' : 'Photo deleted.')
+  }
+
+  const busy = Boolean(uploading) || saving
+
+  return (
+    <AccountLayout role="agent" title="Listing Photos">
+      <div className="listings-header">
+        <div>
+          <h1 className="listings-title">
+            Photos {!loading && <span className="listings-count">({photos.length} of {MAX_PHOTOS_PER_LISTING})</span>}
+          </h1>
+          {listing && (
+            <p style={{ color: '#666', marginTop: '4px' }}>
+              <Link href={`/listings/${listing.id}`} style={{ color: '#2d5a2d', fontWeight: '500' }}>{listing.Title}</Link>
+              {' · '}{listing.Location}
+            </p>
+          )}
+        </div>
+        <Link href="/agent/listings" style={{ color: '#2d5a2d', fontSize: '14px' }}>← My Listings</Link>
+      </div>
+
+      {loading && <div className="loading"><p>Loading photos...</p></div>}
+
+      {!loading && !listing && (
+        <div className="no-listings">
+          <h3>Listing not found</h3>
+          <p>This listing does not exist or belongs to another agent.</p>
+        </div>
+      )}
+
+      {!loading && listing && (
+        <>
+          <div style={{ marginBottom: '1.5rem' }}>
+            <label
+              htmlFor="photo-upload"
+              style={{
+                display: 'inline-block',
+                padding: '0.5rem 1rem',
+                backgroundColor: busy || photos.length >= MAX_PHOTOS_PER_LISTING ? '#ccc' : '#2d5a2d',
+                color: 'white',
+                borderRadius: '4px',
+                fontSize: '14px',
+                cursor: busy ? 'not-allowed' : 'pointer'
+              }}
+            >
+              {uploading || '+ Add photos'}
+            </label>
+            <input
+              id="photo-upload"
+              type="file"
+              accept={PHOTO_TYPES.map(photoType => photoType.type).join(',')}
+              multiple
+              onChange={handleFiles}
+              disabled={busy || photos.length >= MAX_PHOTOS_PER_LISTING}
+              style={{ position: 'absolute', width: 1, height: 1, opacity: 0 }}
+            />
+            <p style={{ color: '#666', fontSize: '13px', marginTop: '8px' }}>
+              {PHOTO_TYPES.map(photoType => photoType.label).join(', ')} up to {MAX_PHOTO_BYTES / (1024 * 1024)} MB,
+              at least {MIN_PHOTO_WIDTH} × {MIN_PHOTO_HEIGHT} pixels. Location and camera details are removed when you upload.
+            </p>
+          </div>
+
+          {errors.map(error => (
+            <span key={error} style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '0.5rem' }}>{error}</span>
+          ))}
+          {message && <span style={{ color: '#059669', fontSize: '14px', display: 'block', marginBottom: '1rem' }}>{message}</span>}
+
+          {photos.length === 0 ? (
+            <div className="no-listings">
+              <h3>No photos yet</h3>
+              <p>Listings with photos get far more enquiries. The first photo is used as the cover.</p>
+            </div>
+          ) : (
+            <div className="photo-manager-grid">
+              {photos.map((photo, index) => (
+                <div key={photo.id} className="photo-manager-item">
+                  <div className="listing-card-photo">
+                    <Image
+                      src={photo.url}
+                      alt={getPhotoAlt(photo, listing, index)}
+                      fill
+                      sizes="240px"
+                      style={{ objectFit: 'cover' }}
+                    />
+                    {index === 0 && (
+                      <span className="status-badge status-accepted" style={{ position: 'absolute', top: 8, left: 8 }}>Cover</span>
+                    )}
+                  </div>
+                  <div className="photo-manager-controls">
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                      <input
+                        type="text"
+                        className="filter-select"
+                        value={captions[photo.id] ?? ''}
+                        maxLength={MAX_PHOTO_CAPTION_LENGTH}
+                        onChange={(e) => setCaptions(prev => ({ ...prev, [photo.id]: e.target.value }))}
+                        placeholder="Caption, e.g. Garden"
+                        aria-label={`Caption for photo ${index + 1}`}
+                        style={{ minWidth: 0, flex: 1 }}
+                      />
+                      <button
+                        type="button"
+                        style={actionStyle}
+                        onClick={() => handleCaptionSave(photo)}
+                        disabled={busy || (captions[photo.id] || '') === (photo.caption || '')}
+                      >
+                        Save
+                      </button>
+                    </div>
+                    <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+                      <button type="button" style={actionStyle} onClick={() => handleMove(index, index - 1)} disabled={busy || index === 0} aria-label={`Move photo ${index + 1} earlier`}>
+                        ← Earlier
+                      </button>
+                      <button type="button" style={actionStyle} onClick={() => handleMove(index, index + 1)} disabled={busy || index === photos.length - 1} aria-label={`Move photo ${index + 1} later`}>
+                        Later →
+                      </button>
+                      {index > 0 && (
+                        <button type="button" style={actionStyle} onClick={() => handleMove(index, 0)} disabled={busy}>
+                          Make cover
+                        </button>
+                      )}
+                      <button type="button" style={{ ...actionStyle, color: '#dc3545' }} onClick={() => handleDelete(photo, index)} disabled={busy}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </AccountLayout>
+  )
+}
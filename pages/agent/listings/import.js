@@ -0,0 +1,404 @@
+/**
+ * Listing Import Page
+ *
+ * Wizard for agents moving their properties over from a spreadsheet or
+ * another system: upload a CSV or JSON file, match its columns to listing
+ * fields, check the preview for errors, then import. Nothing is saved until
+ * the last step (see lib/listingImport.js).
+ */
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import {
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_ROWS,
+  getImportFormat,
+  parseImportFile,
+  suggestColumnMapping,
+  validateColumnMapping,
+  previewImport,
+  commitImport
+} from '../../../lib/listingImport'
+import { canPublishListings } from '../../../lib/admin'
+import { withRole } from '../../../lib/serverAuth'
+import { useAuth } from '../../../contexts/AuthContext'
+import AccountLayout from '../../../components/AccountLayout'
+
+export const getServerSideProps = withRole('agent')
+
+const STEPS = [
+  { value: 'upload', label: 'Upload' },
+  { value: 'map', label: 'Match columns' },
+  { value: 'preview', label: 'Preview' },
+  { value: 'done', label: 'Done' }
+]
+
+const cellStyle = {
+  padding: '0.75rem',
+  borderBottom: '1px solid #eee',
+  textAlign: 'left',
+  fontSize: '14px',
+  verticalAlign: 'top'
+}
+
+const buttonStyle = (disabled) => ({
+  padding: '0.75rem 1.5rem',
+  backgroundColor: disabled ? '#ccc' : '#2d5a2d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '16px',
+  fontWeight: '500',
+  cursor: disabled ? 'not-allowed' : 'pointer'
+})
+
+const secondaryButtonStyle = {
+  padding: '0.75rem 1.5rem',
+  backgroundColor: 'transparent',
+  color: '#2d5a2d',
+  border: '1px solid #2d5a2d',
+  borderRadius: '4px',
+  fontSize: '16px',
+  cursor: 'pointer'
+}
+
+const errorStyle = {
+  backgroundColor: '#f8d7da',
+  color: '#721c24',
+  padding: '0.75rem',
+  borderRadius: '4px',
+  marginBottom: '1rem',
+  fontSize: '14px'
+}
+
+export default function ImportListings() {
+  const { profile } = useAuth()
+
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [file, setFile] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [preview, setPreview] = useState(null)
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false)
+  const [skipInvalid, setSkipInvalid] = useState(false)
+  const [result, setResult] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  /**
+   * Read the chosen file and suggest a column for each field
+   */
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0]
+    e.target.value = ''
+    if (!chosen) return
+
+    setError('')
+    const format = getImportFormat(chosen.name)
+    if (!format) {
+      setError(`${chosen.name} isn't a ${IMPORT_FORMATS.map(({ label }) => label).join(' or ')} file`)
+      return
+    }
+
+    if (chosen.size > MAX_IMPORT_BYTES) {
+      setError(`${chosen.name} is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`)
+      return
+    }
+
+    const { data, error: parseError } = parseImportFile(await chosen.text(), format.value)
+    if (parseError) {
+      setError(parseError.message)
+      return
+    }
+
+    setFileName(chosen.name)
+    setFile(data)
+    setMapping(suggestColumnMapping(data.columns))
+    setStep('map')
+  }
+
+  const handleMappingChange = (fieldName, column) => {
+    setMapping(prev => {
+      const next = { ...prev }
+      if (column) {
+        next[fieldName] = column
+      } else {
+        delete next[fieldName]
+      }
+      return next
+    })
+  }
+
+  const handlePreview = () => {
+    setPreview(previewImport(file.records, mapping, file.firstRow))
+    setShowErrorsOnly(false)
+    setSkipInvalid(false)
+    setStep('preview')
+  }
+
+  const handleImport = async () => {
+    setSaving(true)
+    setError('')
+    const { data, error: importError } = await commitImport({
+      records: file.records,
+      mapping,
+      firstRow: file.firstRow,
+      skipInvalid
+    })
+    setSaving(false)
+
+    if (importError) {
+      setError(importError.message)
+      return
+    }
+
+    setResult(data)
+    setStep('done')
+  }
+
+  const startAgain = () => {
+    setFile(null)
+    setFileName('')
+    setMapping({})
+    setPreview(null)
+    setResult(null)
+    setError('')
+    setStep('upload')
+  }
+
+  const mappingErrors = validateColumnMapping(mapping)
+  const previewRows = preview
+    ? preview.rows.filter(row => !showErrorsOnly || Object.keys(row.errors).length > 0)
+    : []
+  const canImport = preview && preview.validCount > 0 && (preview.errorCount === 0 || skipInvalid)
+
+  return (
+    <AccountLayout role="agent" title="Import Listings">
+      <div className="listings-header">
+        <div>
+          <h1 className="listings-title">Import Listings</h1>
+          {fileName && <p style={{ color: '#666', marginTop: '4px' }}>{fileName}</p>}
+        </div>
+        <Link href="/agent/listings" style={{ color: '#2d5a2d', fontSize: '14px' }}>← My Listings</Link>
+      </div>
+
+      {!canPublishListings(profile) ? (
+        <div className="no-listings">
+          <h3>Your account is awaiting approval</h3>
+          <p>You&apos;ll be able to import listings once an admin approves your agency details.</p>
+        </div>
+      ) : (
+        <>
+          <ol className="import-steps">
+            {STEPS.map(({ value, label }) => (
+              <li key={value} aria-current={step === value ? 'step' : undefined}>{label}</li>
+            ))}
+          </ol>
+
+          {error && <div role="alert" style={errorStyle}>{error}</div>}
+
+          {step === 'upload' && (
+            <div>
+              <label htmlFor="import-file" style={{ ...buttonStyle(false), display: 'inline-block' }}>
+                Choose a file
+              </label>
+              <input
+                id="import-file"
+                type="file"
+                accept={IMPORT_FORMATS.map(({ extension }) => extension).join(',')}
+                onChange={handleFile}
+                style={{ position: 'absolute', width: 1, height: 1, opacity: 0 }}
+              />
+              <p style={{ color: '#666', fontSize: '14px', marginTop: '12px', maxWidth: '640px' }}>
+                A CSV file with a header row, or a JSON list of listings, up to {MAX_IMPORT_BYTES / (1024 * 1024)} MB
+                and {MAX_IMPORT_ROWS} listings. Give every property your own reference: importing a file again
+                updates the listings with the same references instead of adding copies.
+              </p>
+              <p style={{ color: '#666', fontSize: '14px', marginTop: '8px', maxWidth: '640px' }}>
+                Already sending a Rightmove BLM or XML feed to the portals?{' '}
+                <Link href="/agent/listings/portal-feeds" style={{ color: '#2d5a2d' }}>Import your portal feed</Link> instead.
+              </p>
+            </div>
+          )}
+
+          {step === 'map' && file && (
+            <>
+              <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem' }}>
+                We found {file.records.length} listings and {file.columns.length} columns. Choose the column that holds
+                each field; fields left as &quot;Don&apos;t import&quot; are left unchanged on listings you&apos;ve imported before.
+              </p>
+              <div style={{ overflowX: 'auto', background: 'white', borderRadius: '8px', border: '1px solid #e5e5e5', marginBottom: '1rem' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f8f9fa' }}>
+                      <th style={cellStyle}>Field</th>
+                      <th style={cellStyle}>Column in your file</th>
+                      <th style={cellStyle}>First listing</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {IMPORT_FIELDS.map(field => {
+                      const sample = mapping[field.name] ? file.records[0][mapping[field.name]] : ''
+                      return (
+                        <tr key={field.name}>
+                          <td style={cellStyle}>
+                            <label htmlFor={`map-${field.name}`}>{field.label}</label>
+                            {field.required && <span style={{ color: '#dc3545' }}> *</span>}
+                          </td>
+                          <td style={cellStyle}>
+                            <select
+                              id={`map-${field.name}`}
+                              className="filter-select"
+                              value={mapping[field.name] || ''}
+                              onChange={(e) => handleMappingChange(field.name, e.target.value)}
+                            >
+                              <option value="">Don&apos;t import</option>
+                              {file.columns.map(column => (
+                                <option key={column} value={column}>{column}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td style={{ ...cellStyle, color: '#666', maxWidth: '280px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {Array.isArray(sample) ? sample.join(', ') : String(sample ?? '')}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {mappingErrors.map(message => (
+                <span key={message} style={{ color: '#dc3545', fontSize: '14px', display: 'block', marginBottom: '0.5rem' }}>{message}</span>
+              ))}
+
+              <div style={{ display: 'flex', gap: '1rem' }}>
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={mappingErrors.length > 0}
+                  style={buttonStyle(mappingErrors.length > 0)}
+                >
+                  Preview import
+                </button>
+                <button type="button" onClick={startAgain} style={secondaryButtonStyle}>
+                  Choose another file
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'preview' && preview && (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', gap: '1rem', flexWrap: 'wrap' }}>
+                <p style={{ fontSize: '15px' }}>
+                  <strong>{preview.validCount}</strong> ready to import
+                  {preview.errorCount > 0 && (
+                    <>, <strong style={{ color: '#dc3545' }}>{preview.errorCount}</strong> with errors</>
+                  )}
+                </p>
+                {preview.errorCount > 0 && (
+                  <label className="filter-label">
+                    <input
+                      type="checkbox"
+                      checked={showErrorsOnly}
+                      onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                      style={{ marginRight: '8px' }}
+                    />
+                    Only show rows with errors
+                  </label>
+                )}
+              </div>
+
+              <div style={{ overflowX: 'auto', background: 'white', borderRadius: '8px', border: '1px solid #e5e5e5', marginBottom: '1rem' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f8f9fa' }}>
+                      <th style={cellStyle}>Row</th>
+                      <th style={cellStyle}>Reference</th>
+                      <th style={cellStyle}>Title</th>
+                      <th style={cellStyle}>Location</th>
+                      <th style={cellStyle}>Rent</th>
+                      <th style={cellStyle}>Bedrooms</th>
+                      <th style={cellStyle}>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map(row => {
+                      const rowErrors = Object.values(row.errors)
+                      return (
+                        <tr key={row.rowNumber} style={{ background: rowErrors.length > 0 ? '#fff5f5' : undefined }}>
+                          <td style={cellStyle}>{row.rowNumber}</td>
+                          <td style={cellStyle}>{row.externalRef}</td>
+                          <td style={cellStyle}>{row.listing.Title}</td>
+                          <td style={cellStyle}>{row.listing.Location}</td>
+                          <td style={cellStyle}>{Number.isInteger(row.listing.Rent) ? `£${row.listing.Rent.toLocaleString()}` : ''}</td>
+                          <td style={cellStyle}>{row.listing.Bedrooms === 0 ? 'Studio' : row.listing.Bedrooms}</td>
+                          <td style={cellStyle}>
+                            {rowErrors.length === 0 ? (
+                              <span style={{ color: '#059669' }}>Ready</span>
+                            ) : (
+                              <ul style={{ color: '#dc3545', margin: 0, paddingLeft: '1rem' }}>
+                                {rowErrors.map(message => <li key={message}>{message}</li>)}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {preview.errorCount > 0 && preview.validCount > 0 && (
+                <label className="filter-label" style={{ display: 'block', marginBottom: '1rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    style={{ marginRight: '8px' }}
+                  />
+                  Import the {preview.validCount} rows without errors and skip the rest
+                </label>
+              )}
+              {preview.errorCount > 0 && !skipInvalid && (
+                <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem' }}>
+                  Fix the rows with errors in your file and upload it again, or change which columns are used.
+                </p>
+              )}
+
+              <div style={{ display: 'flex', gap: '1rem' }}>
+                <button type="button" onClick={handleImport} disabled={!canImport || saving} style={buttonStyle(!canImport || saving)}>
+                  {saving ? 'Importing...' : `Import ${skipInvalid ? preview.validCount : preview.rows.length} listings`}
+                </button>
+                <button type="button" onClick={() => setStep('map')} disabled={saving} style={secondaryButtonStyle}>
+                  Back to columns
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 'done' && result && (
+            <div className="no-listings">
+              <h3>Import complete</h3>
+              <p>
+                {result.created} new listing{result.created === 1 ? '' : 's'} added
+                and {result.updated} updated{result.skipped > 0 && `; ${result.skipped} rows with errors were skipped`}.
+              </p>
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '1rem' }}>
+                <Link href="/agent/listings" style={{ ...buttonStyle(false), textDecoration: 'none' }}>
+                  Go to My Listings
+                </Link>
+                <button type="button" onClick={startAgain} style={secondaryButtonStyle}>
+                  Import another file
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </AccountLayout>
+  )
+}
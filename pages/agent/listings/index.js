@@ -0,0 +1,236 @@
+/**
+ * Agent Listings Dashboard
+ *
+ * Table of the signed-in agent's own listings with create, import, export, edit,
+ * duplicate and archive actions, and links to each listing's photos and applications.
+ * Listings an admin has unpublished are always shown, and only an admin can republish them.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { fetchAgentListings, archiveListing, getSiteUrl } from '../../../lib/supabase'
+import { isAwaitingApproval } from '../../../lib/admin'
+import { isListingPublic } from '../../../lib/listingCriteria'
+import { buildExport, getExportFileName, getExportFormat } from '../../../lib/listingExport'
+import { withRole } from '../../../lib/serverAuth'
+import { useAuth } from '../../../contexts/AuthContext'
+import AccountLayout from '../../../components/AccountLayout'
+
+const cellStyle = {
+  padding: '0.75rem',
+  borderBottom: '1px solid #eee',
+  textAlign: 'left',
+  fontSize: '14px'
+}
+
+const actionStyle = {
+  color: '#2d5a2d',
+  textDecoration: 'none',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+export const getServerSideProps = withRole('agent')
+
+export default function AgentListings() {
+  const { user, profile, isAgent } = useAuth()
+
+  const [listings, setListings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showArchived, setShowArchived] = useState(false)
+
+  const loadListings = useCallback(async () => {
+    setLoading(true)
+    const data = await fetchAgentListings(user.id)
+    setListings(data)
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (user && isAgent) {
+      loadListings()
+    }
+  }, [user, isAgent, loadListings])
+
+  /**
+   * Archive or restore a listing and update the table in place
+   */
+  const handleArchive = async (listing) => {
+    const archive = !listing.archived_at
+    if (archive && !window.confirm(`Archive "${listing.Title}"? It will be hidden from the public site.`)) {
+      return
+    }
+
+    setError('')
+    const { data, error } = await archiveListing(user.id, listing.id, archive)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setListings(prev => prev.map(item => item.id === data.id ? data : item))
+  }
+
+  /**
+   * Download the agent's whole portfolio, including archived listings, as a
+   * CSV that can be edited and imported again
+   */
+  const handleExport = () => {
+    const csv = buildExport(listings, 'csv', { siteUrl: getSiteUrl(), references: true })
+    const url = URL.createObjectURL(new Blob([csv], { type: getExportFormat('csv').contentType }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = getExportFileName('csv', 'portfolio')
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const visibleListings = listings.filter(listing => showArchived || !listing.archived_at || listing.unpublished_at)
+  const archivedCount = listings.filter(listing => listing.archived_at && !listing.unpublished_at).length
+
+  return (
+    <AccountLayout role="agent" title="My Listings">
+      <div className="listings-header">
+        <h1 className="listings-title">My Listings</h1>
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+          <label className="filter-label">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              style={{ marginRight: '8px' }}
+            />
+            Show archived ({archivedCount})
+          </label>
+          <Link href="/agent/listings/import" style={{ color: '#2d5a2d', fontSize: '14px' }}>
+            Import from a file
+          </Link>
+          <Link href="/agent/listings/portal-feeds" style={{ color: '#2d5a2d', fontSize: '14px' }}>
+            Portal feeds
+          </Link>
+          {listings.length > 0 && (
+            <button type="button" onClick={handleExport} style={actionStyle}>
+              Export to CSV
+            </button>
+          )}
+          <Link
+            href="/agent/listings/new"
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: '#2d5a2d',
+              color: 'white',
+              borderRadius: '4px',
+              fontSize: '14px',
+              textDecoration: 'none'
+            }}
+          >
+            + New Listing
+          </Link>
+        </div>
+      </div>
+
+      {isAwaitingApproval(profile) && (
+        <div style={{
+          backgroundColor: '#fff3cd',
+          color: '#856404',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          Your account is awaiting approval. You can publish listings once an admin has checked your agency details.
+        </div>
+      )}
+
+      {error && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your listings...</p>
+        </div>
+      )}
+
+      {!loading && visibleListings.length === 0 && (
+        <div className="no-listings">
+          <h3>No listings yet</h3>
+          <p>Create your first listing to start welcoming pet owners.</p>
+        </div>
+      )}
+
+      {!loading && visibleListings.length > 0 && (
+        <div style={{ overflowX: 'auto', background: 'white', borderRadius: '8px', border: '1px solid #e5e5e5' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={cellStyle}>Title</th>
+                <th style={cellStyle}>Location</th>
+                <th style={cellStyle}>Rent</th>
+                <th style={cellStyle}>Bedrooms</th>
+                <th style={cellStyle}>Listed</th>
+                <th style={cellStyle}>Status</th>
+                <th style={cellStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleListings.map(listing => (
+                <tr key={listing.id} style={{ opacity: isListingPublic(listing) ? 1 : 0.6 }}>
+                  <td style={cellStyle}>{listing.Title}</td>
+                  <td style={cellStyle}>{listing.Location}</td>
+                  <td style={cellStyle}>£{listing.Rent?.toLocaleString()}</td>
+                  <td style={cellStyle}>{listing.Bedrooms === 0 ? 'Studio' : listing.Bedrooms}</td>
+                  <td style={cellStyle}>
+                    {listing.Listed ? new Date(listing.Listed).toLocaleDateString('en-GB') : '-'}
+                  </td>
+                  <td style={cellStyle}>
+                    {listing.unpublished_at ? (
+                      <span style={{ color: '#dc3545' }} title="Contact us if you think this is a mistake">
+                        Unpublished by admin
+                      </span>
+                    ) : listing.archived_at ? 'Archived' : 'Live'}
+                  </td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                    <div style={{ display: 'flex', gap: '1rem' }}>
+                      <Link href={`/agent/listings/${listing.id}/edit`} style={actionStyle}>
+                        Edit
+                      </Link>
+                      <Link href={`/agent/listings/new?duplicate=${listing.id}`} style={actionStyle}>
+                        Duplicate
+                      </Link>
+                      <Link href={`/agent/listings/${listing.id}/photos`} style={actionStyle}>
+                        Photos
+                      </Link>
+                      <Link href={`/agent/listings/${listing.id}/applications`} style={actionStyle}>
+                        Applications
+                      </Link>
+                      {!listing.unpublished_at && (
+                        <button type="button" onClick={() => handleArchive(listing)} style={actionStyle}>
+                          {listing.archived_at ? 'Restore' : 'Archive'}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
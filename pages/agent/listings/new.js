@@ -0,0 +1,82 @@
+/**
+ * New Listing Page
+ *
+ * Create form for agents. Passing ?duplicate=<id> pre-fills the form
+ * from one of the agent's existing listings. Agents still awaiting approval
+ * from an admin see a notice instead.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { createListing, fetchAgentListing } from '../../../lib/supabase'
+import { canPublishListings } from '../../../lib/admin'
+import { withRole } from '../../../lib/serverAuth'
+import { useAuth } from '../../../contexts/AuthContext'
+import AccountLayout from '../../../components/AccountLayout'
+import ListingForm from '../../../components/ListingForm'
+
+export const getServerSideProps = withRole('agent')
+
+export default function NewListing() {
+  const router = useRouter()
+  const { user, profile, isAgent } = useAuth()
+  const { duplicate } = router.query
+
+  const [template, setTemplate] = useState(null)
+  const [ready, setReady] = useState(false)
+
+  // Load the listing being duplicated, if any
+  useEffect(() => {
+    if (!router.isReady || !user || !isAgent) {
+      return
+    }
+
+    if (!duplicate) {
+      setReady(true)
+      return
+    }
+
+    fetchAgentListing(user.id, duplicate).then(listing => {
+      if (listing) {
+        setTemplate({ ...listing, Title: `${listing.Title} (copy)` })
+      }
+      setReady(true)
+    })
+  }, [router.isReady, duplicate, user, isAgent])
+
+  const handleSubmit = async (listing) => {
+    const result = await createListing(user.id, listing)
+    if (!result.error) {
+      // Straight on to adding photos
+      router.push(`/agent/listings/${result.data.id}/photos`)
+    }
+    return result
+  }
+
+  return (
+    <AccountLayout role="agent" title="New Listing">
+      <h1 className="listings-title" style={{ marginBottom: '1.5rem' }}>
+        {duplicate ? 'Duplicate Listing' : 'New Listing'}
+      </h1>
+      {!canPublishListings(profile) ? (
+        <div className="no-listings">
+          <h3>{profile?.approval_status === 'rejected' ? 'Your agent account was not approved' : 'Your account is awaiting approval'}</h3>
+          <p>
+            {profile?.approval_status === 'rejected'
+              ? 'Please contact PawsPlace support if you think this is a mistake.'
+              : "We're checking your agency details. You'll be able to publish listings once an admin approves your account."}
+          </p>
+        </div>
+      ) : ready ? (
+        <ListingForm
+          listing={template || undefined}
+          onSubmit={handleSubmit}
+          submitLabel="Create Listing"
+          onCancel={() => router.push('/agent/listings')}
+        />
+      ) : (
+        <div className="loading"><p>Loading...</p></div>
+      )}
+    </AccountLayout>
+  )
+}
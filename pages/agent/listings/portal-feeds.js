@@ -0,0 +1,301 @@
+/**
+ * Portal Feeds Page
+ *
+ * Agents who syndicate to the property portals import the same Rightmove BLM
+ * or XML feed here. Each import adds and updates the feed's listings,
+ * withdraws listings that have left it, and is kept in the history below with
+ * its report, along with feeds picked up from the feed directory
+ * (see lib/portalImporter.js).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { fetchPortalImportRuns } from '../../../lib/supabase'
+import {
+  MAX_PORTAL_FEED_BYTES,
+  MAX_PORTAL_FEED_LISTINGS,
+  PORTAL_FORMATS,
+  PORTAL_IMPORT_SOURCES,
+  decodeFeedText,
+  getPortalFormat,
+  uploadPortalFeed
+} from '../../../lib/portalFeeds'
+import { canPublishListings } from '../../../lib/admin'
+import { withRole } from '../../../lib/serverAuth'
+import { useAuth } from '../../../contexts/AuthContext'
+import AccountLayout from '../../../components/AccountLayout'
+
+export const getServerSideProps = withRole('agent')
+
+const REPORT_SECTIONS = [
+  { value: 'created', label: 'Created' },
+  { value: 'updated', label: 'Updated' },
+  { value: 'withdrawn', label: 'Withdrawn' },
+  { value: 'rejected', label: 'Rejected' }
+]
+
+const cellStyle = {
+  padding: '0.75rem',
+  borderBottom: '1px solid #eee',
+  textAlign: 'left',
+  fontSize: '14px',
+  verticalAlign: 'top'
+}
+
+const buttonStyle = (disabled) => ({
+  padding: '0.75rem 1.5rem',
+  backgroundColor: disabled ? '#ccc' : '#2d5a2d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '16px',
+  fontWeight: '500',
+  cursor: disabled ? 'not-allowed' : 'pointer'
+})
+
+const linkButtonStyle = {
+  color: '#2d5a2d',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+const errorStyle = {
+  backgroundColor: '#f8d7da',
+  color: '#721c24',
+  padding: '0.75rem',
+  borderRadius: '4px',
+  marginBottom: '1rem',
+  fontSize: '14px'
+}
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+const describeProperty = ({ branchRef, externalRef }) => branchRef ? `${branchRef} / ${externalRef}` : externalRef
+
+/**
+ * What one import created, updated, withdrew and rejected
+ */
+function ImportReport({ report }) {
+  const sections = REPORT_SECTIONS.filter(section => report[section.value]?.length > 0)
+
+  if (sections.length === 0) {
+    return <p style={{ color: '#666', fontSize: '14px' }}>The feed had no properties in it.</p>
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: '1rem' }}>
+      {sections.map(section => (
+        <div key={section.value}>
+          <h4 style={{ fontSize: '15px', marginBottom: '6px' }}>
+            {section.label} ({report[section.value].length})
+          </h4>
+          <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '14px', color: '#333' }}>
+            {report[section.value].map(entry => (
+              <li key={`${entry.rowNumber || ''}-${entry.branchRef}-${entry.externalRef}`} style={{ marginBottom: '4px' }}>
+                {section.value === 'rejected' ? (
+                  <>
+                    Row {entry.rowNumber}{entry.externalRef && ` (${describeProperty(entry)})`}:{' '}
+                    <span style={{ color: '#dc3545' }}>{entry.errors.join('; ')}</span>
+                  </>
+                ) : (
+                  <>
+                    <strong>{describeProperty(entry)}</strong> {entry.title}
+                    {entry.reason && <span style={{ color: '#666' }}> – {entry.reason}</span>}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function PortalFeeds() {
+  const { user, profile, isAgent } = useAuth()
+
+  const [runs, setRuns] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [uploading, setUploading] = useState(false)
+  const [result, setResult] = useState(null)
+  const [openRunId, setOpenRunId] = useState(null)
+  const [error, setError] = useState('')
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true)
+    setRuns(await fetchPortalImportRuns(user.id))
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (user && isAgent) {
+      loadRuns()
+    }
+  }, [user, isAgent, loadRuns])
+
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0]
+    e.target.value = ''
+    if (!chosen) return
+
+    setError('')
+    setResult(null)
+
+    if (!getPortalFormat(chosen.name)) {
+      setError(`${chosen.name} isn't a ${PORTAL_FORMATS.map(({ label }) => label).join(' or ')} file`)
+      return
+    }
+
+    if (chosen.size > MAX_PORTAL_FEED_BYTES) {
+      setError(`${chosen.name} is larger than ${MAX_PORTAL_FEED_BYTES / (1024 * 1024)} MB`)
+      return
+    }
+
+    setUploading(true)
+    const { data, error: importError } = await uploadPortalFeed({
+      fileName: chosen.name,
+      text: decodeFeedText(await chosen.arrayBuffer())
+    })
+    setUploading(false)
+
+    if (importError) {
+      setError(importError.message)
+    } else {
+      setResult(data)
+    }
+
+    // Failed imports are in the history too
+    loadRuns()
+  }
+
+  return (
+    <AccountLayout role="agent" title="Portal Feeds">
+      <div className="listings-header">
+        <h1 className="listings-title">Portal Feeds</h1>
+        <Link href="/agent/listings" style={{ color: '#2d5a2d', fontSize: '14px' }}>← My Listings</Link>
+      </div>
+
+      {!canPublishListings(profile) ? (
+        <div className="no-listings">
+          <h3>Your account is awaiting approval</h3>
+          <p>You&apos;ll be able to import listings once an admin approves your agency details.</p>
+        </div>
+      ) : (
+        <>
+          <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem', maxWidth: '720px' }}>
+            Import the feed you send to the property portals: a Rightmove BLM file or an XML feed, up to{' '}
+            {MAX_PORTAL_FEED_BYTES / (1024 * 1024)} MB and {MAX_PORTAL_FEED_LISTINGS} properties. Listings are matched on
+            branch and property reference, so importing a newer feed updates them. A feed is taken as everything each of
+            its branches has to let: listings from those branches that aren&apos;t in it, or are let agreed, are withdrawn
+            from PawsPlace. Pet policies aren&apos;t part of portal feeds, so set them on each listing here.
+          </p>
+
+          {error && <div role="alert" style={errorStyle}>{error}</div>}
+
+          <div style={{ marginBottom: '1.5rem' }}>
+            <label htmlFor="portal-feed-file" style={{ ...buttonStyle(uploading), display: 'inline-block' }}>
+              {uploading ? 'Importing...' : 'Import a feed'}
+            </label>
+            <input
+              id="portal-feed-file"
+              type="file"
+              accept={PORTAL_FORMATS.map(({ extension }) => extension).join(',')}
+              onChange={handleFile}
+              disabled={uploading}
+              style={{ position: 'absolute', width: 1, height: 1, opacity: 0 }}
+            />
+          </div>
+
+          {result && (
+            <div className="listing-card listing-card-content" style={{ marginBottom: '1.5rem' }}>
+              <h3 style={{ fontSize: '18px', marginBottom: '10px' }}>Imported {result.file_name}</h3>
+              <ImportReport report={result.report} />
+            </div>
+          )}
+
+          <h2 style={{ fontSize: '20px', marginBottom: '1rem' }}>Recent imports</h2>
+
+          {loading && <div className="loading"><p>Loading imports...</p></div>}
+
+          {!loading && runs.length === 0 && (
+            <div className="no-listings">
+              <h3>No feeds imported yet</h3>
+              <p>Feeds you import here, or that your system uploads to the feed directory, will appear here.</p>
+            </div>
+          )}
+
+          {!loading && runs.length > 0 && (
+            <div style={{ overflowX: 'auto', background: 'white', borderRadius: '8px', border: '1px solid #e5e5e5' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: '#f8f9fa' }}>
+                    <th style={cellStyle}>When</th>
+                    <th style={cellStyle}>File</th>
+                    <th style={cellStyle}>Created</th>
+                    <th style={cellStyle}>Updated</th>
+                    <th style={cellStyle}>Withdrawn</th>
+                    <th style={cellStyle}>Rejected</th>
+                    <th style={cellStyle}>Report</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map(run => (
+                    <React.Fragment key={run.id}>
+                      <tr>
+                        <td style={cellStyle}>{formatDateTime(run.created_at)}</td>
+                        <td style={cellStyle}>
+                          {run.file_name}
+                          <br />
+                          <span style={{ color: '#666' }}>
+                            {PORTAL_IMPORT_SOURCES.find(source => source.value === run.source)?.label || run.source}
+                          </span>
+                        </td>
+                        {run.error ? (
+                          <td style={{ ...cellStyle, color: '#dc3545' }} colSpan={5}>Not imported: {run.error}</td>
+                        ) : (
+                          <>
+                            <td style={cellStyle}>{run.created}</td>
+                            <td style={cellStyle}>{run.updated}</td>
+                            <td style={cellStyle}>{run.withdrawn}</td>
+                            <td style={{ ...cellStyle, color: run.rejected > 0 ? '#dc3545' : undefined }}>{run.rejected}</td>
+                            <td style={cellStyle}>
+                              <button
+                                type="button"
+                                style={linkButtonStyle}
+                                aria-expanded={openRunId === run.id}
+                                onClick={() => setOpenRunId(openRunId === run.id ? null : run.id)}
+                              >
+                                {openRunId === run.id ? 'Hide' : 'View'}
+                              </button>
+                            </td>
+                          </>
+                        )}
+                      </tr>
+                      {openRunId === run.id && run.report && (
+                        <tr>
+                          <td style={{ ...cellStyle, background: '#fafafa' }} colSpan={7}>
+                            <ImportReport report={run.report} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,377 @@
+/**
+ * Agent Viewings Page
+ *
+ * Day or week agenda of the agent's viewing slots across all their listings,
+ * with a form to publish new slots. Booked viewings can be cancelled or moved;
+ * free slots can be deleted.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import {
+  fetchAgentListings,
+  fetchAgentViewings,
+  fetchListingSlots,
+  createViewingSlots,
+  deleteViewingSlot
+} from '../../lib/supabase'
+import {
+  SLOT_LENGTHS,
+  DEFAULT_SLOT_LENGTH,
+  buildSlotSeries,
+  getAgendaRange,
+  shiftAgenda,
+  groupSlotsByDay,
+  formatViewingDate,
+  formatSlotTime,
+  cancelViewing,
+  rescheduleViewing
+} from '../../lib/viewings'
+import { isListingPublic } from '../../lib/listingCriteria'
+import { getDisplayName } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+
+export const getServerSideProps = withRole('agent')
+
+const actionStyle = {
+  color: '#2d5a2d',
+  textDecoration: 'none',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+const buttonStyle = {
+  padding: '0.5rem 1rem',
+  backgroundColor: '#2d5a2d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '14px',
+  cursor: 'pointer'
+}
+
+const inputStyle = {
+  padding: '0.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '14px'
+}
+
+const navButtonStyle = {
+  ...inputStyle,
+  background: 'white',
+  cursor: 'pointer'
+}
+
+const EMPTY_SLOT_FORM = { listingId: '', date: '', from: '09:00', to: '12:00', length: DEFAULT_SLOT_LENGTH }
+
+export default function AgentViewings() {
+  const { user, isAgent } = useAuth()
+
+  const [view, setView] = useState('week')
+  const [anchor, setAnchor] = useState(() => new Date())
+  const [listings, setListings] = useState([])
+  const [slots, setSlots] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [slotForm, setSlotForm] = useState(EMPTY_SLOT_FORM)
+  const [publishing, setPublishing] = useState(false)
+  // Booked slot being moved: { slot, options, newSlotId }
+  const [moving, setMoving] = useState(null)
+
+  const { start } = getAgendaRange(view, anchor)
+  const rangeKey = start.getTime()
+
+  const loadSlots = useCallback(async () => {
+    setLoading(true)
+    const { start, end } = getAgendaRange(view, new Date(rangeKey))
+    const data = await fetchAgentViewings(user.id, start, end)
+    setSlots(data)
+    setLoading(false)
+  }, [user, view, rangeKey])
+
+  useEffect(() => {
+    if (user && isAgent) {
+      loadSlots()
+    }
+  }, [user, isAgent, loadSlots])
+
+  useEffect(() => {
+    if (user && isAgent) {
+      fetchAgentListings(user.id).then(data => {
+        setListings(data.filter(isListingPublic))
+      })
+    }
+  }, [user, isAgent])
+
+  /**
+   * Publish a run of back-to-back slots for one listing
+   */
+  const handlePublish = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (!slotForm.listingId) {
+      setError('Choose a listing')
+      return
+    }
+
+    const { slots: newSlots, error: seriesError } = buildSlotSeries(slotForm)
+    if (seriesError) {
+      setError(seriesError)
+      return
+    }
+
+    setPublishing(true)
+    const { error } = await createViewingSlots(user.id, slotForm.listingId, newSlots)
+    setPublishing(false)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setSlotForm(prev => ({ ...prev, date: '' }))
+
+    // Show the day that was just published (changing the range reloads the agenda)
+    const publishedDay = new Date(newSlots[0].starts_at)
+    if (getAgendaRange(view, publishedDay).start.getTime() === rangeKey) {
+      loadSlots()
+    } else {
+      setAnchor(publishedDay)
+    }
+  }
+
+  const handleCancel = async (slot) => {
+    if (!window.confirm(`Cancel the viewing with ${getDisplayName(slot.tenant, 'this tenant')}? They'll be emailed.`)) {
+      return
+    }
+
+    setError('')
+    const { error } = await cancelViewing(slot.id)
+    if (error) {
+      setError(error.message)
+    }
+    loadSlots()
+  }
+
+  const handleDelete = async (slot) => {
+    setError('')
+    const { error } = await deleteViewingSlot(user.id, slot.id)
+    if (error) {
+      setError(error.message)
+    }
+    loadSlots()
+  }
+
+  /**
+   * Start moving a booked viewing: load the listing's other free slots to choose from
+   */
+  const handleStartMove = async (slot) => {
+    setError('')
+    const options = await fetchListingSlots(slot.listing_id)
+    if (options.length === 0) {
+      setError('There are no other free slots for this listing. Publish some first.')
+      return
+    }
+    setMoving({ slot, options, newSlotId: options[0].id })
+  }
+
+  const handleMove = async () => {
+    setError('')
+    const { error } = await rescheduleViewing(moving.slot.id, moving.newSlotId)
+    if (error) {
+      setError(error.message)
+      return
+    }
+    setMoving(null)
+    loadSlots()
+  }
+
+  const bookedCount = slots.filter(slot => slot.tenant_id).length
+  const rangeLabel = view === 'day'
+    ? formatViewingDate(start.toISOString())
+    : `Week of ${formatViewingDate(start.toISOString())}`
+
+  return (
+    <AccountLayout role="agent" title="Viewings">
+      <div className="listings-header">
+        <h1 className="listings-title">Viewings</h1>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <select
+            aria-label="Agenda view"
+            className="filter-select"
+            value={view}
+            onChange={(e) => setView(e.target.value)}
+          >
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+          <button type="button" style={navButtonStyle} onClick={() => setAnchor(shiftAgenda(view, anchor, -1))}>
+            ‹ Previous
+          </button>
+          <button type="button" style={navButtonStyle} onClick={() => setAnchor(new Date())}>
+            Today
+          </button>
+          <button type="button" style={navButtonStyle} onClick={() => setAnchor(shiftAgenda(view, anchor, 1))}>
+            Next ›
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handlePublish} className="listing-card listing-card-content" style={{ marginBottom: '1.5rem' }}>
+        <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>Publish viewing slots</h2>
+        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <label className="filter-label" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            Listing
+            <select
+              value={slotForm.listingId}
+              onChange={(e) => setSlotForm(prev => ({ ...prev, listingId: e.target.value }))}
+              style={inputStyle}
+            >
+              <option value="">Choose a listing</option>
+              {listings.map(listing => (
+                <option key={listing.id} value={listing.id}>{listing.Title}</option>
+              ))}
+            </select>
+          </label>
+          <label className="filter-label" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            Date
+            <input
+              type="date"
+              value={slotForm.date}
+              onChange={(e) => setSlotForm(prev => ({ ...prev, date: e.target.value }))}
+              style={inputStyle}
+            />
+          </label>
+          <label className="filter-label" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            From
+            <input
+              type="time"
+              value={slotForm.from}
+              onChange={(e) => setSlotForm(prev => ({ ...prev, from: e.target.value }))}
+              style={inputStyle}
+            />
+          </label>
+          <label className="filter-label" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            To
+            <input
+              type="time"
+              value={slotForm.to}
+              onChange={(e) => setSlotForm(prev => ({ ...prev, to: e.target.value }))}
+              style={inputStyle}
+            />
+          </label>
+          <label className="filter-label" style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            Each viewing
+            <select
+              value={slotForm.length}
+              onChange={(e) => setSlotForm(prev => ({ ...prev, length: Number(e.target.value) }))}
+              style={inputStyle}
+            >
+              {SLOT_LENGTHS.map(length => (
+                <option key={length} value={length}>{length} minutes</option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" style={buttonStyle} disabled={publishing}>
+            {publishing ? 'Publishing...' : 'Publish slots'}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.75rem', flexWrap: 'wrap', gap: '0.5rem' }}>
+        <h2 style={{ fontSize: '18px' }}>{rangeLabel}</h2>
+        {!loading && (
+          <span className="listings-count">
+            {bookedCount} booked · {slots.length - bookedCount} free
+          </span>
+        )}
+      </div>
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your viewings...</p>
+        </div>
+      )}
+
+      {!loading && slots.length === 0 && (
+        <div className="no-listings">
+          <h3>No viewing slots {view === 'day' ? 'on this day' : 'this week'}</h3>
+          <p>Publish some slots above so tenants can book a viewing.</p>
+        </div>
+      )}
+
+      {!loading && groupSlotsByDay(slots).map(group => (
+        <div key={group.day} className="listing-card" style={{ marginBottom: '1rem' }}>
+          <h3 style={{ fontSize: '16px', padding: '12px 20px', background: '#f8f9fa' }}>{group.label}</h3>
+          {group.slots.map(slot => (
+            <div key={slot.id}>
+              <div className={`agenda-row ${slot.tenant_id ? '' : 'free'}`}>
+                <span className="agenda-time">{formatSlotTime(slot)}</span>
+                <span style={{ flex: 1 }}>
+                  <Link href={`/listings/${slot.listing_id}`} style={{ color: 'inherit' }}>
+                    {slot.listing?.Title || 'Listing'}
+                  </Link>
+                  <br />
+                  {slot.tenant_id
+                    ? <strong>{getDisplayName(slot.tenant, 'Tenant')}</strong>
+                    : 'Free'}
+                  {slot.tenant?.phone && <> · <a href={`tel:${slot.tenant.phone.replace(/\s+/g, '')}`}>{slot.tenant.phone}</a></>}
+                </span>
+                <span style={{ display: 'flex', gap: '1rem', whiteSpace: 'nowrap' }}>
+                  {slot.tenant_id ? (
+                    <>
+                      <a href={`/api/viewings/calendar?slotId=${slot.id}`} style={actionStyle}>.ics</a>
+                      <button type="button" onClick={() => handleStartMove(slot)} style={actionStyle}>Move</button>
+                      <button type="button" onClick={() => handleCancel(slot)} style={actionStyle}>Cancel</button>
+                    </>
+                  ) : (
+                    <button type="button" onClick={() => handleDelete(slot)} style={actionStyle}>Delete</button>
+                  )}
+                </span>
+              </div>
+
+              {moving?.slot.id === slot.id && (
+                <div className="agenda-row">
+                  <select
+                    aria-label="New viewing time"
+                    value={moving.newSlotId}
+                    onChange={(e) => setMoving(prev => ({ ...prev, newSlotId: e.target.value }))}
+                    style={inputStyle}
+                  >
+                    {moving.options.map(option => (
+                      <option key={option.id} value={option.id}>
+                        {formatViewingDate(option.starts_at)}, {formatSlotTime(option)}
+                      </option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={handleMove} style={buttonStyle}>Move viewing</button>
+                  <button type="button" onClick={() => setMoving(null)} style={actionStyle}>Keep time</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,72 @@
+/**
+ * Unsubscribe Page
+ *
+ * Landing page for the unsubscribe link in saved search alert emails. Opening
+ * the link only shows the alert's name; the alert is removed when the button
+ * is pressed, so mail scanners that follow links can't unsubscribe anyone.
+ */
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import { findUnsubscribeSearch } from '../../lib/savedSearchAlerts'
+import { confirmUnsubscribe } from '../../lib/savedSearches'
+import AuthLayout, { SuccessMessage, ErrorMessage, submitStyle } from '../../components/AuthLayout'
+
+export async function getServerSideProps({ query }) {
+  const { data, error } = await findUnsubscribeSearch(query.token)
+
+  return {
+    props: {
+      token: error ? null : query.token,
+      name: data?.name || null,
+      error: error?.message || null
+    }
+  }
+}
+
+export default function Unsubscribe({ token, name, error: loadError }) {
+  const [loading, setLoading] = useState(false)
+  const [unsubscribed, setUnsubscribed] = useState(false)
+  const [error, setError] = useState(loadError)
+
+  const handleUnsubscribe = async () => {
+    setLoading(true)
+    setError(null)
+
+    const { error: unsubscribeError } = await confirmUnsubscribe(token)
+    setLoading(false)
+
+    if (unsubscribeError) {
+      setError(unsubscribeError.message)
+    } else {
+      setUnsubscribed(true)
+    }
+  }
+
+  return (
+    <AuthLayout title="Unsubscribe" heading="Email Alerts">
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {unsubscribed ? (
+        <SuccessMessage>
+          You&apos;ve been unsubscribed from <strong>{name}</strong>. You won&apos;t get any more emails for this search.
+        </SuccessMessage>
+      ) : token && (
+        <>
+          <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px', color: '#333' }}>
+            Stop emails about new properties for <strong>{name}</strong>?
+          </p>
+          <button type="button" onClick={handleUnsubscribe} disabled={loading} style={submitStyle(loading)}>
+            {loading ? 'Unsubscribing...' : 'Unsubscribe'}
+          </button>
+        </>
+      )}
+
+      <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px' }}>
+        <Link href="/tenant/alerts" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+          Manage your other alerts
+        </Link>
+      </p>
+    </AuthLayout>
+  )
+}
@@ -0,0 +1,24 @@
+/**
+ * One-Click Unsubscribe API Route
+ *
+ * POST /api/alerts/unsubscribe?token=... - used by mail clients' own unsubscribe
+ * button (the List-Unsubscribe header in alert emails), and by the confirm button
+ * on /alerts/unsubscribe, where the link in the email body goes.
+ */
+
+import { unsubscribeSavedSearch } from '../../../lib/savedSearchAlerts'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { error } = await unsubscribeSavedSearch(req.query.token)
+
+  if (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  return res.status(200).json({ unsubscribed: true })
+}
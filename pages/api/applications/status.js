@@ -0,0 +1,30 @@
+/**
+ * Application Status API Route
+ *
+ * POST /api/applications/status { applicationId, status, note } - the listing's
+ * agent moves an application to its next pipeline stage. The change is recorded
+ * and the applicant is emailed.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { moveApplication } from '../../../lib/applicationPipeline'
+
+export default withApiRole('agent', async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { applicationId, status, note } = req.body || {}
+  if (typeof applicationId !== 'string' || typeof status !== 'string') {
+    return res.status(400).json({ error: 'applicationId and status are required' })
+  }
+
+  const { data, error } = await moveApplication(req.session, applicationId, status, typeof note === 'string' ? note : '')
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+})
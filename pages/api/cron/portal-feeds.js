@@ -0,0 +1,32 @@
+/**
+ * Portal Feeds Job
+ *
+ * GET or POST /api/cron/portal-feeds - imports the BLM and XML feed files waiting
+ * in PORTAL_FEED_DIR (see lib/portalImporter.js). Call it on a schedule, e.g.
+ * hourly, with "Authorization: Bearer <CRON_SECRET>".
+ */
+
+import { importPortalFeedDirectory } from '../../../lib/portalImporter'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET is not set' })
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Authentication required' })
+  }
+
+  const { data, error } = await importPortalFeedDirectory()
+
+  if (error) {
+    return res.status(500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+}
@@ -0,0 +1,32 @@
+/**
+ * Saved Search Alerts Job
+ *
+ * GET or POST /api/cron/saved-search-alerts - emails new matches for every due saved search.
+ * Call it on a schedule (every 15 minutes keeps "instant" alerts timely) with
+ * "Authorization: Bearer <CRON_SECRET>"; Vercel Cron sends this header automatically.
+ */
+
+import { runSavedSearchAlerts } from '../../../lib/savedSearchAlerts'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET is not set' })
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Authentication required' })
+  }
+
+  const { data, error } = await runSavedSearchAlerts()
+
+  if (error) {
+    return res.status(500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+}
@@ -0,0 +1,12 @@
+/**
+ * RSS Feed API Route
+ *
+ * GET /api/feeds/rss?... - RSS feed of the newest listings matching a search.
+ * Takes the same query parameters as the homepage (see lib/listingFeeds.js).
+ */
+
+import { sendListingsFeed } from '../../../lib/listingFeeds'
+
+export default function handler(req, res) {
+  return sendListingsFeed(req, res, 'rss')
+}
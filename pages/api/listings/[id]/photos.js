@@ -0,0 +1,70 @@
+/**
+ * Listing Photos API Route
+ *
+ * POST /api/listings/[id]/photos - uploads one photo, sent as the raw request
+ * body, to the end of the agent's listing gallery. Responds with { photo }.
+ * DELETE /api/listings/[id]/photos?photoId=... - deletes a photo and its file.
+ * Reordering and captions are saved straight to the database (lib/supabase.js).
+ */
+
+import { withApiRole } from '../../../../lib/serverAuth'
+import { addListingPhoto, removeListingPhoto } from '../../../../lib/listingPhotos'
+import { MAX_PHOTO_BYTES } from '../../../../lib/photos'
+
+// The body is the image itself, read below with a size limit
+export const config = {
+  api: { bodyParser: false }
+}
+
+/**
+ * Read the request body, stopping once it passes the photo size limit
+ * @returns {Promise<Buffer|null>} Body, or null if it's too large
+ */
+async function readBody(req) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_PHOTO_BYTES) {
+      return null
+    }
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks)
+}
+
+export default withApiRole('agent', async (req, res) => {
+  const listingId = req.query.id
+
+  if (req.method === 'POST') {
+    const buffer = await readBody(req)
+    if (!buffer) {
+      return res.status(413).json({ error: `Photos can be up to ${MAX_PHOTO_BYTES / (1024 * 1024)} MB` })
+    }
+
+    const { data, error } = await addListingPhoto(req.session, listingId, buffer)
+    if (error) {
+      return res.status(error.status || 500).json({ error: error.message })
+    }
+
+    return res.status(201).json({ photo: data })
+  }
+
+  if (req.method === 'DELETE') {
+    if (typeof req.query.photoId !== 'string') {
+      return res.status(400).json({ error: 'photoId is required' })
+    }
+
+    const { error } = await removeListingPhoto(req.session, listingId, req.query.photoId)
+    if (error) {
+      return res.status(error.status || 500).json({ error: error.message })
+    }
+
+    return res.status(200).json({ deleted: true })
+  }
+
+  res.setHeader('Allow', 'POST, DELETE')
+  return res.status(405).json({ error: 'Method not allowed' })
+})
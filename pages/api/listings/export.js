@@ -0,0 +1,45 @@
+/**
+ * Listing Export API Route
+ *
+ * GET /api/listings/export?format=csv|json&... - downloads the public
+ * listings matching a search, in the search's sort order. Takes the same
+ * query parameters as the homepage, so any results page can be exported.
+ */
+
+import { criteriaFromQuery } from '../../../lib/listingCriteria'
+import { queryListings } from '../../../lib/listingProvider'
+import {
+  MAX_EXPORT_LISTINGS,
+  buildExport,
+  getExportFileName,
+  getExportFormat
+} from '../../../lib/listingExport'
+import { getSiteUrl } from '../../../lib/supabase'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const format = getExportFormat(req.query.format || 'csv')
+  if (!format) {
+    return res.status(400).json({ error: 'format must be csv or json' })
+  }
+
+  const criteria = criteriaFromQuery(req.query)
+  const { data, error } = await queryListings(criteria, { page: 0, pageSize: MAX_EXPORT_LISTINGS })
+  if (error) {
+    res.setHeader('Retry-After', '60')
+    return res.status(503).json({ error: error.message })
+  }
+
+  res.setHeader('Content-Type', format.contentType)
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFileName(format.value)}"`)
+  // Lets scripts tell when a search has more matches than one export holds
+  res.setHeader('X-Total-Count', String(data.total))
+  if (data.truncated) {
+    res.setHeader('X-Results-Truncated', 'true')
+  }
+  return res.status(200).send(buildExport(data.listings, format.value, { siteUrl: getSiteUrl() }))
+}
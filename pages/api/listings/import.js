@@ -0,0 +1,64 @@
+/**
+ * Listing Import API Route
+ *
+ * POST /api/listings/import - saves a bulk import for the signed-in agent.
+ * The body is { records, mapping, firstRow, skipInvalid } as built by the
+ * import wizard (lib/listingImport.js). The rows are checked again here; if any
+ * have errors nothing is saved, unless skipInvalid asks to save the rest.
+ * Responds with { created, updated }, or { error, rows } listing the rows with errors.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { previewImport, validateColumnMapping, MAX_IMPORT_ROWS } from '../../../lib/listingImport'
+import { commitListingImport } from '../../../lib/listingImporter'
+
+// JSON re-encoding makes the records larger than the uploaded file
+export const config = {
+  api: { bodyParser: { sizeLimit: '4mb' } }
+}
+
+export default withApiRole('agent', async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { records, mapping, firstRow = 1, skipInvalid = false } = req.body || {}
+
+  if (!Array.isArray(records) || records.length === 0 || records.some(record => !record || typeof record !== 'object')) {
+    return res.status(400).json({ error: 'records must be a list of listings' })
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(413).json({ error: `Imports can have up to ${MAX_IMPORT_ROWS} listings` })
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Object.values(mapping).some(column => typeof column !== 'string')) {
+    return res.status(400).json({ error: 'mapping must map field names to column names' })
+  }
+
+  const mappingErrors = validateColumnMapping(mapping)
+  if (mappingErrors.length > 0) {
+    return res.status(422).json({ error: mappingErrors.join('. ') })
+  }
+
+  const { rows, validCount, errorCount } = previewImport(records, mapping, Number(firstRow) || 1)
+  const invalidRows = rows
+    .filter(row => Object.keys(row.errors).length > 0)
+    .map(({ rowNumber, externalRef, errors }) => ({ rowNumber, externalRef, errors }))
+
+  if (validCount === 0 || (errorCount > 0 && !skipInvalid)) {
+    return res.status(422).json({
+      error: `${errorCount} of ${rows.length} rows have errors, so nothing was imported`,
+      rows: invalidRows
+    })
+  }
+
+  const listings = rows.filter(row => Object.keys(row.errors).length === 0).map(row => row.listing)
+  const { data, error } = await commitListingImport(req.session, listings)
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json({ ...data, skipped: errorCount })
+})
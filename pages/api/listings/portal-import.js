@@ -0,0 +1,48 @@
+/**
+ * Portal Feed Import API Route
+ *
+ * POST /api/listings/portal-import - imports a Rightmove BLM or XML feed for the
+ * signed-in agent. The body is { fileName, text }. Listings are added and
+ * updated by branch and reference, listings that left the feed are withdrawn,
+ * and the run is recorded in the agent's import history.
+ * Responds with the run's counts and report (see lib/portalImporter.js).
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { createUserClient } from '../../../lib/supabase'
+import { MAX_PORTAL_FEED_BYTES } from '../../../lib/portalFeeds'
+import { importPortalFeed } from '../../../lib/portalImporter'
+
+// JSON encoding makes the feed larger than the uploaded file
+export const config = {
+  api: { bodyParser: { sizeLimit: '6mb' } }
+}
+
+export default withApiRole('agent', async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { fileName, text } = req.body || {}
+
+  if (typeof fileName !== 'string' || !fileName.trim() || typeof text !== 'string') {
+    return res.status(400).json({ error: 'fileName and text are required' })
+  }
+
+  if (Buffer.byteLength(text) > MAX_PORTAL_FEED_BYTES) {
+    return res.status(413).json({ error: `Feeds can be up to ${MAX_PORTAL_FEED_BYTES / (1024 * 1024)} MB` })
+  }
+
+  const { data, error } = await importPortalFeed(createUserClient(req.session.accessToken), req.session.profile, {
+    fileName: fileName.trim(),
+    text,
+    source: 'upload'
+  })
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+})
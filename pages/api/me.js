@@ -0,0 +1,22 @@
+/**
+ * Current User API Route
+ *
+ * GET /api/me - returns the signed-in user's id, email and profile.
+ * Send the Supabase access token as "Authorization: Bearer <token>", or call it
+ * from the browser where the auth cookie is sent automatically.
+ */
+
+import { withApiRole } from '../../lib/serverAuth'
+
+export default withApiRole(null, async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { user, profile } = req.session
+  return res.status(200).json({
+    user: { id: user.id, email: user.email },
+    profile
+  })
+})
@@ -0,0 +1,39 @@
+/**
+ * Local Photo API Route
+ *
+ * GET /api/photos/<agent id>/<listing id>/<file> - serves listing photos saved
+ * by the 'local' photo store (PHOTO_STORAGE=local, see lib/photoStorage.js).
+ * Photos are public, like the Supabase Storage bucket.
+ */
+
+import fs from 'fs/promises'
+import { PHOTO_TYPES } from '../../../lib/photos'
+import { resolveLocalPhotoPath } from '../../../lib/photoStorage'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const path = [].concat(req.query.path || []).join('/')
+  const photoType = PHOTO_TYPES.find(option => path.endsWith(`.${option.extension}`))
+  const file = photoType && resolveLocalPhotoPath(path)
+
+  if (!file) {
+    return res.status(404).json({ error: 'Photo not found' })
+  }
+
+  try {
+    const contents = await fs.readFile(file)
+    res.setHeader('Content-Type', photoType.type)
+    // Each upload gets a new file name, so photos never change
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable')
+    return res.status(200).send(contents)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading local photo:', error)
+    }
+    return res.status(404).json({ error: 'Photo not found' })
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Public Listings API: one listing
+ *
+ * GET /api/v1/listings/[id] - a published listing with all its photos, for
+ * partner sites with an API key. The route's definition here is what
+ * /api/v1/openapi.json documents (see lib/publicApi.js).
+ */
+
+import { withApiKey } from '../../../../lib/apiKeyAuth'
+import { fetchListingById } from '../../../../lib/listingProvider'
+import { API_ERRORS, errorResponse, parseParameter, sendApiError, toApiListing } from '../../../../lib/publicApi'
+import { getSiteUrl } from '../../../../lib/supabase'
+
+const ID_PARAMETER = { name: 'id', in: 'path', required: true, description: 'Listing ID', schema: { type: 'integer' } }
+
+export const route = {
+  method: 'get',
+  path: '/api/v1/listings/{id}',
+  operationId: 'getListing',
+  summary: 'Get a listing',
+  description: 'One listing with all its photos.',
+  parameters: [ID_PARAMETER],
+  responses: {
+    200: {
+      description: 'The listing',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              data: { $ref: '#/components/schemas/Listing' },
+              demo: { type: 'boolean', description: 'True when the listing is sample data' }
+            }
+          }
+        }
+      }
+    },
+    404: errorResponse('No published listing has this ID (`not_found`)')
+  }
+}
+
+export default withApiKey(async (req, res) => {
+  // Listing IDs are whole numbers; anything else can't be a listing
+  const { value: id, error: parameterError } = parseParameter(ID_PARAMETER, req.query.id)
+  if (parameterError) {
+    return sendApiError(res, 404, API_ERRORS.NOT_FOUND, 'No published listing has this ID')
+  }
+
+  const { data: listing, error, demo } = await fetchListingById(id)
+  if (error) {
+    res.setHeader('Retry-After', '60')
+    return sendApiError(res, 503, API_ERRORS.UNAVAILABLE, error.message)
+  }
+
+  if (!listing) {
+    return sendApiError(res, 404, API_ERRORS.NOT_FOUND, 'No published listing has this ID')
+  }
+
+  return res.status(200).json({ data: toApiListing(listing, { siteUrl: getSiteUrl() }), demo })
+})
@@ -0,0 +1,81 @@
+/**
+ * Public Listings API: search
+ *
+ * GET /api/v1/listings - one page of published listings matching a search,
+ * for partner sites with an API key. Requests are checked against the
+ * parameters defined here, which are also what /api/v1/openapi.json documents;
+ * cursor pagination is in lib/publicApi.js.
+ */
+
+import { withApiKey } from '../../../../lib/apiKeyAuth'
+import { queryListings } from '../../../../lib/listingProvider'
+import {
+  API_ERRORS,
+  CRITERIA_PARAMETERS,
+  CURSOR_PARAMETER,
+  LIMIT_PARAMETER,
+  SORT_PARAMETER,
+  getPagination,
+  nullable,
+  parseListingsRequest,
+  sendApiError,
+  toApiListing
+} from '../../../../lib/publicApi'
+import { getSiteUrl } from '../../../../lib/supabase'
+
+export const route = {
+  method: 'get',
+  path: '/api/v1/listings',
+  operationId: 'searchListings',
+  summary: 'Search listings',
+  description: 'Listings matching a search, one page at a time. Use `pagination.next_cursor` to fetch the next page.',
+  parameters: [...CRITERIA_PARAMETERS, SORT_PARAMETER, LIMIT_PARAMETER, CURSOR_PARAMETER],
+  responses: {
+    200: {
+      description: 'One page of listings',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: { $ref: '#/components/schemas/Listing' } },
+              pagination: {
+                type: 'object',
+                properties: {
+                  limit: { type: 'integer' },
+                  total: { type: 'integer', description: 'Listings matching the search' },
+                  truncated: {
+                    type: 'boolean',
+                    description: 'True when a location, radius or relevance search had too many candidates to rank them all, so `total` and the results may be missing matches. Add filters to narrow the search.'
+                  },
+                  next_cursor: nullable({ type: 'string', description: 'null on the last page' })
+                }
+              },
+              demo: { type: 'boolean', description: 'True when the listings are sample data' }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+export default withApiKey(async (req, res) => {
+  const { criteria, limit, offset, error: parameterError } = parseListingsRequest(req.query, route.parameters)
+  if (parameterError) {
+    return sendApiError(res, 400, API_ERRORS.INVALID_PARAMETER, parameterError)
+  }
+
+  const { data, error, demo } = await queryListings(criteria, { page: offset / limit, pageSize: limit })
+  if (error) {
+    res.setHeader('Retry-After', '60')
+    return sendApiError(res, 503, API_ERRORS.UNAVAILABLE, error.message)
+  }
+
+  const siteUrl = getSiteUrl()
+  return res.status(200).json({
+    data: data.listings.map(listing => toApiListing(listing, { siteUrl })),
+    pagination: getPagination({ criteria, limit, offset, total: data.total, truncated: data.truncated }),
+    demo
+  })
+})
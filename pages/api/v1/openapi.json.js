@@ -0,0 +1,24 @@
+/**
+ * Public Listings API: OpenAPI document
+ *
+ * GET /api/v1/openapi.json - describes the v1 API for partners and their tools.
+ * Built from the definition each route exports next to its handler; no API key needed.
+ */
+
+import { buildOpenApiDocument } from '../../../lib/publicApi'
+import { getSiteUrl } from '../../../lib/supabase'
+import { route as searchListings } from './listings'
+import { route as getListing } from './listings/[id]'
+
+// Every v1 route, in the order they're documented
+const ROUTES = [searchListings, getListing]
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=3600')
+  return res.status(200).json(buildOpenApiDocument(getSiteUrl(), ROUTES))
+}
@@ -0,0 +1,29 @@
+/**
+ * Book Viewing API Route
+ *
+ * POST /api/viewings/book { slotId } - books a free viewing slot for the signed-in
+ * tenant and emails both sides a calendar invitation. Responds 409 if the slot
+ * has just been taken.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { bookViewingSlot } from '../../../lib/viewingBookings'
+
+export default withApiRole('tenant', async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (typeof req.body?.slotId !== 'string') {
+    return res.status(400).json({ error: 'slotId is required' })
+  }
+
+  const { data, error } = await bookViewingSlot(req.session, req.body.slotId)
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+})
@@ -0,0 +1,30 @@
+/**
+ * Viewing Calendar API Route
+ *
+ * GET /api/viewings/calendar?slotId=... - downloads a booked viewing as an .ics
+ * file. Only the tenant and the agent can download it.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { getViewingCalendar } from '../../../lib/viewingBookings'
+
+export default withApiRole(['tenant', 'agent'], async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (typeof req.query.slotId !== 'string') {
+    return res.status(400).json({ error: 'slotId is required' })
+  }
+
+  const { data, error } = await getViewingCalendar(req.session, req.query.slotId)
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=UTF-8')
+  res.setHeader('Content-Disposition', 'attachment; filename="viewing.ics"')
+  return res.status(200).send(data)
+})
@@ -0,0 +1,28 @@
+/**
+ * Cancel Viewing API Route
+ *
+ * POST /api/viewings/cancel { slotId } - cancels a booked viewing (tenant or agent),
+ * frees the slot and emails both sides a calendar cancellation.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { cancelViewingSlot } from '../../../lib/viewingBookings'
+
+export default withApiRole(['tenant', 'agent'], async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (typeof req.body?.slotId !== 'string') {
+    return res.status(400).json({ error: 'slotId is required' })
+  }
+
+  const { data, error } = await cancelViewingSlot(req.session, req.body.slotId)
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+})
@@ -0,0 +1,30 @@
+/**
+ * Reschedule Viewing API Route
+ *
+ * POST /api/viewings/reschedule { slotId, newSlotId } - moves a booked viewing to
+ * another free slot on the same listing (tenant or agent) and emails both sides
+ * the updated calendar invitation.
+ */
+
+import { withApiRole } from '../../../lib/serverAuth'
+import { rescheduleViewingSlot } from '../../../lib/viewingBookings'
+
+export default withApiRole(['tenant', 'agent'], async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { slotId, newSlotId } = req.body || {}
+  if (typeof slotId !== 'string' || typeof newSlotId !== 'string') {
+    return res.status(400).json({ error: 'slotId and newSlotId are required' })
+  }
+
+  const { data, error } = await rescheduleViewingSlot(req.session, slotId, newSlotId)
+
+  if (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+
+  return res.status(200).json(data)
+})
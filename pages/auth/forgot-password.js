@@ -0,0 +1,90 @@
+/**
+ * Forgot Password Page
+ * 
+ * Lets users request a password reset email.
+ * The email links to /auth/reset-password.
+ */
+
+import React, { useState } from 'react'
+import { requestPasswordReset } from '../../lib/supabase'
+import AuthLayout, { labelStyle, inputStyle, submitStyle, SuccessMessage, ErrorMessage } from '../../components/AuthLayout'
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!email) {
+      setErrors({ email: 'Email is required' })
+      return
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setErrors({ email: 'Please enter a valid email address' })
+      return
+    }
+
+    setErrors({})
+    setLoading(true)
+
+    try {
+      const { error } = await requestPasswordReset(email)
+      if (error) {
+        setErrors({ submit: error.message })
+      } else {
+        setSent(true)
+      }
+    } catch (error) {
+      console.error('Password reset error:', error)
+      setErrors({ submit: 'An unexpected error occurred. Please try again.' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <AuthLayout
+      title="Forgot Password"
+      heading="Forgot Password?"
+      subheading="We'll email you a link to choose a new one"
+    >
+      {sent ? (
+        <SuccessMessage>
+          If an account exists for <strong>{email}</strong>, a password reset link is on its way.
+          The link expires after an hour.
+        </SuccessMessage>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div style={{ marginBottom: '1.5rem' }}>
+            <label style={labelStyle} htmlFor="email">
+              Email Address
+            </label>
+            <input
+              id="email"
+              type="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={inputStyle(errors.email)}
+              placeholder="your.email@example.com"
+            />
+            {errors.email && (
+              <span style={{ color: '#dc3545', fontSize: '14px' }}>
+                {errors.email}
+              </span>
+            )}
+          </div>
+
+          {errors.submit && <ErrorMessage>{errors.submit}</ErrorMessage>}
+
+          <button type="submit" disabled={loading} style={submitStyle(loading)}>
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+      )}
+    </AuthLayout>
+  )
+}
@@ -9,13 +9,17 @@ import React, { useState } from 'react'
 import Head from 'next/head'
 import Link from 'next/link'
 import { useRouter } from 'next/router'
-import { signIn } from '../../lib/supabase'
+import { signIn, signOut, getUserProfile } from '../../lib/supabase'
+import { isSuspended } from '../../lib/admin'
+import { getSafeReturnTo } from '../../lib/authSession'
 import { useAuth } from '../../contexts/AuthContext'
 
 export default function Login() {
   const router = useRouter()
   const { isAuthenticated } = useAuth()
   const { message } = router.query
+  // Protected pages send visitors here with ?returnTo= so they land back where they were
+  const returnTo = getSafeReturnTo(router.query.returnTo)
   
   const [formData, setFormData] = useState({
     email: '',
@@ -28,9 +32,9 @@ export default function Login() {
   // Redirect if already authenticated
   React.useEffect(() => {
     if (isAuthenticated) {
-      router.push('/')
+      router.push(returnTo)
     }
-  }, [isAuthenticated, router])
+  }, [isAuthenticated, router, returnTo])
 
   const handleChange = (e) => {
     const { name, value } = e.target
@@ -81,13 +85,20 @@ export default function Login() {
         if (error.message.includes('Invalid login credentials')) {
           setErrors({ submit: 'Invalid email or password. Please try again.' })
         } else if (error.message.includes('Email not confirmed')) {
-          setErrors({ submit: 'Please check your email and confirm your account before logging in.' })
+          setErrors({
+            submit: 'Please check your email and confirm your account before logging in.',
+            unconfirmed: true
+          })
         } else {
           setErrors({ submit: error.message })
         }
+      } else if (isSuspended(await getUserProfile(data.user.id))) {
+        // Suspended accounts can't sign in; drop the session straight away
+        await signOut()
+        setErrors({ submit: 'Your account has been suspended. Please contact PawsPlace support.' })
       } else {
-        // Successful login - context will handle the redirect
-        router.push('/')
+        // Successful login - head back to the page that asked for it
+        router.push(returnTo)
       }
     } catch (error) {
       console.error('Login error:', error)
@@ -226,6 +237,17 @@ export default function Login() {
                 fontSize: '14px'
               }}>
                 {errors.submit}
+                {errors.unconfirmed && (
+                  <>
+                    {' '}
+                    <Link
+                      href={`/auth/resend-verification?email=${encodeURIComponent(formData.email)}`}
+                      style={{ color: '#721c24', fontWeight: '500' }}
+                    >
+                      Resend the verification email
+                    </Link>
+                  </>
+                )}
               </div>
             )}
 
@@ -251,12 +273,8 @@ export default function Login() {
 
             {/* Forgot Password */}
             <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
-              <a 
-                href="#"
-                onClick={(e) => {
-                  e.preventDefault()
-                  alert('Password reset functionality will be available soon!')
-                }}
+              <Link
+                href="/auth/forgot-password"
                 style={{ 
                   color: '#2d5a2d', 
                   textDecoration: 'none', 
@@ -264,7 +282,7 @@ export default function Login() {
                 }}
               >
                 Forgot your password?
-              </a>
+              </Link>
             </div>
           </form>
 
@@ -282,6 +300,13 @@ export default function Login() {
               >
                 Sign up as an agent
               </Link>
+              {' '}or{' '}
+              <Link 
+                href="/auth/tenant-signup" 
+                style={{ color: '#2d5a2d', textDecoration: 'none', fontWeight: '500' }}
+              >
+                as a tenant
+              </Link>
             </p>
             <p style={{ color: '#666', fontSize: '14px', marginTop: '0.5rem' }}>
               <Link 
@@ -0,0 +1,95 @@
+/**
+ * Resend Verification Page
+ * 
+ * Sends a fresh sign-up verification email, e.g. when the first one
+ * expired or never arrived.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { resendVerificationEmail } from '../../lib/supabase'
+import AuthLayout, { labelStyle, inputStyle, submitStyle, SuccessMessage, ErrorMessage } from '../../components/AuthLayout'
+
+export default function ResendVerification() {
+  const router = useRouter()
+  const [email, setEmail] = useState('')
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  // Pre-fill the email when linked from the login or sign-up pages
+  useEffect(() => {
+    if (typeof router.query.email === 'string') {
+      setEmail(router.query.email)
+    }
+  }, [router.query.email])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setErrors({ email: 'Please enter a valid email address' })
+      return
+    }
+
+    setErrors({})
+    setLoading(true)
+
+    try {
+      const { error } = await resendVerificationEmail(email)
+      if (error) {
+        setErrors({ submit: error.message })
+      } else {
+        setSent(true)
+      }
+    } catch (error) {
+      console.error('Resend verification error:', error)
+      setErrors({ submit: 'An unexpected error occurred. Please try again.' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <AuthLayout
+      title="Resend Verification Email"
+      heading="Verify Your Email"
+      subheading="We'll send you a new verification link"
+    >
+      {sent ? (
+        <SuccessMessage>
+          A new verification email has been sent to <strong>{email}</strong>. Please check your inbox
+          (and spam folder).
+        </SuccessMessage>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div style={{ marginBottom: '1.5rem' }}>
+            <label style={labelStyle} htmlFor="email">
+              Email Address
+            </label>
+            <input
+              id="email"
+              type="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={inputStyle(errors.email)}
+              placeholder="your.email@example.com"
+            />
+            {errors.email && (
+              <span style={{ color: '#dc3545', fontSize: '14px' }}>
+                {errors.email}
+              </span>
+            )}
+          </div>
+
+          {errors.submit && <ErrorMessage>{errors.submit}</ErrorMessage>}
+
+          <button type="submit" disabled={loading} style={submitStyle(loading)}>
+            {loading ? 'Sending...' : 'Resend Verification Email'}
+          </button>
+        </form>
+      )}
+    </AuthLayout>
+  )
+}
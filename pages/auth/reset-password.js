@@ -0,0 +1,161 @@
+/**
+ * Reset Password Page
+ * 
+ * Landing page for password reset emails.
+ * Confirms the reset link, then lets the user choose a new password.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { completeAuthRedirect, updatePassword } from '../../lib/supabase'
+import AuthLayout, { labelStyle, inputStyle, submitStyle, SuccessMessage, ErrorMessage } from '../../components/AuthLayout'
+
+export default function ResetPassword() {
+  const [linkStatus, setLinkStatus] = useState('checking') // 'checking' | 'valid' | 'invalid'
+  const [linkError, setLinkError] = useState('')
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' })
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [success, setSuccess] = useState(false)
+
+  // Exchange the link in the URL for a recovery session
+  useEffect(() => {
+    completeAuthRedirect().then(({ error }) => {
+      if (error) {
+        setLinkError(error.message)
+        setLinkStatus('invalid')
+      } else {
+        setLinkStatus('valid')
+      }
+    })
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required'
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters'
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validateForm()) {
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const { error } = await updatePassword(formData.password)
+      if (error) {
+        setErrors({ submit: error.message })
+      } else {
+        setSuccess(true)
+      }
+    } catch (error) {
+      console.error('Reset password error:', error)
+      setErrors({ submit: 'An unexpected error occurred. Please try again.' })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const renderContent = () => {
+    if (linkStatus === 'checking') {
+      return <p style={{ textAlign: 'center', color: '#666', marginBottom: '1rem' }}>Checking your reset link...</p>
+    }
+
+    if (linkStatus === 'invalid') {
+      return (
+        <>
+          <ErrorMessage>{linkError}</ErrorMessage>
+          <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px' }}>
+            <Link href="/auth/forgot-password" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+              Request a new reset link
+            </Link>
+          </p>
+        </>
+      )
+    }
+
+    if (success) {
+      return (
+        <>
+          <SuccessMessage>Your password has been updated and you are now signed in.</SuccessMessage>
+          <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px' }}>
+            <Link href="/" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+              Continue to PawsPlace
+            </Link>
+          </p>
+        </>
+      )
+    }
+
+    return (
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: '1rem' }}>
+          <label style={labelStyle} htmlFor="password">New Password</label>
+          <input
+            id="password"
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            style={inputStyle(errors.password)}
+            placeholder="At least 6 characters"
+          />
+          {errors.password && (
+            <span style={{ color: '#dc3545', fontSize: '14px' }}>{errors.password}</span>
+          )}
+        </div>
+
+        <div style={{ marginBottom: '1.5rem' }}>
+          <label style={labelStyle} htmlFor="confirmPassword">Confirm New Password</label>
+          <input
+            id="confirmPassword"
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            style={inputStyle(errors.confirmPassword)}
+            placeholder="Confirm your new password"
+          />
+          {errors.confirmPassword && (
+            <span style={{ color: '#dc3545', fontSize: '14px' }}>{errors.confirmPassword}</span>
+          )}
+        </div>
+
+        {errors.submit && <ErrorMessage>{errors.submit}</ErrorMessage>}
+
+        <button type="submit" disabled={loading} style={submitStyle(loading)}>
+          {loading ? 'Updating...' : 'Update Password'}
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <AuthLayout title="Reset Password" heading="Choose a New Password">
+      {renderContent()}
+    </AuthLayout>
+  )
+}
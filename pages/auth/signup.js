@@ -151,6 +151,16 @@ export default function AgentSignUp() {
           <h2 style={{ color: '#2d5a2d', marginBottom: '1rem' }}>Account Created!</h2>
           <p style={{ color: '#666', marginBottom: '1rem' }}>
             Please check your email to verify your account before logging in.
+            We&apos;ll review your agency details before your listings can go live.
+          </p>
+          <p style={{ color: '#666', fontSize: '14px', marginBottom: '1rem' }}>
+            No email?{' '}
+            <Link
+              href={`/auth/resend-verification?email=${encodeURIComponent(formData.email)}`}
+              style={{ color: '#2d5a2d', fontWeight: '500' }}
+            >
+              Resend it
+            </Link>
           </p>
           <p style={{ color: '#666', fontSize: '14px' }}>
             Redirecting to login page...
@@ -469,6 +479,15 @@ export default function AgentSignUp() {
                 Sign in here
               </Link>
             </p>
+            <p style={{ color: '#666', fontSize: '14px', marginTop: '0.5rem' }}>
+              Looking for a home?{' '}
+              <Link 
+                href="/auth/tenant-signup" 
+                style={{ color: '#2d5a2d', textDecoration: 'none', fontWeight: '500' }}
+              >
+                Sign up as a tenant
+              </Link>
+            </p>
             <p style={{ color: '#666', fontSize: '14px', marginTop: '0.5rem' }}>
               <Link 
                 href="/" 
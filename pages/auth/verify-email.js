@@ -0,0 +1,61 @@
+/**
+ * Verify Email Page
+ * 
+ * Landing page for the link in sign-up verification emails.
+ * Confirms the link and tells the user whether their email is verified.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { completeAuthRedirect } from '../../lib/supabase'
+import AuthLayout, { SuccessMessage, ErrorMessage } from '../../components/AuthLayout'
+
+export default function VerifyEmail() {
+  const [status, setStatus] = useState('checking') // 'checking' | 'verified' | 'failed'
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    completeAuthRedirect().then(({ error }) => {
+      if (error) {
+        setError(error.message)
+        setStatus('failed')
+      } else {
+        setStatus('verified')
+      }
+    })
+  }, [])
+
+  return (
+    <AuthLayout title="Verify Email" heading="Email Verification">
+      {status === 'checking' && (
+        <p style={{ textAlign: 'center', color: '#666', marginBottom: '1rem' }}>
+          Verifying your email...
+        </p>
+      )}
+
+      {status === 'verified' && (
+        <>
+          <SuccessMessage>Thanks! Your email is verified and you are now signed in.</SuccessMessage>
+          <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px' }}>
+            <Link href="/" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+              Continue to PawsPlace
+            </Link>
+          </p>
+        </>
+      )}
+
+      {status === 'failed' && (
+        <>
+          <ErrorMessage>
+            We couldn&apos;t verify your email: {error}
+          </ErrorMessage>
+          <p style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '14px' }}>
+            <Link href="/auth/resend-verification" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+              Send a new verification email
+            </Link>
+          </p>
+        </>
+      )}
+    </AuthLayout>
+  )
+}
@@ -2,143 +2,263 @@
  * PawsPlace Homepage
  * 
  * Main landing page featuring property listings with search, filter, and sort functionality.
- * Displays pet-friendly rental properties in London with comprehensive details.
+ * Displays pet-friendly rental properties in London with comprehensive details,
+ * as a list or on a map, optionally within a radius of a postcode, place or dropped pin.
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import Head from 'next/head'
 import Image from 'next/image'
 import Link from 'next/link'
-import { fetchListings, searchListingsByLocation } from '../lib/supabase'
+import { useRouter } from 'next/router'
+import { MAX_IN_MEMORY_LISTINGS, queryListings } from '../lib/listingProvider'
+import { DEFAULT_PAGE_SIZE, DEFAULT_RADIUS, criteriaFromQuery, criteriaToQuery, clearFilter, getSearchCentre } from '../lib/listingCriteria'
+import { formatCoordinates } from '../lib/geo'
+import { parseLocationQuery, describeLocationQuery } from '../lib/locationSearch'
 import { useAuth } from '../contexts/AuthContext'
+import { useShortlist } from '../contexts/ShortlistContext'
 import ListingCard from '../components/ListingCard'
 import SearchBar from '../components/SearchBar'
 import Filters from '../components/Filters'
+import ActiveFilters from '../components/ActiveFilters'
+import SaveSearchForm from '../components/SaveSearchForm'
+import MessagesLink from '../components/MessagesLink'
+import RadiusSearch from '../components/RadiusSearch'
+import KeywordSearch from '../components/KeywordSearch'
+import ListingMap from '../components/ListingMap'
+import LoadErrorBanner from '../components/LoadErrorBanner'
+import DemoDataBanner from '../components/DemoDataBanner'
+import { MAX_AUTO_RETRIES, getRetryDelay } from '../lib/retry'
+import { EXPORT_FORMATS, FEED_FORMATS, getExportPath, getFeedPath } from '../lib/listingExport'
 
-export default function Home() {
-  const { user, profile, signOut, isAuthenticated, loading: authLoading } = useAuth()
+// Most listings pinned on the map at once
+const MAX_MAP_LISTINGS = 500
+
+/**
+ * Render the first page of results on the server so shared search URLs load complete
+ */
+export async function getServerSideProps({ query }) {
+  const criteria = criteriaFromQuery(query)
+  const { data, error, demo } = await queryListings(criteria, { page: 0, pageSize: DEFAULT_PAGE_SIZE })
+
+  return {
+    props: {
+      initialQueryKey: JSON.stringify(criteriaToQuery(criteria)),
+      initialListings: data?.listings || [],
+      initialTotal: data?.total || 0,
+      initialTruncated: data?.truncated || false,
+      initialError: error?.message || null,
+      initialDemo: demo
+    }
+  }
+}
+
+export default function Home({ initialQueryKey, initialListings = [], initialTotal = 0, initialTruncated = false, initialError = null, initialDemo = false }) {
+  const router = useRouter()
+  const { user, profile, signOut, isAuthenticated, isAgent, isTenant, loading: authLoading } = useAuth()
+  const { entries: shortlist } = useShortlist()
   
   // State management
-  const [listings, setListings] = useState([])
-  const [filteredListings, setFilteredListings] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [searchTerm, setSearchTerm] = useState('')
-  const [propertyType, setPropertyType] = useState('')
-  const [sortBy, setSortBy] = useState('newest')
-  const [showPetFriendlyOnly, setShowPetFriendlyOnly] = useState(false)
-
-  // Load initial listings on component mount
+  // Search criteria live in the URL query string so searches can be shared and revisited
+  const [listings, setListings] = useState(initialListings)
+  const [total, setTotal] = useState(initialTotal)
+  // Whether the search had too many candidates to rank them all (see lib/listingProvider.js)
+  const [truncated, setTruncated] = useState(initialTruncated)
+  const [page, setPage] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [mapListings, setMapListings] = useState(null)
+  const [mapError, setMapError] = useState('')
+  const [mapAttempt, setMapAttempt] = useState(0)
+
+  // Why the latest search failed, and when it will be retried: { message, retryIn }
+  const [loadError, setLoadError] = useState(initialError ? { message: initialError, retryIn: null } : null)
+  const [loadMoreError, setLoadMoreError] = useState('')
+  // Whether the listings are demo data rather than real properties (see lib/listingProvider.js)
+  const [demo, setDemo] = useState(initialDemo)
+  // Query string of the search the listings on screen came from; after a failed
+  // search, the previous results stay on screen
+  const [shownQueryKey, setShownQueryKey] = useState(initialQueryKey)
+  const retryTimerRef = useRef(null)
+
+  // Incremented on every new search so responses to stale searches are ignored
+  const requestIdRef = useRef(0)
+
+  // Query string of the results currently shown, starting with the server-rendered page
+  const loadedQueryKeyRef = useRef(initialQueryKey)
+
+  // Search criteria sent to the database (see lib/listingCriteria.js)
+  const criteria = useMemo(() => criteriaFromQuery(router.query), [router.query])
+  const queryKey = JSON.stringify(criteriaToQuery(criteria))
+  const { searchTerm } = criteria
+  const searchCentre = getSearchCentre(criteria)
+  const locationQuery = parseLocationQuery(searchTerm)
+
+  // List or map view; kept in the URL but not part of the search, so saved searches ignore it
+  const view = router.query.view === 'map' ? 'map' : 'list'
+
+  // Reload the first page whenever the search criteria in the URL change
   useEffect(() => {
+    if (queryKey === loadedQueryKeyRef.current) return
+    loadedQueryKeyRef.current = queryKey
     loadListings()
-  }, [])
+  }, [queryKey]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Retry a search that failed on the server, and stop retrying on unmount
+  useEffect(() => {
+    if (initialError) {
+      setLoadError({ message: initialError, retryIn: scheduleRetry(0) })
+    }
+    return () => clearTimeout(retryTimerRef.current)
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Retry straight away when the connection comes back
+  useEffect(() => {
+    if (!loadError) return
+    const retry = () => loadListings()
+    window.addEventListener('online', retry)
+    return () => window.removeEventListener('online', retry)
+  }, [loadError]) // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Apply filters and sorting whenever relevant state changes
+  // The map shows every result at once rather than a page, so it loads its own
   useEffect(() => {
-    applyFiltersAndSort()
-  }, [listings, searchTerm, propertyType, sortBy, showPetFriendlyOnly]) // eslint-disable-line react-hooks/exhaustive-deps
+    if (view !== 'map') return
+
+    let cancelled = false
+    setMapListings(null)
+    setMapError('')
+    queryListings(criteria, { page: 0, pageSize: MAX_MAP_LISTINGS })
+      .then(({ data, error }) => {
+        if (cancelled) return
+        setMapError(error?.message || '')
+        setMapListings(data?.listings || [])
+      })
+
+    return () => { cancelled = true }
+  }, [view, queryKey, mapAttempt]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  /**
+   * Retry the current search after a backed-off delay, unless it has failed too often
+   * @returns {number|null} Delay in milliseconds, or null if it won't be retried automatically
+   */
+  const scheduleRetry = (attempt) => {
+    clearTimeout(retryTimerRef.current)
+    if (attempt >= MAX_AUTO_RETRIES) return null
+
+    const delay = getRetryDelay(attempt)
+    retryTimerRef.current = setTimeout(() => loadListings(attempt + 1), delay)
+    return delay
+  }
 
   /**
-   * Load listings from Supabase
+   * Load the first page of listings for the current criteria
+   * @param {number} attempt - Automatic retries made so far
    */
-  const loadListings = async () => {
+  const loadListings = async (attempt = 0) => {
+    clearTimeout(retryTimerRef.current)
+    const requestId = ++requestIdRef.current
     setLoading(true)
+
+    const { data, error, demo: demoData } = await queryListings(criteria, { page: 0, pageSize: DEFAULT_PAGE_SIZE })
+    if (requestId !== requestIdRef.current) return
+    setLoading(false)
+    setDemo(demoData)
+
+    if (error) {
+      setLoadError({ message: error.message, retryIn: scheduleRetry(attempt) })
+      return
+    }
+
+    setLoadError(null)
+    setLoadMoreError('')
+    setListings(data.listings)
+    setTotal(data.total)
+    setTruncated(data.truncated)
+    setPage(0)
+    setShownQueryKey(queryKey)
+  }
+
+  /**
+   * Append the next page of listings for the current criteria
+   */
+  const loadMore = async () => {
+    const requestId = requestIdRef.current
+    const nextPage = page + 1
+    setLoadingMore(true)
     try {
-      const data = await fetchListings()
-      setListings(data)
-    } catch (error) {
-      console.error('Error loading listings:', error)
+      const { data, error } = await queryListings(criteria, { page: nextPage, pageSize: DEFAULT_PAGE_SIZE })
+      if (requestId !== requestIdRef.current) return
+      setLoadMoreError(error?.message || '')
+      if (error) return
+
+      setListings(prev => [...prev, ...data.listings])
+      setTotal(data.total)
+      setPage(nextPage)
     } finally {
-      setLoading(false)
+      setLoadingMore(false)
     }
   }
 
   /**
-   * Handle search functionality
+   * Push new criteria to the URL; each change becomes a browser history entry
    */
-  const handleSearch = async (term) => {
-    setSearchTerm(term)
-    
-    if (term.trim()) {
-      // If there's a search term, search by location
-      setLoading(true)
-      try {
-        const searchResults = await searchListingsByLocation(term)
-        setListings(searchResults)
-      } catch (error) {
-        console.error('Error searching listings:', error)
-      } finally {
-        setLoading(false)
-      }
-    } else {
-      // If search is cleared, reload all listings
-      loadListings()
+  const setCriteria = (nextCriteria, nextView = view) => {
+    const query = criteriaToQuery(nextCriteria)
+    if (nextView === 'map') {
+      query.view = 'map'
     }
+
+    router.push(
+      { pathname: '/', query },
+      undefined,
+      { shallow: true, scroll: false }
+    )
   }
 
   /**
-   * Apply filters and sorting to listings
+   * Merge changes into the current criteria
    */
-  const applyFiltersAndSort = () => {
-    let filtered = [...listings]
-
-    // Apply property type filter
-    if (propertyType) {
-      filtered = filtered.filter(listing => {
-        switch (propertyType) {
-          case 'studio':
-            return listing.Bedrooms === 0
-          case 'one-bed':
-            return listing.Bedrooms === 1
-          case 'two-bed':
-            return listing.Bedrooms === 2
-          case 'three-bed':
-            return listing.Bedrooms >= 3
-          case 'house-share':
-            return listing.HouseShare === true
-          case 'furnished':
-            return listing.Furnished === true
-          case 'unfurnished':
-            return listing.Furnished === false
-          default:
-            return true
-        }
-      })
-    }
+  const updateCriteria = (changes) => {
+    setCriteria({ ...criteria, ...changes })
+  }
 
-    // Apply pet-friendly filter
-    if (showPetFriendlyOnly) {
-      filtered = filtered.filter(listing => 
-        listing.PetParkingCosts > 0 || 
-        listing.Garden === true ||
-        listing.Description?.toLowerCase().includes('pet') ||
-        listing.Description?.toLowerCase().includes('dog') ||
-        listing.Description?.toLowerCase().includes('cat')
-      )
+  /**
+   * Handle search functionality
+   */
+  const handleSearch = (term) => {
+    if (term !== searchTerm) {
+      updateCriteria({ searchTerm: term })
     }
+  }
 
-    // Apply sorting
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'newest':
-          return new Date(b.Listed) - new Date(a.Listed)
-        case 'oldest':
-          return new Date(a.Listed) - new Date(b.Listed)
-        case 'cheapest':
-          return (a.Rent || 0) - (b.Rent || 0)
-        case 'expensive':
-          return (b.Rent || 0) - (a.Rent || 0)
-        case 'bedrooms-asc':
-          return (a.Bedrooms || 0) - (b.Bedrooms || 0)
-        case 'bedrooms-desc':
-          return (b.Bedrooms || 0) - (a.Bedrooms || 0)
-        default:
-          return 0
-      }
+  /**
+   * Search around a postcode, place or dropped pin; new searches start at the
+   * default radius, nearest first
+   */
+  const handleNear = (near) => {
+    if (near === criteria.near) return
+    updateCriteria({
+      near,
+      radius: criteria.radius || DEFAULT_RADIUS,
+      sortBy: criteria.near ? criteria.sortBy : 'distance'
     })
+  }
 
-    setFilteredListings(filtered)
+  /**
+   * Search titles and descriptions; new keyword searches show the most relevant first
+   */
+  const handleKeywords = (keywords) => {
+    if (keywords === criteria.keywords) return
+    updateCriteria({
+      keywords,
+      sortBy: criteria.keywords ? criteria.sortBy : 'relevance'
+    })
   }
 
+  // After a failed search, the listings on screen belong to the previous search
+  const stale = shownQueryKey !== queryKey
+  const hasMore = !stale && listings.length < total
+
   return (
     <>
       <Head>
@@ -149,8 +269,19 @@ export default function Home() {
         />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link rel="icon" href="/logo.png" />
+        {FEED_FORMATS.map(format => (
+          <link
+            key={format.value}
+            rel="alternate"
+            type={format.contentType.split(';')[0]}
+            title={`PawsPlace new listings (${format.label})`}
+            href={getFeedPath(criteria, format.value)}
+          />
+        ))}
       </Head>
 
+      {demo && <DemoDataBanner />}
+
       {/* Header */}
       <header className="header">
         <div className="container">
@@ -177,6 +308,17 @@ export default function Home() {
                 Pet-friendly rentals in London 🐾
               </div>
               <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                <Link
+                  href="/shortlist"
+                  style={{
+                    color: '#2d5a2d',
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    textDecoration: 'none'
+                  }}
+                >
+                  ♥ Shortlist{shortlist.length > 0 && ` (${shortlist.length})`}
+                </Link>
                 {authLoading ? (
                   <div style={{ color: '#666', fontSize: '14px' }}>Loading...</div>
                 ) : isAuthenticated ? (
@@ -197,6 +339,53 @@ export default function Home() {
                         </span>
                       )}
                     </span>
+                    <MessagesLink
+                      style={{
+                        color: '#2d5a2d',
+                        fontSize: '14px',
+                        fontWeight: '500',
+                        textDecoration: 'none'
+                      }}
+                    />
+                    {isTenant && (
+                      <Link
+                        href="/tenant/alerts"
+                        style={{
+                          color: '#2d5a2d',
+                          fontSize: '14px',
+                          fontWeight: '500',
+                          textDecoration: 'none'
+                        }}
+                      >
+                        Alerts
+                      </Link>
+                    )}
+                    {isTenant && (
+                      <Link
+                        href="/tenant/pets"
+                        style={{
+                          color: '#2d5a2d',
+                          fontSize: '14px',
+                          fontWeight: '500',
+                          textDecoration: 'none'
+                        }}
+                      >
+                        My Pets
+                      </Link>
+                    )}
+                    {isAgent && (
+                      <Link
+                        href="/agent/listings"
+                        style={{
+                          color: '#2d5a2d',
+                          fontSize: '14px',
+                          fontWeight: '500',
+                          textDecoration: 'none'
+                        }}
+                      >
+                        My Listings
+                      </Link>
+                    )}
                     <button
                       onClick={signOut}
                       style={{
@@ -229,6 +418,21 @@ export default function Home() {
                     >
                       Sign In
                     </Link>
+                    <Link 
+                      href="/auth/tenant-signup"
+                      style={{
+                        padding: '0.5rem 1rem',
+                        backgroundColor: '#2d5a2d',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '4px',
+                        fontSize: '14px',
+                        textDecoration: 'none',
+                        display: 'inline-block'
+                      }}
+                    >
+                      Join as Tenant
+                    </Link>
                     <Link 
                       href="/auth/signup"
                       style={{
@@ -255,15 +459,20 @@ export default function Home() {
       {/* Search and Filters */}
       <section className="search-filters">
         <div className="container">
-          <SearchBar onSearch={handleSearch} />
-          <Filters
-            propertyType={propertyType}
-            onPropertyTypeChange={setPropertyType}
-            sortBy={sortBy}
-            onSortChange={setSortBy}
-            showPetFriendlyOnly={showPetFriendlyOnly}
-            onPetFriendlyFilter={setShowPetFriendlyOnly}
+          <SearchBar value={searchTerm} onSearch={handleSearch} />
+          <KeywordSearch value={criteria.keywords} onSearch={handleKeywords} />
+          <RadiusSearch
+            criteria={criteria}
+            onSearch={handleNear}
+            onRadiusChange={(radius) => updateCriteria({ radius })}
+          />
+          <Filters criteria={criteria} onChange={updateCriteria} />
+          <ActiveFilters
+            criteria={criteria}
+            onRemove={(key) => setCriteria(clearFilter(criteria, key))}
+            onClearAll={() => setCriteria(clearFilter(criteria))}
           />
+          <SaveSearchForm key={queryKey} criteria={criteria} />
         </div>
       </section>
 
@@ -272,13 +481,82 @@ export default function Home() {
         <div className="container">
           <div className="listings-header">
             <h1 className="listings-title">
-              {searchTerm ? `Properties in "${searchTerm}"` : 'Available Properties'}
+              {searchCentre
+                ? `Properties near ${searchCentre.label === 'dropped pin' ? 'your pin' : `"${searchCentre.label}"`}`
+                : locationQuery ? `Properties in ${locationQuery.type === 'text' ? `"${searchTerm}"` : describeLocationQuery(locationQuery)}` : 'Available Properties'}
             </h1>
-            <div className="listings-count">
-              {loading ? 'Loading...' : `${filteredListings.length} properties found`}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
+              <div className="listings-count">
+                {loading && 'Loading...'}
+                {!loading && !loadError && `${total}${truncated ? '+' : ''} properties found`}
+                {!loading && loadError && (stale && listings.length > 0 ? 'Showing earlier results' : 'Results unavailable')}
+              </div>
+              {!loadError && total > 0 && (
+                <div className="results-export">
+                  Export:{' '}
+                  {EXPORT_FORMATS.map(format => (
+                    <a key={format.value} href={getExportPath(criteria, format.value)} download>{format.label}</a>
+                  ))}
+                  <a href={getFeedPath(criteria, 'rss')} title="Follow new listings for this search in a feed reader">RSS</a>
+                </div>
+              )}
+              <div className="view-toggle" role="group" aria-label="Show results as">
+                {['list', 'map'].map(option => (
+                  <button
+                    key={option}
+                    type="button"
+                    className={view === option ? 'active' : ''}
+                    aria-pressed={view === option}
+                    onClick={() => setCriteria(criteria, option)}
+                  >
+                    {option === 'list' ? 'List' : 'Map'}
+                  </button>
+                ))}
+              </div>
             </div>
           </div>
 
+          {/* Error State: retried automatically, or straight away with "Try again" */}
+          {loadError && (
+            <LoadErrorBanner
+              message={loadError.message}
+              retryIn={loadError.retryIn}
+              retrying={loading}
+              stale={stale && listings.length > 0}
+              onRetry={() => loadListings()}
+            />
+          )}
+
+          {truncated && !loading && !loadError && (
+            <p role="status" style={{ color: '#666', fontSize: '14px', marginBottom: '20px' }}>
+              This search has more than {MAX_IN_MEMORY_LISTINGS.toLocaleString('en-GB')} possible matches, so only the
+              first {MAX_IN_MEMORY_LISTINGS.toLocaleString('en-GB')} were ranked and some properties may be missing.
+              Add filters or narrow the location to see them all.
+            </p>
+          )}
+
+          {/* Map View */}
+          {view === 'map' && (
+            <div style={{ marginBottom: '30px', position: 'relative' }}>
+              <ListingMap
+                listings={mapListings || []}
+                centre={searchCentre}
+                radius={criteria.radius ? Number(criteria.radius) : null}
+                onDropPin={(point) => handleNear(formatCoordinates(point))}
+                searchPath={router.asPath}
+              />
+              {!mapListings && <div className="listing-map-loading">Loading map...</div>}
+              {mapError && !loadError && (
+                <LoadErrorBanner message={mapError} onRetry={() => setMapAttempt(mapAttempt + 1)} />
+              )}
+              {mapListings && total > mapListings.length && (
+                <p style={{ color: '#666', fontSize: '13px', marginTop: '8px' }}>
+                  Showing the first {mapListings.length} of {total} properties. Narrow your search to see the rest.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Loading State */}
           {loading && (
             <div className="loading">
@@ -287,7 +565,7 @@ export default function Home() {
           )}
 
           {/* No Results State */}
-          {!loading && filteredListings.length === 0 && (
+          {!loading && !loadError && listings.length === 0 && (
             <div className="no-listings">
               <h3>No properties found</h3>
               <p>Try adjusting your search criteria or check back later for new listings.</p>
@@ -312,13 +590,39 @@ export default function Home() {
           )}
 
           {/* Listings Grid */}
-          {!loading && filteredListings.length > 0 && (
+          {view === 'list' && !loading && listings.length > 0 && (
             <div className="listings-grid">
-              {filteredListings.map((listing, index) => (
-                <ListingCard key={listing.id || index} listing={listing} />
+              {listings.map((listing, index) => (
+                <ListingCard key={listing.id || index} listing={listing} searchPath={router.asPath} keywords={criteria.keywords} />
               ))}
             </div>
           )}
+
+          {/* Pagination */}
+          {view === 'list' && !loading && hasMore && (
+            <div style={{ textAlign: 'center', marginTop: '30px' }}>
+              {loadMoreError && (
+                <p role="alert" style={{ color: '#b91c1c', marginBottom: '12px' }}>
+                  We couldn&apos;t load more properties. {loadMoreError}
+                </p>
+              )}
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                style={{
+                  background: loadingMore ? '#ccc' : '#2563eb',
+                  color: 'white',
+                  border: 'none',
+                  padding: '12px 28px',
+                  borderRadius: '6px',
+                  fontSize: '16px',
+                  cursor: loadingMore ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {loadingMore ? 'Loading...' : `${loadMoreError ? 'Try again' : 'Load more'} (${listings.length} of ${total})`}
+              </button>
+            </div>
+          )}
         </div>
       </main>
 
@@ -0,0 +1,219 @@
+/**
+ * Listing Detail Page
+ *
+ * Server-rendered page for a single property with its photo gallery, the full
+ * description, every feature, where it is on the map, the agent's contact
+ * details, viewing times and a link to apply.
+ */
+
+import React from 'react'
+import Head from 'next/head'
+import Link from 'next/link'
+import { fetchListingById, isListingId } from '../../lib/listingProvider'
+import { getListingFeatures } from '../../lib/listingFields'
+import { isPetFriendly, getPetPolicySummary } from '../../lib/petPolicy'
+import ShortlistButton from '../../components/ShortlistButton'
+import EnquiryForm from '../../components/EnquiryForm'
+import ViewingSlots from '../../components/ViewingSlots'
+import PhotoGallery from '../../components/PhotoGallery'
+import DemoDataBanner from '../../components/DemoDataBanner'
+import ListingMap from '../../components/ListingMap'
+import { getListingPosition } from '../../lib/geo'
+import { getSafeReturnTo } from '../../lib/authSession'
+
+/**
+ * Load the listing on the server so the page (and its 404) is fully rendered
+ */
+export async function getServerSideProps({ params, query }) {
+  if (!isListingId(params.id)) {
+    return { notFound: true }
+  }
+
+  const { data: listing, error, demo } = await fetchListingById(params.id)
+
+  // A missing listing is a 404; a listings outage is a server error, not a 404
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  if (!listing) {
+    return { notFound: true }
+  }
+
+  return {
+    props: {
+      listing,
+      // Only local paths, so the breadcrumb can't be used as an open redirect
+      searchPath: getSafeReturnTo(query.from),
+      demo
+    }
+  }
+}
+
+const detailRowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  padding: '0.5rem 0',
+  borderBottom: '1px solid #f3f4f6',
+  fontSize: '15px'
+}
+
+export default function ListingDetail({ listing, searchPath, demo = false }) {
+  const features = getListingFeatures(listing)
+  const petFriendly = isPetFriendly(listing)
+  const petPolicy = getPetPolicySummary(listing)
+  const agent = listing.agent
+  const agentName = agent?.full_name || [agent?.first_name, agent?.last_name].filter(Boolean).join(' ')
+
+  const details = [
+    { label: 'Rent', value: listing.Rent ? `£${listing.Rent.toLocaleString()} pcm` : 'TBC' },
+    { label: 'Bedrooms', value: listing.Bedrooms === 0 ? 'Studio' : listing.Bedrooms ?? 'TBC' },
+    { label: 'Bathrooms', value: listing.Baths ?? 'TBC' },
+    { label: 'Size', value: listing.SquareFootage ? `${listing.SquareFootage} sq ft` : 'TBC' },
+    { label: 'Furnished', value: listing.Furnished ? 'Yes' : 'No' },
+    { label: 'Garden/Outdoor Space', value: listing.Garden ? 'Yes' : 'No' },
+    { label: 'Stair-Free Access', value: listing.StairFreeAccess ? 'Yes' : 'No' },
+    { label: 'House Share', value: listing.HouseShare ? 'Yes' : 'No' },
+    { label: 'Pet Parking Costs', value: listing.PetParkingCosts > 0 ? `£${listing.PetParkingCosts}` : 'None' },
+    {
+      label: 'Listed',
+      value: listing.Listed
+        ? new Date(listing.Listed).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+        : 'Recently listed'
+    }
+  ]
+
+  return (
+    <>
+      <Head>
+        <title>{`${listing.Title} - PawsPlace`}</title>
+        <meta name="description" content={listing.Description?.slice(0, 160) || `Pet-friendly rental in ${listing.Location}`} />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/logo.png" />
+      </Head>
+
+      {demo && <DemoDataBanner />}
+
+      <header className="header">
+        <div className="container">
+          <Link href="/" style={{ textDecoration: 'none' }}>
+            <div className="brand-text">PawsPlace</div>
+          </Link>
+        </div>
+      </header>
+
+      <main className="listings-section">
+        <div className="container">
+          {/* Breadcrumb */}
+          <nav aria-label="Breadcrumb" className="breadcrumb">
+            <Link href="/">Home</Link>
+            <span aria-hidden="true"> › </span>
+            <Link href={searchPath}>Search results</Link>
+            <span aria-hidden="true"> › </span>
+            <span aria-current="page">{listing.Title}</span>
+          </nav>
+
+          <div className="listing-detail-layout">
+            <article className="listing-card listing-card-content">
+              <PhotoGallery photos={listing.photos} listing={listing} />
+
+              <div className="listing-card-header">
+                <h1 className="listings-title" style={{ marginBottom: '10px' }}>{listing.Title}</h1>
+                <ShortlistButton listing={listing} />
+              </div>
+              <div className="listing-rent">
+                {listing.Rent ? `£${listing.Rent.toLocaleString()}` : '£TBC'} pcm
+              </div>
+              <div className="listing-location">{listing.Location}</div>
+
+              {features.length > 0 && (
+                <div className="listing-features">
+                  {features.map((feature, index) => (
+                    <span
+                      key={index}
+                      className={`feature-tag ${feature.includes('Garden') || feature.includes('Pet') ? 'pet-friendly-tag' : ''}`}
+                    >
+                      {feature}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {listing.Description && (
+                <p style={{ color: '#444', lineHeight: 1.7, whiteSpace: 'pre-line', marginBottom: '20px' }}>
+                  {listing.Description}
+                </p>
+              )}
+
+              <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>Pet policy</h2>
+              <ul className={`pet-policy-summary ${petFriendly ? '' : 'no-pets'}`} style={{ listStyle: 'none', fontSize: '15px' }}>
+                {petPolicy.map(line => (
+                  <li key={line}>{petFriendly ? '🐾 ' : ''}{line}</li>
+                ))}
+              </ul>
+
+              <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>Property details</h2>
+              <div>
+                {details.map(detail => (
+                  <div key={detail.label} style={detailRowStyle}>
+                    <span style={{ color: '#666' }}>{detail.label}</span>
+                    <strong style={{ fontWeight: 500 }}>{detail.value}</strong>
+                  </div>
+                ))}
+              </div>
+
+              {getListingPosition(listing) && (
+                <>
+                  <h2 style={{ fontSize: '18px', margin: '20px 0 10px' }}>Location</h2>
+                  <ListingMap listings={[listing]} height={280} />
+                  <p style={{ color: '#666', fontSize: '13px', marginTop: '8px' }}>
+                    The pin marks the centre of the postcode area, not the exact address.
+                  </p>
+                </>
+              )}
+            </article>
+
+            {/* Agent Contact */}
+            <aside className="listing-card listing-card-content">
+              <h2 style={{ fontSize: '18px', marginBottom: '10px' }}>Contact the agent</h2>
+              {agent ? (
+                <div style={{ fontSize: '15px', lineHeight: 1.8 }}>
+                  {agentName && <div><strong>{agentName}</strong></div>}
+                  {agent.agency && <div style={{ color: '#666' }}>{agent.agency}</div>}
+                  {agent.phone && (
+                    <div><a href={`tel:${agent.phone.replace(/\s+/g, '')}`}>{agent.phone}</a></div>
+                  )}
+                  {agent.email && (
+                    <div><a href={`mailto:${agent.email}?subject=${encodeURIComponent(`Enquiry: ${listing.Title}`)}`}>{agent.email}</a></div>
+                  )}
+                </div>
+              ) : (
+                <p style={{ color: '#666', fontSize: '14px' }}>Agent contact details are not available for this listing.</p>
+              )}
+              {listing.agent_id && (
+                <Link
+                  href={`/listings/${listing.id}/apply`}
+                  style={{
+                    display: 'block',
+                    marginTop: '15px',
+                    padding: '0.6rem 1rem',
+                    backgroundColor: '#2d5a2d',
+                    color: 'white',
+                    borderRadius: '4px',
+                    textAlign: 'center',
+                    textDecoration: 'none',
+                    fontWeight: '500'
+                  }}
+                >
+                  Apply for this property
+                </Link>
+              )}
+              <ViewingSlots listing={listing} />
+              <EnquiryForm listing={listing} />
+            </aside>
+          </div>
+        </div>
+      </main>
+    </>
+  )
+}
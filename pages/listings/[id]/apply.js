@@ -0,0 +1,101 @@
+/**
+ * Apply for a Listing Page
+ *
+ * Rental application form for tenants, with their pets attached as a pet CV.
+ * Tenants who have already applied are pointed to their application instead.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import { fetchListingById, isListingId } from '../../../lib/listingProvider'
+import { fetchPets, findApplication, submitApplication } from '../../../lib/supabase'
+import { getApplicationStatus } from '../../../lib/applications'
+import { isListingPublic } from '../../../lib/listingCriteria'
+import { withRole } from '../../../lib/serverAuth'
+import { useAuth } from '../../../contexts/AuthContext'
+import AccountLayout from '../../../components/AccountLayout'
+import ApplicationForm from '../../../components/ApplicationForm'
+
+export const getServerSideProps = withRole('tenant', async ({ params }) => {
+  if (!isListingId(params.id)) {
+    return { notFound: true }
+  }
+
+  const { data: listing, error } = await fetchListingById(params.id)
+
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  if (!listing || !isListingPublic(listing)) {
+    return { notFound: true }
+  }
+
+  return { props: { listing } }
+})
+
+export default function ApplyForListing({ listing }) {
+  const router = useRouter()
+  const { user, isTenant } = useAuth()
+
+  const [pets, setPets] = useState([])
+  const [application, setApplication] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!user || !isTenant) {
+      return
+    }
+
+    Promise.all([fetchPets(user.id), findApplication(user.id, listing.id)]).then(([petData, existing]) => {
+      setPets(petData)
+      setApplication(existing)
+      setLoading(false)
+    })
+  }, [user, isTenant, listing.id])
+
+  const handleSubmit = async (values) => {
+    const result = await submitApplication(user.id, listing, values)
+    if (!result.error) {
+      router.push('/tenant/applications')
+    }
+    return result
+  }
+
+  return (
+    <AccountLayout role="tenant" title={`Apply: ${listing.Title}`}>
+      <h1 className="listings-title" style={{ marginBottom: '0.5rem' }}>Apply for this property</h1>
+      <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+        <Link href={`/listings/${listing.id}`} style={{ color: '#2d5a2d', fontWeight: '500' }}>{listing.Title}</Link>
+        {' · '}{listing.Location}
+        {listing.Rent ? ` · £${listing.Rent.toLocaleString()} pcm` : ''}
+      </p>
+
+      {loading && <div className="loading"><p>Loading...</p></div>}
+
+      {!loading && !listing.agent_id && (
+        <div className="no-listings">
+          <h3>This listing isn&apos;t accepting applications</h3>
+          <p>Contact the agent directly to ask about it.</p>
+        </div>
+      )}
+
+      {!loading && listing.agent_id && application && (
+        <div className="no-listings">
+          <h3>You&apos;ve already applied</h3>
+          <p>
+            Your application is {getApplicationStatus(application.status).label.toLowerCase()}.{' '}
+            <Link href="/tenant/applications" style={{ color: '#2d5a2d', fontWeight: '500' }}>Track your applications</Link>
+          </p>
+        </div>
+      )}
+
+      {!loading && listing.agent_id && !application && (
+        <div style={{ maxWidth: '760px' }}>
+          <ApplicationForm listing={listing} pets={pets} onSubmit={handleSubmit} />
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,212 @@
+/**
+ * Conversation Page
+ *
+ * One enquiry thread between a tenant and the agent for a listing.
+ * New messages appear live, and agents can attach the tenant's pet profile.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/router'
+import {
+  fetchConversation,
+  fetchMessages,
+  fetchPets,
+  sendMessage,
+  markConversationRead,
+  subscribeToMessages
+} from '../../lib/supabase'
+import { getOtherParticipant, getDisplayName, formatMessageTime } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import { useMessages } from '../../contexts/MessagesContext'
+import AccountLayout from '../../components/AccountLayout'
+import MessageForm from '../../components/MessageForm'
+import PetProfileSummary from '../../components/PetProfileSummary'
+
+export const getServerSideProps = withRole(null)
+
+export default function Conversation() {
+  const router = useRouter()
+  const { id } = router.query
+  const { user } = useAuth()
+  const { refreshUnread } = useMessages()
+
+  const [conversation, setConversation] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [attaching, setAttaching] = useState(false)
+  const [error, setError] = useState('')
+
+  const userId = user?.id
+
+  // Load the thread and mark it read
+  useEffect(() => {
+    if (!id || !userId) {
+      return
+    }
+
+    Promise.all([fetchConversation(userId, id), fetchMessages(id)]).then(([conversationData, messageData]) => {
+      setConversation(conversationData)
+      setMessages(messageData)
+      setLoading(false)
+
+      if (conversationData) {
+        markConversationRead(userId, id).then(refreshUnread)
+      }
+    })
+  }, [id, userId, refreshUnread])
+
+  // Show new messages (and read receipts) as they happen
+  useEffect(() => {
+    if (!id || !userId) {
+      return
+    }
+
+    return subscribeToMessages('conversation_id', id, (eventType, message) => {
+      setMessages(prev => {
+        const exists = prev.some(item => item.id === message.id)
+        if (eventType === 'UPDATE' || exists) {
+          return prev.map(item => item.id === message.id ? message : item)
+        }
+        return eventType === 'INSERT' ? [...prev, message] : prev
+      })
+
+      if (eventType === 'INSERT' && message.recipient_id === userId) {
+        markConversationRead(userId, id).then(refreshUnread)
+      }
+    })
+  }, [id, userId, refreshUnread])
+
+  /**
+   * Add a message we just sent without waiting for realtime
+   */
+  const addMessage = (message) => {
+    setMessages(prev => prev.some(item => item.id === message.id) ? prev : [...prev, message])
+  }
+
+  const handleSend = async (body) => {
+    const result = await sendMessage(userId, conversation, { body })
+    if (!result.error) {
+      addMessage(result.data)
+    }
+    return result
+  }
+
+  /**
+   * Agents: attach a snapshot of the tenant's current pet profile
+   */
+  const handleAttachPets = async () => {
+    const tenantName = getDisplayName(conversation.tenant, 'the tenant')
+    setAttaching(true)
+    setError('')
+
+    const pets = await fetchPets(conversation.tenant_id)
+    if (pets.length === 0) {
+      setError(`${tenantName} hasn't added any pets to their profile yet.`)
+      setAttaching(false)
+      return
+    }
+
+    const result = await sendMessage(userId, conversation, {
+      body: `Attached ${tenantName}'s pet profile`,
+      pets
+    })
+
+    setAttaching(false)
+    if (result.error) {
+      setError(result.error.message)
+    } else {
+      addMessage(result.data)
+    }
+  }
+
+  if (loading || !conversation) {
+    return (
+      <AccountLayout title="Messages">
+        {loading ? (
+          <div className="loading"><p>Loading conversation...</p></div>
+        ) : (
+          <div className="no-listings">
+            <h3>Conversation not found</h3>
+            <p>
+              It may have been removed, or it belongs to someone else.{' '}
+              <Link href="/messages">Back to your messages</Link>
+            </p>
+          </div>
+        )}
+      </AccountLayout>
+    )
+  }
+
+  const other = getOtherParticipant(conversation, userId)
+  const isConversationAgent = conversation.agent_id === userId
+  const lastOwnMessage = [...messages].reverse().find(message => message.sender_id === userId)
+
+  return (
+    <AccountLayout title={`Messages with ${other.name}`}>
+      <nav aria-label="Breadcrumb" className="breadcrumb">
+        <Link href="/messages">Messages</Link>
+        <span aria-hidden="true"> › </span>
+        <span aria-current="page">{other.name}</span>
+      </nav>
+
+      <div style={{ maxWidth: '720px' }}>
+        <div className="listings-header">
+          <div>
+            <h1 className="listings-title" style={{ fontSize: '24px' }}>{other.name}</h1>
+            {conversation.listing ? (
+              <Link href={`/listings/${conversation.listing.id}`} className="listing-location">
+                {conversation.listing.Title}
+              </Link>
+            ) : (
+              <span style={{ color: '#888' }}>Listing no longer available</span>
+            )}
+          </div>
+          {isConversationAgent && (
+            <button
+              type="button"
+              onClick={handleAttachPets}
+              disabled={attaching}
+              className="filter-chip"
+            >
+              {attaching ? 'Attaching...' : '🐾 Attach pet profile'}
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div style={{
+            backgroundColor: '#f8d7da',
+            color: '#721c24',
+            padding: '0.75rem',
+            borderRadius: '4px',
+            marginBottom: '1rem',
+            fontSize: '14px'
+          }}>
+            {error}
+          </div>
+        )}
+
+        <div className="message-thread" aria-live="polite">
+          {messages.map(message => (
+            <div key={message.id} className={`message-bubble ${message.sender_id === userId ? 'mine' : ''}`}>
+              {message.body}
+              {message.pets && (
+                <div style={{ marginTop: '8px', whiteSpace: 'normal' }}>
+                  <PetProfileSummary pets={message.pets} title={`${getDisplayName(conversation.tenant, 'Tenant')}'s pets`} />
+                </div>
+              )}
+              <span className="message-time">
+                {formatMessageTime(message.created_at)}
+                {message.id === lastOwnMessage?.id && message.read_at && ' · Read'}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <MessageForm onSend={handleSend} placeholder={`Reply to ${other.name}...`} />
+      </div>
+    </AccountLayout>
+  )
+}
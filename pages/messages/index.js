@@ -0,0 +1,94 @@
+/**
+ * Inbox Page
+ *
+ * The signed-in user's enquiry conversations, most recent first, with unread counts.
+ * Tenants see the agents they've contacted; agents see enquiries about their listings.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { fetchConversations } from '../../lib/supabase'
+import { getOtherParticipant, formatMessageTime } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import { useMessages } from '../../contexts/MessagesContext'
+import AccountLayout from '../../components/AccountLayout'
+
+export const getServerSideProps = withRole(null)
+
+export default function Inbox() {
+  const { user } = useAuth()
+  const { unread } = useMessages()
+
+  const [conversations, setConversations] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // Reload when new messages arrive so the most recent conversation moves to the top
+  useEffect(() => {
+    if (!user) {
+      return
+    }
+
+    fetchConversations(user.id).then(data => {
+      setConversations(data)
+      setLoading(false)
+    })
+  }, [user, unread.total])
+
+  return (
+    <AccountLayout title="Messages">
+      <div className="listings-header">
+        <h1 className="listings-title">Messages</h1>
+        {unread.total > 0 && (
+          <span className="listings-count">{unread.total} unread</span>
+        )}
+      </div>
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your messages...</p>
+        </div>
+      )}
+
+      {!loading && conversations.length === 0 && (
+        <div className="no-listings">
+          <h3>No messages yet</h3>
+          <p>Use the Enquire box on any listing to message the agent.</p>
+        </div>
+      )}
+
+      {!loading && conversations.length > 0 && (
+        <div style={{ maxWidth: '720px', background: 'white', borderRadius: '8px', border: '1px solid #e5e5e5', overflow: 'hidden' }}>
+          {conversations.map(conversation => {
+            const other = getOtherParticipant(conversation, user.id)
+            const unreadCount = unread.byConversation[conversation.id] || 0
+
+            return (
+              <Link
+                key={conversation.id}
+                href={`/messages/${conversation.id}`}
+                className={`conversation-row ${unreadCount > 0 ? 'unread' : ''}`}
+              >
+                <div>
+                  <div>
+                    {other.name}
+                    {other.role === 'agent' && conversation.agent?.agency && (
+                      <span style={{ color: '#666', fontWeight: 400 }}> · {conversation.agent.agency}</span>
+                    )}
+                  </div>
+                  <div style={{ color: '#2563eb', fontSize: '14px', fontWeight: 400 }}>
+                    {conversation.listing?.Title || 'Listing no longer available'}
+                  </div>
+                </div>
+                <div style={{ textAlign: 'right', whiteSpace: 'nowrap', fontSize: '12px', color: '#888' }}>
+                  {formatMessageTime(conversation.last_message_at)}
+                  {unreadCount > 0 && <span className="unread-badge">{unreadCount}</span>}
+                </div>
+              </Link>
+            )
+          })}
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,153 @@
+/**
+ * Shortlist Page
+ *
+ * Listings the visitor has saved with the heart button. Works signed out too
+ * (saved in the browser) and flags saved listings that have since been removed
+ * or changed price.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { fetchListingsByIds } from '../lib/listingProvider'
+import { isSameListing, getShortlistStatus } from '../lib/shortlist'
+import { useAuth } from '../contexts/AuthContext'
+import { useShortlist } from '../contexts/ShortlistContext'
+import AccountLayout from '../components/AccountLayout'
+import ListingCard from '../components/ListingCard'
+
+const formatRent = (rent) => rent != null ? `£${rent.toLocaleString()}` : '£TBC'
+
+export default function Shortlist() {
+  const { isAuthenticated } = useAuth()
+  const { entries, loading: shortlistLoading, removeFromShortlist } = useShortlist()
+
+  const [listings, setListings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  // Only refetch when the set of saved listings changes
+  const idsKey = entries.map(entry => entry.listing_id).join(',')
+
+  useEffect(() => {
+    if (shortlistLoading) {
+      return
+    }
+
+    let cancelled = false
+    const ids = idsKey ? idsKey.split(',') : []
+
+    fetchListingsByIds(ids).then(({ data, error }) => {
+      if (cancelled) {
+        return
+      }
+      setError(error ? 'We couldn\'t check your saved properties right now. Please try again later.' : '')
+      setListings(data || [])
+      setLoading(false)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [idsKey, shortlistLoading])
+
+  const renderEntry = (entry) => {
+    const listing = listings.find(item => isSameListing(item.id, entry.listing_id))
+    const { removed, priceChange } = getShortlistStatus(entry, listing)
+
+    if (removed) {
+      return (
+        <div key={entry.listing_id}>
+          <div className="shortlist-notice">No longer available</div>
+          <div className="listing-card">
+            <div className="listing-card-content">
+              <h3 className="listing-title" style={{ color: '#888' }}>
+                {entry.saved_title || 'Property Listing'}
+              </h3>
+              <p style={{ color: '#666', fontSize: '14px', marginBottom: '15px' }}>
+                This property has been let or removed by the agent
+                {entry.saved_rent != null && ` (it was ${formatRent(entry.saved_rent)} pcm when you saved it)`}.
+              </p>
+              <button
+                type="button"
+                className="filter-chip-clear"
+                onClick={() => removeFromShortlist(entry.listing_id)}
+              >
+                Remove from shortlist
+              </button>
+            </div>
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <div key={entry.listing_id}>
+        {priceChange !== 0 && (
+          <div className={`shortlist-notice ${priceChange < 0 ? 'price-down' : ''}`}>
+            {priceChange < 0 ? 'Price reduced' : 'Price increased'} by {formatRent(Math.abs(priceChange))}
+            {' '}since you saved it (was {formatRent(entry.saved_rent)} pcm)
+          </div>
+        )}
+        <ListingCard listing={listing} />
+      </div>
+    )
+  }
+
+  return (
+    <AccountLayout title="Shortlist" requireAuth={false}>
+      <div className="listings-header">
+        <h1 className="listings-title">My Shortlist ♥</h1>
+        <span className="listings-count">
+          {entries.length} saved {entries.length === 1 ? 'property' : 'properties'}
+        </span>
+      </div>
+
+      {!isAuthenticated && entries.length > 0 && (
+        <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+          Your shortlist is saved in this browser.{' '}
+          <Link href="/auth/login?returnTo=%2Fshortlist" style={{ color: '#2d5a2d', fontWeight: '500' }}>
+            Sign in
+          </Link>{' '}
+          to keep it in your account and see it on any device.
+        </p>
+      )}
+
+      {error && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {(shortlistLoading || loading) && (
+        <div className="loading">
+          <p>Loading your shortlist...</p>
+        </div>
+      )}
+
+      {!shortlistLoading && !loading && !error && entries.length === 0 && (
+        <div className="no-listings">
+          <h3>No saved properties yet</h3>
+          <p>Tap the ♡ on any listing to add it to your shortlist.</p>
+          <p style={{ marginTop: '20px' }}>
+            <Link href="/" style={{ color: '#2563eb', textDecoration: 'none', fontWeight: 500 }}>
+              ← Browse available properties
+            </Link>
+          </p>
+        </div>
+      )}
+
+      {!shortlistLoading && !loading && !error && entries.length > 0 && (
+        <div className="listings-grid">
+          {entries.map(renderEntry)}
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,155 @@
+/**
+ * Email Alerts Page
+ *
+ * Lists the tenant's saved searches, with controls to change how often each
+ * one emails, run it, or delete it.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { fetchSavedSearches, updateSavedSearch, deleteSavedSearch } from '../../lib/supabase'
+import { criteriaFromQuery } from '../../lib/listingCriteria'
+import { ALERT_FREQUENCIES, describeSearch, getSavedSearchPath } from '../../lib/savedSearches'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+
+export const getServerSideProps = withRole('tenant')
+
+const actionStyle = {
+  color: '#2d5a2d',
+  textDecoration: 'none',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+export default function Alerts() {
+  const { user, isTenant } = useAuth()
+
+  const [savedSearches, setSavedSearches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!user || !isTenant) {
+      return
+    }
+
+    fetchSavedSearches(user.id).then(data => {
+      setSavedSearches(data)
+      setLoading(false)
+    })
+  }, [user, isTenant])
+
+  /**
+   * Change how often a saved search emails
+   */
+  const handleFrequencyChange = async (savedSearch, frequency) => {
+    setError('')
+    const { data, error } = await updateSavedSearch(user.id, savedSearch.id, { name: savedSearch.name, frequency })
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setSavedSearches(prev => prev.map(item => item.id === data.id ? data : item))
+  }
+
+  /**
+   * Delete a saved search and stop its emails
+   */
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete the alert "${savedSearch.name}"? You'll stop getting emails for it.`)) {
+      return
+    }
+
+    setError('')
+    const { error } = await deleteSavedSearch(user.id, savedSearch.id)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setSavedSearches(prev => prev.filter(item => item.id !== savedSearch.id))
+  }
+
+  return (
+    <AccountLayout role="tenant" title="Email Alerts">
+      <div className="listings-header">
+        <h1 className="listings-title">Email Alerts 🔔</h1>
+      </div>
+      <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+        We email you when new properties match a saved search. To add an alert, search on the{' '}
+        <Link href="/" style={{ color: '#2d5a2d', fontWeight: '500' }}>homepage</Link> and choose
+        &quot;Save this search&quot;.
+      </p>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your alerts...</p>
+        </div>
+      )}
+
+      {!loading && savedSearches.length === 0 && (
+        <div className="no-listings">
+          <h3>No alerts yet</h3>
+          <p>Save a search to hear about new pet-friendly properties first.</p>
+        </div>
+      )}
+
+      {!loading && savedSearches.length > 0 && (
+        <div style={{ maxWidth: '720px' }}>
+          {savedSearches.map(savedSearch => (
+            <div key={savedSearch.id} className="listing-card listing-card-content" style={{ marginBottom: '1rem' }}>
+              <h3 className="listing-title">{savedSearch.name}</h3>
+              <p style={{ color: '#666', fontSize: '14px', marginBottom: '12px' }}>
+                {describeSearch(criteriaFromQuery(savedSearch.criteria || {}))}
+              </p>
+              <div style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <select
+                  aria-label={`How often to email "${savedSearch.name}"`}
+                  className="filter-select"
+                  value={savedSearch.frequency}
+                  onChange={(e) => handleFrequencyChange(savedSearch, e.target.value)}
+                >
+                  {ALERT_FREQUENCIES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <Link href={getSavedSearchPath(savedSearch)} style={actionStyle}>
+                  View results
+                </Link>
+                <button type="button" onClick={() => handleDelete(savedSearch)} style={actionStyle}>
+                  Delete
+                </button>
+                <span style={{ color: '#888', fontSize: '12px' }}>
+                  {savedSearch.last_sent_at
+                    ? `Last email ${new Date(savedSearch.last_sent_at).toLocaleDateString('en-GB')}`
+                    : 'No emails yet'}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
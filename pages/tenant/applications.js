@@ -0,0 +1,84 @@
+/**
+ * My Applications Page
+ *
+ * The tenant's rental applications with their current status and history.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { fetchTenantApplications } from '../../lib/supabase'
+import { getApplicationStatus, describeEmployment } from '../../lib/applications'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+import ApplicationHistory, { ApplicationStatusBadge } from '../../components/ApplicationHistory'
+
+export const getServerSideProps = withRole('tenant')
+
+export default function TenantApplications() {
+  const { user, isTenant } = useAuth()
+
+  const [applications, setApplications] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!user || !isTenant) {
+      return
+    }
+
+    fetchTenantApplications(user.id).then(data => {
+      setApplications(data)
+      setLoading(false)
+    })
+  }, [user, isTenant])
+
+  return (
+    <AccountLayout role="tenant" title="My Applications">
+      <div className="listings-header">
+        <h1 className="listings-title">My Applications 📋</h1>
+      </div>
+      <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+        We&apos;ll email you whenever the agent updates an application.
+      </p>
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your applications...</p>
+        </div>
+      )}
+
+      {!loading && applications.length === 0 && (
+        <div className="no-listings">
+          <h3>No applications yet</h3>
+          <p>Found somewhere you love? Choose &quot;Apply for this property&quot; on the listing page.</p>
+        </div>
+      )}
+
+      {!loading && applications.length > 0 && (
+        <div style={{ maxWidth: '720px' }}>
+          {applications.map(application => (
+            <div key={application.id} className="listing-card listing-card-content" style={{ marginBottom: '1rem' }}>
+              <div className="listing-card-header">
+                <h3 className="listing-title">
+                  <Link href={`/listings/${application.listing_id}`} style={{ color: 'inherit' }}>
+                    {application.listing?.Title || 'Property'}
+                  </Link>
+                </h3>
+                <ApplicationStatusBadge status={application.status} />
+              </div>
+              <p style={{ color: '#444', fontSize: '14px', marginBottom: '8px' }}>
+                {getApplicationStatus(application.status).description}
+              </p>
+              <p style={{ color: '#666', fontSize: '13px', marginBottom: '12px' }}>
+                {describeEmployment(application)} · Move in{' '}
+                {new Date(application.move_in_date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}
+                {' · '}{application.pets?.length || 0} pet{application.pets?.length === 1 ? '' : 's'} attached
+              </p>
+              <ApplicationHistory events={application.events} />
+            </div>
+          ))}
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
@@ -0,0 +1,159 @@
+/**
+ * My Pets Page
+ *
+ * Lets tenants add, edit and remove the pets on their profile.
+ * Agents see this pet profile when the tenant interacts with their listings.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { fetchPets, createPets, updatePet, deletePet } from '../../lib/supabase'
+import { emptyPet, petToFormValues, validatePet, formValuesToPet } from '../../lib/petProfile'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+import PetFields from '../../components/PetFields'
+
+const buttonStyle = (primary, disabled) => ({
+  padding: '0.5rem 1rem',
+  backgroundColor: disabled ? '#ccc' : primary ? '#2d5a2d' : 'transparent',
+  color: primary ? 'white' : '#2d5a2d',
+  border: primary ? 'none' : '1px dashed #2d5a2d',
+  borderRadius: '4px',
+  fontSize: '14px',
+  cursor: disabled ? 'not-allowed' : 'pointer'
+})
+
+export const getServerSideProps = withRole('tenant')
+
+export default function MyPets() {
+  const { user, isTenant } = useAuth()
+
+  const [pets, setPets] = useState([])
+  const [errors, setErrors] = useState([])
+  const [status, setStatus] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!user || !isTenant) {
+      return
+    }
+
+    fetchPets(user.id).then(data => {
+      setPets(data.map(petToFormValues))
+      setLoading(false)
+    })
+  }, [user, isTenant])
+
+  const setAt = (setter, index, value) => {
+    setter(prev => {
+      const next = [...prev]
+      next[index] = value
+      return next
+    })
+  }
+
+  /**
+   * Save one pet: creates it if it's new, otherwise updates it
+   */
+  const handleSave = async (index) => {
+    const pet = pets[index]
+    const petErrors = validatePet(pet)
+    setAt(setErrors, index, petErrors)
+    if (Object.keys(petErrors).length > 0) {
+      return
+    }
+
+    setAt(setStatus, index, { saving: true })
+    const result = pet.id
+      ? await updatePet(user.id, pet.id, formValuesToPet(pet))
+      : await createPets(user.id, [formValuesToPet(pet)])
+
+    if (result.error) {
+      setAt(setStatus, index, { error: result.error.message })
+      return
+    }
+
+    const saved = Array.isArray(result.data) ? result.data[0] : result.data
+    setAt(setPets, index, petToFormValues(saved))
+    setAt(setStatus, index, { message: 'Saved' })
+  }
+
+  /**
+   * Remove a pet (unsaved pets are simply dropped from the list)
+   */
+  const handleRemove = async (index) => {
+    const pet = pets[index]
+    if (pet.id) {
+      if (!window.confirm(`Remove ${pet.name || 'this pet'} from your profile?`)) {
+        return
+      }
+      const { error } = await deletePet(user.id, pet.id)
+      if (error) {
+        setAt(setStatus, index, { error: error.message })
+        return
+      }
+    }
+
+    const keep = (_, i) => i !== index
+    setPets(prev => prev.filter(keep))
+    setErrors(prev => prev.filter(keep))
+    setStatus(prev => prev.filter(keep))
+  }
+
+  return (
+    <AccountLayout role="tenant" title="My Pets">
+      <div className="listings-header">
+        <h1 className="listings-title">My Pets 🐾</h1>
+      </div>
+      <p style={{ color: '#666', marginBottom: '1.5rem' }}>
+        Agents see these details when you contact them about a listing, so keep them up to date.
+      </p>
+
+      {loading ? (
+        <div className="loading"><p>Loading your pets...</p></div>
+      ) : (
+        <div style={{ maxWidth: '640px' }}>
+          {pets.length === 0 && (
+            <p style={{ color: '#666', marginBottom: '1rem' }}>You haven&apos;t added any pets yet.</p>
+          )}
+
+          {pets.map((pet, index) => (
+            <div key={pet.id || `new-${index}`} style={{ marginBottom: '1.5rem' }}>
+              <PetFields
+                idPrefix={`pet-${index}`}
+                pet={pet}
+                errors={errors[index]}
+                onChange={(updated) => setAt(setPets, index, updated)}
+                onRemove={() => handleRemove(index)}
+              />
+              <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                <button
+                  type="button"
+                  onClick={() => handleSave(index)}
+                  disabled={status[index]?.saving}
+                  style={buttonStyle(true, status[index]?.saving)}
+                >
+                  {status[index]?.saving ? 'Saving...' : pet.id ? 'Save Changes' : 'Add Pet'}
+                </button>
+                {status[index]?.message && (
+                  <span style={{ color: '#2d5a2d', fontSize: '14px' }}>{status[index].message}</span>
+                )}
+                {status[index]?.error && (
+                  <span style={{ color: '#dc3545', fontSize: '14px' }}>{status[index].error}</span>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => setPets(prev => [...prev, emptyPet()])}
+            style={buttonStyle(false, false)}
+          >
+            + Add a pet
+          </button>
+        </div>
+      )}
+    </AccountLayout>
+  )
+}
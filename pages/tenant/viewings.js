@@ -0,0 +1,119 @@
+/**
+ * My Viewings Page
+ *
+ * The tenant's upcoming viewings. Each can be added to a calendar or cancelled
+ * here; the time can be changed from the listing page.
+ */
+
+import React, { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { fetchTenantViewings } from '../../lib/supabase'
+import { formatViewingDate, formatSlotTime, cancelViewing } from '../../lib/viewings'
+import { getDisplayName } from '../../lib/messaging'
+import { withRole } from '../../lib/serverAuth'
+import { useAuth } from '../../contexts/AuthContext'
+import AccountLayout from '../../components/AccountLayout'
+
+export const getServerSideProps = withRole('tenant')
+
+const actionStyle = {
+  color: '#2d5a2d',
+  textDecoration: 'none',
+  fontSize: '14px',
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  padding: 0
+}
+
+export default function TenantViewings() {
+  const { user, isTenant } = useAuth()
+
+  const [viewings, setViewings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!user || !isTenant) {
+      return
+    }
+
+    fetchTenantViewings(user.id).then(data => {
+      setViewings(data)
+      setLoading(false)
+    })
+  }, [user, isTenant])
+
+  const handleCancel = async (viewing) => {
+    if (!window.confirm(`Cancel your viewing of "${viewing.listing?.Title}"? The agent will be emailed.`)) {
+      return
+    }
+
+    setError('')
+    const { error } = await cancelViewing(viewing.id)
+
+    if (error) {
+      setError(error.message)
+      return
+    }
+
+    setViewings(prev => prev.filter(item => item.id !== viewing.id))
+  }
+
+  return (
+    <AccountLayout role="tenant" title="My Viewings">
+      <div className="listings-header">
+        <h1 className="listings-title">My Viewings 🗓️</h1>
+      </div>
+
+      {error && (
+        <div style={{
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          padding: '0.75rem',
+          borderRadius: '4px',
+          marginBottom: '1rem',
+          fontSize: '14px'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {loading && (
+        <div className="loading">
+          <p>Loading your viewings...</p>
+        </div>
+      )}
+
+      {!loading && viewings.length === 0 && (
+        <div className="no-listings">
+          <h3>No upcoming viewings</h3>
+          <p>Book a viewing from any listing that shows available times.</p>
+        </div>
+      )}
+
+      {!loading && viewings.length > 0 && (
+        <div style={{ maxWidth: '720px' }}>
+          {viewings.map(viewing => (
+            <div key={viewing.id} className="listing-card listing-card-content" style={{ marginBottom: '1rem' }}>
+              <h3 className="listing-title">{viewing.listing?.Title || 'Property'}</h3>
+              <p style={{ fontSize: '15px', marginBottom: '4px' }}>
+                <strong>{formatViewingDate(viewing.starts_at)}, {formatSlotTime(viewing)}</strong>
+              </p>
+              <p style={{ color: '#666', fontSize: '14px', marginBottom: '12px' }}>
+                {viewing.listing?.Location} · with {getDisplayName(viewing.agent, 'the agent')}
+              </p>
+              <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap' }}>
+                <a href={`/api/viewings/calendar?slotId=${viewing.id}`} style={actionStyle}>Add to calendar</a>
+                <Link href={`/listings/${viewing.listing_id}#viewings`} style={actionStyle}>Change time</Link>
+                <button type="button" onClick={() => handleCancel(viewing)} style={actionStyle}>
+                  Cancel viewing
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </AccountLayout>
+  )
+}